@@ -0,0 +1,163 @@
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import {
+  PRESENCE_STATUSES,
+  getAgentAvailability,
+  recordHeartbeat,
+  setAgentCapacity,
+  setAgentStatus
+} from '../services/agent-presence.js';
+
+// Papéis que podem alterar a capacidade de outros atendentes
+const CAPACITY_MANAGER_ROLES = ['owner', 'admin', 'superadmin'];
+
+/**
+ * Lista presença, chats em andamento e capacidade dos membros da organização (ou de uma equipe com ?teamId=)
+ */
+export async function listAgentPresenceRoute(req, res) {
+  const { organizationId } = req.params;
+  const { teamId } = req.query;
+
+  try {
+    let query = supabase
+      .from('organization_members')
+      .select('profile_id')
+      .eq('organization_id', organizationId);
+
+    if (teamId) {
+      const { data: teamMembers, error: teamError } = await supabase
+        .from('service_team_members')
+        .select('user_id')
+        .eq('team_id', teamId);
+
+      if (teamError) throw teamError;
+      query = query.in('profile_id', teamMembers.map(member => member.user_id));
+    }
+
+    const { data: members, error } = await query;
+    if (error) throw error;
+
+    const profileIds = [...new Set(members.map(member => member.profile_id))];
+    const availability = await getAgentAvailability(organizationId, profileIds);
+
+    return res.status(200).json({
+      success: true,
+      agents: profileIds.map(profileId => ({ profile_id: profileId, ...availability.get(profileId) }))
+    });
+  } catch (error) {
+    console.error('Erro ao listar presença dos atendentes:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar presença dos atendentes'
+    });
+  }
+}
+
+/**
+ * Define o status de presença do usuário autenticado. Body: { status: 'online' | 'away' | 'offline' }
+ */
+export async function setMyPresenceRoute(req, res) {
+  const { organizationId } = req.params;
+  const { status } = req.body || {};
+
+  if (!PRESENCE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status inválido. Use: ${PRESENCE_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const presence = await setAgentStatus(organizationId, req.profileId, status);
+
+    return res.status(200).json({
+      success: true,
+      presence
+    });
+  } catch (error) {
+    console.error('Erro ao definir presença do atendente:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao definir presença do atendente'
+    });
+  }
+}
+
+/**
+ * Registra atividade do usuário autenticado. O frontend deve chamar periodicamente enquanto o atendente estiver ativo
+ */
+export async function heartbeatRoute(req, res) {
+  const { organizationId } = req.params;
+
+  try {
+    const presence = await recordHeartbeat(organizationId, req.profileId);
+
+    return res.status(200).json({
+      success: true,
+      presence
+    });
+  } catch (error) {
+    console.error('Erro ao registrar heartbeat do atendente:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao registrar heartbeat do atendente'
+    });
+  }
+}
+
+/**
+ * Define o limite de chats simultâneos de um atendente. Body: { maxConcurrentChats: number | null }.
+ * O próprio atendente ou owner/admin da organização podem alterar
+ */
+export async function setAgentCapacityRoute(req, res) {
+  const { organizationId, profileId } = req.params;
+  const { maxConcurrentChats } = req.body || {};
+
+  if (profileId !== req.profileId && !CAPACITY_MANAGER_ROLES.includes(req.roleMembership)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Sem permissão para alterar a capacidade de outro atendente'
+    });
+  }
+
+  if (maxConcurrentChats !== null && !(Number.isInteger(maxConcurrentChats) && maxConcurrentChats > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'maxConcurrentChats deve ser um inteiro positivo ou null'
+    });
+  }
+
+  try {
+    const { data: member, error: memberError } = await supabase
+      .from('organization_members')
+      .select('profile_id')
+      .eq('organization_id', organizationId)
+      .eq('profile_id', profileId)
+      .maybeSingle();
+
+    if (memberError) throw memberError;
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Atendente não encontrado na organização'
+      });
+    }
+
+    const presence = await setAgentCapacity(organizationId, profileId, maxConcurrentChats);
+
+    return res.status(200).json({
+      success: true,
+      presence
+    });
+  } catch (error) {
+    console.error('Erro ao definir capacidade do atendente:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao definir capacidade do atendente'
+    });
+  }
+}
@@ -0,0 +1,184 @@
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import {
+  DEFAULT_TIMEZONE,
+  clearBusinessCalendarCache,
+  getBusinessCalendar,
+  getBusinessHoursStatus
+} from '../services/business-hours.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const HOLIDAY_DATE_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+/**
+ * Valida um slot de horário { startTime, endTime }
+ * @param {Object} slot - Slot
+ * @returns {boolean}
+ */
+function isValidSlot(slot) {
+  return TIME_PATTERN.test(slot?.startTime) && TIME_PATTERN.test(slot?.endTime) && slot.startTime < slot.endTime;
+}
+
+/**
+ * Valida o calendário recebido e retorna a lista de erros encontrados
+ * @param {Object} body - Corpo da requisição
+ * @returns {string[]}
+ */
+function validateCalendar(body) {
+  const errors = [];
+  const { timezone, weekly_hours = [], holidays = [], exceptions = [], away_message } = body;
+
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      errors.push(`Timezone inválido: ${timezone}`);
+    }
+  }
+
+  if (!Array.isArray(weekly_hours) || !Array.isArray(holidays) || !Array.isArray(exceptions)) {
+    errors.push('weekly_hours, holidays e exceptions devem ser listas');
+    return errors;
+  }
+
+  weekly_hours.forEach((slot, index) => {
+    const day = Number(slot?.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      errors.push(`weekly_hours[${index}]: dia da semana deve estar entre 0 (domingo) e 6 (sábado)`);
+    }
+    if (!isValidSlot(slot)) {
+      errors.push(`weekly_hours[${index}]: horário inválido (use HH:MM com início antes do fim)`);
+    }
+  });
+
+  holidays.forEach((holiday, index) => {
+    if (!HOLIDAY_DATE_PATTERN.test(holiday?.date || '')) {
+      errors.push(`holidays[${index}]: data deve estar no formato YYYY-MM-DD ou MM-DD`);
+    }
+  });
+
+  exceptions.forEach((exception, index) => {
+    if (!DATE_PATTERN.test(exception?.date || '')) {
+      errors.push(`exceptions[${index}]: data deve estar no formato YYYY-MM-DD`);
+    }
+    if (!exception?.closed && !(exception?.timeSlots || []).every(isValidSlot)) {
+      errors.push(`exceptions[${index}]: horário inválido (use HH:MM com início antes do fim)`);
+    }
+  });
+
+  if (away_message?.enabled && !away_message.content) {
+    errors.push('Mensagem de ausência habilitada sem conteúdo');
+  }
+
+  return errors;
+}
+
+/**
+ * Retorna o calendário de atendimento da organização
+ */
+export async function getBusinessHoursRoute(req, res) {
+  const { organizationId } = req.params;
+
+  try {
+    const calendar = await getBusinessCalendar(organizationId);
+
+    return res.status(200).json({
+      success: true,
+      calendar
+    });
+  } catch (error) {
+    console.error('Erro ao buscar horário de atendimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar horário de atendimento'
+    });
+  }
+}
+
+/**
+ * Cria ou substitui o calendário de atendimento da organização
+ */
+export async function updateBusinessHoursRoute(req, res) {
+  const { organizationId } = req.params;
+  const body = req.body || {};
+
+  const errors = validateCalendar(body);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Calendário inválido',
+      details: errors
+    });
+  }
+
+  try {
+    const { data: calendar, error } = await supabase
+      .from('business_calendars')
+      .upsert({
+        organization_id: organizationId,
+        timezone: body.timezone || DEFAULT_TIMEZONE,
+        weekly_hours: body.weekly_hours || [],
+        holidays: body.holidays || [],
+        exceptions: body.exceptions || [],
+        away_message: body.away_message || { enabled: false },
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    clearBusinessCalendarCache(organizationId);
+
+    return res.status(200).json({
+      success: true,
+      calendar
+    });
+  } catch (error) {
+    console.error('Erro ao salvar horário de atendimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao salvar horário de atendimento'
+    });
+  }
+}
+
+/**
+ * Indica se a organização está em horário de atendimento agora (ou em ?at=) e a próxima abertura
+ */
+export async function getBusinessHoursStatusRoute(req, res) {
+  const { organizationId } = req.params;
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+
+  if (isNaN(at.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Data inválida'
+    });
+  }
+
+  try {
+    const calendar = await getBusinessCalendar(organizationId);
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Horário de atendimento não configurado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: getBusinessHoursStatus(calendar, at)
+    });
+  } catch (error) {
+    console.error('Erro ao verificar horário de atendimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao verificar horário de atendimento'
+    });
+  }
+}
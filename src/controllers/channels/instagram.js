@@ -5,6 +5,7 @@ import { supabase } from '../../lib/supabase.js';
 import Sentry from '../../lib/sentry.js';
 import { formatMarkdownForWhatsApp, formatWhatsAppToMarkdown } from '../../utils/chat.js';
 import { registerUsageOrganizationByCustomer } from '../organizations/usage.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 
 async function getInstagramUserInfo(userId, accessToken) {
   try {
@@ -98,6 +99,15 @@ async function findOrCreateChat(channel, externalId, accessToken, isEcho = false
             })
             .eq('id', customer.id)
         ]);
+
+        emitWebhookEvent(channel.organization_id, 'customer.updated', {
+          customer_id: customer.id,
+          changes: {
+            name: userInfo.name || customer.name,
+            ...(userInfo.profile_pic && { profile_picture: userInfo.profile_pic })
+          },
+          source: 'channel'
+        });
       } else {
         // Mesmo sem novas informações do usuário, atualizar a data da última mensagem
         await supabase
@@ -145,6 +155,7 @@ async function findOrCreateChat(channel, externalId, accessToken, isEcho = false
         .select('*, customers(*)')
         .single();
       newChat.is_first_message = true;
+      emitWebhookEvent(channel.organization_id, 'chat.created', { chat: newChat });
       return newChat;
     }
 
@@ -174,6 +185,7 @@ async function findOrCreateChat(channel, externalId, accessToken, isEcho = false
 
     //contabilizar usage de organization
     registerUsageOrganizationByCustomer(channel.organization_id);
+    emitWebhookEvent(channel.organization_id, 'customer.created', { customer });
 
     // Adicionar contato do Instagram para o novo cliente
     await supabase
@@ -205,6 +217,7 @@ async function findOrCreateChat(channel, externalId, accessToken, isEcho = false
     if (chatError) throw chatError;
 
     chat.is_first_message = true;
+    emitWebhookEvent(channel.organization_id, 'chat.created', { chat });
     return chat;
   } catch (error) {
     console.error('Erro ao criar/buscar chat:', error);
@@ -6,6 +6,7 @@ import { supabase } from '../../lib/supabase.js';
 import axios from 'axios';
 import {  formatMarkdownForWhatsApp, formatWhatsAppToMarkdown} from '../../utils/chat.js';
 import { registerUsageOrganizationByCustomer } from '../organizations/usage.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 
 async function getWhatsAppUserInfo(phoneNumber, accessToken) {
   try {
@@ -53,6 +54,12 @@ async function findOrCreateChat(channel, senderId, contactName) {
           .from('customers')
           .update({ name: contactName })
           .eq('id', existingChat.customers.id);
+
+        emitWebhookEvent(channel.organization_id, 'customer.updated', {
+          customer_id: existingChat.customers.id,
+          changes: { name: contactName },
+          source: 'channel'
+        });
       }
 
       return existingChat;
@@ -78,6 +85,12 @@ async function findOrCreateChat(channel, senderId, contactName) {
           .from('customers')
           .update({ name: contactName })
           .eq('id', customerId);
+
+        emitWebhookEvent(channel.organization_id, 'customer.updated', {
+          customer_id: customerId,
+          changes: { name: contactName },
+          source: 'channel'
+        });
       }
     } else {
       // Criar novo customer se não existir
@@ -96,6 +109,7 @@ async function findOrCreateChat(channel, senderId, contactName) {
 
       //Contabilizar usage de organization
       registerUsageOrganizationByCustomer(channel.organization_id);
+      emitWebhookEvent(channel.organization_id, 'customer.created', { customer: newCustomer });
     }
 
     // Criar novo chat
@@ -115,6 +129,7 @@ async function findOrCreateChat(channel, senderId, contactName) {
     if (chatError) throw chatError;
 
     chat.is_first_message = true;
+    emitWebhookEvent(channel.organization_id, 'chat.created', { chat });
     return chat;
   } catch (error) {
     Sentry.captureException(error);
@@ -17,6 +17,7 @@ import { handleSenderMessageInstagram, handleDeleteMessageInstagram } from '../c
 import { handleSenderMessageOfficial } from '../channels/whatsapp-official.js';
 import { formatWhatsAppToMarkdown } from '../../utils/chat.js';
 import { registerUsageOrganizationByCustomer } from '../organizations/usage.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 // import { handleSenderMessageZApi } from '../../services/channels/z-api.js';
 // import { handleSenderMessageEvolution } from '../../services/channels/evolution.js';
 // import { handleSenderMessageFacebook } from '../../services/channels/facebook.js';
@@ -266,6 +267,12 @@ export async function handleIncomingMessage(channel, messageData) {
             .from('customers')
             .update(customerUpdates)
             .eq('id', customer.id);
+
+          emitWebhookEvent(organization.id, 'customer.updated', {
+            customer_id: customer.id,
+            changes: customerUpdates,
+            source: 'channel'
+          });
         }
       } else {
         isFirstMessage = true;
@@ -311,6 +318,7 @@ export async function handleIncomingMessage(channel, messageData) {
               if (createError) throw createError;
 
               registerUsageOrganizationByCustomer(organization.id);
+              emitWebhookEvent(organization.id, 'customer.created', { customer: newCustomer });
 
               //Criar novo customer_contact
               const { error: insertError } = await supabase
@@ -565,6 +573,13 @@ export async function handleIncomingMessage(channel, messageData) {
 
     if (messageError) throw messageError;
 
+    emitWebhookEvent(organization.id, messageData.fromMe ? 'message.sent' : 'message.received', {
+      message,
+      chat_id: chat.id,
+      customer_id: customer?.id ?? chat.customer_id,
+      channel: { id: channel.id, type: channel.type }
+    });
+
     // Registrar arquivos vinculados à mensagem
     if (fileRecords && fileRecords.length > 0) {
       // Definir se é um canal social
@@ -1651,6 +1666,23 @@ export async function sendSystemMessage(messageId, attempt = 1) {
       throw updateError;
     }
 
+    emitWebhookEvent(message.organization_id ?? channel.organization_id, 'message.sent', {
+      message: {
+        id: message.id,
+        chat_id: message.chat_id,
+        content: message.content,
+        type: message.type,
+        attachments: message.attachments,
+        sender_type: message.sender_type,
+        sender_agent_id: message.sender_agent_id,
+        status: 'sent',
+        external_id: result.messageId,
+        created_at: message.created_at
+      },
+      chat_id: message.chat_id,
+      channel: { id: channel.id, type: channel.type }
+    });
+
     return result;
 
   } catch (error) {
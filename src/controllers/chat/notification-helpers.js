@@ -1,6 +1,7 @@
 import { supabase } from '../../lib/supabase.js';
 import { sendNotification } from '../../lib/oneSignal.js';
 import Sentry from '../../lib/sentry.js';
+import { getAgentAvailability } from '../../services/agent-presence.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -115,7 +116,8 @@ export async function sendChatNotifications(chat, customer, message) {
 }
 
 /**
- * Envia notificações para os membros da equipe de um chat pendente
+ * Envia notificações para os membros da equipe de um chat pendente. Atendentes offline ou no limite
+ * de chats simultâneos não são notificados; equipes em que nenhum membro usa presença recebem como antes
  * @param {Object} chat - Objeto do chat
  * @param {Object} notificationData - Dados da notificação
  * @returns {Promise<void>}
@@ -143,7 +145,22 @@ export async function sendToTeamMembers(chat, notificationData) {
     }
 
     // Extrair os IDs dos usuários
-    const userIds = teamMembers.map(member => member.user_id);
+    let userIds = teamMembers.map(member => member.user_id);
+
+    if (chat.organization_id) {
+      const availability = await getAgentAvailability(chat.organization_id, userIds);
+      if (userIds.some(userId => availability.get(userId).tracked)) {
+        userIds = userIds.filter(userId => {
+          const agent = availability.get(userId);
+          return agent.status !== 'offline' && !agent.atCapacity;
+        });
+      }
+    }
+
+    if (userIds.length === 0) {
+      console.log(`Nenhum membro disponível na equipe ${chat.team_id}, nenhuma notificação enviada`);
+      return;
+    }
     
     // Enviar notificação usando include_aliases com external_id
     await sendNotificationWithFilters(userIds, notificationData);
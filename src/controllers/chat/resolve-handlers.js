@@ -1,9 +1,17 @@
-import { getOpenAIIntegration } from '../integrations.js';
 import { supabase } from '../../lib/supabase.js';
-import { decrypt } from '../../utils/crypto.js';
-import axios from 'axios';
+import Sentry from '../../lib/sentry.js';
+import { createChatCompletion, getOrganizationLLMIntegration, getSystemLLMIntegration, reportLLMUsage } from '../../services/llm-providers.js';
+import { checkTokenLimit } from '../../services/token-limits.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 
-async function generateChatSummary(chatId, apiKey) {
+/**
+ * Gera um resumo de uma frase da conversa
+ * @param {string} chatId - ID do chat
+ * @param {Object} integration - Integração de LLM da organização ou a chave padrão do Interflow
+ * @param {string} organizationId - ID da organização
+ * @returns {string} - Resumo
+ */
+async function generateChatSummary(chatId, integration, organizationId) {
   // Buscar mensagens do chat
   const { data: chatMessages, error: chatError } = await supabase
     .from('messages')
@@ -16,65 +24,62 @@ async function generateChatSummary(chatId, apiKey) {
     throw chatError;
   }
 
-  // Converter mensagens do chat para o formato esperado pela API da OpenAI
+  // Converter mensagens do chat para o formato de mensagens do provedor de LLM
   const messages = chatMessages.map(msg => ({
     role: msg.sender_type === 'agent' ? 'assistant' : 'user',
     content: msg.content || ''
   }));
 
-  // Chamar a API da OpenAI
-  const response = await axios.post(
-    'https://api.openai.com/v1/chat/completions',
-    {
-      model: 'gpt-4o-mini',
-      messages: [
-        ...messages,
-        { 
-            role: 'system', 
-            content: 'Create a single-sentence summary of the conversation. Keep the same language used in the chat and focus on the key resolution.' 
-        },
-      ],
-      temperature: 0.7,
-      max_tokens: 500
-    },
-    {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
+  // Chamar o provedor de LLM
+  const completion = await createChatCompletion({
+    integration,
+    model: integration.type === 'openai' ? 'gpt-4o-mini' : undefined,
+    messages: [
+      ...messages,
+      { 
+          role: 'system', 
+          content: 'Create a single-sentence summary of the conversation. Keep the same language used in the chat and focus on the key resolution.' 
       },
-    }
-  );
+    ],
+    temperature: 0.7,
+    maxTokens: 500
+  });
+
+  reportLLMUsage({
+    organizationId,
+    integration,
+    completion,
+    chatId,
+    metadata: { source: 'chat_summary' }
+  });
 
-  return response.data.choices[0].message.content;
+  return completion.content;
 }
 
 export const resolveChatRoute = async (req, res) => {
   try {
     const { organizationId, chatId } = req.params;
 
-    // Buscar integração OpenAI ativa
-    const openAIIntegration = await getOpenAIIntegration(organizationId);
-    if (!openAIIntegration) {
+    // Buscar integração de LLM ativa; sem integração, usa a chave padrão do Interflow dentro do limite de tokens
+    const organizationIntegration = await getOrganizationLLMIntegration(organizationId) || getSystemLLMIntegration();
+    if (!organizationIntegration) {
       return res.status(400).json({
         success: false,
-        error: 'Nenhuma integração OpenAI ativa encontrada'
+        error: 'Nenhuma integração de IA ativa encontrada'
       });
     }
 
-    // Descriptografar a chave API
-    let apiKey;
-    try {
-      apiKey = decrypt(openAIIntegration.credentials.api_key);
-    } catch (error) {
-      console.error('Erro ao descriptografar chave API:', error);
-      return res.status(500).json({
+    const tokenLimit = await checkTokenLimit(organizationId, organizationIntegration);
+    if (!tokenLimit.allowed) {
+      return res.status(402).json({
         success: false,
-        error: 'Erro ao processar credenciais da integração'
+        error: 'Limite mensal de tokens de IA atingido'
       });
     }
+    const { integration } = tokenLimit;
 
     // Gerar resumo do chat
-    const chatSummary = await generateChatSummary(chatId, apiKey);
+    const chatSummary = await generateChatSummary(chatId, integration, organizationId);
 
     // TODO: Salvar o resumo e atualizar o status do chat no banco de dados
 
@@ -92,4 +97,73 @@ export const resolveChatRoute = async (req, res) => {
       error: 'Erro ao resolver chat'
     });
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Encerra o chat: marca como closed, encerra o fluxo ativo e emite o evento chat.closed
+ */
+export const closeChatRoute = async (req, res) => {
+  try {
+    const { organizationId, chatId } = req.params;
+    const { profileId } = req;
+
+    const { data: chat, error: chatError } = await supabase
+      .from('chats')
+      .select('*')
+      .eq('id', chatId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (chatError) throw chatError;
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat não encontrado'
+      });
+    }
+    if (chat.status === 'closed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Chat já está encerrado'
+      });
+    }
+
+    const { error: sessionError } = await supabase
+      .from('flow_sessions')
+      .update({ status: 'inactive' })
+      .eq('status', 'active')
+      .eq('chat_id', chatId);
+
+    if (sessionError) throw sessionError;
+
+    const { data: closedChat, error: updateError } = await supabase
+      .from('chats')
+      .update({
+        status: 'closed',
+        flow_session_id: null
+      })
+      .eq('id', chatId)
+      .eq('organization_id', organizationId)
+      .select('*')
+      .single();
+
+    if (updateError) throw updateError;
+
+    emitWebhookEvent(organizationId, 'chat.closed', {
+      chat: closedChat,
+      closed_by: profileId ?? null,
+      source: 'api'
+    });
+
+    return res.json({
+      success: true,
+      data: closedChat
+    });
+  } catch (error) {
+    console.error('Erro ao encerrar chat:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao encerrar chat'
+    });
+  }
+};
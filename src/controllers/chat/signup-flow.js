@@ -3,6 +3,7 @@ import { supabase } from '../../lib/supabase.js';
 import Sentry from '../../lib/sentry.js';
 import { validateWhatsAppNumber } from '../channels/wapi.js';
 import { createFlowEngine } from '../../services/flow-engine.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 
 /**
  * Inicia o fluxo de chat para um novo signup
@@ -99,6 +100,7 @@ export async function startSignupChatFlow({
 
       if (chatDataCreate) {
         chatData = chatDataCreate;
+        emitWebhookEvent(organizationId, 'chat.created', { chat: chatDataCreate });
       }
     }
 
@@ -1,20 +1,19 @@
-import { getOpenAIIntegration } from '../integrations.js';
 import { supabase } from '../../lib/supabase.js';
-import { decrypt } from '../../utils/crypto.js';
-import OpenAI from 'openai';
-import { registerTokenUsage } from '../organizations/usage.js';
+import { createChatCompletion, getOrganizationLLMIntegration, getSystemLLMIntegration, reportLLMUsage } from '../../services/llm-providers.js';
+import { checkTokenLimit } from '../../services/token-limits.js';
+
+// Modelo usado com a chave padrão do Interflow e com integrações OpenAI
+const TASK_OPENAI_MODEL = 'gpt-4.1-mini';
 
 /**
  * Gera conteúdo para uma tarefa com base no histórico de um chat
  * @param {string} chatId - ID do chat
- * @param {string} apiKey - Chave API da OpenAI
- * @param {boolean} keyDefault - Se a chave é a default do Interflow
+ * @param {Object} integration - Integração de LLM (da organização ou a padrão do Interflow)
  * @param {string} language - Idioma preferido (pt/en)
  * @param {string} organizationId - ID da organização
- * @param {string} integrationId - ID da integração
  * @returns {Object} Objeto com título, descrição, data sugerida, prioridade e subtarefas
  */
-async function generateTaskContent(chatId, apiKey, keyDefault = false, language = 'pt', organizationId, integrationId) {
+async function generateTaskContent(chatId, integration, language = 'pt', organizationId) {
   // Buscar informações do chat, incluindo o cliente
   const { data: chatData, error: chatError } = await supabase
     .from('chats')
@@ -120,52 +119,32 @@ async function generateTaskContent(chatId, apiKey, keyDefault = false, language
       "subtasks": []
     }`;
 
-  // Chamar a API da OpenAI
-  const openai = new OpenAI({
-    apiKey: apiKey,
-  });
-
-  const response = await openai.responses.create({
-    model: 'gpt-4.1-mini',
-    input: [
+  // Chamar o provedor de LLM
+  const completion = await createChatCompletion({
+    integration,
+    model: integration.type === 'openai' ? TASK_OPENAI_MODEL : undefined,
+    messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: `Informações do contexto: ${customerInfo}\nData atual: ${isoDateSaoPaulo}` },
       ...messages
     ],
-    text: {
-      format: {
-        type: "json_object"
-      }
-    },
-    reasoning: {},
-    tools: [],
+    responseFormat: 'json',
     temperature: 0.7,
-    max_output_tokens: 2048,
-    top_p: 1,
-    store: false
+    maxTokens: 2048
   });
-  // Calcular custo baseado nos preços da OpenAI:
-  // Input: $0.40 / 1M tokens = $0.0000004 por token
-  // Output: $1.60 / 1M tokens = $0.0000016 por token
-  const inputCost = response.usage.input_tokens * 0.0000004;
-  const outputCost = response.usage.output_tokens * 0.0000016;
-  const totalCost = inputCost + outputCost;
 
   //Atualizar o usage
-  registerTokenUsage({
-    organizationId: organizationId,
-    chatId: chatId,
-    integrationId: integrationId,
-    tokenSource: (keyDefault ? 'system' : 'client'),
-    modelName: response.model,
-    inputTokens: response.usage.input_tokens,
-    outputTokens: response.usage.output_tokens,
-    costUsd: totalCost,
+  reportLLMUsage({
+    organizationId,
+    integration,
+    completion,
+    chatId,
+    metadata: { source: 'task_generation' }
   });
 
   try {
-    // Parsear a resposta JSON
-    const content = response.output_text;
+    // Parsear a resposta JSON (provedores sem modo JSON podem devolvê-la dentro de um bloco de código)
+    const content = completion.content.replace(/^```(?:json)?\s*|\s*```$/g, '');
     const result = JSON.parse(content);
     
     // Normalizar a prioridade para garantir compatibilidade
@@ -208,39 +187,27 @@ export const generateTaskContentRoute = async (req, res) => {
   try {
     const { organizationId, chatId } = req.params;
     const { language = 'pt' } = req.body;
-    const { usage } = req;
-
-    // console.log('usage', usage);
-
-    // Buscar integração OpenAI ativa
-    let keyDefault = false;
-    let apiKey;
-    const openAIIntegration = await getOpenAIIntegration(organizationId);
-    if (openAIIntegration) {
-      // Descriptografar a chave API
-      apiKey = decrypt(openAIIntegration.credentials.api_key);
-    } else {
-      if(usage.tokens.used < usage.tokens.limit) {
-        //Utilizar chave default interflow
-        apiKey = process.env.OPENAI_API_KEY;
-        keyDefault = true;
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Nenhuma integração OpenAI ativa encontrada'
-        });
-      }
-    }
 
-    if(!apiKey) {
+    // Buscar integração de LLM ativa; sem integração, usa a chave padrão do Interflow dentro do limite de tokens
+    const organizationIntegration = await getOrganizationLLMIntegration(organizationId) || getSystemLLMIntegration();
+    if (!organizationIntegration) {
       return res.status(400).json({
         success: false,
         error: 'Nenhuma chave API encontrada'
       });
     }
 
+    const tokenLimit = await checkTokenLimit(organizationId, organizationIntegration);
+    if (!tokenLimit.allowed) {
+      return res.status(402).json({
+        success: false,
+        error: 'Limite mensal de tokens de IA atingido'
+      });
+    }
+    const { integration } = tokenLimit;
+
     // Gerar conteúdo da tarefa
-    const taskContent = await generateTaskContent(chatId, apiKey, keyDefault, language, organizationId, openAIIntegration?.id ?? null);
+    const taskContent = await generateTaskContent(chatId, integration, language, organizationId);
 
     return res.json({
       success: true,
@@ -3,6 +3,9 @@ import Sentry from '../../lib/sentry.js';
 import { sendToTeamMembers, sendNotificationWithFilters } from './notification-helpers.js';
 import dotenv from 'dotenv';
 import { createTranslator } from '../../i18n/i18n-helper.js';
+import { autoAssignChat } from '../../services/chat-assignment.js';
+import { getAgentAvailability } from '../../services/agent-presence.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 
 dotenv.config();
 
@@ -179,6 +182,7 @@ export async function transferToTeam({
   newTeamId,
   title,
   profileId = null,
+  requirements = null,
   language = 'pt',
   t
 }) {
@@ -222,6 +226,7 @@ export async function transferToTeam({
       .update({ 
         team_id: newTeamId, 
         ...(title ? {title: title} : {}),
+        ...(requirements ? { assignment_requirements: requirements } : {}),
         assigned_to: null,
         status: 'pending',
       })
@@ -246,24 +251,50 @@ export async function transferToTeam({
 
     if (sendMessageError) throw sendMessageError;
 
-    sendToTeamMembers(chat, {
-      heading: chat.customer?.name ?? translator('chat.transfer.notifications.chat_available'),
-      subtitle: `${translator('chat.transfer.notifications.chat_awaiting_attendance')} ${team.name}`,
-      content: title ?? chat.title ?? `${translator('chat.transfer.notifications.chat_awaiting_attendance')} ${team.name}`,
-      data: {
-        url: `${FRONT_URL}/app/chats/${chat.id}`,
-        chat_id: chat.id,
-        customer_id: chat.customer?.id,
-        message_id: message.id,
-        language
-      }
+    // Com distribuição automática ativa, o chat vai direto para um atendente da equipe e só ele é notificado
+    const assignment = await autoAssignChat({
+      chat: {
+        ...chat,
+        team_id: newTeamId,
+        ...(title ? { title } : {}),
+        assignment_requirements: requirements ?? chat.assignment_requirements
+      },
+      team,
+      organizationId,
+      language
+    }).catch(() => ({ assigned: false }));
+
+    emitWebhookEvent(organizationId, 'chat.transferred', {
+      chat_id: chatId,
+      customer_id: chat.customer_id,
+      from_team_id: chat.team_id,
+      to_team_id: newTeamId,
+      from_agent_id: chat.assigned_to,
+      to_agent_id: assignment.agentId ?? null,
+      transferred_by: profileId
     });
 
+    if (!assignment.assigned) {
+      sendToTeamMembers({ ...chat, team_id: newTeamId }, {
+        heading: chat.customer?.name ?? translator('chat.transfer.notifications.chat_available'),
+        subtitle: `${translator('chat.transfer.notifications.chat_awaiting_attendance')} ${team.name}`,
+        content: title ?? chat.title ?? `${translator('chat.transfer.notifications.chat_awaiting_attendance')} ${team.name}`,
+        data: {
+          url: `${FRONT_URL}/app/chats/${chat.id}`,
+          chat_id: chat.id,
+          customer_id: chat.customer?.id,
+          message_id: message.id,
+          language
+        }
+      });
+    }
+
     return {
       success: true,
       message: translator('chat.transfer.success.team_transferred'),
       chat,
-      team
+      team,
+      assignedTo: assignment.agentId ?? null
     };
 
   } catch (error) {
@@ -275,7 +306,7 @@ export async function transferToTeam({
 
 export async function transferToTeamRoute(req, res) {
   const { organizationId, chatId } = req.params;
-  const { oldTeamId, newTeamId, title } = req.body;
+  const { oldTeamId, newTeamId, title, requirements } = req.body;
   const { profileId, language } = req;
 
   if (oldTeamId === newTeamId) {
@@ -292,6 +323,7 @@ export async function transferToTeamRoute(req, res) {
       newTeamId,
       title,
       profileId,
+      requirements,
       language,
       t: req.t
     });
@@ -299,6 +331,7 @@ export async function transferToTeamRoute(req, res) {
     return res.json({ 
       success: result.success, 
       message: result.message,
+      assignedTo: result.assignedTo,
       language
     });
 
@@ -321,7 +354,7 @@ export async function leaveAttendanceRoute(req, res) {
     // Verificar se o chat existe e pertence à organização
     const { data: chat, error: chatError } = await supabase
       .from('chats')
-      .select('*, customer:customers(name, id), team:service_teams(name, id)')
+      .select('*, customer:customers(name, id), team:service_teams(*)')
       .eq('id', chatId)
       .eq('organization_id', organizationId)
       .single();
@@ -372,17 +405,30 @@ export async function leaveAttendanceRoute(req, res) {
 
    if (sendMessageError) throw sendMessageError;
 
-    sendToTeamMembers(chat, {
-      heading: chat.customer?.name ?? req.t('chat.transfer.notifications.chat_available'),
-      subtitle: `${req.t('chat.transfer.notifications.chat_awaiting_attendance')} ${chat.team?.name}`,
-      content: title ?? `${req.t('chat.transfer.notifications.chat_awaiting_attendance')} ${chat.team?.name}`,
-      data: {
-        url: `${FRONT_URL}/app/chats/${chat.id}`,
-        chat_id: chat.id,
-        customer_id: chat.customer?.id,
-        language
-      }
-    });
+    // Tenta passar o chat para outro atendente da equipe antes de avisar todos os membros
+    const assignment = chat.team
+      ? await autoAssignChat({
+          chat: { ...chat, ...(title ? { title } : {}) },
+          team: chat.team,
+          organizationId,
+          excludeAgentIds: [profileId],
+          language
+        }).catch(() => ({ assigned: false }))
+      : { assigned: false };
+
+    if (!assignment.assigned) {
+      sendToTeamMembers(chat, {
+        heading: chat.customer?.name ?? req.t('chat.transfer.notifications.chat_available'),
+        subtitle: `${req.t('chat.transfer.notifications.chat_awaiting_attendance')} ${chat.team?.name}`,
+        content: title ?? `${req.t('chat.transfer.notifications.chat_awaiting_attendance')} ${chat.team?.name}`,
+        data: {
+          url: `${FRONT_URL}/app/chats/${chat.id}`,
+          chat_id: chat.id,
+          customer_id: chat.customer?.id,
+          language
+        }
+      });
+    }
 
     return res.json({
       success: true,
@@ -446,6 +492,23 @@ export async function transferToAgentRoute(req, res) {
       });
     }
 
+    // Não empurra o chat para outro atendente offline ou no limite de chats (assumir o próprio chat é sempre permitido)
+    if (agentId !== profileId) {
+      const agent = (await getAgentAvailability(organizationId, [agentId])).get(agentId);
+      if (agent.tracked && agent.status === 'offline') {
+        return res.status(409).json({ 
+          error: req.t('chat.transfer.errors.agent_offline'),
+          language
+        });
+      }
+      if (agent.atCapacity) {
+        return res.status(409).json({ 
+          error: req.t('chat.transfer.errors.agent_at_capacity'),
+          language
+        });
+      }
+    }
+
     // Atualizar o chat com o novo agente
     const { error: updateError } = await supabase
       .from('chats')
@@ -476,6 +539,16 @@ export async function transferToAgentRoute(req, res) {
 
     if (sendMessageError) throw sendMessageError;
 
+    emitWebhookEvent(organizationId, 'chat.transferred', {
+      chat_id: chatId,
+      customer_id: chat.customer_id,
+      from_team_id: chat.team_id,
+      to_team_id: newTeamId,
+      from_agent_id: chat.assigned_to,
+      to_agent_id: agentId,
+      transferred_by: profileId
+    });
+
     sendNotificationWithFilters([agentId], {
       heading: chat.customer?.name ?? req.t('chat.transfer.notifications.chat_available'),
       subtitle: `${req.t('chat.transfer.notifications.chat_assigned_to')}`,
@@ -1,6 +1,10 @@
 import { supabase } from '../../lib/supabase.js';
 import Sentry from '../../lib/sentry.js';
 import { registerUsageOrganizationByCustomer } from '../organizations/usage.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
+
+// Clientes por evento customer.imported
+const IMPORT_WEBHOOK_BATCH_SIZE = 100;
 
 /**
  * Formatar valor de contato baseado no tipo
@@ -290,6 +294,7 @@ export const createCustomerRoute = async (req, res) => {
 
     //Contabilizar uso de customer mas não aguardar a resposta
     await registerUsageOrganizationByCustomer(organizationId);
+    emitWebhookEvent(organizationId, 'customer.created', { customer: customerComplete || customer });
 
     res.status(201).json({
       success: true,
@@ -323,6 +328,95 @@ export const createCustomerRoute = async (req, res) => {
   }
 };
 
+/**
+ * Atualiza nome, estágio do funil ou valor de venda de um cliente
+ * PUT /api/:organizationId/customers/:id
+ */
+export const updateCustomerRoute = async (req, res) => {
+  try {
+    const { organizationId, id } = req.params;
+    const { name, stageId, salePrice } = req.body;
+
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Nome do cliente é obrigatório' 
+        });
+      }
+      updates.name = name.trim();
+    }
+
+    if (stageId !== undefined) {
+      if (stageId) {
+        const { data: stageExists, error: stageError } = await supabase
+          .from('crm_stages')
+          .select('id, funnel:crm_funnels!inner(organization_id)')
+          .eq('id', stageId)
+          .eq('funnel.organization_id', organizationId)
+          .maybeSingle();
+
+        if (stageError) throw stageError;
+        if (!stageExists) {
+          return res.status(400).json({ 
+            success: false, 
+            error: 'Estágio do funil não encontrado' 
+          });
+        }
+      }
+      updates.stage_id = stageId || null;
+    }
+
+    if (salePrice !== undefined) {
+      updates.sale_price = salePrice || null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Nenhum campo para atualizar' 
+      });
+    }
+
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .update(updates)
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!customer) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Cliente não encontrado' 
+      });
+    }
+
+    emitWebhookEvent(organizationId, 'customer.updated', {
+      customer_id: customer.id,
+      changes: updates,
+      source: 'api'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: customer,
+      message: 'Cliente atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar cliente:', error);
+    Sentry.captureException(error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro interno do servidor' 
+    });
+  }
+};
+
 export const importCustomersRoute = async (req, res) => {
     console.log('Importando clientes');
   try {
@@ -456,6 +550,14 @@ export const importCustomersRoute = async (req, res) => {
     // Se houve sucessos, contabilizar uso (mas não aguardar a resposta)
     if (successCount > 0) {
       await registerUsageOrganizationByCustomer(organizationId);
+      // Um evento por lote de clientes importados, em vez de um customer.created por linha
+      const imported = results.filter(result => result.success);
+      for (let index = 0; index < imported.length; index += IMPORT_WEBHOOK_BATCH_SIZE) {
+        emitWebhookEvent(organizationId, 'customer.imported', {
+          customers: imported.slice(index, index + IMPORT_WEBHOOK_BATCH_SIZE),
+          source: 'import'
+        });
+      }
     }
 
     res.status(200).json({
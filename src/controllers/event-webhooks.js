@@ -0,0 +1,426 @@
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  assertPublicWebhookUrl,
+  deliverWebhook,
+  encryptWebhookSecret,
+  generateWebhookSecret
+} from '../services/event-webhooks.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Colunas retornadas nas listagens: o secret só é exibido na criação e na rotação
+const SUBSCRIPTION_COLUMNS = 'id, name, url, events, is_active, created_at, updated_at';
+
+/**
+ * Valida URL e eventos de uma assinatura e retorna a lista de erros encontrados.
+ * URLs de endereços internos, privados ou de loopback são recusadas
+ * @param {Object} body - Corpo da requisição
+ * @param {boolean} partial - Se true, valida apenas os campos informados
+ * @returns {Promise<string[]>}
+ */
+async function validateSubscription(body, partial = false) {
+  const errors = [];
+
+  if (!partial || body.url !== undefined) {
+    try {
+      await assertPublicWebhookUrl(body.url);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (!partial || body.events !== undefined) {
+    if (!Array.isArray(body.events) || !body.events.length) {
+      errors.push('Informe ao menos um evento');
+    } else {
+      const unknown = body.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length) {
+        errors.push(`Eventos desconhecidos: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Busca uma assinatura da organização
+ * @param {string} subscriptionId - ID da assinatura
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null}
+ */
+async function getOrganizationSubscription(subscriptionId, organizationId) {
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('id', subscriptionId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Lista as assinaturas de webhook da organização e os eventos disponíveis
+ */
+export async function listWebhookSubscriptionsRoute(req, res) {
+  const { organizationId } = req.params;
+
+  try {
+    const { data: subscriptions, error } = await supabase
+      .from('webhook_subscriptions')
+      .select(SUBSCRIPTION_COLUMNS)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return res.status(200).json({
+      success: true,
+      subscriptions,
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Erro ao listar webhooks:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar webhooks'
+    });
+  }
+}
+
+/**
+ * Cria uma assinatura. Body: { name, url, events: [...] | ['*'] }. O secret de assinatura é retornado apenas aqui
+ */
+export async function createWebhookSubscriptionRoute(req, res) {
+  const { organizationId } = req.params;
+  const body = req.body || {};
+
+  const errors = await validateSubscription(body);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Webhook inválido',
+      details: errors
+    });
+  }
+
+  try {
+    const secret = generateWebhookSecret();
+    const { data: subscription, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        organization_id: organizationId,
+        name: body.name || body.url,
+        url: body.url,
+        events: body.events,
+        secret: encryptWebhookSecret(secret),
+        is_active: body.is_active ?? true
+      })
+      .select(SUBSCRIPTION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    return res.status(201).json({
+      success: true,
+      subscription: { ...subscription, secret }
+    });
+  } catch (error) {
+    console.error('Erro ao criar webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao criar webhook'
+    });
+  }
+}
+
+/**
+ * Atualiza nome, URL, eventos ou is_active de uma assinatura
+ */
+export async function updateWebhookSubscriptionRoute(req, res) {
+  const { organizationId, subscriptionId } = req.params;
+  const body = req.body || {};
+
+  const errors = await validateSubscription(body, true);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Webhook inválido',
+      details: errors
+    });
+  }
+
+  try {
+    const { data: subscription, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({
+        ...(body.name !== undefined ? { name: body.name } : {}),
+        ...(body.url !== undefined ? { url: body.url } : {}),
+        ...(body.events !== undefined ? { events: body.events } : {}),
+        ...(body.is_active !== undefined ? { is_active: Boolean(body.is_active) } : {}),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', subscriptionId)
+      .eq('organization_id', organizationId)
+      .select(SUBSCRIPTION_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook não encontrado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      subscription
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar webhook'
+    });
+  }
+}
+
+/**
+ * Remove uma assinatura
+ */
+export async function deleteWebhookSubscriptionRoute(req, res) {
+  const { organizationId, subscriptionId } = req.params;
+
+  try {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', subscriptionId)
+      .eq('organization_id', organizationId)
+      .select('id');
+
+    if (error) throw error;
+    if (!data?.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook não encontrado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Erro ao remover webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao remover webhook'
+    });
+  }
+}
+
+/**
+ * Gera um novo secret para a assinatura. O secret anterior deixa de valer imediatamente
+ */
+export async function rotateWebhookSecretRoute(req, res) {
+  const { organizationId, subscriptionId } = req.params;
+
+  try {
+    const secret = generateWebhookSecret();
+    const { data: subscription, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({ secret: encryptWebhookSecret(secret), updated_at: new Date().toISOString() })
+      .eq('id', subscriptionId)
+      .eq('organization_id', organizationId)
+      .select(SUBSCRIPTION_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook não encontrado'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      subscription: { ...subscription, secret }
+    });
+  } catch (error) {
+    console.error('Erro ao gerar novo secret do webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar novo secret do webhook'
+    });
+  }
+}
+
+/**
+ * Envia um evento "ping" para a assinatura e retorna o resultado da entrega (apenas status e código HTTP;
+ * o corpo da resposta do destino não é devolvido)
+ */
+export async function testWebhookSubscriptionRoute(req, res) {
+  const { organizationId, subscriptionId } = req.params;
+
+  try {
+    const subscription = await getOrganizationSubscription(subscriptionId, organizationId);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook não encontrado'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: subscription.id,
+        organization_id: organizationId,
+        event: PING_EVENT,
+        payload: { event: PING_EVENT, organization_id: organizationId, created_at: now, data: { subscription_id: subscription.id } },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: null,
+        created_at: now
+      })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    // Ping não é retentado: o resultado é devolvido na própria resposta
+    const result = await deliverWebhook(delivery, subscription, { retry: false });
+
+    return res.status(200).json({
+      success: true,
+      delivery: {
+        id: result.id,
+        status: result.status,
+        status_code: result.last_status_code
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao testar webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao testar webhook'
+    });
+  }
+}
+
+/**
+ * Lista entregas da organização. Filtros: status (ex: dead para a dead-letter), subscriptionId, event
+ */
+export async function listWebhookDeliveriesRoute(req, res) {
+  const { organizationId } = req.params;
+  const { status, subscriptionId, event } = req.query;
+  const limit = Math.min(Number(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select(`
+        id,
+        subscription_id,
+        event,
+        payload,
+        status,
+        attempts,
+        next_attempt_at,
+        last_status_code,
+        last_error,
+        delivered_at,
+        created_at
+      `, { count: 'exact' })
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (subscriptionId) query = query.eq('subscription_id', subscriptionId);
+    if (event) query = query.eq('event', event);
+
+    const { data: deliveries, count, error } = await query;
+    if (error) throw error;
+
+    return res.status(200).json({
+      success: true,
+      deliveries,
+      total: count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Erro ao listar entregas de webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar entregas de webhook'
+    });
+  }
+}
+
+/**
+ * Reenvia uma entrega (normalmente da dead-letter) imediatamente. Se falhar de novo, volta a ser
+ * retentada com backoff a partir da primeira tentativa
+ */
+export async function redeliverWebhookRoute(req, res) {
+  const { organizationId, deliveryId } = req.params;
+
+  try {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select(`
+        *,
+        subscription:webhook_subscriptions!webhook_deliveries_subscription_id_fkey (*)
+      `)
+      .eq('id', deliveryId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entrega não encontrada'
+      });
+    }
+    if (!delivery.subscription) {
+      return res.status(409).json({
+        success: false,
+        error: 'O webhook desta entrega foi removido'
+      });
+    }
+
+    const { subscription, ...deliveryData } = delivery;
+    const result = await deliverWebhook({ ...deliveryData, attempts: 0 }, subscription);
+
+    return res.status(200).json({
+      success: true,
+      delivery: result
+    });
+  } catch (error) {
+    console.error('Erro ao reenviar webhook:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao reenviar webhook'
+    });
+  }
+}
@@ -5,6 +5,7 @@ import {
   processDailyFinancialJobs 
 } from '../cron/financial-jobs.js';
 import { createClient } from '@supabase/supabase-js';
+import { emitWebhookEvent } from '../services/event-webhooks.js';
 
 // Inicializar cliente Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -628,7 +629,7 @@ export const updateTransactionStatus = async (req, res) => {
     // Verificar se a transação existe e pertence à organização
     const { data: transaction, error: transactionError } = await supabase
       .from('financial_transactions')
-      .select('id, transaction_type')
+      .select('id, transaction_type, status')
       .eq('id', transactionId)
       .eq('organization_id', organizationId)
       .single();
@@ -684,6 +685,16 @@ export const updateTransactionStatus = async (req, res) => {
       });
     }
     
+    if (transaction.status !== status) {
+      emitWebhookEvent(organizationId, 'transaction.status_changed', {
+        transaction_id: transactionId,
+        transaction_type: transaction.transaction_type,
+        previous_status: transaction.status,
+        status,
+        payment_date: updateData.payment_date ?? null
+      });
+    }
+    
     return res.status(200).json({
       success: true,
       message: 'Status da transação atualizado com sucesso',
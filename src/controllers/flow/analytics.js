@@ -0,0 +1,122 @@
+import Sentry from '../../lib/sentry.js';
+import { getOrganizationFlow } from './publish.js';
+import { getFlowAnalytics, getSplitMetrics } from '../../services/flow-analytics.js';
+
+// Período padrão das métricas quando from/to não são informados
+const DEFAULT_PERIOD_DAYS = 30;
+
+/**
+ * Lê o período de from/to da query, usando os últimos DEFAULT_PERIOD_DAYS dias por padrão
+ * @param {Object} query - Query da requisição
+ * @returns {Object|null} - { from, to } ou null se o período for inválido
+ */
+function parsePeriod(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+  return { from, to };
+}
+
+/**
+ * Retorna o funil de um fluxo no período: visitas e abandono por nó, tempo mediano de espera
+ * nos inputs, ramos de condição tomados e taxa de conclusão
+ */
+export async function getFlowAnalyticsRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+  const period = parsePeriod(req.query);
+
+  if (!period) {
+    return res.status(400).json({
+      success: false,
+      error: 'Período inválido'
+    });
+  }
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const analytics = await getFlowAnalytics({
+      organizationId,
+      flow,
+      from: period.from.toISOString(),
+      to: period.to.toISOString()
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...analytics
+    });
+  } catch (error) {
+    console.error('Erro ao calcular métricas do fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao calcular métricas do fluxo'
+    });
+  }
+}
+
+/**
+ * Retorna a distribuição e a conversão por ramo de um nó split (teste A/B).
+ * O objetivo é informado por goalNodeId (sessão chegou ao nó) e/ou goalVariable
+ * (sessão preencheu a variável; com goalValue, exige esse valor)
+ */
+export async function getSplitMetricsRoute(req, res) {
+  const { flowId, organizationId, nodeId } = req.params;
+  const { goalNodeId, goalVariable, goalValue } = req.query;
+  const period = parsePeriod(req.query);
+
+  if (!period) {
+    return res.status(400).json({
+      success: false,
+      error: 'Período inválido'
+    });
+  }
+
+  if (!goalNodeId && !goalVariable) {
+    return res.status(400).json({
+      success: false,
+      error: 'Informe goalNodeId ou goalVariable'
+    });
+  }
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const metrics = await getSplitMetrics({
+      organizationId,
+      flow,
+      nodeId,
+      goal: { nodeId: goalNodeId || null, variable: goalVariable || null, value: goalValue },
+      from: period.from.toISOString(),
+      to: period.to.toISOString()
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...metrics
+    });
+  } catch (error) {
+    console.error('Erro ao calcular métricas do split:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao calcular métricas do split'
+    });
+  }
+}
@@ -0,0 +1,85 @@
+import Sentry from '../../lib/sentry.js';
+import { BUNDLE_FORMAT, BUNDLE_VERSION, exportFlowBundle, importFlowBundle } from '../../services/flow-bundles.js';
+
+/**
+ * Exporta o fluxo como pacote JSON para instalação em outra organização
+ */
+export async function exportFlowRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+
+  try {
+    const bundle = await exportFlowBundle({ flowId, organizationId });
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      bundle
+    });
+  } catch (error) {
+    console.error('Erro ao exportar fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao exportar fluxo'
+    });
+  }
+}
+
+/**
+ * Importa um pacote de fluxo na organização. Body: { bundle, mappings?, name?, dryRun? }.
+ * Com dryRun, apenas retorna o relatório de correspondências sem criar nada
+ */
+export async function importFlowRoute(req, res) {
+  const { organizationId } = req.params;
+  const { bundle, mappings = {}, name = null, dryRun = false } = req.body || {};
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.flow) {
+    return res.status(400).json({
+      success: false,
+      error: 'Pacote de fluxo inválido'
+    });
+  }
+
+  if (Number(bundle.version) > BUNDLE_VERSION) {
+    return res.status(400).json({
+      success: false,
+      error: `Versão do pacote não suportada: ${bundle.version}`
+    });
+  }
+
+  try {
+    const { flow, report, invalidMappings } = await importFlowBundle({
+      bundle,
+      organizationId,
+      mappings,
+      name,
+      dryRun: !!dryRun
+    });
+
+    if (invalidMappings) {
+      return res.status(400).json({
+        success: false,
+        error: 'Correspondências com IDs que não pertencem à organização',
+        details: invalidMappings
+      });
+    }
+
+    return res.status(dryRun ? 200 : 201).json({
+      success: true,
+      flow,
+      report
+    });
+  } catch (error) {
+    console.error('Erro ao importar fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao importar fluxo'
+    });
+  }
+}
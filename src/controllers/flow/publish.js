@@ -0,0 +1,124 @@
+import { supabase } from '../../lib/supabase.js';
+import Sentry from '../../lib/sentry.js';
+import { validateFlow } from '../../services/flow-validator.js';
+import { createFlowVersion } from '../../services/flow-versions.js';
+
+/**
+ * Busca um fluxo garantindo que pertence à organização
+ * @param {string} flowId - ID do fluxo
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null} - Fluxo encontrado ou null
+ */
+export async function getOrganizationFlow(flowId, organizationId) {
+  const { data: flow, error } = await supabase
+    .from('flows')
+    .select('*')
+    .eq('id', flowId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return flow;
+}
+
+/**
+ * Valida o grafo de um fluxo. Se nodes/edges forem enviados no corpo,
+ * valida o rascunho enviado em vez da versão salva.
+ */
+export async function validateFlowRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+  const { nodes, edges, variables } = req.body || {};
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const result = validateFlow({
+      ...flow,
+      ...(nodes && { nodes }),
+      ...(edges && { edges }),
+      ...(variables && { variables })
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Erro ao validar fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao validar fluxo'
+    });
+  }
+}
+
+/**
+ * Publica um fluxo somente se a validação não encontrar erros.
+ * Cada publicação grava um snapshot imutável em flow_versions; novas sessões passam a usar essa versão
+ * e as sessões em andamento continuam na versão em que começaram.
+ */
+export async function publishFlowRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+  const { notes } = req.body || {};
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const validation = validateFlow(flow);
+    if (!validation.valid) {
+      return res.status(422).json({
+        success: false,
+        error: 'O fluxo possui erros e não pode ser publicado',
+        ...validation
+      });
+    }
+
+    const version = await createFlowVersion({
+      flow,
+      organizationId,
+      profileId: req.profileId,
+      notes
+    });
+
+    const { data: publishedFlow, error: updateError } = await supabase
+      .from('flows')
+      .update({
+        is_published: true,
+        published_version_id: version.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', flowId)
+      .eq('organization_id', organizationId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    return res.status(200).json({
+      success: true,
+      flow: publishedFlow,
+      version,
+      ...validation
+    });
+  } catch (error) {
+    console.error('Erro ao publicar fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao publicar fluxo'
+    });
+  }
+}
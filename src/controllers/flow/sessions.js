@@ -0,0 +1,458 @@
+import { supabase } from '../../lib/supabase.js';
+import Sentry from '../../lib/sentry.js';
+import crypto from 'crypto';
+import { createFlowEngine, pauseFlow } from '../../services/flow-engine.js';
+import { FLOW_VERSION_JOIN, applyPinnedFlowVersion } from '../../services/flow-versions.js';
+
+/*
+ * Administração de sessões de fluxo em andamento. Toda alteração é registrada em
+ * flow_session_audit_logs (session_id, organization_id, profile_id, action, details jsonb, created_at).
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const RECENT_EVENTS_LIMIT = 50;
+
+/**
+ * Busca uma sessão da organização com fluxo (versão fixada), chat, canal, cliente e organização
+ * @param {string} sessionId - ID da sessão
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null} - Sessão ou null se não existir
+ */
+async function getOrganizationSession(sessionId, organizationId) {
+  const { data, error } = await supabase
+    .from('flow_sessions')
+    .select(`
+      *,
+      flow:flows!flow_sessions_bot_id_fkey (
+        id,
+        name,
+        nodes,
+        edges,
+        variables
+      ),
+      chat:chats!flow_sessions_chat_id_fkey (
+        *,
+        channel:chat_channels(*)
+      ),
+      customer:customers!flow_sessions_customer_id_fkey (*),
+      organization:organizations!flow_sessions_organization_id_fkey (*),${FLOW_VERSION_JOIN}
+    `)
+    .eq('id', sessionId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return applyPinnedFlowVersion(data);
+}
+
+/**
+ * Registra uma ação administrativa sobre uma sessão
+ * @param {Object} params
+ * @param {Object} params.session - Sessão alterada
+ * @param {string} params.profileId - Perfil que executou a ação
+ * @param {string} params.action - Ação executada
+ * @param {Object} params.details - Detalhes da ação (valores anteriores e novos)
+ */
+async function recordAudit({ session, profileId, action, details = {} }) {
+  const { error } = await supabase
+    .from('flow_session_audit_logs')
+    .insert({
+      session_id: session.id,
+      organization_id: session.organization_id,
+      profile_id: profileId || null,
+      action,
+      details
+    });
+
+  if (error) throw error;
+}
+
+/**
+ * Retorna as variáveis da sessão no formato de lista ({ id, name, value }). Sessões antigas guardam
+ * as variáveis como objeto { nome: valor }, que é convertido como no flow-engine
+ * @param {Array|Object} variables - session.variables
+ * @returns {Array}
+ */
+function normalizeSessionVariables(variables) {
+  if (Array.isArray(variables)) return [...variables];
+  if (variables && typeof variables === 'object') {
+    return Object.entries(variables).map(([name, value]) => ({
+      id: crypto.randomUUID(),
+      name,
+      value
+    }));
+  }
+  return [];
+}
+
+/**
+ * Resume o nó atual da sessão para exibição
+ * @param {Object} session - Sessão com flow
+ * @returns {Object|null}
+ */
+function describeCurrentNode(session) {
+  const node = (session.flow?.nodes || []).find(n => n.id === session.current_node_id);
+  if (!node) return null;
+  return {
+    id: node.id,
+    type: node.type,
+    label: node.data?.label || null
+  };
+}
+
+/**
+ * Lista sessões da organização. Filtros: status (padrão active), flowId, chatId, nodeId,
+ * idleMinutes (sem interação há pelo menos N minutos) e olderThanMinutes (iniciadas há pelo menos N minutos)
+ */
+export async function listFlowSessionsRoute(req, res) {
+  const { organizationId } = req.params;
+  const { status = 'active', flowId, chatId, nodeId, idleMinutes, olderThanMinutes } = req.query;
+  const limit = Math.min(Number(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    let query = supabase
+      .from('flow_sessions')
+      .select(`
+        id,
+        bot_id,
+        chat_id,
+        customer_id,
+        status,
+        current_node_id,
+        flow_version_id,
+        resume_at,
+        resume_type,
+        timeout_at,
+        last_interaction,
+        created_at,
+        updated_at,
+        flow:flows!flow_sessions_bot_id_fkey (
+          id,
+          name
+        ),
+        customer:customers!flow_sessions_customer_id_fkey (
+          id,
+          name
+        )
+      `, { count: 'exact' })
+      .eq('organization_id', organizationId)
+      .eq('status', status)
+      .order('last_interaction', { ascending: true, nullsFirst: true })
+      .range(offset, offset + limit - 1);
+
+    if (flowId) query = query.eq('bot_id', flowId);
+    if (chatId) query = query.eq('chat_id', chatId);
+    if (nodeId) query = query.eq('current_node_id', nodeId);
+    if (Number(idleMinutes) > 0) {
+      query = query.lt('last_interaction', new Date(Date.now() - Number(idleMinutes) * 60000).toISOString());
+    }
+    if (Number(olderThanMinutes) > 0) {
+      query = query.lt('created_at', new Date(Date.now() - Number(olderThanMinutes) * 60000).toISOString());
+    }
+
+    const { data: sessions, count, error } = await query;
+    if (error) throw error;
+
+    return res.status(200).json({
+      success: true,
+      sessions,
+      total: count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Erro ao listar sessões de fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar sessões de fluxo'
+    });
+  }
+}
+
+/**
+ * Retorna a sessão com o nó atual, variáveis, pilhas de subfluxo/loop, eventos recentes e o histórico de auditoria
+ */
+export async function getFlowSessionRoute(req, res) {
+  const { organizationId, sessionId } = req.params;
+
+  try {
+    const session = await getOrganizationSession(sessionId, organizationId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sessão não encontrada'
+      });
+    }
+
+    const [eventsResult, auditResult] = await Promise.all([
+      supabase
+        .from('flow_session_events')
+        .select('node_id, event_type, data, created_at')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: false })
+        .limit(RECENT_EVENTS_LIMIT),
+      supabase
+        .from('flow_session_audit_logs')
+        .select(`
+          id,
+          action,
+          details,
+          created_at,
+          profile:profiles!flow_session_audit_logs_profile_id_fkey (
+            id,
+            full_name
+          )
+        `)
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: false })
+    ]);
+
+    if (eventsResult.error) throw eventsResult.error;
+    if (auditResult.error) throw auditResult.error;
+
+    const { flow, chat, customer, organization, ...sessionData } = session;
+
+    return res.status(200).json({
+      success: true,
+      session: {
+        ...sessionData,
+        flow: { id: flow?.id, name: flow?.name, version: flow?.version || null },
+        chat: chat ? { id: chat.id, title: chat.title, status: chat.status } : null,
+        customer: customer ? { id: customer.id, name: customer.name } : null,
+        current_node: describeCurrentNode(session)
+      },
+      events: eventsResult.data,
+      audit: auditResult.data
+    });
+  } catch (error) {
+    console.error('Erro ao buscar sessão de fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar sessão de fluxo'
+    });
+  }
+}
+
+/**
+ * Define variáveis da sessão. Body: { variables: { nome: valor, ... } }
+ */
+export async function setFlowSessionVariablesRoute(req, res) {
+  const { organizationId, sessionId } = req.params;
+  const updates = req.body?.variables;
+
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates) || !Object.keys(updates).length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Informe as variáveis no formato { variables: { nome: valor } }'
+    });
+  }
+
+  try {
+    const session = await getOrganizationSession(sessionId, organizationId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sessão não encontrada'
+      });
+    }
+
+    const variables = normalizeSessionVariables(session.variables);
+    const changes = Object.entries(updates).map(([name, value]) => {
+      const index = variables.findIndex(variable => variable.name === name);
+      const previous = index >= 0 ? variables[index].value : undefined;
+      if (index >= 0) {
+        variables[index] = { ...variables[index], value };
+      } else {
+        variables.push({ id: crypto.randomUUID(), name, value });
+      }
+      return { name, previous: previous ?? null, value };
+    });
+
+    const { error } = await supabase
+      .from('flow_sessions')
+      .update({ variables, updated_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+
+    await recordAudit({ session, profileId: req.profileId, action: 'variables_set', details: { changes } });
+
+    return res.status(200).json({
+      success: true,
+      variables
+    });
+  } catch (error) {
+    console.error('Erro ao definir variáveis da sessão:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao definir variáveis da sessão'
+    });
+  }
+}
+
+/**
+ * Remove uma variável da sessão
+ */
+export async function deleteFlowSessionVariableRoute(req, res) {
+  const { organizationId, sessionId, name } = req.params;
+
+  try {
+    const session = await getOrganizationSession(sessionId, organizationId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sessão não encontrada'
+      });
+    }
+
+    const currentVariables = normalizeSessionVariables(session.variables);
+    const removed = currentVariables.find(variable => variable.name === name);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variável não encontrada na sessão'
+      });
+    }
+
+    const variables = currentVariables.filter(variable => variable.name !== name);
+    const { error } = await supabase
+      .from('flow_sessions')
+      .update({ variables, updated_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+
+    await recordAudit({
+      session,
+      profileId: req.profileId,
+      action: 'variable_deleted',
+      details: { name, previous: removed.value }
+    });
+
+    return res.status(200).json({
+      success: true,
+      variables
+    });
+  } catch (error) {
+    console.error('Erro ao remover variável da sessão:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao remover variável da sessão'
+    });
+  }
+}
+
+/**
+ * Força a sessão para um nó do fluxo, executando-o a partir dali. Body: { nodeId }
+ */
+export async function forceFlowSessionNodeRoute(req, res) {
+  const { organizationId, sessionId } = req.params;
+  const { nodeId } = req.body || {};
+
+  if (!nodeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'nodeId é obrigatório'
+    });
+  }
+
+  try {
+    const session = await getOrganizationSession(sessionId, organizationId);
+    if (!session || session.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        error: 'Sessão ativa não encontrada'
+      });
+    }
+
+    if (!session.flow?.nodes?.some(node => node.id === nodeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nó não encontrado no fluxo da sessão'
+      });
+    }
+
+    // Registra antes de executar: o nó de destino pode enviar mensagens ou encerrar a sessão
+    await recordAudit({
+      session,
+      profileId: req.profileId,
+      action: 'node_forced',
+      details: { from: session.current_node_id, to: nodeId }
+    });
+
+    const flowEngine = createFlowEngine(
+      session.organization,
+      session.chat?.channel,
+      session.customer,
+      session.chat_id,
+      { isFirstMessage: false }
+    );
+
+    const updatedSession = await flowEngine.goToNode(sessionId, nodeId);
+    if (!updatedSession) {
+      return res.status(409).json({
+        success: false,
+        error: 'A sessão não está mais ativa neste chat'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      session: {
+        id: updatedSession.id,
+        status: updatedSession.status,
+        current_node_id: updatedSession.current_node_id
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao mover sessão de fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao mover sessão de fluxo'
+    });
+  }
+}
+
+/**
+ * Encerra a sessão. Body opcional: { reason }
+ */
+export async function endFlowSessionRoute(req, res) {
+  const { organizationId, sessionId } = req.params;
+
+  try {
+    const session = await getOrganizationSession(sessionId, organizationId);
+    if (!session || session.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        error: 'Sessão ativa não encontrada'
+      });
+    }
+
+    await pauseFlow(session);
+
+    await recordAudit({
+      session,
+      profileId: req.profileId,
+      action: 'session_ended',
+      details: { node_id: session.current_node_id, reason: req.body?.reason || null }
+    });
+
+    return res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Erro ao encerrar sessão de fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao encerrar sessão de fluxo'
+    });
+  }
+}
@@ -0,0 +1,56 @@
+import { supabase } from '../../lib/supabase.js';
+import Sentry from '../../lib/sentry.js';
+import { simulateFlow } from '../../services/flow-simulator.js';
+
+/**
+ * Executa um fluxo em modo de simulação (dry-run), sem canal real e sem gravar sessões
+ * Body: { messages: Array<string|{content,type}>, variables?: Object, customer?: Object, businessHoursOpen?: boolean,
+ *   mocks?: { [nodeId]: any } }
+ * Nós OpenAI e de requisição HTTP não fazem chamadas externas na simulação; mocks define o resultado de cada um
+ */
+export async function simulateFlowRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+  const { messages, variables, customer, businessHoursOpen, mocks } = req.body;
+
+  if (!Array.isArray(messages)) {
+    return res.status(400).json({
+      success: false,
+      error: 'É necessário informar a lista de mensagens do cliente (messages)'
+    });
+  }
+
+  try {
+    const { data: flow, error: flowError } = await supabase
+      .from('flows')
+      .select('*')
+      .eq('id', flowId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (flowError || !flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const result = await simulateFlow({
+      organization: req.organization || { id: organizationId },
+      flow,
+      messages,
+      variables: variables || {},
+      customer: customer || null,
+      businessHoursOpen: typeof businessHoursOpen === 'boolean' ? businessHoursOpen : undefined,
+      mocks: mocks && typeof mocks === 'object' ? mocks : {}
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Erro ao simular fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Erro ao simular fluxo'
+    });
+  }
+}
@@ -0,0 +1,222 @@
+import { supabase } from '../../lib/supabase.js';
+import Sentry from '../../lib/sentry.js';
+import { getOrganizationFlow } from './publish.js';
+import { createFlowVersion, diffFlowGraphs } from '../../services/flow-versions.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Busca uma versão garantindo que pertence ao fluxo informado
+ * @param {string} flowId - ID do fluxo
+ * @param {string} versionId - ID da versão
+ * @returns {Object|null} - Versão encontrada ou null (também para IDs que não são UUID)
+ */
+async function getVersionOfFlow(flowId, versionId) {
+  if (!UUID_PATTERN.test(String(versionId))) return null;
+
+  const { data: version, error } = await supabase
+    .from('flow_versions')
+    .select('*')
+    .eq('id', versionId)
+    .eq('flow_id', flowId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return version;
+}
+
+/**
+ * Lista as versões publicadas de um fluxo, da mais recente para a mais antiga
+ */
+export async function listFlowVersionsRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const { data: versions, error } = await supabase
+      .from('flow_versions')
+      .select(`
+        id,
+        version,
+        notes,
+        rolled_back_from,
+        created_at,
+        created_by,
+        creator:profiles!flow_versions_created_by_fkey (
+          id,
+          full_name
+        )
+      `)
+      .eq('flow_id', flowId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+
+    return res.status(200).json({
+      success: true,
+      published_version_id: flow.published_version_id || null,
+      versions: versions.map(version => ({
+        ...version,
+        is_current: version.id === flow.published_version_id
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao listar versões do fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar versões do fluxo'
+    });
+  }
+}
+
+/**
+ * Retorna o snapshot completo de uma versão
+ */
+export async function getFlowVersionRoute(req, res) {
+  const { flowId, organizationId, versionId } = req.params;
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    const version = flow ? await getVersionOfFlow(flowId, versionId) : null;
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Versão não encontrada ou permissão negada'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    console.error('Erro ao buscar versão do fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar versão do fluxo'
+    });
+  }
+}
+
+/**
+ * Compara duas versões de um fluxo. Use "draft" em from/to para comparar com o rascunho atual;
+ * sem "to", compara com o rascunho.
+ */
+export async function diffFlowVersionsRoute(req, res) {
+  const { flowId, organizationId } = req.params;
+  const { from, to = 'draft' } = req.query;
+
+  if (!from) {
+    return res.status(400).json({
+      success: false,
+      error: 'Parâmetro from é obrigatório'
+    });
+  }
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado ou permissão negada'
+      });
+    }
+
+    const resolveGraph = async (reference) => (reference === 'draft'
+      ? { id: 'draft', version: null, nodes: flow.nodes, edges: flow.edges, variables: flow.variables }
+      : await getVersionOfFlow(flowId, reference));
+
+    const [fromGraph, toGraph] = await Promise.all([resolveGraph(from), resolveGraph(to)]);
+    if (!fromGraph || !toGraph) {
+      return res.status(404).json({
+        success: false,
+        error: 'Versão não encontrada'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      from: { id: fromGraph.id, version: fromGraph.version },
+      to: { id: toGraph.id, version: toGraph.version },
+      diff: diffFlowGraphs(fromGraph, toGraph)
+    });
+  } catch (error) {
+    console.error('Erro ao comparar versões do fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao comparar versões do fluxo'
+    });
+  }
+}
+
+/**
+ * Volta o fluxo para uma versão anterior. O histórico não é reescrito: o snapshot escolhido
+ * é publicado como uma nova versão e também passa a ser o rascunho em edição.
+ */
+export async function rollbackFlowVersionRoute(req, res) {
+  const { flowId, organizationId, versionId } = req.params;
+
+  try {
+    const flow = await getOrganizationFlow(flowId, organizationId);
+    const targetVersion = flow ? await getVersionOfFlow(flowId, versionId) : null;
+    if (!targetVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Versão não encontrada ou permissão negada'
+      });
+    }
+
+    const version = await createFlowVersion({
+      flow: {
+        id: flowId,
+        nodes: targetVersion.nodes,
+        edges: targetVersion.edges,
+        variables: targetVersion.variables
+      },
+      organizationId,
+      profileId: req.profileId,
+      notes: req.body?.notes || `Rollback para a versão ${targetVersion.version}`,
+      rolledBackFrom: targetVersion.id
+    });
+
+    const { data: updatedFlow, error: updateError } = await supabase
+      .from('flows')
+      .update({
+        nodes: targetVersion.nodes,
+        edges: targetVersion.edges,
+        variables: targetVersion.variables,
+        is_published: true,
+        published_version_id: version.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', flowId)
+      .eq('organization_id', organizationId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    return res.status(200).json({
+      success: true,
+      flow: updatedFlow,
+      version
+    });
+  } catch (error) {
+    console.error('Erro ao fazer rollback do fluxo:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao fazer rollback do fluxo'
+    });
+  }
+}
@@ -2,6 +2,36 @@ import { supabase } from '../lib/supabase.js';
 import { encrypt, decrypt } from '../utils/crypto.js';
 import axios from 'axios';
 import Sentry from '../lib/sentry.js';
+import { HTTP_AUTH_SECRET_FIELDS, clearOAuthTokenCache } from '../services/http-request.js';
+import {
+  LLM_PROVIDERS,
+  createChatCompletion,
+  getLLMErrorMessage,
+  getLLMIntegration,
+  isLLMIntegrationType,
+  listLLMModels,
+  reportLLMUsage
+} from '../services/llm-providers.js';
+
+/**
+ * Criptografa os campos sensíveis de um preset de autenticação HTTP (bearer, basic, api_key, oauth2)
+ * @param {Object} credentials - Credenciais recebidas do frontend
+ * @param {Object} currentCredentials - Credenciais já gravadas, mantidas quando o campo vem mascarado
+ * @returns {Object} - Credenciais com os segredos criptografados
+ */
+const encryptHttpAuthCredentials = (credentials, currentCredentials = {}) => {
+  const encryptedCredentials = { ...credentials };
+  for (const field of HTTP_AUTH_SECRET_FIELDS) {
+    const value = credentials[field];
+    if (typeof value !== 'string' || !value || value.startsWith('••••')) {
+      encryptedCredentials[field] = currentCredentials[field];
+    } else {
+      encryptedCredentials[field] = encrypt(value);
+    }
+  }
+  delete encryptedCredentials.has_key;
+  return encryptedCredentials;
+};
 /**
  * Busca uma integração específica
  * GET /api/:organizationId/integrations/:integrationId
@@ -37,7 +67,7 @@ export const getIntegration = async (req, res) => {
 
     // Mascarar as credenciais sensíveis
     if (responseData.credentials) {
-      if (responseData.type === 'openai' && responseData.credentials.api_key) {
+      if (isLLMIntegrationType(responseData.type) && responseData.credentials.api_key) {
         // Não retornar a chave real, apenas indicar que existe
         responseData.credentials.api_key = '••••••••••••••••••••••';
         responseData.credentials.has_key = true;
@@ -45,6 +75,13 @@ export const getIntegration = async (req, res) => {
         // Não retornar a chave secreta real, apenas indicar que existe
         responseData.credentials.secret_access_key = '••••••••••••••••••••••';
         responseData.credentials.has_key = true;
+      } else if (responseData.type === 'http_auth') {
+        for (const field of HTTP_AUTH_SECRET_FIELDS) {
+          if (responseData.credentials[field]) {
+            responseData.credentials[field] = '••••••••••••••••••••••';
+            responseData.credentials.has_key = true;
+          }
+        }
       }
     }
 
@@ -82,12 +119,14 @@ export const createIntegration = async (req, res) => {
     // Criptografar as credenciais
     const encryptedCredentials = { ...credentials };
     
-    if (type === 'openai' && credentials.api_key) {
-      // Criptografar a chave API da OpenAI
+    if (isLLMIntegrationType(type) && credentials.api_key) {
+      // Criptografar a chave API do provedor de LLM (OpenAI, Anthropic, Gemini, Azure OpenAI ou compatível)
       encryptedCredentials.api_key = encrypt(credentials.api_key);
     } else if (type === 'aws_s3' && credentials.secret_access_key) {
       // Criptografar a chave secreta do AWS S3
       encryptedCredentials.secret_access_key = encrypt(credentials.secret_access_key);
+    } else if (type === 'http_auth') {
+      Object.assign(encryptedCredentials, encryptHttpAuthCredentials(credentials));
     }
 
     // Inserir a integração no Supabase
@@ -165,15 +204,21 @@ export const updateIntegration = async (req, res) => {
       // Criptografar as credenciais
       const encryptedCredentials = { ...credentials };
       
-      if (existingIntegration.type === 'openai' && credentials.api_key) {
-        // Criptografar a chave API da OpenAI
-        encryptedCredentials.api_key = encrypt(credentials.api_key);
+      if (isLLMIntegrationType(existingIntegration.type) && credentials.api_key) {
+        // Criptografar a chave API do provedor de LLM; o valor mascarado mantém a chave atual
+        encryptedCredentials.api_key = credentials.api_key.startsWith('••••')
+          ? existingIntegration.credentials?.api_key
+          : encrypt(credentials.api_key);
+        delete encryptedCredentials.has_key;
       } else if (existingIntegration.type === 'aws_s3' && credentials.secret_access_key) {
         // Criptografar a chave secreta do AWS S3
         encryptedCredentials.secret_access_key = encrypt(credentials.secret_access_key);
       }
-      
-      updateData.credentials = encryptedCredentials;
+
+      // Presets de autenticação HTTP mantêm os segredos atuais quando o frontend envia o valor mascarado
+      updateData.credentials = existingIntegration.type === 'http_auth'
+        ? encryptHttpAuthCredentials(credentials, existingIntegration.credentials)
+        : encryptedCredentials;
     }
     
     updateData.updated_at = new Date().toISOString();
@@ -189,6 +234,10 @@ export const updateIntegration = async (req, res) => {
       throw updateError;
     }
 
+    if (existingIntegration.type === 'http_auth') {
+      clearOAuthTokenCache(id);
+    }
+
     return res.json({
       success: true,
       message: 'Integração atualizada com sucesso'
@@ -257,13 +306,13 @@ export const validateOpenAIKey = async (req, res) => {
 };
 
 /**
- * Testa um prompt usando a API da OpenAI
+ * Testa um prompt no provedor de LLM da integração
  * POST /api/:organizationId/integrations/:id/test-prompt
  */
 export const testOpenAIPrompt = async (req, res) => {
   try {
     const { organizationId, id } = req.params;
-    const { systemPrompt, messages, model = 'gpt-4o-mini', temperature = 0.7, content_addons = [] } = req.body;
+    const { systemPrompt, messages, model, temperature = 0.7, content_addons = [] } = req.body;
 
     // Validar campos obrigatórios
     if (!systemPrompt || !messages || !Array.isArray(messages) || messages.length === 0) {
@@ -282,37 +331,13 @@ export const testOpenAIPrompt = async (req, res) => {
       });
     }
 
-    // Buscar a integração no Supabase
-    const { data: integration, error: fetchError } = await supabase
-      .from('integrations')
-      .select('*')
-      .eq('id', id)
-      .eq('organization_id', organizationId)
-      .eq('type', 'openai')
-      .eq('status', 'active')
-      .single();
-
-    if (fetchError) {
-      throw fetchError;
-    }
+    // Buscar a integração de LLM
+    const integration = await getLLMIntegration(id, organizationId);
 
     if (!integration) {
       return res.status(404).json({
         success: false,
-        error: 'Integração OpenAI não encontrada ou inativa'
-      });
-    }
-
-    // Descriptografar a chave API
-    let apiKey;
-    try {
-      apiKey = decrypt(integration.credentials.api_key);
-    } catch (error) {
-      console.error('Erro ao descriptografar chave API:', error);
-      Sentry.captureException(error);
-      return res.status(500).json({
-        success: false,
-        error: 'Erro ao processar credenciais da integração'
+        error: 'Integração de IA não encontrada ou inativa'
       });
     }
 
@@ -330,47 +355,42 @@ export const testOpenAIPrompt = async (req, res) => {
 
     // console.log('[testOpenAIPrompt] finalSystemPrompt', finalSystemPrompt)
 
-    // Preparar as mensagens para a API da OpenAI
+    // Preparar as mensagens no formato de chat
     const apiMessages = [
       { role: 'system', content: finalSystemPrompt },
       ...messages
     ];
 
-    // Chamar a API da OpenAI
+    // Chamar o provedor de LLM
     try {
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model,
-          messages: apiMessages,
-          temperature: parsedTemperature,
-          max_tokens: 1000
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const completion = await createChatCompletion({
+        integration,
+        model: model || (integration.type === 'openai' ? 'gpt-4o-mini' : undefined),
+        messages: apiMessages,
+        temperature: parsedTemperature,
+        maxTokens: 1000
+      });
 
-      // Registrar o uso da API (opcional)
-      // Aqui você pode adicionar código para registrar o uso da API, 
-      // como contagem de tokens, custo, etc.
+      reportLLMUsage({
+        organizationId,
+        integration,
+        completion,
+        metadata: { source: 'test_prompt' }
+      });
 
       return res.json({
         success: true,
         data: {
-          message: response.data.choices[0].message,
-          usage: response.data.usage
+          message: completion.message,
+          usage: completion.usage
         }
       });
     } catch (error) {
-      console.error('Erro ao chamar API da OpenAI:', error.response?.data || error);
+      console.error('Erro ao chamar o provedor de IA:', error.response?.data || error);
       Sentry.captureException(error);
       return res.status(error.response?.status || 500).json({
         success: false,
-        error: error.response?.data?.error?.message || 'Erro ao processar o prompt com a API da OpenAI'
+        error: getLLMErrorMessage(error) || 'Erro ao processar o prompt com o provedor de IA'
       });
     }
   } catch (error) {
@@ -486,23 +506,79 @@ export const getOpenAIModels = async (req, res) => {
   }
 };
 
-export const getOpenAIIntegration = async (organizationId) => {
+/**
+ * Lista os modelos disponíveis em uma integração de LLM de qualquer provedor
+ * GET /api/:organizationId/integrations/:id/models
+ */
+export const getLLMModels = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('integrations')
-      .select('*')
-      .eq('organization_id', organizationId)
-      .eq('type', 'openai')
-      .eq('status', 'active');
+    const { organizationId, id } = req.params;
 
-    if (error) {
-      throw error;
+    const integration = await getLLMIntegration(id, organizationId);
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integração de IA não encontrada ou inativa'
+      });
     }
 
-    // Retorna a primeira integração ativa encontrada
-    return data?.[0] || null;
+    try {
+      const models = await listLLMModels(integration);
+      return res.json({
+        success: true,
+        data: models
+      });
+    } catch (error) {
+      console.error(`Erro ao buscar modelos do provedor ${integration.type}:`, error.response?.data || error);
+      Sentry.captureException(error);
+      return res.status(error.response?.status || 500).json({
+        success: false,
+        error: getLLMErrorMessage(error) || 'Erro ao buscar modelos do provedor de IA'
+      });
+    }
+  } catch (error) {
+    console.error('Erro ao buscar modelos:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar modelos'
+    });
+  }
+};
+
+/**
+ * Valida as credenciais de um provedor de LLM antes de salvar a integração
+ * POST /api/:organizationId/integrations/llm/validate
+ * Body: { type, credentials }
+ */
+export const validateLLMCredentials = async (req, res) => {
+  const { type, credentials } = req.body || {};
+
+  if (!isLLMIntegrationType(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Tipo de integração inválido. Use: ${LLM_PROVIDERS.join(', ')}`
+    });
+  }
+
+  if (!credentials || (type === 'openai_compatible' ? !credentials.base_url : !credentials.api_key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Credenciais não informadas'
+    });
+  }
+
+  try {
+    await listLLMModels({ id: null, type, credentials });
+    return res.json({
+      success: true,
+      message: 'Credenciais válidas'
+    });
   } catch (error) {
-    console.error('Erro ao buscar integração OpenAI:', error);
-    return null;
+    console.error(`Erro ao validar credenciais do provedor ${type}:`, error.response?.data || error.message);
+    return res.status(400).json({
+      success: false,
+      error: getLLMErrorMessage(error) || 'Credenciais inválidas ou erro na validação'
+    });
   }
 };
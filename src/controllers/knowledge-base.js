@@ -0,0 +1,325 @@
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { uploadFile, deleteFile } from '../utils/file-upload.js';
+import {
+  MAX_KNOWLEDGE_FILE_SIZE,
+  extractDocumentText,
+  getKnowledgeSourceType,
+  indexKnowledgeDocument,
+  reindexPromptKnowledge
+} from '../services/knowledge-base.js';
+
+const DOCUMENT_COLUMNS = 'id, prompt_id, title, source_type, file_url, file_name, status, error, chunk_count, embedding_model, indexed_at, created_at, updated_at';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Busca o prompt da organização
+ * @param {string} promptId - ID do prompt
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null}
+ */
+async function getOrganizationPrompt(promptId, organizationId) {
+  const { data, error } = await supabase
+    .from('prompts')
+    .select('id, organization_id, integration_id, config')
+    .eq('id', promptId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Indexa o documento sem bloquear a resposta; o resultado fica no status do documento
+ * @param {Object} document - Documento criado
+ * @param {Object} prompt - Prompt dono do documento
+ */
+function indexInBackground(document, prompt) {
+  indexKnowledgeDocument(document, prompt).catch(error => {
+    console.error(`Erro ao indexar documento ${document.id}:`, error);
+    Sentry.captureException(error);
+  });
+}
+
+/**
+ * Lista os documentos da base de conhecimento do prompt
+ */
+export async function listKnowledgeDocumentsRoute(req, res) {
+  const { organizationId, id: promptId } = req.params;
+
+  try {
+    const { data: documents, error } = await supabase
+      .from('knowledge_documents')
+      .select(DOCUMENT_COLUMNS)
+      .eq('prompt_id', promptId)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return res.status(200).json({
+      success: true,
+      documents
+    });
+  } catch (error) {
+    console.error('Erro ao listar base de conhecimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar base de conhecimento'
+    });
+  }
+}
+
+/**
+ * Adiciona um documento à base de conhecimento. Aceita um arquivo (PDF, DOCX, HTML ou texto) no campo
+ * "file" ou texto colado no body ({ title, text }). A indexação roda em segundo plano: acompanhe pelo status
+ */
+export async function createKnowledgeDocumentRoute(req, res) {
+  const { organizationId, id: promptId } = req.params;
+  const file = req.files?.file;
+  const { title, text } = req.body || {};
+
+  if (!file && !text?.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Envie um arquivo ou o texto do documento'
+    });
+  }
+
+  const sourceType = file ? getKnowledgeSourceType(file.mimetype, file.name) : 'text';
+  if (!sourceType) {
+    return res.status(400).json({
+      success: false,
+      error: 'Tipo de arquivo não suportado. Use PDF, DOCX, HTML ou texto'
+    });
+  }
+
+  if (file && file.size > MAX_KNOWLEDGE_FILE_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `Arquivo muito grande. Tamanho máximo: ${MAX_KNOWLEDGE_FILE_SIZE / 1024 / 1024}MB`
+    });
+  }
+
+  try {
+    const prompt = await getOrganizationPrompt(promptId, organizationId);
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt não encontrado'
+      });
+    }
+
+    let content = text;
+    let upload = null;
+
+    if (file) {
+      try {
+        content = await extractDocumentText(file.data, sourceType);
+      } catch (extractError) {
+        console.error('Erro ao extrair texto do documento:', extractError);
+        return res.status(400).json({
+          success: false,
+          error: 'Não foi possível ler o conteúdo do arquivo'
+        });
+      }
+
+      if (!content?.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nenhum texto encontrado no arquivo'
+        });
+      }
+
+      upload = await uploadFile({
+        fileData: file.data,
+        fileName: file.name,
+        contentType: file.mimetype,
+        fileSize: file.size,
+        organizationId,
+        customFolder: 'prompts',
+        promptId
+      });
+
+      if (!upload.success) {
+        throw new Error(upload.error || 'Erro ao fazer upload do arquivo');
+      }
+    }
+
+    const { data: document, error } = await supabase
+      .from('knowledge_documents')
+      .insert({
+        organization_id: organizationId,
+        prompt_id: promptId,
+        title: title || file?.name || 'Documento',
+        source_type: sourceType,
+        file_id: upload?.fileId || null,
+        file_url: upload?.fileUrl || null,
+        file_name: file?.name || null,
+        content,
+        status: 'processing',
+        chunk_count: 0
+      })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    indexInBackground(document, prompt);
+
+    const { content: _content, ...documentData } = document;
+    return res.status(201).json({
+      success: true,
+      document: documentData
+    });
+  } catch (error) {
+    console.error('Erro ao adicionar documento à base de conhecimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao adicionar documento à base de conhecimento'
+    });
+  }
+}
+
+/**
+ * Remove um documento, seus trechos indexados e o arquivo original
+ */
+export async function deleteKnowledgeDocumentRoute(req, res) {
+  const { organizationId, id: promptId, documentId } = req.params;
+
+  try {
+    const { data: document, error } = await supabase
+      .from('knowledge_documents')
+      .delete()
+      .eq('id', documentId)
+      .eq('prompt_id', promptId)
+      .eq('organization_id', organizationId)
+      .select('id, file_id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Documento não encontrado'
+      });
+    }
+
+    if (document.file_id) {
+      const deleteResult = await deleteFile({ fileId: document.file_id, organizationId });
+      if (!deleteResult.success) {
+        console.error('Erro ao excluir arquivo do documento:', deleteResult.error);
+      }
+    }
+
+    return res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Erro ao remover documento da base de conhecimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao remover documento da base de conhecimento'
+    });
+  }
+}
+
+/**
+ * Reindexa um documento ou, sem documentId, toda a base de conhecimento do prompt
+ */
+export async function reindexKnowledgeRoute(req, res) {
+  const { organizationId, id: promptId, documentId } = req.params;
+
+  try {
+    const prompt = await getOrganizationPrompt(promptId, organizationId);
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt não encontrado'
+      });
+    }
+
+    if (!documentId) {
+      const result = await reindexPromptKnowledge(prompt);
+      return res.status(200).json({
+        success: true,
+        ...result
+      });
+    }
+
+    const { data: document, error } = await supabase
+      .from('knowledge_documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('prompt_id', promptId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Documento não encontrado'
+      });
+    }
+
+    const { content: _content, ...updated } = await indexKnowledgeDocument(document, prompt);
+    return res.status(200).json({
+      success: true,
+      document: updated
+    });
+  } catch (error) {
+    console.error('Erro ao reindexar base de conhecimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao reindexar base de conhecimento'
+    });
+  }
+}
+
+/**
+ * Lista as consultas feitas à base de conhecimento do prompt com os trechos citados. Filtro opcional: chatId
+ */
+export async function listKnowledgeRetrievalsRoute(req, res) {
+  const { organizationId, id: promptId } = req.params;
+  const { chatId } = req.query;
+  const limit = Math.min(Number(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    let query = supabase
+      .from('knowledge_retrievals')
+      .select('id, chat_id, flow_session_id, query, citations, created_at', { count: 'exact' })
+      .eq('prompt_id', promptId)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (chatId) query = query.eq('chat_id', chatId);
+
+    const { data: retrievals, count, error } = await query;
+    if (error) throw error;
+
+    return res.status(200).json({
+      success: true,
+      retrievals,
+      total: count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Erro ao listar consultas da base de conhecimento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao listar consultas da base de conhecimento'
+    });
+  }
+}
@@ -3,7 +3,8 @@ import Sentry from '../../lib/sentry.js';
 
 //Registrar o uso de tokens
 export const registerTokenUsage = async ({ organizationId, promptId, customerId, chatId, integrationId, tokenSource = 'system', modelName, inputTokens, outputTokens, costUsd, metadata }) => {
-  if (!organizationId || !inputTokens || !outputTokens) {
+  // Embeddings não têm tokens de saída: basta um dos dois
+  if (!organizationId || (!inputTokens && !outputTokens)) {
     Sentry.captureMessage('Missing required fields in registerTokenUsage', 'warning', {
       extra: { organizationId, inputTokens, outputTokens }
     });
@@ -33,32 +34,12 @@ export const registerTokenUsage = async ({ organizationId, promptId, customerId,
   }
 
   if (tokenSource === 'system') {
-    //Buscar soma por função get_monthly_token_usage_report
-    const { data: monthlyTokenUsageReport, error: monthlyTokenUsageReportError } = await supabase
-      .rpc('get_monthly_token_usage_report', {
-        p_organization_id: organizationId,
-        p_year: new Date().getFullYear(),
-        p_month: new Date().getMonth() + 1,
-        p_token_source: tokenSource,
-      });
-
-    // console.log('monthlyTokenUsageReport', monthlyTokenUsageReport);
-    // console.log('monthlyTokenUsageReportError', monthlyTokenUsageReportError);
-
-    if (monthlyTokenUsageReportError) {
-      Sentry.captureException(monthlyTokenUsageReportError, {
-        extra: { organizationId, year: new Date().getFullYear(), month: new Date().getMonth() + 1 }
-      });
-      return { error: monthlyTokenUsageReportError.message };
+    const monthlyTokens = await getMonthlySystemTokenUsage(organizationId);
+    if (monthlyTokens.error) {
+      return { error: monthlyTokens.error };
     }
 
-    // console.log('monthlyTokenUsageReport[0].total_tokens', monthlyTokenUsageReport[0].total_tokens);
-
-    //Loop para somar os tokens usados
-    let totalTokens = 0;
-    monthlyTokenUsageReport.forEach(item => {
-      totalTokens += item.total_tokens;
-    });
+    const totalTokens = monthlyTokens.total;
 
     // console.log('totalTokens', totalTokens);
 
@@ -74,11 +55,16 @@ export const registerTokenUsage = async ({ organizationId, promptId, customerId,
         return { error: organizationData.error };
       }
 
+      const currentTokens = organizationData.usage.tokens || {};
       const usage = {
         ...organizationData.usage,
         tokens: {
+          ...currentTokens,
           used: totalTokens,
-          limit: organizationData.usage.tokens.limit,
+          limit: currentTokens.limit,
+          period: monthlyTokens.period,
+          // Alertas de consumo valem apenas para o mês em que foram enviados
+          alerts: currentTokens.alerts?.period === monthlyTokens.period ? currentTokens.alerts : null,
         },
       }
 
@@ -93,6 +79,7 @@ export const registerTokenUsage = async ({ organizationId, promptId, customerId,
         return { error: result.error };
       }
 
+      return { success: true, tokens: usage.tokens };
     }
 
 
@@ -103,6 +90,47 @@ export const registerTokenUsage = async ({ organizationId, promptId, customerId,
   return { success: true };
 };
 
+/**
+ * Retorna o mês de referência do consumo de tokens (YYYY-MM)
+ * @param {Date} date - Data de referência
+ * @returns {string}
+ */
+export const getTokenUsagePeriod = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Soma os tokens da chave padrão do Interflow usados pela organization no mês atual
+ * @param {string} organizationId - ID da organization
+ * @returns {Object} - { total, period } ou { error }
+ */
+export const getMonthlySystemTokenUsage = async (organizationId) => {
+  const now = new Date();
+
+  //Buscar soma por função get_monthly_token_usage_report
+  const { data: monthlyTokenUsageReport, error: monthlyTokenUsageReportError } = await supabase
+    .rpc('get_monthly_token_usage_report', {
+      p_organization_id: organizationId,
+      p_year: now.getFullYear(),
+      p_month: now.getMonth() + 1,
+      p_token_source: 'system',
+    });
+
+  if (monthlyTokenUsageReportError) {
+    Sentry.captureException(monthlyTokenUsageReportError, {
+      extra: { organizationId, year: now.getFullYear(), month: now.getMonth() + 1 }
+    });
+    return { error: monthlyTokenUsageReportError.message };
+  }
+
+  //Loop para somar os tokens usados
+  let total = 0;
+  (monthlyTokenUsageReport || []).forEach(item => {
+    total += item.total_tokens;
+  });
+
+  return { total, period: getTokenUsagePeriod(now) };
+};
+
 /**
  * Registra o uso de tokens por canal
  * @param {string} organizationId - ID da organization
@@ -400,6 +428,7 @@ export const registerLimitsOrganizationByPlan = async (organizationId, plan) =>
       limit: Math.max(planTeamsLimit, currentTeamsLimit),
     },
     tokens: {
+      ...organizationData.usage.tokens,
       used: organizationData.usage.tokens?.used || 0,
       limit: Math.max(planTokensLimit, currentTokensLimit),
     },
@@ -1,10 +1,10 @@
 import { supabase } from '../lib/supabase.js';
-import { decrypt } from '../utils/crypto.js';
-import axios from 'axios';
 import Sentry from '../lib/sentry.js';
 import { v4 as uuidv4 } from 'uuid';
 import { uploadFile, deleteFile } from '../utils/file-upload.js';
 import { getActiveS3Integration } from '../lib/s3.js';
+import { createChatCompletion, getLLMErrorMessage, getLLMIntegration, getSystemLLMIntegration, reportLLMUsage } from '../services/llm-providers.js';
+import { checkTokenLimit } from '../services/token-limits.js';
 
 /**
  * Busca todos os prompts de uma organização
@@ -242,7 +242,7 @@ export const deletePrompt = async (req, res) => {
 };
 
 /**
- * Melhora um texto usando a API da OpenAI
+ * Melhora um texto usando o provedor de IA da integração do prompt
  * POST /api/:organizationId/prompts/:id/improve-text
  */
 export const improveTextWithOpenAI = async (req, res) => {
@@ -330,45 +330,20 @@ export const improveTextWithOpenAI = async (req, res) => {
       });
     }
 
-    // Buscar a integração no Supabase
-    const { data: integration, error: fetchError } = await supabase
-      .from('integrations')
-      .select('*')
-      .eq('id', prompt.integration_id)
-      .eq('organization_id', organizationId)
-      .eq('type', 'openai')
-      .eq('status', 'active')
-      .single();
-
-    if (fetchError) {
-      throw fetchError;
-    }
+    // Buscar a integração de LLM do prompt
+    const integration = await getLLMIntegration(prompt.integration_id, organizationId);
 
     if (!integration) {
       return res.status(404).json({
         success: false,
-        error: language === 'en' ? 'OpenAI integration not found or inactive' : 
-               language === 'es' ? 'Integración de OpenAI no encontrada o inactiva' : 
-               'Integração OpenAI não encontrada ou inativa'
-      });
-    }
-
-    // Descriptografar a chave API
-    let apiKey;
-    try {
-      apiKey = decrypt(integration.credentials.api_key);
-    } catch (error) {
-      console.error('Erro ao descriptografar chave API:', error);
-      return res.status(500).json({
-        success: false,
-        error: language === 'en' ? 'Error processing integration credentials' : 
-               language === 'es' ? 'Error al procesar las credenciales de integración' : 
-               'Erro ao processar credenciais da integração'
+        error: language === 'en' ? 'AI integration not found or inactive' : 
+               language === 'es' ? 'Integración de IA no encontrada o inactiva' : 
+               'Integração de IA não encontrada ou inativa'
       });
     }
 
-    // Definir modelo padrão e temperatura
-    let model = 'gpt-4o';
+    // Definir modelo padrão (do provedor) e temperatura
+    let model;
     let temperature = 0.7;
 
     // Usar modelo e temperatura do prompt, se disponíveis
@@ -406,7 +381,7 @@ export const improveTextWithOpenAI = async (req, res) => {
         throw chatError;
       }
 
-      // Converter mensagens do chat para o formato esperado pela API da OpenAI
+      // Converter mensagens do chat para o formato de mensagens do provedor de LLM
       messages = chatMessages.map(msg => ({
         role: msg.sender_type === 'agent' ? 'assistant' : 'user',
         content: msg.content || ''
@@ -500,9 +475,10 @@ export const improveTextWithOpenAI = async (req, res) => {
       systemPrompt += ' Responda em português.';
     }
 
-    // Chamar a API da OpenAI
+    // Chamar o provedor de LLM
     try {
-      const apiRequestBody = {
+      const completion = await createChatCompletion({
+        integration,
         model,
         messages: improveOption === 'generate' ?
           [
@@ -510,51 +486,35 @@ export const improveTextWithOpenAI = async (req, res) => {
             ...messages
           ] : [...messages],
         temperature,
-        max_tokens: 2000
-      };
-
-      console.log('Fazendo requisição para OpenAI API:', JSON.stringify({
-        url: 'https://api.openai.com/v1/chat/completions',
-        model: apiRequestBody.model,
-        temperature: apiRequestBody.temperature
-      }));
-
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        apiRequestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      console.log('Resposta da OpenAI API:', JSON.stringify({
-        status: response.status,
-        usage: response.data.usage
-      }));
+        maxTokens: 2000
+      });
 
-      // Extrair o texto da resposta
-      const improvedText = response.data.choices[0].message.content;
+      reportLLMUsage({
+        organizationId,
+        integration,
+        completion,
+        promptId: prompt.id,
+        chatId: improveOption === 'generate' ? chatId : null,
+        metadata: { source: 'improve_text', improve_option: improveOption }
+      });
 
       return res.json({
         success: true,
         data: {
-          text: improvedText,
-          usage: response.data.usage
+          text: completion.content,
+          usage: completion.usage
         }
       });
     } catch (error) {
-      console.error('Erro ao chamar API da OpenAI:', error.response?.data || error);
+      console.error('Erro ao chamar o provedor de IA:', error.response?.data || error);
       
-      const errorMessage = language === 'en' ? 'Error processing text with OpenAI API' : 
-                           language === 'es' ? 'Error al procesar el texto con la API de OpenAI' : 
-                           'Erro ao processar o texto com a API da OpenAI';
+      const errorMessage = language === 'en' ? 'Error processing text with the AI provider' : 
+                           language === 'es' ? 'Error al procesar el texto con el proveedor de IA' : 
+                           'Erro ao processar o texto com o provedor de IA';
       
       return res.status(error.response?.status || 500).json({
         success: false,
-        error: error.response?.data?.error?.message || errorMessage
+        error: getLLMErrorMessage(error) || errorMessage
       });
     }
   } catch (error) {
@@ -748,7 +708,8 @@ export const deleteMedia = async (req, res) => {
 };
 
 /**
- * Gera um prompt com base nas informações do negócio usando OpenAI
+ * Gera um prompt com base nas informações do negócio. Usa a integração de IA informada em
+ * integrationId ou, sem ela, a chave OpenAI padrão do Interflow
  * POST /api/:organizationId/prompts/generate-prompt
  */
 export const generatePromptWithOpenAI = async (req, res) => {
@@ -762,7 +723,8 @@ export const generatePromptWithOpenAI = async (req, res) => {
       targetAudience, 
       tone,
       language = 'pt',
-      specificNeeds
+      specificNeeds,
+      integrationId
     } = req.body;
 
     // Validar campos obrigatórios
@@ -775,18 +737,36 @@ export const generatePromptWithOpenAI = async (req, res) => {
       });
     }
 
-    // Usar a chave API diretamente do ambiente
-    const apiKey = process.env.OPENAI_API_KEY;
+    // Usar a integração de IA informada ou a chave padrão do ambiente
+    const selectedIntegration = integrationId
+      ? await getLLMIntegration(integrationId, organizationId)
+      : getSystemLLMIntegration();
 
-    if (!apiKey) {
-      return res.status(500).json({
+    if (!selectedIntegration) {
+      return res.status(integrationId ? 404 : 500).json({
         success: false,
-        error: language === 'en' ? 'OpenAI API key not configured' :
-               language === 'es' ? 'Clave de API de OpenAI no configurada' :
-               'Chave de API da OpenAI não configurada'
+        error: integrationId
+          ? (language === 'en' ? 'AI integration not found or inactive' :
+             language === 'es' ? 'Integración de IA no encontrada o inactiva' :
+             'Integração de IA não encontrada ou inativa')
+          : (language === 'en' ? 'OpenAI API key not configured' :
+             language === 'es' ? 'Clave de API de OpenAI no configurada' :
+             'Chave de API da OpenAI não configurada')
       });
     }
 
+    // A chave padrão do Interflow respeita o limite mensal de tokens da organização
+    const tokenLimit = await checkTokenLimit(organizationId, selectedIntegration);
+    if (!tokenLimit.allowed) {
+      return res.status(402).json({
+        success: false,
+        error: language === 'en' ? 'Monthly AI token limit reached' :
+               language === 'es' ? 'Se alcanzó el límite mensual de tokens de IA' :
+               'Limite mensal de tokens de IA atingido'
+      });
+    }
+    const { integration } = tokenLimit;
+
     // Definir tom padrão se não for fornecido
     const selectedTone = tone || 'professional';
     
@@ -902,48 +882,42 @@ Faça com que o prompt pareça instruções para um atendente humano em vez de u
 Crie um prompt de sistema completo que possa ser usado diretamente com um modelo de IA. Não inclua espaços reservados ou seções a serem preenchidas posteriormente. Forneça um prompt de sistema totalmente utilizável.`;
     }
 
-    // Preparar requisição para a API da OpenAI
+    // Chamar o provedor de LLM
     try {
-      const apiRequestBody = {
-        model: "gpt-4.1",
+      const completion = await createChatCompletion({
+        integration,
+        model: integration.system ? 'gpt-4.1' : undefined,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7
-      };
-
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        apiRequestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      });
 
-      // Extrair o texto da resposta
-      const generatedPrompt = response.data.choices[0].message.content;
+      reportLLMUsage({
+        organizationId,
+        integration,
+        completion,
+        metadata: { source: 'generate_prompt' }
+      });
 
       return res.json({
         success: true,
         data: {
-          text: generatedPrompt,
-          usage: response.data.usage
+          text: completion.content,
+          usage: completion.usage
         }
       });
     } catch (error) {
-      console.error('Erro ao chamar API da OpenAI:', error.response?.data || error);
+      console.error('Erro ao chamar o provedor de IA:', error.response?.data || error);
       
-      const errorMessage = language === 'en' ? 'Error generating prompt with OpenAI API' :
-                           language === 'es' ? 'Error al generar el prompt con la API de OpenAI' :
-                           'Erro ao gerar o prompt com a API da OpenAI';
+      const errorMessage = language === 'en' ? 'Error generating prompt with the AI provider' :
+                           language === 'es' ? 'Error al generar el prompt con el proveedor de IA' :
+                           'Erro ao gerar o prompt com o provedor de IA';
       
       return res.status(error.response?.status || 500).json({
         success: false,
-        error: error.response?.data?.error?.message || errorMessage
+        error: getLLMErrorMessage(error) || errorMessage
       });
     }
   } catch (error) {
@@ -962,7 +936,8 @@ Crie um prompt de sistema completo que possa ser usado diretamente com um modelo
 };
 
 /**
- * Gera sugestão de resposta para uma pergunta sem contexto usando OpenAI
+ * Gera sugestão de resposta para uma pergunta sem contexto usando a integração de IA do prompt
+ * (ou a chave OpenAI padrão do Interflow)
  * POST /api/:organizationId/prompts/:id/generate-response-unknown
  */
 export const generateResponseUnknownWithOpenAI = async (req, res) => {
@@ -986,10 +961,34 @@ export const generateResponseUnknownWithOpenAI = async (req, res) => {
       });
     }
 
-    // Usar a chave API diretamente do ambiente
-    const apiKey = process.env.OPENAI_API_KEY;
+    // Buscar o prompt: seu contexto (se não foi fornecido) e sua integração de IA
+    const { data: promptData, error: promptError } = await supabase
+      .from('prompts')
+      .select('content, integration_id')
+      .eq('id', promptId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (promptError) {
+      throw promptError;
+    }
+
+    if (!promptData && !promptContext) {
+      return res.status(404).json({
+        success: false,
+        error: language === 'en' ? 'AI Agent not found' :
+               language === 'es' ? 'Agente IA no encontrado' :
+               'Agente IA não encontrado'
+      });
+    }
+
+    const contextText = promptContext || promptData.content;
 
-    if (!apiKey) {
+    // Usar a integração do prompt ou, sem ela, a chave padrão do ambiente
+    const selectedIntegration = (promptData?.integration_id && await getLLMIntegration(promptData.integration_id, organizationId))
+      || getSystemLLMIntegration();
+
+    if (!selectedIntegration) {
       return res.status(500).json({
         success: false,
         error: language === 'en' ? 'OpenAI API key not configured' :
@@ -997,32 +996,18 @@ export const generateResponseUnknownWithOpenAI = async (req, res) => {
                'Chave de API da OpenAI não configurada'
       });
     }
-    
-    // Buscar o contexto do prompt se não foi fornecido
-    let contextText = promptContext;
-    
-    if (!contextText) {
-      const { data: promptData, error: promptError } = await supabase
-        .from('prompts')
-        .select('content')
-        .eq('id', promptId)
-        .single();
-
-      if (promptError) {
-        throw promptError;
-      }
-      
-      if (!promptData) {
-        return res.status(404).json({
-          success: false,
-          error: language === 'en' ? 'AI Agent not found' :
-                 language === 'es' ? 'Agente IA no encontrado' :
-                 'Agente IA não encontrado'
-        });
-      }
-      
-      contextText = promptData.content;
+
+    // A chave padrão do Interflow respeita o limite mensal de tokens da organização
+    const tokenLimit = await checkTokenLimit(organizationId, selectedIntegration);
+    if (!tokenLimit.allowed) {
+      return res.status(402).json({
+        success: false,
+        error: language === 'en' ? 'Monthly AI token limit reached' :
+               language === 'es' ? 'Se alcanzó el límite mensual de tokens de IA' :
+               'Limite mensal de tokens de IA atingido'
+      });
     }
+    const { integration } = tokenLimit;
     
     // Definir instruções com base no idioma
     let instructions = '';
@@ -1119,10 +1104,11 @@ Não inclua explicações sobre seu processo de raciocínio - apenas forneça a
 contexto do assistente virtual.`;
     }
 
-    // Preparar requisição para a API da OpenAI
+    // Chamar o provedor de LLM
     try {
-      const apiRequestBody = {
-        model: "gpt-4o",
+      const completion = await createChatCompletion({
+        integration,
+        model: integration.system ? 'gpt-4o' : undefined,
         messages: [
           { role: 'system', content: instructions },
           { role: 'user', content: language === 'en' ? 
@@ -1133,39 +1119,33 @@ contexto do assistente virtual.`;
           }
         ],
         temperature: 0.7
-      };
-
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        apiRequestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      });
 
-      // Extrair o texto da resposta
-      const suggestedResponse = response.data.choices[0].message.content;
+      reportLLMUsage({
+        organizationId,
+        integration,
+        completion,
+        promptId,
+        metadata: { source: 'generate_response_unknown' }
+      });
 
       return res.json({
         success: true,
         data: {
-          suggestedResponse,
-          usage: response.data.usage
+          suggestedResponse: completion.content,
+          usage: completion.usage
         }
       });
     } catch (error) {
-      console.error('Erro ao chamar API da OpenAI:', error.response?.data || error);
+      console.error('Erro ao chamar o provedor de IA:', error.response?.data || error);
       
-      const errorMessage = language === 'en' ? 'Error generating response suggestion with OpenAI API' :
-                          language === 'es' ? 'Error al generar sugerencia de respuesta con la API de OpenAI' :
-                          'Erro ao gerar sugestão de resposta com a API da OpenAI';
+      const errorMessage = language === 'en' ? 'Error generating response suggestion with the AI provider' :
+                          language === 'es' ? 'Error al generar sugerencia de respuesta con el proveedor de IA' :
+                          'Erro ao gerar sugestão de resposta com o provedor de IA';
       
       return res.status(error.response?.status || 500).json({
         success: false,
-        error: error.response?.data?.error?.message || errorMessage
+        error: getLLMErrorMessage(error) || errorMessage
       });
     }
   } catch (error) {
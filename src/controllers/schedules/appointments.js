@@ -0,0 +1,154 @@
+import { supabase } from '../../lib/supabase.js';
+import Sentry from '../../lib/sentry.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
+
+/**
+ * Cria um agendamento
+ * POST /api/:organizationId/schedules/:scheduleId/appointments
+ * Body: { customerId, serviceId?, providerId?, date, startTime, endTime, notes?, chatId? }
+ */
+export const createAppointmentRoute = async (req, res) => {
+  const { organizationId, scheduleId } = req.params;
+  const { customerId, serviceId, providerId, date, startTime, endTime, notes, chatId } = req.body || {};
+
+  if (!customerId || !date || !startTime || !endTime) {
+    return res.status(400).json({
+      success: false,
+      error: 'customerId, date, startTime e endTime são obrigatórios'
+    });
+  }
+
+  try {
+    const [{ data: schedule, error: scheduleError }, { data: customer, error: customerError }] = await Promise.all([
+      supabase
+        .from('schedules')
+        .select('id')
+        .eq('id', scheduleId)
+        .eq('organization_id', organizationId)
+        .maybeSingle(),
+      supabase
+        .from('customers')
+        .select('id')
+        .eq('id', customerId)
+        .eq('organization_id', organizationId)
+        .maybeSingle()
+    ]);
+
+    if (scheduleError) throw scheduleError;
+    if (customerError) throw customerError;
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agenda não encontrada'
+      });
+    }
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cliente não encontrado'
+      });
+    }
+
+    const { data: appointment, error } = await supabase
+      .from('appointments')
+      .insert({
+        schedule_id: scheduleId,
+        provider_id: providerId || null,
+        service_id: serviceId || null,
+        customer_id: customerId,
+        status: 'scheduled',
+        date,
+        start_time: startTime,
+        end_time: endTime,
+        time_slot: startTime,
+        notes: notes || '',
+        chat_id: chatId || null,
+        organization_id: organizationId,
+        metadata: {
+          created_via: 'api',
+          creation_date: new Date().toISOString(),
+          created_by: req.profileId ?? null
+        }
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    emitWebhookEvent(organizationId, 'appointment.created', { appointment, source: 'api' });
+
+    return res.status(201).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Erro ao criar agendamento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao criar agendamento'
+    });
+  }
+};
+
+/**
+ * Cancela um agendamento agendado ou confirmado
+ * POST /api/:organizationId/schedules/appointments/:appointmentId/cancel
+ */
+export const cancelAppointmentRoute = async (req, res) => {
+  const { organizationId, appointmentId } = req.params;
+
+  try {
+    const { data: appointment, error: fetchError } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('id', appointmentId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agendamento não encontrado'
+      });
+    }
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Apenas agendamentos agendados ou confirmados podem ser cancelados'
+      });
+    }
+
+    const { data: canceled, error } = await supabase
+      .from('appointments')
+      .update({
+        status: 'canceled',
+        metadata: {
+          ...(appointment.metadata || {}),
+          canceled_at: new Date().toISOString(),
+          canceled_via: 'api',
+          canceled_by: req.profileId ?? null
+        }
+      })
+      .eq('id', appointmentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    emitWebhookEvent(organizationId, 'appointment.cancelled', { appointment: canceled, source: 'api' });
+
+    return res.status(200).json({
+      success: true,
+      data: canceled
+    });
+  } catch (error) {
+    console.error('Erro ao cancelar agendamento:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erro ao cancelar agendamento'
+    });
+  }
+};
@@ -1,6 +1,7 @@
 import { supabase } from '../../lib/supabase.js';
 import Sentry from '../../lib/sentry.js';
 import { registerUsageOrganizationByCustomer } from '../organizations/usage.js';
+import { emitWebhookEvent } from '../../services/event-webhooks.js';
 
 export async function findExistingChat(channelId, customerId) {
   try {
@@ -117,6 +118,7 @@ export async function findOrCreateCustomer(organization, contactInfo) {
 
         //contabilizar usage de organization
         registerUsageOrganizationByCustomer(organization.id);
+        emitWebhookEvent(organization.id, 'customer.created', { customer: newCustomers[0] });
 
         return newCustomers[0];
       }
@@ -147,6 +149,7 @@ export async function findOrCreateCustomer(organization, contactInfo) {
 
     //contabilizar usage de organization
     registerUsageOrganizationByCustomer(organization.id);
+    emitWebhookEvent(organization.id, 'customer.created', { customer: newCustomers[0] });
 
     return newCustomers[0];
   } catch (error) {
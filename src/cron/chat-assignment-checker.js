@@ -0,0 +1,28 @@
+import * as Sentry from '@sentry/node';
+import { processExpiredAssignments, assignPendingChats } from '../services/chat-assignment.js';
+
+// Evita execuções sobrepostas do job dentro da mesma instância
+let isRunning = false;
+
+/**
+ * Repassa chats cujo atendente não respondeu dentro do prazo e distribui os chats
+ * que aguardam na fila das equipes com distribuição automática ativa.
+ */
+export const checkChatAssignments = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const expired = await processExpiredAssignments();
+    const assigned = await assignPendingChats();
+    return { ...expired, assigned };
+  } catch (error) {
+    Sentry.withScope((scope) => {
+      scope.setTag('operation', 'check_chat_assignments');
+      Sentry.captureException(error);
+    });
+    throw error;
+  } finally {
+    isRunning = false;
+  }
+};
@@ -1,5 +1,6 @@
 import * as Sentry from '@sentry/node';
 import { supabase } from '../lib/supabase.js';
+import { emitWebhookEvent } from '../services/event-webhooks.js';
 
 // Número mínimo de transações futuras a serem mantidas para cada série recorrente
 const MIN_FUTURE_TRANSACTIONS = 20;
@@ -21,7 +22,7 @@ export const processOverdueTransactions = async () => {
       .update({ status: 'overdue' })
       .eq('status', 'pending')
       .lt('due_date', today)
-      .select('id');
+      .select('id, organization_id, transaction_type');
     
     if (error) throw error;
     
@@ -31,6 +32,13 @@ export const processOverdueTransactions = async () => {
     // Registrar informações detalhadas sobre as transações atualizadas
     if (count > 0) {
       console.log(`IDs das transações atualizadas: ${data.map(tx => tx.id).join(', ')}`);
+
+      data.forEach(tx => emitWebhookEvent(tx.organization_id, 'transaction.status_changed', {
+        transaction_id: tx.id,
+        transaction_type: tx.transaction_type,
+        previous_status: 'pending',
+        status: 'overdue'
+      }));
       
       // Se desejar, você pode implementar notificações para transações vencidas
       // await sendOverdueNotifications(data);
@@ -0,0 +1,95 @@
+import * as Sentry from '@sentry/node';
+import { createFlowEngine } from '../services/flow-engine.js';
+import { supabase } from '../lib/supabase.js';
+
+// Evita execuções sobrepostas do job dentro da mesma instância
+let isRunning = false;
+
+/**
+ * Retoma sessões de fluxo cujo resume_at já venceu (debounce ou nó de delay).
+ * Cobre os casos em que o timer local foi perdido por reinício/deploy ou em que
+ * a sessão foi agendada por outra instância.
+ */
+export const checkPendingResumes = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const { data: sessions, error } = await supabase
+      .from('flow_sessions')
+      .select(`
+        id,
+        chat_id,
+        resume_at,
+        resume_type,
+        resume_payload,
+        chat:chats!flow_sessions_chat_id_fkey (
+          id,
+          channel_id
+        ),
+        customer:customers!flow_sessions_customer_id_fkey (
+          id
+        ),
+        organization:organizations!flow_sessions_organization_id_fkey (
+          id,
+          name
+        )
+      `)
+      .eq('status', 'active')
+      .not('resume_at', 'is', null)
+      .lte('resume_at', new Date().toISOString())
+      .order('resume_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      Sentry.withScope((scope) => {
+        scope.setExtra('error', error);
+        scope.setTag('operation', 'fetch_pending_resumes');
+        Sentry.captureException(error);
+      });
+      throw error;
+    }
+
+    if (!sessions || sessions.length === 0) {
+      return;
+    }
+
+    for (const session of sessions) {
+      try {
+        const { data: channel, error: channelError } = await supabase
+          .from('chat_channels')
+          .select('*')
+          .eq('id', session.chat.channel_id)
+          .single();
+
+        if (channelError) throw channelError;
+
+        const flowEngine = createFlowEngine(
+          session.organization,
+          channel,
+          session.customer,
+          session.chat_id
+        );
+
+        // A retomada só acontece se a sessão ainda não tiver sido reivindicada por outro processo
+        await flowEngine.resumeSession(session);
+      } catch (sessionError) {
+        Sentry.withScope((scope) => {
+          scope.setExtra('session_id', session.id);
+          scope.setExtra('chat_id', session.chat_id);
+          scope.setTag('operation', 'resume_flow_session');
+          Sentry.captureException(sessionError);
+        });
+        console.error(`Erro ao retomar a sessão ${session.id}:`, sessionError);
+      }
+    }
+  } catch (error) {
+    Sentry.withScope((scope) => {
+      scope.setTag('operation', 'check_pending_resumes');
+      Sentry.captureException(error);
+    });
+    console.error('Erro ao verificar sessões pendentes de retomada:', error);
+  } finally {
+    isRunning = false;
+  }
+};
@@ -1,6 +1,10 @@
 import cron from 'node-cron';
 import * as Sentry from '@sentry/node';
 import { checkTimeouts } from './timeout-checker.js';
+import { checkPendingResumes } from './flow-resume-checker.js';
+import { checkChatAssignments } from './chat-assignment-checker.js';
+import { updateInactiveAgents } from '../services/agent-presence.js';
+import { processPendingWebhookDeliveries } from '../services/event-webhooks.js';
 import { refreshInstagramTokens } from './instagram-token-refresh.js';
 import { 
   processOverdueTransactions, 
@@ -25,7 +29,46 @@ export const setupCronJobs = async () => {
         Sentry.captureException(error);
       }
     });
+
+    // Retoma sessões de fluxo com debounce ou delay vencidos (executa a cada 10 segundos)
+    const flowResumeCron = cron.schedule('*/10 * * * * *', async () => {
+      try {
+        await checkPendingResumes();
+      } catch (error) {
+        Sentry.captureException(error);
+      }
+    });
+
+    // Repassa atribuições automáticas sem resposta e distribui chats pendentes (executa a cada minuto)
+    const chatAssignmentCron = cron.schedule('* * * * *', async () => {
+      try {
+        await checkChatAssignments();
+      } catch (error) {
+        console.error('Erro ao verificar atribuições de chats:', error);
+        Sentry.captureException(error);
+      }
+    });
     
+    // Marca como ausentes/offline os atendentes sem heartbeat recente (executa a cada minuto)
+    const agentPresenceCron = cron.schedule('* * * * *', async () => {
+      try {
+        await updateInactiveAgents();
+      } catch (error) {
+        console.error('Erro ao atualizar presença dos atendentes:', error);
+        Sentry.captureException(error);
+      }
+    });
+
+    // Retenta entregas de webhooks de saída que falharam (executa a cada minuto)
+    const webhookDeliveriesCron = cron.schedule('* * * * *', async () => {
+      try {
+        await processPendingWebhookDeliveries();
+      } catch (error) {
+        console.error('Erro ao processar entregas de webhooks:', error);
+        Sentry.captureException(error);
+      }
+    });
+
     // Atualiza tokens do Instagram todos os dias à meia-noite
     const instagramTokenCron = cron.schedule('0 0 * * *', async () => {
       try {
@@ -110,6 +153,10 @@ export const setupCronJobs = async () => {
     // Retorna os cron jobs para que possam ser parados se necessário
     return {
       timeoutCron,
+      flowResumeCron,
+      chatAssignmentCron,
+      agentPresenceCron,
+      webhookDeliveriesCron,
       instagramTokenCron,
       overdueTransactionsCron,
       recurringTransactionsCron,
@@ -1,6 +1,7 @@
 import * as Sentry from '@sentry/node';
 import { createFlowEngine } from '../services/flow-engine.js';
 import { supabase } from '../lib/supabase.js';
+import { FLOW_VERSION_JOIN, applyPinnedFlowVersion } from '../services/flow-versions.js';
 
 /**
  * Função principal que verifica e processa sessões com timeout
@@ -34,7 +35,7 @@ export const checkTimeouts = async () => {
         organization:organizations!flow_sessions_organization_id_fkey (
           id,
           name
-        )
+        ),${FLOW_VERSION_JOIN}
       `)
       .eq('status', 'active')
       .lt('timeout_at', new Date().toISOString())
@@ -55,8 +56,8 @@ export const checkTimeouts = async () => {
 
     Sentry.setTag('sessions_count', sessions.length);
     
-    // Processa cada sessão
-    for (const session of sessions) {
+    // Processa cada sessão, usando o grafo da versão em que ela foi iniciada
+    for (const session of sessions.map(applyPinnedFlowVersion)) {
       try {
         // Busca o canal
         const { data: channel, error: channelError } = await supabase
@@ -10,7 +10,9 @@ export const transfer = {
     leave_attendance_error: 'Error leaving attendance',
     agent_not_found: 'Agent not found',
     agent_not_in_team: 'Agent does not belong to the team',
-    agent_transfer_error: 'Error transferring chat to agent'
+    agent_transfer_error: 'Error transferring chat to agent',
+    agent_offline: 'The agent is offline',
+    agent_at_capacity: 'The agent has reached the maximum number of concurrent chats'
   },
   success: {
     chats_transferred: 'Chats transferred successfully',
@@ -0,0 +1,9 @@
+export const usage = {
+  notifications: {
+    tokens_title: 'AI token usage',
+    tokens_warning: 'Your organization has used 80% of its monthly AI token limit.',
+    tokens_exhausted_block: 'The monthly AI token limit has been reached. AI features using the default key are blocked until next month and requests that rely on it are refused.',
+    tokens_exhausted_fallback: 'The monthly AI token limit has been reached. AI responses now use a more economical model.',
+    tokens_exhausted_overage: 'The monthly AI token limit has been reached. Additional usage will be charged as overage.'
+  }
+};
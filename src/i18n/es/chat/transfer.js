@@ -10,7 +10,9 @@ export const transfer = {
     leave_attendance_error: 'Error al salir del atendimiento',
     agent_not_found: 'Agente no encontrado',
     agent_not_in_team: 'El agente no pertenece al equipo',
-    agent_transfer_error: 'Error al transferir chat al agente'
+    agent_transfer_error: 'Error al transferir chat al agente',
+    agent_offline: 'El agente está desconectado',
+    agent_at_capacity: 'El agente alcanzó el límite de chats simultáneos'
   },
   success: {
     chats_transferred: 'Chats transferidos con éxito',
@@ -0,0 +1,9 @@
+export const usage = {
+  notifications: {
+    tokens_title: 'Consumo de tokens de IA',
+    tokens_warning: 'Tu organización ya usó el 80% del límite mensual de tokens de IA.',
+    tokens_exhausted_block: 'Se alcanzó el límite mensual de tokens de IA. Los recursos de IA con la clave predeterminada quedan bloqueados hasta el próximo mes y las solicitudes que dependen de ella son rechazadas.',
+    tokens_exhausted_fallback: 'Se alcanzó el límite mensual de tokens de IA. Las respuestas de IA pasaron a usar un modelo más económico.',
+    tokens_exhausted_overage: 'Se alcanzó el límite mensual de tokens de IA. El consumo excedente será cobrado.'
+  }
+};
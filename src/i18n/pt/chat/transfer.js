@@ -10,7 +10,9 @@ export const transfer = {
     leave_attendance_error: 'Erro ao sair do atendimento',
     agent_not_found: 'Agente não encontrado',
     agent_not_in_team: 'O agente não pertence à equipe',
-    agent_transfer_error: 'Erro ao transferir chat para o agente'
+    agent_transfer_error: 'Erro ao transferir chat para o agente',
+    agent_offline: 'O atendente está offline',
+    agent_at_capacity: 'O atendente atingiu o limite de atendimentos simultâneos'
   },
   success: {
     chats_transferred: 'Chats transferidos com sucesso',
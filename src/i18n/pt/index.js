@@ -2,6 +2,7 @@ import { transfer } from './chat/transfer.js';
 import { collaborator } from './chat/collaborator.js';
 import { schedule } from './schedule/index.js';
 import { tasks } from './tasks/index.js';
+import { usage } from './usage/index.js';
 
 export const pt = {
   chat: {
@@ -9,5 +10,6 @@ export const pt = {
     collaborator
   },
   schedule,
-  tasks
+  tasks,
+  usage
 }; 
\ No newline at end of file
@@ -0,0 +1,9 @@
+export const usage = {
+  notifications: {
+    tokens_title: 'Consumo de tokens de IA',
+    tokens_warning: 'Sua organização já usou 80% do limite mensal de tokens de IA.',
+    tokens_exhausted_block: 'O limite mensal de tokens de IA foi atingido. Os recursos de IA com a chave padrão ficam bloqueados até o próximo mês e as solicitações que dependem dela são recusadas.',
+    tokens_exhausted_fallback: 'O limite mensal de tokens de IA foi atingido. As respostas de IA passaram a usar um modelo mais econômico.',
+    tokens_exhausted_overage: 'O limite mensal de tokens de IA foi atingido. O consumo excedente será cobrado.'
+  }
+};
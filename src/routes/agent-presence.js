@@ -0,0 +1,20 @@
+import express from 'express';
+import { verifyAuth } from '../middleware/auth.js';
+import {
+  listAgentPresenceRoute,
+  setMyPresenceRoute,
+  heartbeatRoute,
+  setAgentCapacityRoute
+} from '../controllers/agent-presence.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Todas as rotas de presença precisam de autenticação
+router.use(verifyAuth);
+
+router.get('/', listAgentPresenceRoute);
+router.put('/me', setMyPresenceRoute);
+router.post('/me/heartbeat', heartbeatRoute);
+router.put('/:profileId/capacity', setAgentCapacityRoute);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { verifyAuth } from '../middleware/auth.js';
+import {
+  getBusinessHoursRoute,
+  updateBusinessHoursRoute,
+  getBusinessHoursStatusRoute
+} from '../controllers/business-hours.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Todas as rotas de horário de atendimento precisam de autenticação
+router.use(verifyAuth);
+
+router.get('/', getBusinessHoursRoute);
+router.put('/', updateBusinessHoursRoute);
+router.get('/status', getBusinessHoursStatusRoute);
+
+export default router;
@@ -5,7 +5,7 @@ import { createMessageRoute, deleteMessageRoute, updateMessageRoute } from '../c
 import { validateWapiNumberRoute } from '../controllers/channels/wapi.js';
 import { sendWhatsAppTemplateRoute } from '../controllers/channels/whatsapp-official.js';
 import { transferAllChatsCustomerRoute, transferChatToCustomerRoute, transferToTeamRoute, leaveAttendanceRoute, transferToAgentRoute } from '../controllers/chat/transfer-handlers.js';
-import { resolveChatRoute } from '../controllers/chat/resolve-handlers.js';
+import { resolveChatRoute, closeChatRoute } from '../controllers/chat/resolve-handlers.js';
 import { startFlowRoute } from '../controllers/chat/flow-handlers.js';
 import { deleteChatRoute } from '../controllers/chat/delete-handlers.js';
 import { generateTaskContentRoute } from '../controllers/chat/task-handlers.js';
@@ -27,6 +27,7 @@ router.delete('/:chatId/message/:messageId', deleteMessageRoute);
 router.delete('/:chatId', deleteChatRoute);
 router.post('/:chatId/send-template', sendWhatsAppTemplateRoute);
 router.post('/:chatId/generate-summary', resolveChatRoute);
+router.post('/:chatId/close', closeChatRoute);
 router.post('/:chatId/generate-task-content', generateTaskContentRoute);
 router.post('/:chatId/start-flow', startFlowRoute);
 
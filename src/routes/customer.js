@@ -1,6 +1,6 @@
 import express from 'express';
 import { verifyAuth } from '../middleware/auth.js';
-import { createCustomerRoute, importCustomersRoute, deleteCustomerRoute } from '../controllers/customer/customer-handler.js';
+import { createCustomerRoute, updateCustomerRoute, importCustomersRoute, deleteCustomerRoute } from '../controllers/customer/customer-handler.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -9,6 +9,9 @@ router.use(verifyAuth);
 
 router.post('/', createCustomerRoute);
 
+//Rota para atualizar cliente
+router.put('/:id', updateCustomerRoute);
+
 //Rota para excluir cliente
 router.delete('/:id', deleteCustomerRoute);
 
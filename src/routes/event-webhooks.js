@@ -0,0 +1,30 @@
+import express from 'express';
+import { verifyAuth } from '../middleware/auth.js';
+import {
+  listWebhookSubscriptionsRoute,
+  createWebhookSubscriptionRoute,
+  updateWebhookSubscriptionRoute,
+  deleteWebhookSubscriptionRoute,
+  rotateWebhookSecretRoute,
+  testWebhookSubscriptionRoute,
+  listWebhookDeliveriesRoute,
+  redeliverWebhookRoute
+} from '../controllers/event-webhooks.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Todas as rotas de webhooks de saída precisam de autenticação
+router.use(verifyAuth);
+
+// Entregas (antes das rotas com :subscriptionId)
+router.get('/deliveries', listWebhookDeliveriesRoute);
+router.post('/deliveries/:deliveryId/redeliver', redeliverWebhookRoute);
+
+router.get('/', listWebhookSubscriptionsRoute);
+router.post('/', createWebhookSubscriptionRoute);
+router.put('/:subscriptionId', updateWebhookSubscriptionRoute);
+router.delete('/:subscriptionId', deleteWebhookSubscriptionRoute);
+router.post('/:subscriptionId/rotate-secret', rotateWebhookSecretRoute);
+router.post('/:subscriptionId/test', testWebhookSubscriptionRoute);
+
+export default router;
@@ -2,14 +2,52 @@ import express from 'express';
 import Sentry from '../lib/sentry.js';
 import { verifyAuth } from '../middleware/auth.js';
 import { createFileRoute, deleteFileRoute } from '../controllers/flow/file.js';
-import axios from 'axios';
+import { simulateFlowRoute } from '../controllers/flow/simulate.js';
+import { validateFlowRoute, publishFlowRoute } from '../controllers/flow/publish.js';
+import {
+  listFlowVersionsRoute,
+  getFlowVersionRoute,
+  diffFlowVersionsRoute,
+  rollbackFlowVersionRoute
+} from '../controllers/flow/versions.js';
+import { getFlowAnalyticsRoute, getSplitMetricsRoute } from '../controllers/flow/analytics.js';
+import {
+  listFlowSessionsRoute,
+  getFlowSessionRoute,
+  setFlowSessionVariablesRoute,
+  deleteFlowSessionVariableRoute,
+  forceFlowSessionNodeRoute,
+  endFlowSessionRoute
+} from '../controllers/flow/sessions.js';
+import { exportFlowRoute, importFlowRoute } from '../controllers/flow/bundles.js';
+import { executeHttpRequest } from '../services/http-request.js';
 const router = express.Router({ mergeParams: true });
 
 // Todas as rotas de canal precisam de autenticação
 router.use(verifyAuth);
 
+// Administração de sessões em andamento (antes das rotas /:flowId)
+router.get('/sessions', listFlowSessionsRoute);
+router.get('/sessions/:sessionId', getFlowSessionRoute);
+router.put('/sessions/:sessionId/variables', setFlowSessionVariablesRoute);
+router.delete('/sessions/:sessionId/variables/:name', deleteFlowSessionVariableRoute);
+router.post('/sessions/:sessionId/go-to', forceFlowSessionNodeRoute);
+router.post('/sessions/:sessionId/end', endFlowSessionRoute);
+
+router.post('/import', importFlowRoute);
+
 router.post('/:flowId/file', createFileRoute);
 router.delete('/:flowId/file', deleteFileRoute);
+router.post('/:flowId/simulate', simulateFlowRoute);
+router.post('/:flowId/validate', validateFlowRoute);
+router.post('/:flowId/publish', publishFlowRoute);
+router.get('/:flowId/versions', listFlowVersionsRoute);
+router.get('/:flowId/versions/diff', diffFlowVersionsRoute);
+router.get('/:flowId/versions/:versionId', getFlowVersionRoute);
+router.post('/:flowId/versions/:versionId/rollback', rollbackFlowVersionRoute);
+router.get('/:flowId/analytics', getFlowAnalyticsRoute);
+router.get('/:flowId/analytics/splits/:nodeId', getSplitMetricsRoute);
+router.get('/:flowId/export', exportFlowRoute);
 
 /**
  * Substitui variáveis no formato {{variavel}} pelos valores de teste
@@ -33,132 +71,57 @@ function replaceVariables(text, variables) {
 
 /**
  * Rota para testar requisições HTTP a partir do backend
- * Evita problemas de CORS que ocorrem quando as requisições são feitas diretamente do frontend
+ * Evita problemas de CORS que ocorrem quando as requisições são feitas diretamente do frontend.
+ * Usa a mesma implementação do nó request (timeout, retentativas, autenticação e faixas de status)
  */
 async function testNodeRequest(req, res) {
-  try {
-    // Extrair parâmetros da requisição
-    const { method, url, headers, params, body, bodyType, timeout, variables } = req.body;
-
-    // console.log(req.body)
+  const { url, variables } = req.body;
 
-    if (!url) {
-      return res.status(400).json({
-        success: false,
-        error: 'URL é obrigatória'
-      });
-    }
-    
-    // Substituir variáveis na URL
-    let processedUrl = replaceVariables(url, variables || []);
-    
-    // Remover parâmetros da URL se existirem
-    let cleanUrl = processedUrl;
-    if (processedUrl.includes('?')) {
-      cleanUrl = processedUrl.split('?')[0];
-    }
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL é obrigatória'
+    });
+  }
 
-    // Configurar a requisição para o axios
-    const requestConfig = {
-      method: method || 'GET',
-      url: cleanUrl,
-      headers: headers || {},
-      timeout: timeout || 15000 // 15 segundos por padrão
-    };
+  try {
+    const result = await executeHttpRequest(req.body, {
+      replace: (text) => replaceVariables(text, variables || []),
+      organizationId: req.params.organizationId
+    });
 
-    // Processar headers substituindo variáveis
-    if (headers && Array.isArray(headers)) {
-      headers.forEach(header => {
-        if (header.key && header.value) {
-          const processedKey = replaceVariables(header.key, variables || []);
-          const processedValue = replaceVariables(header.value, variables || []);
-          requestConfig.headers[processedKey] = processedValue;
-        }
+    if (result.success) {
+      return res.json({
+        success: true,
+        data: result.data,
+        status: result.status,
+        headers: result.headers,
+        attempts: result.attempts,
+        durationMs: result.durationMs
       });
     }
 
-    // Adicionar parâmetros de query se fornecidos, substituindo variáveis
-    if (params && Array.isArray(params) && params.length > 0) {
-      requestConfig.params = {};
-      params.forEach(param => {
-        if (param.key && param.value) {
-          const processedKey = replaceVariables(param.key, variables || []);
-          const processedValue = replaceVariables(param.value, variables || []);
-          requestConfig.params[processedKey] = processedValue;
-        }
+    if (result.status) {
+      // Servidor respondeu com status fora da faixa de sucesso
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        data: result.data,
+        status: result.status,
+        attempts: result.attempts
       });
     }
 
-    // Adicionar corpo da requisição para métodos não-GET, substituindo variáveis
-    if (method !== 'GET' && bodyType !== 'none' && body) {
-      const processedBody = replaceVariables(body, variables || []);
-      
-      if (bodyType === 'json') {
-        try {
-          requestConfig.data = JSON.parse(processedBody);
-        } catch (error) {
-          return res.status(400).json({
-            success: false,
-            error: 'JSON inválido no corpo da requisição'
-          });
-        }
-      } else {
-        // Para outros tipos de body (form, text, etc.)
-        requestConfig.data = processedBody;
-      }
-
-      // Configurar content-type baseado no bodyType
-      if (bodyType === 'json') {
-        requestConfig.headers['Content-Type'] = 'application/json';
-      } else if (bodyType === 'form') {
-        requestConfig.headers['Content-Type'] = 'application/x-www-form-urlencoded';
-      }
-    }
-
-    // console.log('Requisição sendo feita com a configuração (após substituição de variáveis):', requestConfig);
-
-    // Fazer a requisição usando axios
-    const response = await axios(requestConfig);
-
-    // console.log('Resposta da requisição:', response.data);
-
-    // Retornar a resposta para o frontend
-    return res.json({
-      success: true,
-      data: response.data,
-      status: response.status,
-      headers: response.headers
+    // Requisição foi feita mas não houve resposta
+    return res.status(500).json({
+      success: false,
+      error: result.error,
+      attempts: result.attempts
     });
   } catch (error) {
+    // Erro na configuração da requisição (JSON inválido, preset de autenticação...)
     console.error('Erro na requisição:', error);
-    
-    // Tratamento detalhado de erro
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        // Servidor respondeu com status de erro
-        return res.status(400).json({
-          success: false,
-          error: `Erro ${error.response.status}: ${error.response.statusText || 'Erro desconhecido'}`,
-          data: error.response.data,
-          status: error.response.status
-        });
-      } else if (error.request) {
-        // Requisição foi feita mas não houve resposta
-        return res.status(500).json({
-          success: false,
-          error: 'Não foi recebida resposta do servidor remoto'
-        });
-      } else {
-        // Erro na configuração da requisição
-        return res.status(500).json({
-          success: false,
-          error: `Erro na configuração da requisição: ${error.message}`
-        });
-      }
-    }
-    
-    // Erro genérico
-    return res.status(500).json({
+    return res.status(400).json({
       success: false,
       error: error.message || 'Erro ao processar a requisição'
     });
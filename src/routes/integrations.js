@@ -6,7 +6,9 @@ import {
   getIntegration,
   validateOpenAIKey,
   testOpenAIPrompt,
-  getOpenAIModels
+  getOpenAIModels,
+  getLLMModels,
+  validateLLMCredentials
 } from '../controllers/integrations.js';
 
 const router = express.Router({ mergeParams: true });
@@ -22,10 +24,16 @@ router.put('/:id', updateIntegration);
 // Rota específica para validação de chave OpenAI
 router.post('/openai/validate', validateOpenAIKey);
 
-// Rota para testar prompts com OpenAI
+// Validação de credenciais de qualquer provedor de LLM (OpenAI, Anthropic, Gemini, Azure OpenAI ou compatível)
+router.post('/llm/validate', validateLLMCredentials);
+
+// Rota para testar prompts no provedor de LLM da integração
 router.post('/:id/test-prompt', testOpenAIPrompt);
 
 // Rota para buscar modelos disponíveis da OpenAI
 router.get('/:id/openai-models', getOpenAIModels);
 
+// Rota para buscar modelos disponíveis em integrações de qualquer provedor de LLM
+router.get('/:id/models', getLLMModels);
+
 export default router;
\ No newline at end of file
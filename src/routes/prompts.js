@@ -12,6 +12,13 @@ import {
   generatePromptWithOpenAI,
   generateResponseUnknownWithOpenAI
 } from '../controllers/prompts.js';
+import {
+  listKnowledgeDocumentsRoute,
+  createKnowledgeDocumentRoute,
+  deleteKnowledgeDocumentRoute,
+  reindexKnowledgeRoute,
+  listKnowledgeRetrievalsRoute
+} from '../controllers/knowledge-base.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -27,6 +34,14 @@ router.delete('/:id', deletePrompt);
 router.post('/:id/media', uploadImage);
 router.delete('/:id/media/:mediaId', deleteMedia);
 
+// Base de conhecimento do prompt (documentos indexados para RAG)
+router.get('/:id/knowledge', listKnowledgeDocumentsRoute);
+router.post('/:id/knowledge', createKnowledgeDocumentRoute);
+router.post('/:id/knowledge/reindex', reindexKnowledgeRoute);
+router.get('/:id/knowledge/retrievals', listKnowledgeRetrievalsRoute);
+router.delete('/:id/knowledge/:documentId', deleteKnowledgeDocumentRoute);
+router.post('/:id/knowledge/:documentId/reindex', reindexKnowledgeRoute);
+
 // Rota para melhorar texto com OpenAI usando um prompt específico
 router.post('/:id/improve-text', improveTextWithOpenAI);
 router.post('/:id/generate-response-unknown', generateResponseUnknownWithOpenAI);
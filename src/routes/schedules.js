@@ -1,6 +1,7 @@
 import express from 'express';
 import { verifyAuth } from '../middleware/auth.js';
 import notificationRoutes from './scheduleNotifications.js';
+import { createAppointmentRoute, cancelAppointmentRoute } from '../controllers/schedules/appointments.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -11,4 +12,8 @@ router.use(verifyAuth);
 // Rotas de notificações de agendamento
 router.use('/notifications', notificationRoutes);
 
+// Rotas de agendamentos
+router.post('/appointments/:appointmentId/cancel', cancelAppointmentRoute);
+router.post('/:scheduleId/appointments', createAppointmentRoute);
+
 export default router; 
\ No newline at end of file
@@ -21,6 +21,9 @@ import scheduleRoutes from './routes/schedules.js';
 import customerRoutes from './routes/customer.js';
 import taskRoutes from './routes/tasks.js';
 import bulkMessageRoutes from './routes/bulk-messages.js';
+import businessHoursRoutes from './routes/business-hours.js';
+import agentPresenceRoutes from './routes/agent-presence.js';
+import eventWebhookRoutes from './routes/event-webhooks.js';
 import { setupCronJobs } from './cron/index.js';
 import { handleWebhook } from './controllers/stripe.js';
 import { testEmailConnection } from './controllers/member.js';
@@ -98,6 +101,9 @@ app.use('/api/:organizationId/schedules', scheduleRoutes);
 app.use('/api/:organizationId/customers', customerRoutes);
 app.use('/api/:organizationId/tasks', taskRoutes);
 app.use('/api/:organizationId/bulk-messages', bulkMessageRoutes);
+app.use('/api/:organizationId/business-hours', businessHoursRoutes);
+app.use('/api/:organizationId/presence', agentPresenceRoutes);
+app.use('/api/:organizationId/webhook-subscriptions', eventWebhookRoutes);
 app.use('/api/monitoring', monitoringRoutes);
 app.use('/api/agent-ia', agentIARoutes);
 app.post('/api/test-email-connection', testEmailConnection);
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Anexos do cliente no contexto do AgentIA: imagens recentes entram como entrada visual
+ * (quando o modelo aceita imagens) e documentos recentes entram com o texto extraído.
+ *
+ * Configuração em prompts.config.vision:
+ *   { images (padrão: true se o modelo aceita imagens), documents (padrão true), max_images (3),
+ *     max_image_size_mb (5), max_document_chars (15000), lookback_messages (20) }
+ *
+ * O texto extraído de cada documento fica em messages.metadata.extracted_text e é reaproveitado nas
+ * próximas respostas, como a transcrição de áudio. Com a memória ativa, o texto dos documentos também
+ * precisa caber no que sobra de prompts.config.memory.max_context_tokens depois das mensagens.
+ */
+import axios from 'axios';
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { supportsVision } from './llm-providers.js';
+import { MAX_KNOWLEDGE_FILE_SIZE, extractDocumentText, getKnowledgeSourceType } from './knowledge-base.js';
+
+const DEFAULT_MAX_IMAGES = 3;
+const DEFAULT_MAX_IMAGE_SIZE_MB = 5;
+const DEFAULT_MAX_DOCUMENT_CHARS = 15000;
+const DEFAULT_LOOKBACK_MESSAGES = 20;
+
+const DOWNLOAD_TIMEOUT = 30000;
+
+// Formatos aceitos como imagem pelos provedores (OpenAI, Anthropic e Gemini)
+const VISION_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Lê a configuração de anexos do prompt aplicando os padrões
+ * @param {Object} prompt - Prompt do agente
+ * @param {Object} integration - Integração de LLM usada na resposta
+ * @returns {Object} - { images, documents, maxImages, maxImageBytes, maxDocumentChars, lookbackMessages }
+ */
+export const getVisionSettings = (prompt, integration) => {
+  const config = prompt.config?.vision || {};
+
+  return {
+    images: config.images ?? supportsVision(integration, prompt.model),
+    documents: config.documents ?? true,
+    maxImages: Math.max(Number(config.max_images ?? DEFAULT_MAX_IMAGES), 0),
+    maxImageBytes: Number(config.max_image_size_mb || DEFAULT_MAX_IMAGE_SIZE_MB) * 1024 * 1024,
+    maxDocumentChars: Number(config.max_document_chars || DEFAULT_MAX_DOCUMENT_CHARS),
+    lookbackMessages: Number(config.lookback_messages || DEFAULT_LOOKBACK_MESSAGES)
+  };
+};
+
+/**
+ * Baixa um anexo respeitando o tamanho máximo
+ * @param {string} url - URL do anexo
+ * @param {number} maxBytes - Tamanho máximo em bytes
+ * @returns {Object} - { buffer, contentType }
+ */
+const downloadAttachment = async (url, maxBytes) => {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT,
+    maxContentLength: maxBytes
+  });
+
+  return {
+    buffer: Buffer.from(response.data),
+    contentType: response.headers['content-type']?.split(';')[0]
+  };
+};
+
+/**
+ * Carrega uma imagem como data URL, para que o provedor não precise acessar a URL do anexo
+ * @param {Object} attachment - Anexo da mensagem ({ url, mime_type })
+ * @param {number} maxBytes - Tamanho máximo em bytes
+ * @returns {string|null} - Data URL ou null se o formato não for suportado
+ */
+const loadImageAsDataUrl = async (attachment, maxBytes) => {
+  const { buffer, contentType } = await downloadAttachment(attachment.url, maxBytes);
+  const mimeType = VISION_MIME_TYPES.includes(attachment.mime_type) ? attachment.mime_type : contentType;
+  if (!VISION_MIME_TYPES.includes(mimeType)) return null;
+
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+};
+
+/**
+ * Retorna o texto de um documento, extraindo e gravando em metadata.extracted_text na primeira vez
+ * @param {Object} msg - Mensagem do tipo document
+ * @param {Object} attachment - Anexo da mensagem
+ * @returns {string|null} - Texto extraído ou null se o formato não for suportado
+ */
+const getDocumentText = async (msg, attachment) => {
+  if (typeof msg.metadata?.extracted_text === 'string') return msg.metadata.extracted_text;
+
+  const sourceType = getKnowledgeSourceType(attachment.mime_type, attachment.name);
+  if (!sourceType) return null;
+
+  const { buffer } = await downloadAttachment(attachment.url, MAX_KNOWLEDGE_FILE_SIZE);
+  const text = (await extractDocumentText(buffer, sourceType)).trim();
+
+  const { error } = await supabase
+    .from('messages')
+    .update({ metadata: { ...(msg.metadata || {}), extracted_text: text } })
+    .eq('id', msg.id);
+
+  if (error) {
+    console.error('[getDocumentText] Erro ao salvar texto extraído:', error);
+    Sentry.captureException(error);
+  }
+
+  return text;
+};
+
+/**
+ * Prepara os anexos das mensagens recentes do cliente. Falhas em um anexo não interrompem os demais:
+ * o anexo fica apenas com a descrição em texto. Com maxTotalDocumentChars, o texto dos documentos é limitado
+ * no total (os mais recentes têm prioridade), para caber no orçamento de tokens do prompt
+ * @param {Array} chatMessages - Mensagens do chat em ordem cronológica
+ * @param {Object} settings - Retorno de getVisionSettings, opcionalmente com maxTotalDocumentChars
+ * @returns {Map<string, Object>} - Por ID da mensagem: { image: dataUrl } ou { text }
+ */
+export const loadRecentAttachments = async (chatMessages = [], settings) => {
+  const attachments = new Map();
+  if (!settings.images && !settings.documents) return attachments;
+
+  const recent = chatMessages
+    .slice(-settings.lookbackMessages)
+    .filter(msg => msg.sender_type === 'customer' && msg.attachments?.[0]?.url);
+
+  // Apenas as imagens mais recentes, até o limite configurado
+  const images = settings.images
+    ? recent.filter(msg => msg.type === 'image').slice(-settings.maxImages)
+    : [];
+  const documents = settings.documents ? recent.filter(msg => msg.type === 'document') : [];
+
+  for (const msg of images) {
+    const attachment = msg.attachments[0];
+    try {
+      const dataUrl = await loadImageAsDataUrl(attachment, settings.maxImageBytes);
+      if (dataUrl) attachments.set(msg.id, { image: dataUrl });
+    } catch (error) {
+      // Imagem acima do limite ou indisponível: o modelo é avisado em vez de receber a imagem
+      console.error(`[loadRecentAttachments] Erro ao carregar imagem da mensagem ${msg.id}:`, error.message);
+      attachments.set(msg.id, { text: '(image not available to the model: file too large or could not be downloaded)' });
+    }
+  }
+
+  let remainingChars = settings.maxTotalDocumentChars ?? Infinity;
+  for (const msg of [...documents].reverse()) {
+    const attachment = msg.attachments[0];
+    try {
+      if (remainingChars <= 0) {
+        attachments.set(msg.id, { text: '(document content not included: the conversation context limit was reached)' });
+        continue;
+      }
+
+      const text = await getDocumentText(msg, attachment);
+      if (!text) continue;
+
+      const maxChars = Math.min(settings.maxDocumentChars, remainingChars);
+      const truncated = text.length > maxChars;
+      remainingChars -= Math.min(text.length, maxChars);
+      attachments.set(msg.id, {
+        text: `Document content:\n"""\n${text.slice(0, maxChars)}${truncated ? '\n[...truncated]' : ''}\n"""`
+      });
+    } catch (error) {
+      console.error(`[loadRecentAttachments] Erro ao extrair texto do documento da mensagem ${msg.id}:`, error.message);
+      Sentry.captureException(error);
+    }
+  }
+
+  return attachments;
+};
@@ -2,6 +2,8 @@ import { supabase } from '../lib/supabase.js';
 import Sentry from '../lib/sentry.js';
 import crypto from 'crypto';
 import { transferToTeam } from '../controllers/chat/transfer-handlers.js';
+import { MASK_FORMATS, isValidMaskFormat } from '../utils/validators.js';
+import { emitWebhookEvent } from './event-webhooks.js';
 /**
  * @fileoverview Implementação das ações do sistema para o AgentIA.
  * 
@@ -772,39 +774,10 @@ export const handleSystemToolCall = async (
                 break;
               case 'text':
                 // Verificar máscaras específicas
-                if (field.mask_type) {
-                  switch (field.mask_type) {
-                    case 'cpf':
-                      if (!/^\d{3}\.\d{3}\.\d{3}-\d{2}$/.test(value)) {
-                        errors.push(`Invalid CPF format for field "${field.name}". Expected format: 123.456.789-01`);
-                        isValid = false;
-                      }
-                      break;
-                    case 'cnpj':
-                      if (!/^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/.test(value)) {
-                        errors.push(`Invalid CNPJ format for field "${field.name}". Expected format: 12.345.678/0001-90`);
-                        isValid = false;
-                      }
-                      break;
-                    case 'phone':
-                      if (!/^\(\d{2}\) \d{5}-\d{4}$/.test(value)) {
-                        errors.push(`Invalid phone format for field "${field.name}". Expected format: (00) 00000-0000`);
-                        isValid = false;
-                      }
-                      break;
-                    case 'cep':
-                      if (!/^\d{5}-\d{3}$/.test(value)) {
-                        errors.push(`Invalid CEP format for field "${field.name}". Expected format: 00000-000`);
-                        isValid = false;
-                      }
-                      break;
-                    case 'rg':
-                      if (!/^\d{2}\.\d{3}\.\d{3}-\d{1}$/.test(value)) {
-                        errors.push(`Invalid RG format for field "${field.name}". Expected format: 00.000.000-0`);
-                        isValid = false;
-                      }
-                      break;
-                  }
+                if (field.mask_type && !isValidMaskFormat(field.mask_type, value)) {
+                  const mask = MASK_FORMATS[field.mask_type];
+                  errors.push(`Invalid ${mask.label} format for field "${field.name}". Expected format: ${mask.example}`);
+                  isValid = false;
                 }
                 break;
             }
@@ -907,6 +880,12 @@ export const handleSystemToolCall = async (
           };
         }
 
+        emitWebhookEvent(session.organization_id, 'customer.updated', {
+          customer_id: session.customer_id,
+          changes: { name: args.name },
+          source: 'agent_ia'
+        });
+
         return {
           status: "success",
           message: "Customer name updated successfully.",
@@ -1121,6 +1100,12 @@ export const handleSystemToolCall = async (
           };
         }
 
+        emitWebhookEvent(session.organization_id, 'customer.updated', {
+          customer_id: session.customer_id,
+          changes: { stage_id: targetStageId },
+          source: 'agent_ia'
+        });
+
         // Registrar a mudança no histórico do CRM (opcional)
         try {
           await supabase
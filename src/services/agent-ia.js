@@ -1,10 +1,21 @@
 import { supabase } from '../lib/supabase.js';
-import { OpenAI } from 'openai';
-import { decrypt } from '../utils/crypto.js';
 import Sentry from '../lib/sentry.js';
 import crypto from 'crypto';
 import { generateSystemTools, handleSystemToolCall } from './agent-ia-actions.js';
 import { pauseFlow } from './flow-engine.js';
+import { getBusinessCalendar, describeBusinessHours } from './business-hours.js';
+import { emitWebhookEvent } from './event-webhooks.js';
+import { createChatCompletion, getLLMIntegration, reportLLMUsage } from './llm-providers.js';
+import { retrieveKnowledge, formatKnowledgeContext } from './knowledge-base.js';
+import { getVisionSettings, loadRecentAttachments } from './agent-attachments.js';
+import {
+  getMemorySettings,
+  getChatMemory,
+  selectContextWindow,
+  updateChatMemory,
+  formatMemoryContext,
+  getRemainingContextTokens
+} from './agent-memory.js';
 
 /**
  * @fileoverview Implementação do nó AgentIA para o flow-engine.
@@ -89,23 +100,12 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
     session.prompt = prompt;
 
     if(!prompt.integration_id) {
-      console.error('[processAgentIA] Integração com OpenAI não está vinculada ao AgentIA');
-      throw new Error('Integração com OpenAI não está vinculada ao AgentIA');
+      console.error('[processAgentIA] Integração de LLM não está vinculada ao AgentIA');
+      throw new Error('Integração de LLM não está vinculada ao AgentIA');
     }
 
-    // Buscar a integração associada ao prompt
-    const { data: integration, error: integrationError } = await supabase
-      .from('integrations')
-      .select('*')
-      .eq('id', prompt.integration_id)
-      .eq('type', 'openai')
-      .eq('status', 'active')
-      .single();
-
-    if (integrationError) {
-      console.error('[processAgentIA] Erro ao buscar integração:', integrationError);
-      throw integrationError;
-    }
+    // Buscar a integração associada ao prompt (OpenAI, Anthropic, Gemini, Azure OpenAI ou compatível)
+    const integration = await getLLMIntegration(prompt.integration_id, prompt.organization_id);
     if (!integration) {
       console.error(`[processAgentIA] Integração não encontrada com ID ${prompt.integration_id}`);
       return {
@@ -114,23 +114,8 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
       };
     }
 
-    // Descriptografar a chave da API OpenAI
-    const decryptedApiKey = decrypt(integration.credentials.api_key);
-    if (!decryptedApiKey) {
-      console.error('[processAgentIA] Erro ao descriptografar chave da API OpenAI');
-      return {
-        success: false,
-        instructions: "There was an error decrypting the OpenAI API key. Please check the integration configuration."
-      };
-    }
-
-    // Inicializar o cliente OpenAI com a chave da API
-    const openai = new OpenAI({
-      apiKey: decryptedApiKey,
-    });
-
     // Preparar mensagens do contexto
-    const messages = await prepareContextMessages(prompt, session);
+    const messages = await prepareContextMessages(prompt, session, integration);
 
     // Determinar quais ferramentas do sistema utilizar com base nas actions configuradas no prompt
     let systemToolTypes = [];
@@ -180,30 +165,26 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
 
     // console.log(`[AgentIA] Messages: ${JSON.stringify(messages)}`);
 
-    // Fazer chamada para o OpenAI
-    const completion = await openai.chat.completions.create({
-      model: prompt.model || 'gpt-4o',
+    // Fazer chamada para o provedor de LLM
+    const completion = await createChatCompletion({
+      integration,
+      model: prompt.model,
       messages,
       temperature: prompt.temperature || 0.7,
-      // max_tokens: prompt.max_tokens || 150,
-      tools: tools.length > 0 ? tools : undefined,
-      tool_choice: tools.length > 0 ? "auto" : undefined
+      tools
     });
-    
+    reportAgentUsage(completion, integration, prompt, session);
 
-    // Processar resposta
-    const choice = completion.choices[0];
-    
     // Se houver chamadas de ferramentas
-    if (choice.message.tool_calls) {
-      console.log(`[processAgentIA] Ferramentas encontradas: ${choice.message.tool_calls.length}`);
+    if (completion.message.tool_calls) {
+      console.log(`[processAgentIA] Ferramentas encontradas: ${completion.message.tool_calls.length}`);
       let toolResults = [];
       let redirectionResult = null; // Para armazenar resultado de redirecionamento
       let pauseResult = null; // Para armazenar resultado de pausa
       let hasRedirection = false; // Flag para detectar se alguma ferramenta tem redirecionamento
       let hasPause = false; // Flag para detectar se alguma ferramenta tem pausa
       
-      for (const toolCall of choice.message.tool_calls) {
+      for (const toolCall of completion.message.tool_calls) {
         // Primeiro, tentar encontrar a ferramenta entre as ferramentas personalizadas
         let tool = customTools.find(t => t.name === toolCall.function.name);
         if(tool) {
@@ -352,7 +333,7 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
         followUpMessages.push({
           role: 'assistant',
           content: null,
-          tool_calls: choice.message.tool_calls
+          tool_calls: completion.message.tool_calls
         });
         
         // Add tool results with improved format
@@ -405,15 +386,16 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
         console.log(`[AgentIA] Sending tool results for contextualization`);
         
         try {
-          const followUpCompletion = await openai.chat.completions.create({
-            model: prompt.model || 'gpt-4o',
+          const followUpCompletion = await createChatCompletion({
+            integration,
+            model: prompt.model,
             messages: followUpMessages,
-            temperature: prompt.temperature || 0.7,
-            // max_tokens: prompt.max_tokens || 150
+            temperature: prompt.temperature || 0.7
           });
+          reportAgentUsage(followUpCompletion, integration, prompt, session);
           
           // Obter a resposta contextualizada
-          const contextualizedResponse = followUpCompletion.choices[0].message.content;
+          const contextualizedResponse = followUpCompletion.content;
 
           
           // Se tiver especificado um nome de variável para salvar a resposta
@@ -447,14 +429,15 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
             };
           }
         } catch (followUpError) {
-          console.error('[processAgentIA] Erro no follow-up da OpenAI:', followUpError);
+          console.error('[processAgentIA] Erro no follow-up do LLM:', followUpError);
           Sentry.captureException(followUpError, {
             tags: {
-              type: 'openai_followup_error',
-              model: prompt.model || 'gpt-4o'
+              type: 'llm_followup_error',
+              provider: integration.type,
+              model: completion.model
             },
             extra: {
-              toolCallsCount: choice.message.tool_calls.length,
+              toolCallsCount: completion.message.tool_calls.length,
               toolResultsCount: toolResults.length
             }
           });
@@ -489,7 +472,7 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
           }
           
           // Continua o fluxo normalmente mesmo com erro no follow-up
-          console.log('[processAgentIA] Continuando fluxo apesar do erro no follow-up da OpenAI');
+          console.log('[processAgentIA] Continuando fluxo apesar do erro no follow-up do LLM');
         }
       }
       
@@ -500,7 +483,7 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
     }
 
     // Se for resposta textual
-    const responseText = choice.message.content;
+    const responseText = completion.message.content;
     
     // Se tiver especificado um nome de variável para salvar a resposta
     if (node.data.agenteia.variableName) {
@@ -541,13 +524,33 @@ export const processAgentIA = async (node, session, sendMessage, updateSession)
   }
 };
 
+/**
+ * Registra o consumo de tokens de uma chamada do AgentIA, sem aguardar
+ * @param {Object} completion - Retorno de createChatCompletion
+ * @param {Object} integration - Integração usada
+ * @param {Object} prompt - Prompt do agente
+ * @param {Object} session - Sessão atual
+ */
+const reportAgentUsage = (completion, integration, prompt, session) => {
+  reportLLMUsage({
+    organizationId: session.organization_id || integration.organization_id,
+    integration,
+    completion,
+    promptId: prompt.id,
+    chatId: session.chat_id,
+    customerId: session.customer_id,
+    metadata: { source: 'agent_ia', flow_session_id: session.id }
+  });
+};
+
 /**
  * Prepara as mensagens do contexto para enviar ao modelo
  * @param {Object} prompt - Informações do prompt
  * @param {Object} session - Sessão atual
+ * @param {Object} integration - Integração de LLM, usada para saber se o modelo aceita imagens
  * @returns {Array} - Array de mensagens para o contexto
  */
-const prepareContextMessages = async (prompt, session) => {
+const prepareContextMessages = async (prompt, session, integration) => {
   const messages = [];
 
   // Adicionar informações contextuais sobre data e cliente
@@ -578,6 +581,19 @@ const prepareContextMessages = async (prompt, session) => {
     
     let contextInfo = `[### SYSTEM CONTEXT INFO: \nToday is ${currentDate} (${weekday}), current time is ${currentTime} (${timezone} timezone).`;
 
+    // Horário de atendimento da organização, para o agente saber quando a equipe está disponível
+    if (session.organization_id && prompt.config?.include_business_hours !== false) {
+      try {
+        const calendar = await getBusinessCalendar(session.organization_id);
+        if (calendar) {
+          contextInfo += `\n\n--- \n\n${describeBusinessHours(calendar)}`;
+        }
+      } catch (calendarError) {
+        console.error('[prepareContextMessages] Erro ao buscar horário de atendimento:', calendarError);
+        // Continuar sem o horário de atendimento
+      }
+    }
+
     // Verificar se há um customer_id na sessão
     if (session.customer_id) {
       try {
@@ -817,123 +833,210 @@ const prepareContextMessages = async (prompt, session) => {
     }
   }
 
+  // Memória da conversa: mensagens já resumidas não são buscadas novamente
+  const memorySettings = getMemorySettings(prompt);
+  let memory = null;
+  if (memorySettings.enabled) {
+    try {
+      memory = await getChatMemory(session.chat_id);
+    } catch (memoryError) {
+      console.error('[prepareContextMessages] Erro ao buscar memória do chat:', memoryError);
+      // Continuar com o histórico completo
+    }
+  }
+
   // Buscar apenas mensagens do chat atual
-  const { data: chatMessages } = await supabase
+  let messagesQuery = supabase
     .from('messages')
     .select('*')
     .eq('chat_id', session.chat_id)
     // .in('sender_type', ['customer', 'agent', 'system'])
     // .not('content', 'is', null)
     .neq('status', 'deleted')
-    .neq('status', 'scheduled')
-    .order('created_at', { ascending: true });
+    .neq('status', 'scheduled');
+
+  if (memory?.summarized_until) {
+    messagesQuery = messagesQuery.gt('created_at', memory.summarized_until);
+  }
+
+  const { data: chatMessages } = await messagesQuery.order('created_at', { ascending: true });
 
   // console.log('[prepareContextMessages] chatMessages', chatMessages)
 
+  // Conteúdo em texto de cada mensagem; mensagens sem conteúdo ficam fora do contexto
+  const entries = (chatMessages || [])
+    .map(msg => ({ msg, content: getMessageContent(msg) }))
+    .filter(entry => entry.content);
+
+  // Mensagens antigas entram no resumo; as últimas seguem na íntegra dentro do orçamento de tokens do prompt
+  let summary = memory?.summary || null;
+  let recentEntries = entries;
+  if (memorySettings.enabled) {
+    const { older, recent } = selectContextWindow(entries, memorySettings);
+    if (older.length > 0) {
+      try {
+        summary = await updateChatMemory({ memory, entries: older, prompt, integration, session });
+        recentEntries = recent;
+      } catch (memoryError) {
+        console.error('[prepareContextMessages] Erro ao atualizar memória do chat:', memoryError);
+        Sentry.captureException(memoryError);
+        // Continuar com as mensagens antigas na íntegra
+      }
+    }
+  }
+
+  if (summary) {
+    const firstNonSystem = messages.findIndex(message => message.role !== 'system');
+    messages.splice(firstNonSystem === -1 ? messages.length : firstNonSystem, 0, {
+      role: 'system',
+      content: formatMemoryContext(summary)
+    });
+  }
+
+  // Imagens e documentos recentes do cliente. O texto dos documentos usa apenas o que sobra do orçamento de tokens
+  let recentAttachments = new Map();
+  try {
+    const visionSettings = getVisionSettings(prompt, integration);
+    if (memorySettings.enabled) {
+      visionSettings.maxTotalDocumentChars = getRemainingContextTokens(recentEntries, memorySettings) * 4;
+    }
+    recentAttachments = await loadRecentAttachments(recentEntries.map(entry => entry.msg), visionSettings);
+  } catch (attachmentsError) {
+    console.error('[prepareContextMessages] Erro ao carregar anexos:', attachmentsError);
+    Sentry.captureException(attachmentsError);
+    // Continuar apenas com a descrição dos anexos
+  }
+
   // Agrupar mensagens consecutivas do mesmo remetente
   let currentSenderType = null;
   let groupedContent = '';
+  let groupedImages = [];
+
+  // Adiciona o grupo atual; com imagens o conteúdo vira uma lista de partes (texto + imagens)
+  const pushGroup = () => {
+    messages.push({
+      role: currentSenderType === 'customer' ? 'user' : 'assistant',
+      content: groupedImages.length > 0
+        ? [{ type: 'text', text: groupedContent }, ...groupedImages]
+        : groupedContent
+    });
+  };
 
-  console.log('[prepareContextMessages] chatMessages length', chatMessages?.length)
+  console.log('[prepareContextMessages] chatMessages length', chatMessages?.length, 'recent', recentEntries.length)
   // Processar cada mensagem uma vez para agrupamento
-  for (let index = 0; index < chatMessages?.length; index++) {
-    const msg = chatMessages[index];
-    
-    // Adicionar timestamp da mensagem
-    const messageDate = new Date(msg.created_at);
-    
-    // Obter timezone da configuração do prompt ou usar padrão
-    const timezone = prompt.config?.timezone || 'America/Sao_Paulo';
-    
-    const formattedDate = messageDate.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long', 
-      day: 'numeric',
-      timeZone: timezone
-    });
-    
-    const formattedTime = messageDate.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false,
-      timeZone: timezone
-    });
-    
-    let content = '';
-    if((msg.sender_type === 'customer' || msg.sender_type === 'agent') && (msg.type === 'text' || msg.content)) {
-      content = msg.content;
-    } else if(msg.sender_type === 'system' && msg.type === 'text' && msg.content) {
-      content = `[Instructions to model: ${msg.content}]`;
-    } else if(msg.type === 'image') {
-      content = `[Image]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');
-    } else if(msg.type === 'audio') {
-      content = `[Audio]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');  
-    } else if(msg.type === 'video') {
-      content = `[Video]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');
-    } else if(msg.type === 'document') {
-      content = `[Document]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '')   ;
-    } else if(msg.type === 'sticker') {
-      content = `[Sticker]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');
-    } else if(msg.type === 'location') {
-      content = `[Location]` + (msg.content ? ` - ${msg.content}` : '');
-    } else if(msg.type === 'instructions_model' && msg.content) {
-      content = `[Instructions to model: ${msg.content}]`;
-    } else if(msg.type === 'team_transferred') {
-      content = `[Team transferred]`;
-    } else if(msg.type === 'user_transferred') {
-      content = `[User transferred]`;
-    }
-
-    // console.log('[prepareContextMessages] content', content)
-
-    if(!content) continue;
-
-    // Se é a primeira mensagem, inicializar o agrupamento
-    if (currentSenderType === null) {
-      currentSenderType = msg.sender_type;
-      groupedContent = content;
-      
-      // Se for a única mensagem, adicionar diretamente
-      if (index === chatMessages.length - 1) {
-        messages.push({
-          role: currentSenderType === 'customer' ? 'user' : 'assistant',
-          content: groupedContent
-        });
-      }
-      
-      continue;
+  for (const entry of recentEntries) {
+    const { msg } = entry;
+    let content = entry.content;
+
+    const attachment = recentAttachments.get(msg.id);
+    if (attachment?.text) {
+      content += `\n${attachment.text}`;
     }
 
     // Verificar se o remetente mudou
-    if (msg.sender_type !== currentSenderType) {
+    if (currentSenderType !== null && msg.sender_type !== currentSenderType) {
       // Adicionar mensagem agrupada anterior às mensagens do contexto
-      messages.push({
-        role: currentSenderType === 'customer' ? 'user' : 'assistant',
-        content: groupedContent
-      });
-      
+      pushGroup();
+      currentSenderType = null;
+    }
+
+    if (currentSenderType === null) {
       // Iniciar novo grupo
       currentSenderType = msg.sender_type;
       groupedContent = content;
+      groupedImages = [];
     } else {
       // Mesmo remetente, adicionar à mensagem agrupada atual
       groupedContent += `\n\n${content}`;
     }
 
-    // Se é a última mensagem, adicionar o grupo atual
-    if (index === chatMessages.length - 1) {
-      messages.push({
-        role: currentSenderType === 'customer' ? 'user' : 'assistant',
-        content: groupedContent
-      });
+    if (attachment?.image) {
+      groupedImages.push({ type: 'image_url', image_url: { url: attachment.image } });
     }
   }
+
+  // Adicionar o último grupo
+  if (currentSenderType !== null) {
+    pushGroup();
+  }
   
+  // Base de conhecimento: trechos relevantes para as últimas mensagens do cliente, logo após as instruções de sistema
+  try {
+    const knowledgeChunks = await retrieveKnowledge({
+      prompt,
+      query: getLatestCustomerText(chatMessages),
+      session
+    });
+
+    if (knowledgeChunks.length > 0) {
+      const firstNonSystem = messages.findIndex(message => message.role !== 'system');
+      messages.splice(firstNonSystem === -1 ? messages.length : firstNonSystem, 0, {
+        role: 'system',
+        content: formatKnowledgeContext(knowledgeChunks)
+      });
+    }
+  } catch (knowledgeError) {
+    console.error('[prepareContextMessages] Erro ao consultar a base de conhecimento:', knowledgeError);
+    Sentry.captureException(knowledgeError);
+    // Continuar sem a base de conhecimento
+  }
 
   // console.log('[prepareContextMessages] messages', messages)
   return messages;
 };
 
+/**
+ * Converte uma mensagem do chat em texto para o contexto do modelo. Anexos viram uma descrição ([Image] - nome)
+ * @param {Object} msg - Mensagem do chat
+ * @returns {string} - Conteúdo ou string vazia se a mensagem não entra no contexto
+ */
+const getMessageContent = (msg) => {
+  let content = '';
+  if((msg.sender_type === 'customer' || msg.sender_type === 'agent') && (msg.type === 'text' || msg.content)) {
+    content = msg.content;
+  } else if(msg.sender_type === 'system' && msg.type === 'text' && msg.content) {
+    content = `[Instructions to model: ${msg.content}]`;
+  } else if(msg.type === 'image') {
+    content = `[Image]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');
+  } else if(msg.type === 'audio') {
+    content = `[Audio]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');  
+  } else if(msg.type === 'video') {
+    content = `[Video]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');
+  } else if(msg.type === 'document') {
+    content = `[Document]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '')   ;
+  } else if(msg.type === 'sticker') {
+    content = `[Sticker]` + (msg.attachments?.[0]?.name ? ` - ${msg.attachments?.[0]?.name}` : '');
+  } else if(msg.type === 'location') {
+    content = `[Location]` + (msg.content ? ` - ${msg.content}` : '');
+  } else if(msg.type === 'instructions_model' && msg.content) {
+    content = `[Instructions to model: ${msg.content}]`;
+  } else if(msg.type === 'team_transferred') {
+    content = `[Team transferred]`;
+  } else if(msg.type === 'user_transferred') {
+    content = `[User transferred]`;
+  }
+
+  return content || '';
+};
+
+/**
+ * Retorna o texto das mensagens do cliente enviadas depois da última resposta, usado como consulta à base de conhecimento
+ * @param {Array} chatMessages - Mensagens do chat em ordem cronológica
+ * @returns {string}
+ */
+const getLatestCustomerText = (chatMessages = []) => {
+  const texts = [];
+  for (let index = chatMessages.length - 1; index >= 0; index--) {
+    const msg = chatMessages[index];
+    if (msg.sender_type === 'customer') {
+      if (msg.content) texts.unshift(msg.content);
+    } else if (msg.sender_type === 'agent' && texts.length) {
+      break;
+    }
+  }
+  return texts.join('\n');
+};
+
 /**
  * Prepara as ferramentas para enviar ao modelo
  * @param {Array} tools - Array de ferramentas
@@ -2319,6 +2422,8 @@ const createAppointment = async (scheduleId, customerId, date, time, serviceId,
       throw appointmentError;
     }
 
+    emitWebhookEvent(session.organization_id, 'appointment.created', { appointment, source: 'agent_ia' });
+
     // Buscar informações do cliente para a notificação
     const { data: customer } = await supabase
       .from('customers')
@@ -2727,6 +2832,11 @@ const deleteAppointment = async (appointmentId, customerId, date) => {
 
       if (updateError) throw updateError;
 
+      emitWebhookEvent(appointment.organization_id, 'appointment.cancelled', {
+        appointment: { ...appointment, status: 'canceled' },
+        source: 'agent_ia'
+      });
+
       return {
         success: true,
         message: `Agendamento para ${appointment.date} às ${appointment.start_time} cancelado com sucesso.`,
@@ -2753,6 +2863,7 @@ const deleteAppointment = async (appointmentId, customerId, date) => {
           schedule_id,
           service_id,
           provider_id,
+          organization_id,
           schedule_services(title),
           metadata
         `)
@@ -2790,6 +2901,10 @@ const deleteAppointment = async (appointmentId, customerId, date) => {
           .eq('id', appointment.id);
         
         if (!updateError) {
+          emitWebhookEvent(appointment.organization_id, 'appointment.cancelled', {
+            appointment: { ...appointment, status: 'canceled' },
+            source: 'agent_ia'
+          });
           canceledCount++;
           canceledAppointments.push({
             id: appointment.id,
@@ -2895,6 +3010,7 @@ const deleteAppointment = async (appointmentId, customerId, date) => {
         schedule_id,
         service_id,
         provider_id,
+        organization_id,
         schedule_services(title),
         metadata
       `)
@@ -2931,6 +3047,11 @@ const deleteAppointment = async (appointmentId, customerId, date) => {
     if (updateError) {
       throw updateError;
     }
+
+    emitWebhookEvent(appointment.organization_id, 'appointment.cancelled', {
+      appointment: { ...appointment, status: 'canceled' },
+      source: 'agent_ia'
+    });
     
     // Buscar informações do cliente para a notificação
     const { data: customer } = await supabase
@@ -3213,6 +3334,12 @@ const processUpdateCustomerAction = async (action, args, session) => {
       if (error) {
         throw error;
       }
+
+      emitWebhookEvent(session.organization_id, 'customer.updated', {
+        customer_id: session.customer_id,
+        changes: updates,
+        source: 'agent_ia'
+      });
       
       // Buscar o cliente atualizado
       const { data: customer } = await supabase
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Memória de conversas longas do AgentIA: as mensagens mais antigas do chat são condensadas
+ * em um resumo contínuo, atualizado de forma incremental, e apenas as últimas mensagens vão na íntegra
+ * para o modelo, dentro de um orçamento de tokens por prompt.
+ *
+ * Tabela chat_memories (um registro por chat):
+ *   chat_id uuid primary key (on delete cascade), organization_id uuid, summary text,
+ *   summarized_until timestamptz (created_at da última mensagem incluída no resumo),
+ *   last_message_id uuid, message_count integer (mensagens já resumidas), created_at, updated_at
+ *
+ * Configuração em prompts.config.memory:
+ *   { enabled (padrão true), recent_messages (20), max_context_tokens (6000), summary_max_tokens (600) }
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { createChatCompletion, reportLLMUsage } from './llm-providers.js';
+
+const DEFAULT_RECENT_MESSAGES = 20;
+const DEFAULT_MAX_CONTEXT_TOKENS = 6000;
+const DEFAULT_SUMMARY_MAX_TOKENS = 600;
+
+// Mensagens fora da janela só são resumidas quando formam um lote, para não gerar uma chamada a cada resposta
+const SUMMARY_BATCH_SIZE = 10;
+
+// Tamanho máximo (em tokens estimados) das mensagens enviadas em cada chamada de resumo
+const MAX_SUMMARY_INPUT_TOKENS = 12000;
+
+const SENDER_LABELS = {
+  customer: 'Customer',
+  agent: 'Agent',
+  system: 'System'
+};
+
+const SUMMARY_INSTRUCTIONS = `You maintain the long-term memory of a customer service conversation.
+Update the current summary with the new messages. Keep every fact that may matter later: customer data and preferences, requests, problems reported, decisions, promises, appointments, orders, values and dates, and what is still pending.
+Drop greetings and small talk. Write in the same language as the conversation, in short bullet points, and return only the updated summary.`;
+
+/**
+ * Lê a configuração de memória do prompt aplicando os padrões
+ * @param {Object} prompt - Prompt do agente
+ * @returns {Object} - { enabled, recentMessages, maxContextTokens, summaryMaxTokens }
+ */
+export const getMemorySettings = (prompt) => {
+  const config = prompt.config?.memory || {};
+
+  return {
+    enabled: config.enabled ?? true,
+    recentMessages: Math.max(Number(config.recent_messages) || DEFAULT_RECENT_MESSAGES, 1),
+    maxContextTokens: Number(config.max_context_tokens) || DEFAULT_MAX_CONTEXT_TOKENS,
+    summaryMaxTokens: Number(config.summary_max_tokens) || DEFAULT_SUMMARY_MAX_TOKENS
+  };
+};
+
+/**
+ * Estimativa de tokens de um texto (~4 caracteres por token), suficiente para controlar o orçamento
+ * sem depender do tokenizador de cada provedor
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Busca a memória do chat
+ * @param {string} chatId - ID do chat
+ * @returns {Object|null}
+ */
+export const getChatMemory = async (chatId) => {
+  const { data, error } = await supabase
+    .from('chat_memories')
+    .select('*')
+    .eq('chat_id', chatId)
+    .maybeSingle();
+
+  if (error) {
+    Sentry.captureException(error, {
+      extra: { chatId, context: 'getting_chat_memory' }
+    });
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Divide as mensagens ainda não resumidas entre as que vão na íntegra (as últimas recent_messages, reduzidas
+ * até caber no orçamento) e as que devem entrar no resumo
+ * @param {Array} entries - Mensagens em ordem cronológica ({ msg, content })
+ * @param {Object} settings - Retorno de getMemorySettings
+ * @returns {Object} - { older, recent }
+ */
+export const selectContextWindow = (entries, settings) => {
+  // Parte do orçamento fica reservada para o resumo
+  const budget = Math.max(settings.maxContextTokens - settings.summaryMaxTokens, 0);
+  const totalTokens = entries.reduce((sum, entry) => sum + estimateTokens(entry.content), 0);
+
+  let start = Math.max(entries.length - settings.recentMessages, 0);
+  let tokens = entries.slice(start).reduce((sum, entry) => sum + estimateTokens(entry.content), 0);
+
+  // A última mensagem sempre vai na íntegra, mesmo acima do orçamento
+  while (start < entries.length - 1 && tokens > budget) {
+    tokens -= estimateTokens(entries[start].content);
+    start++;
+  }
+
+  // Poucas mensagens fora da janela e tudo dentro do orçamento: seguem na íntegra até formar um lote
+  if (start < SUMMARY_BATCH_SIZE && totalTokens <= budget) {
+    start = 0;
+  }
+
+  return { older: entries.slice(0, start), recent: entries.slice(start) };
+};
+
+/**
+ * Tokens do orçamento do prompt que sobram depois das mensagens que vão na íntegra, para o texto
+ * dos documentos anexados
+ * @param {Array} entries - Mensagens que vão na íntegra ({ msg, content })
+ * @param {Object} settings - Retorno de getMemorySettings
+ * @returns {number}
+ */
+export const getRemainingContextTokens = (entries, settings) => {
+  const budget = settings.maxContextTokens - settings.summaryMaxTokens;
+  const used = entries.reduce((sum, entry) => sum + estimateTokens(entry.content), 0);
+  return Math.max(budget - used, 0);
+};
+
+/**
+ * Divide as mensagens em lotes que caibam em uma chamada de resumo
+ * @param {Array} entries - Mensagens ({ msg, content })
+ * @returns {Array<Array>}
+ */
+const toSummaryBatches = (entries) => {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+
+  for (const entry of entries) {
+    const entryTokens = estimateTokens(entry.content);
+    if (current.length && tokens + entryTokens > MAX_SUMMARY_INPUT_TOKENS) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(entry);
+    tokens += entryTokens;
+  }
+
+  if (current.length) batches.push(current);
+  return batches;
+};
+
+/**
+ * Incorpora mensagens ao resumo do chat e grava a memória. Cada lote é gravado assim que resumido,
+ * então uma falha no meio não perde o que já foi processado
+ * @param {Object} params
+ * @param {Object|null} params.memory - Memória atual do chat
+ * @param {Array} params.entries - Mensagens a incorporar, em ordem cronológica ({ msg, content })
+ * @param {Object} params.prompt - Prompt do agente
+ * @param {Object} params.integration - Integração de LLM do agente
+ * @param {Object} params.session - Sessão atual
+ * @returns {string} - Resumo atualizado
+ */
+export const updateChatMemory = async ({ memory, entries, prompt, integration, session }) => {
+  const settings = getMemorySettings(prompt);
+  let summary = memory?.summary || '';
+  let messageCount = memory?.message_count || 0;
+
+  for (const batch of toSummaryBatches(entries)) {
+    const transcript = batch
+      .map(({ msg, content }) => `${SENDER_LABELS[msg.sender_type] || SENDER_LABELS.system}: ${content}`)
+      .join('\n');
+
+    const completion = await createChatCompletion({
+      integration,
+      model: prompt.model,
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        { role: 'user', content: `Current summary:\n${summary || '(empty)'}\n\nNew messages:\n${transcript}` }
+      ],
+      temperature: 0.2,
+      maxTokens: settings.summaryMaxTokens
+    });
+
+    reportLLMUsage({
+      organizationId: session.organization_id || prompt.organization_id,
+      integration,
+      completion,
+      promptId: prompt.id,
+      chatId: session.chat_id,
+      customerId: session.customer_id,
+      metadata: { source: 'agent_memory', flow_session_id: session.id }
+    });
+
+    if (!completion.content?.trim()) {
+      throw new Error('O modelo retornou um resumo vazio');
+    }
+
+    summary = completion.content.trim();
+    messageCount += batch.length;
+
+    const lastMessage = batch[batch.length - 1].msg;
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('chat_memories')
+      .upsert({
+        chat_id: session.chat_id,
+        organization_id: session.organization_id || prompt.organization_id,
+        summary,
+        summarized_until: lastMessage.created_at,
+        last_message_id: lastMessage.id,
+        message_count: messageCount,
+        updated_at: now
+      }, {
+        onConflict: 'chat_id'
+      });
+
+    if (error) {
+      Sentry.captureException(error, {
+        extra: { chatId: session.chat_id, context: 'saving_chat_memory' }
+      });
+      throw error;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Formata o resumo para o contexto do modelo
+ * @param {string} summary - Resumo do chat
+ * @returns {string}
+ */
+export const formatMemoryContext = (summary) =>
+  `Summary of the earlier part of this conversation (older messages are not shown):\n${summary}`;
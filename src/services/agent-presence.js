@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Presença e capacidade dos atendentes por organização, usadas para decidir quem pode receber chats.
+ *
+ * Tabela agent_presence (uma linha por atendente e organização):
+ *   organization_id uuid, profile_id uuid, status text ('online' | 'away' | 'offline'),
+ *   auto_away boolean (status away/offline definido por inatividade, desfeito no próximo heartbeat),
+ *   max_concurrent_chats integer (null = sem limite próprio), last_heartbeat_at timestamptz,
+ *   updated_at timestamptz — unique (organization_id, profile_id)
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+
+export const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+
+// Sem heartbeat por esse tempo o atendente online passa a ausente, e depois a offline
+export const AWAY_AFTER_MINUTES = 5;
+export const OFFLINE_AFTER_MINUTES = 30;
+
+/**
+ * Busca a presença dos atendentes informados. Atendentes sem registro são considerados offline (tracked = false)
+ * @param {string} organizationId - ID da organização
+ * @param {string[]} profileIds - IDs dos atendentes
+ * @returns {Map<string, Object>} - Presença por atendente ({ status, auto_away, max_concurrent_chats, last_heartbeat_at, tracked })
+ */
+export const getAgentPresence = async (organizationId, profileIds) => {
+  const presence = new Map();
+  if (!profileIds?.length) return presence;
+
+  try {
+    const { data, error } = await supabase
+      .from('agent_presence')
+      .select('profile_id, status, auto_away, max_concurrent_chats, last_heartbeat_at')
+      .eq('organization_id', organizationId)
+      .in('profile_id', profileIds);
+
+    if (error) throw error;
+
+    for (const profileId of profileIds) {
+      presence.set(profileId, { status: 'offline', auto_away: false, max_concurrent_chats: null, last_heartbeat_at: null, tracked: false });
+    }
+    for (const row of data) {
+      presence.set(row.profile_id, {
+        status: row.status,
+        auto_away: row.auto_away,
+        max_concurrent_chats: row.max_concurrent_chats,
+        last_heartbeat_at: row.last_heartbeat_at,
+        tracked: true
+      });
+    }
+
+    return presence;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Filtra os atendentes que estão online
+ * @param {string} organizationId - ID da organização
+ * @param {string[]} profileIds - IDs dos atendentes
+ * @returns {string[]} - IDs dos atendentes online
+ */
+export const filterOnlineAgents = async (organizationId, profileIds) => {
+  const presence = await getAgentPresence(organizationId, profileIds);
+  return profileIds.filter(profileId => presence.get(profileId)?.status === 'online');
+};
+
+/**
+ * Define o status de presença do atendente. Status escolhido manualmente nunca é marcado como ausência automática
+ * @param {string} organizationId - ID da organização
+ * @param {string} profileId - ID do atendente
+ * @param {string} status - 'online' | 'away' | 'offline'
+ * @returns {Object} - Registro de presença atualizado
+ */
+export const setAgentStatus = async (organizationId, profileId, status) => {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('agent_presence')
+      .upsert({
+        organization_id: organizationId,
+        profile_id: profileId,
+        status,
+        auto_away: false,
+        ...(status !== 'offline' ? { last_heartbeat_at: now } : {}),
+        updated_at: now
+      }, { onConflict: 'organization_id,profile_id' })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Registra atividade do atendente. Um atendente que ficou ausente ou offline por inatividade (ou que ainda
+ * não tem registro) volta a ficar online; ausência ou offline escolhidos manualmente são mantidos
+ * @param {string} organizationId - ID da organização
+ * @param {string} profileId - ID do atendente
+ * @returns {Object} - Registro de presença atualizado
+ */
+export const recordHeartbeat = async (organizationId, profileId) => {
+  try {
+    const now = new Date().toISOString();
+    const { data: current, error: currentError } = await supabase
+      .from('agent_presence')
+      .select('status, auto_away')
+      .eq('organization_id', organizationId)
+      .eq('profile_id', profileId)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+    const restore = !current || current.auto_away;
+
+    const { data, error } = await supabase
+      .from('agent_presence')
+      .upsert({
+        organization_id: organizationId,
+        profile_id: profileId,
+        status: restore ? 'online' : current.status,
+        auto_away: false,
+        last_heartbeat_at: now,
+        updated_at: now
+      }, { onConflict: 'organization_id,profile_id' })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Define o limite de chats simultâneos do atendente na organização
+ * @param {string} organizationId - ID da organização
+ * @param {string} profileId - ID do atendente
+ * @param {number|null} maxConcurrentChats - Limite ou null para remover
+ * @returns {Object} - Registro de presença atualizado
+ */
+export const setAgentCapacity = async (organizationId, profileId, maxConcurrentChats) => {
+  try {
+    const { data: existing, error: existingError } = await supabase
+      .from('agent_presence')
+      .select('id')
+      .eq('organization_id', organizationId)
+      .eq('profile_id', profileId)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+
+    // Sem registro, cria como offline automático: o próximo heartbeat do atendente o coloca online
+    const { data, error } = await supabase
+      .from('agent_presence')
+      .upsert({
+        organization_id: organizationId,
+        profile_id: profileId,
+        ...(existing ? {} : { status: 'offline', auto_away: true }),
+        max_concurrent_chats: maxConcurrentChats,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id,profile_id' })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Conta os chats em andamento de cada atendente
+ * @param {string} organizationId - ID da organização
+ * @param {string[]} profileIds - IDs dos atendentes
+ * @returns {Map<string, number>}
+ */
+export const countActiveChats = async (organizationId, profileIds) => {
+  const counts = new Map(profileIds.map(profileId => [profileId, 0]));
+  if (!profileIds.length) return counts;
+
+  try {
+    const { data, error } = await supabase
+      .from('chats')
+      .select('assigned_to')
+      .eq('organization_id', organizationId)
+      .eq('status', 'in_progress')
+      .in('assigned_to', profileIds);
+
+    if (error) throw error;
+    for (const chat of data) {
+      counts.set(chat.assigned_to, (counts.get(chat.assigned_to) || 0) + 1);
+    }
+    return counts;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Retorna presença, chats em andamento e capacidade dos atendentes
+ * @param {string} organizationId - ID da organização
+ * @param {string[]} profileIds - IDs dos atendentes
+ * @returns {Map<string, Object>} - { status, auto_away, last_heartbeat_at, tracked, activeChats, maxConcurrentChats, atCapacity, available }
+ */
+export const getAgentAvailability = async (organizationId, profileIds) => {
+  const [presence, counts] = await Promise.all([
+    getAgentPresence(organizationId, profileIds),
+    countActiveChats(organizationId, profileIds)
+  ]);
+
+  const availability = new Map();
+  for (const profileId of profileIds) {
+    const agent = presence.get(profileId);
+    const activeChats = counts.get(profileId) || 0;
+    const maxConcurrentChats = agent.max_concurrent_chats ?? null;
+    const atCapacity = maxConcurrentChats !== null && activeChats >= maxConcurrentChats;
+    availability.set(profileId, {
+      status: agent.status,
+      auto_away: agent.auto_away,
+      last_heartbeat_at: agent.last_heartbeat_at,
+      tracked: agent.tracked,
+      activeChats,
+      maxConcurrentChats,
+      atCapacity,
+      available: agent.status === 'online' && !atCapacity
+    });
+  }
+  return availability;
+};
+
+/**
+ * Marca como ausentes os atendentes online sem heartbeat recente e como offline os que
+ * pararam de enviar heartbeat há mais tempo (aba fechada, queda de conexão)
+ * @returns {Object} - { away, offline } quantidade de atendentes atualizados
+ */
+export const updateInactiveAgents = async () => {
+  const now = Date.now();
+  const awayBefore = new Date(now - AWAY_AFTER_MINUTES * 60000).toISOString();
+  const offlineBefore = new Date(now - OFFLINE_AFTER_MINUTES * 60000).toISOString();
+
+  try {
+    const { data: away, error: awayError } = await supabase
+      .from('agent_presence')
+      .update({ status: 'away', auto_away: true, updated_at: new Date(now).toISOString() })
+      .eq('status', 'online')
+      .lt('last_heartbeat_at', awayBefore)
+      .select('id');
+
+    if (awayError) throw awayError;
+
+    const { data: offline, error: offlineError } = await supabase
+      .from('agent_presence')
+      .update({ status: 'offline', auto_away: true, updated_at: new Date(now).toISOString() })
+      .in('status', ['online', 'away'])
+      .lt('last_heartbeat_at', offlineBefore)
+      .select('id');
+
+    if (offlineError) throw offlineError;
+
+    return { away: away.length, offline: offline.length };
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
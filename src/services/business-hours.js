@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Calendário de atendimento da organização (business_calendars): horário semanal,
+ * timezone, feriados e exceções pontuais. É a fonte única de "aberto/fechado" para o nó
+ * business_hours dos fluxos, gatilhos com regra de horário, contexto dos agentes de IA e
+ * mensagem de ausência.
+ *
+ * Tabela business_calendars (uma linha por organização):
+ *   organization_id uuid unique, timezone text, weekly_hours jsonb ([{ day, startTime, endTime }]),
+ *   holidays jsonb ([{ date: 'YYYY-MM-DD' | 'MM-DD', name, recurring }]),
+ *   exceptions jsonb ([{ date: 'YYYY-MM-DD', closed, timeSlots: [{ startTime, endTime }], name }]),
+ *   away_message jsonb ({ enabled, content, cooldownMinutes }), updated_at timestamptz
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+
+export const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+// Quantos dias à frente procurar a próxima abertura
+const NEXT_OPENING_LOOKAHEAD_DAYS = 14;
+
+// Calendários em cache por organização para não consultar o banco a cada mensagem
+const CALENDAR_CACHE_TTL_MS = 60000;
+const calendarCache = new Map();
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Busca o calendário de atendimento da organização (com cache curto)
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null} - Calendário ou null se a organização não tiver um configurado
+ */
+export const getBusinessCalendar = async (organizationId) => {
+  const cached = calendarCache.get(organizationId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.calendar;
+  }
+
+  try {
+    const { data: calendar, error } = await supabase
+      .from('business_calendars')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    calendarCache.set(organizationId, { calendar, expiresAt: Date.now() + CALENDAR_CACHE_TTL_MS });
+    return calendar;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Descarta o calendário em cache de uma organização (ex: após alteração)
+ * @param {string} organizationId - ID da organização
+ */
+export const clearBusinessCalendarCache = (organizationId) => {
+  calendarCache.delete(organizationId);
+};
+
+/**
+ * Retorna data, dia da semana e hora locais de um instante em um timezone
+ * @param {Date} date - Instante
+ * @param {string} timezone - Timezone IANA
+ * @returns {Object} - { date: 'YYYY-MM-DD', day: 0-6, time: 'HH:MM' }
+ */
+const getLocalParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date: localDate,
+    day: new Date(`${localDate}T00:00:00Z`).getUTCDay(),
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Soma dias a uma data local no formato YYYY-MM-DD
+ * @param {string} localDate - Data local
+ * @param {number} days - Dias a somar
+ * @returns {Object} - { date, day }
+ */
+const addLocalDays = (localDate, days) => {
+  const shifted = new Date(`${localDate}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return { date: shifted.toISOString().slice(0, 10), day: shifted.getUTCDay() };
+};
+
+/**
+ * Encontra o feriado que cai em uma data. Datas MM-DD ou marcadas como recurring repetem todo ano
+ * @param {Array} holidays - Feriados do calendário
+ * @param {string} localDate - Data local (YYYY-MM-DD)
+ * @returns {Object|null}
+ */
+const findHoliday = (holidays, localDate) => (holidays || []).find(holiday => {
+  const holidayDate = String(holiday.date || '');
+  if (holidayDate.length === 5 || holiday.recurring) {
+    return holidayDate.slice(-5) === localDate.slice(5);
+  }
+  return holidayDate === localDate;
+}) || null;
+
+/**
+ * Resolve os horários de atendimento de um dia, aplicando exceções, feriados e horário semanal nessa ordem
+ * @param {Object} calendar - Calendário
+ * @param {string} localDate - Data local (YYYY-MM-DD)
+ * @param {number} day - Dia da semana (0 = domingo)
+ * @returns {Object} - { slots, reason, name }
+ */
+const getDaySchedule = (calendar, localDate, day) => {
+  const exception = (calendar.exceptions || []).find(item => item.date === localDate);
+  if (exception) {
+    return {
+      slots: exception.closed ? [] : (exception.timeSlots || []),
+      reason: 'exception',
+      name: exception.name || null
+    };
+  }
+
+  const holiday = findHoliday(calendar.holidays, localDate);
+  if (holiday) {
+    return { slots: [], reason: 'holiday', name: holiday.name || null };
+  }
+
+  return {
+    slots: (calendar.weekly_hours || []).filter(slot => Number(slot.day) === day),
+    reason: 'weekly',
+    name: null
+  };
+};
+
+/**
+ * Verifica se um horário HH:MM está dentro de algum dos slots
+ * @param {Array} slots - Slots { startTime, endTime }
+ * @param {string} time - Horário HH:MM
+ * @returns {boolean}
+ */
+const isTimeInSlots = (slots, time) => slots.some(slot => time >= slot.startTime && time <= slot.endTime);
+
+/**
+ * Verifica um horário semanal avulso ({ timezone, timeSlots }), formato usado pelas regras de
+ * horário dos gatilhos e pelo nó business_hours com horário próprio. Sem slots, considera aberto.
+ * @param {Object} timeConfig - Configuração com timezone e timeSlots [{ day, startTime, endTime }]
+ * @param {Date} date - Instante verificado
+ * @returns {boolean}
+ */
+export const isWithinTimeSlots = (timeConfig, date = new Date()) => {
+  if (!timeConfig?.timeSlots?.length) return true;
+
+  const local = getLocalParts(date, timeConfig.timezone);
+  const todaySlots = timeConfig.timeSlots.filter(slot => Number(slot.day) === local.day);
+  return isTimeInSlots(todaySlots, local.time);
+};
+
+/**
+ * Calcula se o calendário está aberto em um instante e quando será a próxima abertura
+ * @param {Object} calendar - Calendário de atendimento
+ * @param {Date} date - Instante verificado
+ * @returns {Object} - { open, reason, name, timezone, localDate, localTime, nextOpening: { date, time } | null }
+ */
+export const getBusinessHoursStatus = (calendar, date = new Date()) => {
+  const timezone = calendar?.timezone || DEFAULT_TIMEZONE;
+  const local = getLocalParts(date, timezone);
+  const today = getDaySchedule(calendar || {}, local.date, local.day);
+  const open = isTimeInSlots(today.slots, local.time);
+
+  let nextOpening = null;
+  if (!open) {
+    for (let offset = 0; offset <= NEXT_OPENING_LOOKAHEAD_DAYS && !nextOpening; offset++) {
+      const target = offset === 0 ? { date: local.date, day: local.day } : addLocalDays(local.date, offset);
+      const { slots } = offset === 0 ? today : getDaySchedule(calendar || {}, target.date, target.day);
+      const starts = slots
+        .map(slot => slot.startTime)
+        .filter(startTime => offset > 0 || startTime > local.time)
+        .sort();
+      if (starts.length) {
+        nextOpening = { date: target.date, time: starts[0] };
+      }
+    }
+  }
+
+  return {
+    open,
+    reason: open ? 'open' : (today.reason === 'weekly' ? 'closed' : today.reason),
+    name: today.name,
+    timezone,
+    localDate: local.date,
+    localTime: local.time,
+    nextOpening
+  };
+};
+
+/**
+ * Verifica se a organização está em horário de atendimento. Sem calendário configurado, considera aberto.
+ * @param {string} organizationId - ID da organização
+ * @param {Date} date - Instante verificado
+ * @returns {Object} - Status (ver getBusinessHoursStatus) e o calendário usado
+ */
+export const getOrganizationBusinessHoursStatus = async (organizationId, date = new Date()) => {
+  const calendar = await getBusinessCalendar(organizationId);
+  if (!calendar) {
+    return { open: true, reason: 'no_calendar', calendar: null };
+  }
+  return { ...getBusinessHoursStatus(calendar, date), calendar };
+};
+
+/**
+ * Descreve o calendário em texto para o contexto dos agentes de IA
+ * @param {Object} calendar - Calendário de atendimento
+ * @param {Date} date - Instante de referência
+ * @returns {string}
+ */
+export const describeBusinessHours = (calendar, date = new Date()) => {
+  const status = getBusinessHoursStatus(calendar, date);
+  const lines = [`**Business hours** (${status.timezone} timezone):`];
+
+  WEEKDAY_NAMES.forEach((weekday, day) => {
+    const slots = (calendar.weekly_hours || [])
+      .filter(slot => Number(slot.day) === day)
+      .map(slot => `${slot.startTime}-${slot.endTime}`);
+    lines.push(`- ${weekday}: ${slots.length ? slots.join(', ') : 'closed'}`);
+  });
+
+  // Feriados e exceções das próximas semanas
+  const upcoming = [];
+  for (let offset = 0; offset <= NEXT_OPENING_LOOKAHEAD_DAYS * 2; offset++) {
+    const target = addLocalDays(status.localDate, offset);
+    const schedule = getDaySchedule(calendar, target.date, target.day);
+    if (schedule.reason === 'weekly') continue;
+
+    const hours = schedule.slots.length
+      ? `special hours ${schedule.slots.map(slot => `${slot.startTime}-${slot.endTime}`).join(', ')}`
+      : 'closed';
+    upcoming.push(`- ${target.date}${schedule.name ? ` (${schedule.name})` : ''}: ${hours}`);
+  }
+  if (upcoming.length) {
+    lines.push('Upcoming holidays and exceptions:', ...upcoming);
+  }
+
+  if (status.open) {
+    lines.push('We are currently open.');
+  } else {
+    lines.push(`We are currently closed${status.nextOpening ? `; next opening on ${status.nextOpening.date} at ${status.nextOpening.time}` : ''}.`);
+  }
+
+  return lines.join('\n');
+};
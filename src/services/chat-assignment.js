@@ -0,0 +1,430 @@
+/**
+ * @fileoverview Distribuição automática de chats pendentes entre os atendentes de uma equipe.
+ *
+ * Configuração por equipe em service_teams.assignment_settings (jsonb):
+ *   { enabled, strategy: 'round_robin' | 'least_active' | 'skill', maxChatsPerAgent,
+ *     responseTimeoutMinutes, onlyOnlineAgents, timeoutExclusionMinutes }
+ * Por atendente, em service_team_members: max_concurrent_chats (limite na equipe), skills (text[]) e
+ * languages (text[]). Sem limite na equipe vale o limite do atendente na organização (agent_presence)
+ * e, por último, maxChatsPerAgent.
+ * Requisitos do chat (habilidades e idioma) ficam em chats.assignment_requirements ({ skills, language }).
+ *
+ * Cada atribuição é registrada em chat_assignments (chat_id, organization_id, team_id, agent_id, strategy,
+ * status 'assigned' | 'accepted' | 'timed_out' | 'cancelled', expires_at, created_at). O registro mais recente
+ * da equipe define a vez no round-robin, e atribuições sem resposta do atendente até expires_at são
+ * repassadas para o próximo atendente disponível. O atendente que deixou expirar não recebe o mesmo chat
+ * por timeoutExclusionMinutes; se todos os atendentes disponíveis já expiraram, uma nova rodada começa.
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { sendNotificationWithFilters, sendToTeamMembers } from '../controllers/chat/notification-helpers.js';
+import { createTranslator } from '../i18n/i18n-helper.js';
+import { getAgentAvailability } from './agent-presence.js';
+
+export const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_active', 'skill'];
+
+const DEFAULT_ASSIGNMENT_SETTINGS = {
+  enabled: false,
+  strategy: 'round_robin',
+  maxChatsPerAgent: 5,
+  responseTimeoutMinutes: 5,
+  onlyOnlineAgents: true,
+  timeoutExclusionMinutes: 30
+};
+
+// Chats pendentes tentados por equipe a cada execução do job
+const PENDING_CHATS_BATCH_SIZE = 20;
+
+const FRONT_URL = process.env.FRONTEND_URL || 'https://app.interflow.ai';
+
+/**
+ * Retorna a configuração de distribuição da equipe com os valores padrão
+ * @param {Object} team - Equipe (service_teams)
+ * @returns {Object}
+ */
+export const getTeamAssignmentSettings = (team) => {
+  const settings = { ...DEFAULT_ASSIGNMENT_SETTINGS, ...(team?.assignment_settings || {}) };
+  if (!ASSIGNMENT_STRATEGIES.includes(settings.strategy)) {
+    settings.strategy = DEFAULT_ASSIGNMENT_SETTINGS.strategy;
+  }
+  return settings;
+};
+
+/**
+ * Normaliza uma lista de habilidades/idiomas para comparação
+ * @param {Array|string} values - Lista ou texto separado por vírgulas
+ * @returns {string[]}
+ */
+const normalizeList = (values) => (Array.isArray(values) ? values : String(values || '').split(','))
+  .map(value => String(value).trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Atendentes que deixaram a atribuição do chat expirar dentro da janela de exclusão da equipe
+ * @param {string} chatId - ID do chat
+ * @param {Object} team - Equipe com assignment_settings
+ * @returns {string[]}
+ */
+const getTimedOutAgentIds = async (chatId, team) => {
+  const { timeoutExclusionMinutes } = getTeamAssignmentSettings(team);
+  const since = new Date(Date.now() - Number(timeoutExclusionMinutes) * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('chat_assignments')
+    .select('agent_id')
+    .eq('chat_id', chatId)
+    .eq('status', 'timed_out')
+    .gte('expires_at', since);
+
+  if (error) throw error;
+  return [...new Set(data.map(item => item.agent_id))];
+};
+
+/**
+ * Escolhe o atendente conforme a estratégia da equipe
+ * @param {Array} candidates - Atendentes elegíveis ({ user_id, activeChats, matchedSkills })
+ * @param {Array} members - Todos os membros da equipe, na ordem do round-robin
+ * @param {string} strategy - Estratégia
+ * @param {string|null} lastAgentId - Último atendente que recebeu um chat da equipe
+ * @returns {Object} - Atendente escolhido
+ */
+const pickAgent = (candidates, members, strategy, lastAgentId) => {
+  // Ordem do round-robin a partir do atendente seguinte ao último atribuído
+  const order = members.map(member => member.user_id);
+  const start = lastAgentId ? order.indexOf(lastAgentId) + 1 : 0;
+  const turn = (agentId) => (order.indexOf(agentId) - start + order.length) % order.length;
+  const byTurn = (a, b) => turn(a.user_id) - turn(b.user_id);
+
+  const sorted = [...candidates].sort((a, b) => {
+    if (strategy === 'skill' && a.matchedSkills !== b.matchedSkills) {
+      return b.matchedSkills - a.matchedSkills;
+    }
+    if (strategy !== 'round_robin' && a.activeChats !== b.activeChats) {
+      return a.activeChats - b.activeChats;
+    }
+    return byTurn(a, b);
+  });
+
+  return sorted[0];
+};
+
+/**
+ * Atribui automaticamente um chat pendente a um atendente da equipe, respeitando presença,
+ * capacidade e requisitos de habilidade/idioma. A atribuição só acontece se o chat continuar sem atendente
+ * @param {Object} params
+ * @param {Object} params.chat - Chat (com id, team_id e assignment_requirements)
+ * @param {Object} params.team - Equipe com assignment_settings
+ * @param {string} params.organizationId - ID da organização
+ * @param {string[]} [params.excludeAgentIds] - Atendentes que não devem receber o chat. Se a lista cobrir todos
+ *   os atendentes disponíveis (presença e capacidade), é ignorada (nova rodada)
+ * @param {string} [params.language] - Idioma das notificações
+ * @returns {Object} - { assigned, agentId, reason }
+ */
+export const autoAssignChat = async ({ chat, team, organizationId, excludeAgentIds = [], language = 'pt' }) => {
+  try {
+    const settings = getTeamAssignmentSettings(team);
+    if (!settings.enabled) {
+      return { assigned: false, reason: 'disabled' };
+    }
+
+    const { data: members, error: membersError } = await supabase
+      .from('service_team_members')
+      .select('user_id, max_concurrent_chats, skills, languages')
+      .eq('team_id', team.id)
+      .order('user_id', { ascending: true });
+
+    if (membersError) throw membersError;
+
+    if (!members.length) {
+      return { assigned: false, reason: 'no_agent_available' };
+    }
+
+    const availability = await getAgentAvailability(organizationId, members.map(member => member.user_id));
+    const eligible = settings.onlyOnlineAgents
+      ? members.filter(member => availability.get(member.user_id).status === 'online')
+      : members;
+
+    const requiredSkills = normalizeList(chat.assignment_requirements?.skills);
+    const requiredLanguage = normalizeList(chat.assignment_requirements?.language)[0] || null;
+
+    const available = eligible
+      .map(member => {
+        const skills = normalizeList(member.skills);
+        return {
+          ...member,
+          activeChats: availability.get(member.user_id).activeChats,
+          capacity: Number(member.max_concurrent_chats)
+            || Number(availability.get(member.user_id).maxConcurrentChats)
+            || Number(settings.maxChatsPerAgent),
+          matchedSkills: requiredSkills.filter(skill => skills.includes(skill)).length,
+          speaksLanguage: !requiredLanguage || normalizeList(member.languages).includes(requiredLanguage)
+        };
+      })
+      .filter(member => member.activeChats < member.capacity)
+      // Na estratégia por habilidade, o atendente precisa ter todas as habilidades e falar o idioma exigido
+      .filter(member => settings.strategy !== 'skill' || (member.matchedSkills === requiredSkills.length && member.speaksLanguage));
+
+    let candidates = available.filter(member => !excludeAgentIds.includes(member.user_id));
+    // Todos os atendentes disponíveis já tiveram sua vez com o chat: recomeça a rodada entre eles
+    if (!candidates.length) {
+      candidates = available;
+    }
+
+    if (!candidates.length) {
+      return { assigned: false, reason: 'no_agent_available' };
+    }
+
+    const { data: lastAssignment, error: lastError } = await supabase
+      .from('chat_assignments')
+      .select('agent_id')
+      .eq('team_id', team.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastError) throw lastError;
+
+    const agent = pickAgent(candidates, members, settings.strategy, lastAssignment?.agent_id);
+    const expiresAt = new Date(Date.now() + Number(settings.responseTimeoutMinutes) * 60000).toISOString();
+
+    // Só atribui se ninguém assumiu o chat nesse meio tempo
+    const { data: claimed, error: claimError } = await supabase
+      .from('chats')
+      .update({
+        assigned_to: agent.user_id,
+        status: 'in_progress'
+      })
+      .eq('id', chat.id)
+      .eq('organization_id', organizationId)
+      .eq('team_id', team.id)
+      .eq('status', 'pending')
+      .is('assigned_to', null)
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed?.length) {
+      return { assigned: false, reason: 'already_assigned' };
+    }
+
+    const { error: assignmentError } = await supabase
+      .from('chat_assignments')
+      .insert({
+        chat_id: chat.id,
+        organization_id: organizationId,
+        team_id: team.id,
+        agent_id: agent.user_id,
+        strategy: settings.strategy,
+        status: 'assigned',
+        expires_at: settings.responseTimeoutMinutes ? expiresAt : null
+      });
+
+    if (assignmentError) throw assignmentError;
+
+    const { error: messageError } = await supabase
+      .from('messages')
+      .insert({
+        chat_id: chat.id,
+        sender_type: 'system',
+        sender_agent_id: agent.user_id,
+        type: 'user_transferred',
+        content: null,
+        organization_id: organizationId,
+        created_at: new Date().toISOString(),
+        status: 'pending'
+      });
+
+    if (messageError) throw messageError;
+
+    const t = createTranslator(language);
+    sendNotificationWithFilters([agent.user_id], {
+      heading: chat.customer?.name ?? t('chat.transfer.notifications.chat_available'),
+      subtitle: t('chat.transfer.notifications.chat_assigned_to'),
+      content: chat.title ?? t('chat.transfer.notifications.chat_assigned_to'),
+      data: {
+        url: `${FRONT_URL}/app/chats/${chat.id}`,
+        chat_id: chat.id
+      }
+    }).catch(error => console.error('[autoAssignChat] Erro ao notificar atendente:', error));
+
+    return { assigned: true, agentId: agent.user_id };
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Repassa atribuições sem resposta do atendente dentro do prazo. Atendentes que deixaram o prazo
+ * expirar não recebem o mesmo chat de novo; sem outro atendente disponível, o chat volta a ficar
+ * pendente para a equipe
+ * @returns {Object} - { accepted, reassigned, released }
+ */
+export const processExpiredAssignments = async () => {
+  const result = { accepted: 0, reassigned: 0, released: 0 };
+
+  const { data: assignments, error } = await supabase
+    .from('chat_assignments')
+    .select(`
+      id,
+      chat_id,
+      organization_id,
+      team_id,
+      agent_id,
+      created_at,
+      chat:chats!chat_assignments_chat_id_fkey (
+        id,
+        organization_id,
+        title,
+        status,
+        team_id,
+        assigned_to,
+        assignment_requirements,
+        customer:customers(id, name)
+      ),
+      team:service_teams!chat_assignments_team_id_fkey (*)
+    `)
+    .eq('status', 'assigned')
+    .not('expires_at', 'is', null)
+    .lte('expires_at', new Date().toISOString())
+    .limit(100);
+
+  if (error) throw error;
+
+  for (const assignment of assignments) {
+    try {
+      const { chat } = assignment;
+
+      // Chat reatribuído manualmente, encerrado ou transferido nesse meio tempo
+      if (!chat || chat.assigned_to !== assignment.agent_id || chat.status !== 'in_progress') {
+        await setAssignmentStatus(assignment.id, 'cancelled');
+        continue;
+      }
+
+      const { count, error: messagesError } = await supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('chat_id', chat.id)
+        .eq('sender_type', 'agent')
+        .eq('sender_agent_id', assignment.agent_id)
+        .gte('created_at', assignment.created_at);
+
+      if (messagesError) throw messagesError;
+
+      if (count > 0) {
+        await setAssignmentStatus(assignment.id, 'accepted');
+        result.accepted++;
+        continue;
+      }
+
+      // Devolve o chat para a fila apenas se ainda estiver com o mesmo atendente
+      const { data: released, error: releaseError } = await supabase
+        .from('chats')
+        .update({ assigned_to: null, status: 'pending' })
+        .eq('id', chat.id)
+        .eq('assigned_to', assignment.agent_id)
+        .eq('status', 'in_progress')
+        .select('id');
+
+      if (releaseError) throw releaseError;
+      await setAssignmentStatus(assignment.id, 'timed_out');
+      if (!released?.length) continue;
+
+      const reassignment = await autoAssignChat({
+        chat: { ...chat, assigned_to: null, status: 'pending' },
+        team: assignment.team,
+        organizationId: assignment.organization_id,
+        excludeAgentIds: await getTimedOutAgentIds(chat.id, assignment.team)
+      });
+
+      if (reassignment.assigned) {
+        result.reassigned++;
+      } else {
+        result.released++;
+        const t = createTranslator('pt');
+        sendToTeamMembers(chat, {
+          heading: chat.customer?.name ?? t('chat.transfer.notifications.chat_available'),
+          subtitle: `${t('chat.transfer.notifications.chat_awaiting_attendance')} ${assignment.team?.name}`,
+          content: chat.title ?? `${t('chat.transfer.notifications.chat_awaiting_attendance')} ${assignment.team?.name}`,
+          data: {
+            url: `${FRONT_URL}/app/chats/${chat.id}`,
+            chat_id: chat.id
+          }
+        }).catch(notifyError => console.error('[processExpiredAssignments] Erro ao notificar equipe:', notifyError));
+      }
+    } catch (assignmentError) {
+      console.error(`[processExpiredAssignments] Erro ao processar atribuição ${assignment.id}:`, assignmentError);
+      Sentry.captureException(assignmentError);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Atualiza o status de um registro de atribuição
+ * @param {string} assignmentId - ID do registro
+ * @param {string} status - Novo status
+ */
+const setAssignmentStatus = async (assignmentId, status) => {
+  const { error } = await supabase
+    .from('chat_assignments')
+    .update({ status })
+    .eq('id', assignmentId);
+
+  if (error) throw error;
+};
+
+/**
+ * Distribui os chats pendentes das equipes com distribuição automática, do mais antigo para o mais novo.
+ * Cobre chats que chegaram sem atendente disponível e os novos chats criados na equipe padrão
+ * @returns {number} - Quantidade de chats atribuídos
+ */
+export const assignPendingChats = async () => {
+  let assignedCount = 0;
+
+  const { data: teams, error } = await supabase
+    .from('service_teams')
+    .select('*')
+    .eq('assignment_settings->>enabled', 'true');
+
+  if (error) throw error;
+
+  for (const team of teams) {
+    try {
+      const { data: chats, error: chatsError } = await supabase
+        .from('chats')
+        .select('id, organization_id, title, team_id, status, assigned_to, assignment_requirements, customer:customers(id, name)')
+        .eq('organization_id', team.organization_id)
+        .eq('team_id', team.id)
+        .eq('status', 'pending')
+        .is('assigned_to', null)
+        .order('created_at', { ascending: true })
+        .limit(PENDING_CHATS_BATCH_SIZE);
+
+      if (chatsError) throw chatsError;
+
+      for (const chat of chats) {
+        const timedOut = await getTimedOutAgentIds(chat.id, team);
+
+        const assignment = await autoAssignChat({
+          chat,
+          team,
+          organizationId: team.organization_id,
+          excludeAgentIds: timedOut
+        });
+
+        if (assignment.assigned) {
+          assignedCount++;
+        } else if (assignment.reason === 'no_agent_available' && !timedOut.length) {
+          // Sem capacidade livre na equipe: os próximos chats da fila também não serão atribuídos
+          break;
+        }
+      }
+    } catch (teamError) {
+      console.error(`[assignPendingChats] Erro ao distribuir chats da equipe ${team.id}:`, teamError);
+      Sentry.captureException(teamError);
+    }
+  }
+
+  return assignedCount;
+};
@@ -1,5 +1,6 @@
 import { supabase } from '../lib/supabase.js';
 import Sentry from '../lib/sentry.js';
+import { emitWebhookEvent } from './event-webhooks.js';
 
 export async function createChat(data) {
   try {
@@ -10,6 +11,8 @@ export async function createChat(data) {
       .single();
 
     if (error) throw error;
+
+    emitWebhookEvent(chat.organization_id, 'chat.created', { chat });
     return chat;
   } catch (error) {
     Sentry.captureException(error);
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Webhooks de saída: envia eventos da organização (mensagens, chats, clientes,
+ * agendamentos, transações, fluxos e consumo de tokens) para URLs cadastradas, assinados com HMAC-SHA256.
+ * Entregas que falham são retentadas com backoff exponencial e, esgotadas as tentativas,
+ * ficam na lista de dead-letter até serem reenviadas manualmente.
+ *
+ * Tabela webhook_subscriptions:
+ *   id uuid, organization_id uuid, name text, url text, events text[] ('*' = todos),
+ *   secret text (criptografado), is_active boolean, created_at, updated_at
+ *
+ * Tabela webhook_deliveries:
+ *   id uuid, subscription_id uuid, organization_id uuid, event text, payload jsonb,
+ *   status text ('pending' | 'delivered' | 'failed' | 'dead'), attempts integer,
+ *   next_attempt_at timestamptz, last_status_code integer, last_error text,
+ *   delivered_at timestamptz, created_at timestamptz
+ *
+ * Assinatura: header X-Interflow-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`),
+ * com o timestamp (segundos) em X-Interflow-Timestamp.
+ *
+ * URLs que apontam para endereços internos, privados ou de loopback são recusadas no cadastro e a cada envio
+ * (o host é resolvido de novo na conexão, para que uma troca de DNS não contorne a validação).
+ */
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { encrypt, decrypt } from '../utils/crypto.js';
+
+export const WEBHOOK_EVENTS = [
+  'message.received',
+  'message.sent',
+  'chat.created',
+  'chat.transferred',
+  'chat.closed',
+  'customer.created',
+  'customer.updated',
+  'customer.imported',
+  'appointment.created',
+  'appointment.cancelled',
+  'transaction.status_changed',
+  'flow.finished',
+  'usage.tokens_threshold'
+];
+
+// Evento enviado pela rota de teste de uma assinatura
+export const PING_EVENT = 'ping';
+
+const DELIVERY_TIMEOUT = 10000;
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Tempo em que uma entrega fica reservada para a instância que a está enviando
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+const DELIVERY_BATCH_SIZE = 50;
+
+// Tamanho máximo da mensagem de erro guardada em last_error
+const MAX_ERROR_LENGTH = 500;
+
+// Faixas de loopback, redes privadas, link-local e reservadas, que não podem receber webhooks.
+// Endereços IPv6 mapeados (::ffff:a.b.c.d) são comparados com as faixas IPv4
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS_ERROR = 'A URL aponta para um endereço interno ou privado';
+
+/**
+ * Verifica se um endereço IP resolvido é interno, privado ou reservado
+ * @param {string} address - Endereço IP
+ * @param {number} [family] - 4 ou 6
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address, family = net.isIP(address)) =>
+  BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+/**
+ * Resolução de DNS usada nas conexões de entrega: recusa o host se algum endereço for interno
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(item => isBlockedAddress(item.address, item.family))) {
+      return callback(new Error(BLOCKED_ADDRESS_ERROR));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const deliveryHttpAgent = new http.Agent({ lookup: publicLookup });
+const deliveryHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Valida a URL de uma assinatura: http ou https e host que não resolva para endereços internos
+ * @param {string} rawUrl - URL da assinatura
+ * @throws {Error} - Com a mensagem do problema encontrado
+ */
+export const assertPublicWebhookUrl = async (rawUrl) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new Error('URL inválida');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('A URL deve usar http ou https');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw new Error('Não foi possível resolver o host da URL');
+    }
+  }
+
+  if (addresses.some(item => isBlockedAddress(item.address, item.family))) {
+    throw new Error(BLOCKED_ADDRESS_ERROR);
+  }
+};
+
+/**
+ * Gera um novo secret de assinatura
+ * @returns {string}
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Criptografa o secret para gravação
+ * @param {string} secret - Secret em texto puro
+ * @returns {string}
+ */
+export const encryptWebhookSecret = (secret) => encrypt(secret);
+
+/**
+ * Assina o corpo de uma entrega
+ * @param {string} secret - Secret da assinatura em texto puro
+ * @param {number} timestamp - Timestamp em segundos
+ * @param {string} body - Corpo JSON serializado
+ * @returns {string} - Assinatura no formato sha256=<hex>
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Calcula o atraso até a próxima tentativa (exponencial, com jitter de até 20%)
+ * @param {number} attempts - Tentativas já realizadas
+ * @returns {number} - Atraso em ms
+ */
+const getBackoffDelay = (attempts) => {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Registra um evento para todas as assinaturas ativas da organização que o escutam e dispara as entregas.
+ * Nunca lança erro: falhas de webhook não podem interromper a operação que gerou o evento
+ * @param {string} organizationId - ID da organização
+ * @param {string} event - Nome do evento (ver WEBHOOK_EVENTS)
+ * @param {Object} data - Dados do evento
+ */
+export const emitWebhookEvent = async (organizationId, event, data) => {
+  if (!organizationId) return;
+
+  try {
+    const { data: subscriptions, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true)
+      .overlaps('events', [event, '*']);
+
+    if (error) throw error;
+    if (!subscriptions?.length) return;
+
+    const now = new Date().toISOString();
+    const { data: deliveries, error: insertError } = await supabase
+      .from('webhook_deliveries')
+      .insert(subscriptions.map(subscription => ({
+        subscription_id: subscription.id,
+        organization_id: organizationId,
+        event,
+        payload: { event, organization_id: organizationId, created_at: now, data },
+        status: 'pending',
+        attempts: 0,
+        // Reserva a entrega para este envio imediato; o job só a retoma se este envio se perder
+        next_attempt_at: new Date(Date.now() + DELIVERY_LEASE_MS).toISOString(),
+        created_at: now
+      })))
+      .select('*');
+
+    if (insertError) throw insertError;
+
+    await Promise.all(deliveries.map(delivery => {
+      const subscription = subscriptions.find(item => item.id === delivery.subscription_id);
+      return deliverWebhook(delivery, subscription);
+    }));
+  } catch (error) {
+    console.error(`[emitWebhookEvent] Erro ao emitir evento ${event}:`, error);
+    Sentry.captureException(error, {
+      extra: { organizationId, event }
+    });
+  }
+};
+
+/**
+ * Envia uma entrega para a URL da assinatura e grava o resultado. Em caso de falha agenda a
+ * próxima tentativa ou, esgotadas as tentativas, move a entrega para a dead-letter
+ * @param {Object} delivery - Registro de webhook_deliveries
+ * @param {Object} subscription - Assinatura
+ * @param {Object} options
+ * @param {boolean} [options.retry] - Se false, uma falha não agenda nova tentativa (ex: ping de teste)
+ * @returns {Object} - Entrega atualizada
+ */
+export const deliverWebhook = async (delivery, subscription, { retry = true } = {}) => {
+  const attempts = (delivery.attempts || 0) + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+
+  let update;
+  try {
+    // Sem o secret em texto puro a entrega não é assinada nem enviada
+    const secret = decrypt(subscription.secret);
+    if (!secret) {
+      throw new Error('Não foi possível descriptografar o secret do webhook');
+    }
+
+    await assertPublicWebhookUrl(subscription.url);
+
+    const response = await axios.post(subscription.url, body, {
+      timeout: DELIVERY_TIMEOUT,
+      httpAgent: deliveryHttpAgent,
+      httpsAgent: deliveryHttpsAgent,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Interflow-Webhooks/1.0',
+        'X-Interflow-Event': delivery.event,
+        'X-Interflow-Delivery': delivery.id,
+        'X-Interflow-Timestamp': String(timestamp),
+        'X-Interflow-Signature': signWebhookPayload(secret, timestamp, body)
+      },
+      // Apenas 2xx confirma a entrega; redirecionamentos não são seguidos
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      update = {
+        status: 'delivered',
+        attempts,
+        last_status_code: response.status,
+        last_error: null,
+        delivered_at: new Date().toISOString(),
+        next_attempt_at: null
+      };
+    } else {
+      // O corpo da resposta não é guardado: só o status interessa para a entrega
+      update = {
+        attempts,
+        last_status_code: response.status,
+        last_error: `HTTP ${response.status}`
+      };
+    }
+  } catch (error) {
+    update = {
+      attempts,
+      last_status_code: null,
+      last_error: String(error.message || error).slice(0, MAX_ERROR_LENGTH)
+    };
+  }
+
+  if (update.status !== 'delivered' && !retry) {
+    update.status = 'failed';
+    update.next_attempt_at = null;
+  } else if (update.status !== 'delivered') {
+    const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+    update.status = exhausted ? 'dead' : 'failed';
+    update.next_attempt_at = exhausted ? null : new Date(Date.now() + getBackoffDelay(attempts)).toISOString();
+  }
+
+  const { data: updated, error } = await supabase
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    Sentry.captureException(error, {
+      extra: { deliveryId: delivery.id, context: 'updating_webhook_delivery' }
+    });
+    throw error;
+  }
+
+  return updated;
+};
+
+/**
+ * Envia as entregas pendentes ou com retentativa vencida. Cada entrega é reservada antes do envio
+ * para que várias instâncias não a enviem ao mesmo tempo
+ * @returns {Object} - { processed, delivered }
+ */
+export const processPendingWebhookDeliveries = async () => {
+  const result = { processed: 0, delivered: 0 };
+
+  const { data: deliveries, error } = await supabase
+    .from('webhook_deliveries')
+    .select(`
+      *,
+      subscription:webhook_subscriptions!webhook_deliveries_subscription_id_fkey (*)
+    `)
+    .in('status', ['pending', 'failed'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(DELIVERY_BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const { subscription, ...delivery } of deliveries) {
+    try {
+      // Assinatura removida ou desativada: a entrega não é mais enviada
+      if (!subscription?.is_active) {
+        const { error: deadError } = await supabase
+          .from('webhook_deliveries')
+          .update({ status: 'dead', next_attempt_at: null, last_error: 'Assinatura inativa' })
+          .eq('id', delivery.id);
+
+        if (deadError) throw deadError;
+        continue;
+      }
+
+      const { data: claimed, error: claimError } = await supabase
+        .from('webhook_deliveries')
+        .update({ next_attempt_at: new Date(Date.now() + DELIVERY_LEASE_MS).toISOString() })
+        .eq('id', delivery.id)
+        .eq('next_attempt_at', delivery.next_attempt_at)
+        .select('id');
+
+      if (claimError) throw claimError;
+      if (!claimed?.length) continue;
+
+      const updated = await deliverWebhook(delivery, subscription);
+      result.processed++;
+      if (updated.status === 'delivered') result.delivered++;
+    } catch (deliveryError) {
+      console.error(`[processPendingWebhookDeliveries] Erro ao enviar entrega ${delivery.id}:`, deliveryError);
+      Sentry.captureException(deliveryError);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Agregação dos eventos de flow_session_events em métricas por fluxo:
+ * visitas por nó, abandono, tempo de espera em inputs, ramos de condição e taxa de conclusão,
+ * além da conversão por ramo dos nós split (testes A/B).
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+
+// Eventos lidos por página e limite total por consulta, para não carregar períodos enormes em memória
+const EVENTS_PAGE_SIZE = 1000;
+const MAX_EVENTS = 100000;
+
+// Tamanho dos lotes de IDs no filtro .in() ao buscar variáveis das sessões
+const SESSIONS_CHUNK_SIZE = 200;
+
+/**
+ * Calcula a mediana de uma lista de números
+ * @param {number[]} values - Valores
+ * @returns {number|null} - Mediana ou null se a lista estiver vazia
+ */
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Busca os eventos de um fluxo no período, paginando a consulta
+ * @param {string} organizationId - ID da organização
+ * @param {string} flowId - ID do fluxo
+ * @param {string} from - Data inicial (ISO)
+ * @param {string} to - Data final (ISO)
+ * @returns {Object} - { events, truncated }
+ */
+const fetchFlowEvents = async (organizationId, flowId, from, to) => {
+  const events = [];
+
+  for (let offset = 0; offset < MAX_EVENTS; offset += EVENTS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('flow_session_events')
+      .select('session_id, node_id, event_type, data, created_at')
+      .eq('organization_id', organizationId)
+      .eq('flow_id', flowId)
+      .gte('created_at', from)
+      .lte('created_at', to)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + EVENTS_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    events.push(...data);
+    if (data.length < EVENTS_PAGE_SIZE) {
+      return { events, truncated: false };
+    }
+  }
+
+  return { events, truncated: true };
+};
+
+/**
+ * Agrega os eventos de sessão de um fluxo em um funil por nó
+ * @param {Object} params
+ * @param {string} params.organizationId - ID da organização
+ * @param {Object} params.flow - Fluxo (usado para nome e tipo dos nós)
+ * @param {string} params.from - Data inicial (ISO)
+ * @param {string} params.to - Data final (ISO)
+ * @returns {Object} - Métricas gerais e por nó
+ */
+export const getFlowAnalytics = async ({ organizationId, flow, from, to }) => {
+  try {
+    const { events, truncated } = await fetchFlowEvents(organizationId, flow.id, from, to);
+
+    const nodeStats = new Map();
+    const getNodeStats = (nodeId) => {
+      if (!nodeStats.has(nodeId)) {
+        const node = (flow.nodes || []).find(n => n.id === nodeId);
+        nodeStats.set(nodeId, {
+          nodeId,
+          nodeType: node?.type || null,
+          label: node?.data?.label || null,
+          visits: 0,
+          sessions: new Set(),
+          dropOffs: 0,
+          responses: 0,
+          invalidInputs: 0,
+          timeouts: 0,
+          waitTimes: [],
+          branches: {}
+        });
+      }
+      return nodeStats.get(nodeId);
+    };
+
+    const sessions = new Map();
+    for (const event of events) {
+      if (!sessions.has(event.session_id)) {
+        sessions.set(event.session_id, { started: false, completed: false, lastNodeId: null, waitingSince: {} });
+      }
+      const session = sessions.get(event.session_id);
+      const timestamp = new Date(event.created_at).getTime();
+
+      switch (event.event_type) {
+        case 'session_started':
+          session.started = true;
+          break;
+
+        case 'session_ended':
+          session.completed = event.data?.reason === 'completed';
+          break;
+
+        case 'node_executed': {
+          const stats = getNodeStats(event.node_id);
+          stats.visits++;
+          stats.sessions.add(event.session_id);
+          session.lastNodeId = event.node_id;
+          if (event.data?.nodeType === 'input') {
+            session.waitingSince[event.node_id] = timestamp;
+          }
+          break;
+        }
+
+        case 'input_received': {
+          const stats = getNodeStats(event.node_id);
+          stats.responses++;
+          const waitingSince = session.waitingSince[event.node_id];
+          if (waitingSince) {
+            stats.waitTimes.push(timestamp - waitingSince);
+            delete session.waitingSince[event.node_id];
+          }
+          break;
+        }
+
+        case 'input_invalid':
+          getNodeStats(event.node_id).invalidInputs++;
+          break;
+
+        case 'input_timeout':
+          getNodeStats(event.node_id).timeouts++;
+          delete session.waitingSince[event.node_id];
+          break;
+
+        case 'condition_branch_taken': {
+          const stats = getNodeStats(event.node_id);
+          const handle = event.data?.handle || 'none';
+          stats.branches[handle] = (stats.branches[handle] || 0) + 1;
+          break;
+        }
+
+        case 'option_matched': {
+          const stats = getNodeStats(event.node_id);
+          const handle = `option${event.data?.optionIndex}`;
+          stats.branches[handle] = (stats.branches[handle] || 0) + 1;
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+
+    // Sessões não concluídas são contadas como abandono no último nó executado
+    for (const session of sessions.values()) {
+      if (!session.completed && session.lastNodeId) {
+        getNodeStats(session.lastNodeId).dropOffs++;
+      }
+    }
+
+    const startedSessions = [...sessions.values()].filter(session => session.started);
+    const completedSessions = startedSessions.filter(session => session.completed);
+
+    const nodes = [...nodeStats.values()]
+      .map(({ sessions: nodeSessions, waitTimes, ...stats }) => ({
+        ...stats,
+        uniqueSessions: nodeSessions.size,
+        dropOffRate: nodeSessions.size ? stats.dropOffs / nodeSessions.size : 0,
+        medianWaitMs: median(waitTimes)
+      }))
+      .sort((a, b) => b.uniqueSessions - a.uniqueSessions);
+
+    return {
+      period: { from, to },
+      truncated,
+      sessions: {
+        started: startedSessions.length,
+        completed: completedSessions.length,
+        completionRate: startedSessions.length ? completedSessions.length / startedSessions.length : 0
+      },
+      nodes
+    };
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Busca as variáveis finais das sessões informadas, em lotes
+ * @param {string[]} sessionIds - IDs das sessões
+ * @returns {Map<string, Array>} - Variáveis por sessão
+ */
+const fetchSessionVariables = async (sessionIds) => {
+  const variablesBySession = new Map();
+
+  for (let index = 0; index < sessionIds.length; index += SESSIONS_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('flow_sessions')
+      .select('id, variables')
+      .in('id', sessionIds.slice(index, index + SESSIONS_CHUNK_SIZE));
+
+    if (error) throw error;
+    for (const session of data) {
+      variablesBySession.set(session.id, session.variables || []);
+    }
+  }
+
+  return variablesBySession;
+};
+
+/**
+ * Calcula a conversão por ramo de um nó split. Uma sessão converte quando executa o nó objetivo
+ * depois de ser distribuída ou quando termina com a variável objetivo preenchida (ou igual ao valor esperado)
+ * @param {Object} params
+ * @param {string} params.organizationId - ID da organização
+ * @param {Object} params.flow - Fluxo
+ * @param {string} params.nodeId - ID do nó split
+ * @param {Object} params.goal - { nodeId, variable, value }
+ * @param {string} params.from - Data inicial (ISO)
+ * @param {string} params.to - Data final (ISO)
+ * @returns {Object} - Métricas por ramo
+ */
+export const getSplitMetrics = async ({ organizationId, flow, nodeId, goal, from, to }) => {
+  try {
+    const { events, truncated } = await fetchFlowEvents(organizationId, flow.id, from, to);
+    const splitNode = (flow.nodes || []).find(node => node.id === nodeId);
+
+    // Ramo atribuído e momento da atribuição por sessão
+    const assignments = new Map();
+    for (const event of events) {
+      if (event.event_type === 'split_assigned' && event.node_id === nodeId && !assignments.has(event.session_id)) {
+        assignments.set(event.session_id, {
+          branchIndex: event.data?.branchIndex,
+          assignedAt: new Date(event.created_at).getTime(),
+          converted: false
+        });
+      }
+    }
+
+    if (goal.nodeId) {
+      for (const event of events) {
+        const assignment = assignments.get(event.session_id);
+        if (
+          assignment &&
+          event.event_type === 'node_executed' &&
+          event.node_id === goal.nodeId &&
+          new Date(event.created_at).getTime() >= assignment.assignedAt
+        ) {
+          assignment.converted = true;
+        }
+      }
+    }
+
+    if (goal.variable) {
+      const variablesBySession = await fetchSessionVariables([...assignments.keys()]);
+      for (const [sessionId, assignment] of assignments) {
+        const variable = (variablesBySession.get(sessionId) || []).find(v => v.name === goal.variable);
+        const value = variable?.value;
+        const hasValue = value !== undefined && value !== null && value !== '';
+        if (goal.value !== undefined ? hasValue && String(value) === String(goal.value) : hasValue) {
+          assignment.converted = true;
+        }
+      }
+    }
+
+    const branches = (splitNode?.data?.split?.branches || []).map((branch, index) => ({
+      index,
+      label: branch.label || null,
+      weight: Number(branch.weight) || 0,
+      sessions: 0,
+      conversions: 0
+    }));
+
+    for (const assignment of assignments.values()) {
+      let branch = branches.find(b => b.index === assignment.branchIndex);
+      if (!branch) {
+        // Ramo removido em uma versão posterior do fluxo
+        branch = { index: assignment.branchIndex, label: null, weight: 0, sessions: 0, conversions: 0, removed: true };
+        branches.push(branch);
+      }
+      branch.sessions++;
+      if (assignment.converted) branch.conversions++;
+    }
+
+    return {
+      period: { from, to },
+      truncated,
+      nodeId,
+      goal,
+      totalSessions: assignments.size,
+      branches: branches.map(branch => ({
+        ...branch,
+        conversionRate: branch.sessions ? branch.conversions / branch.sessions : 0
+      }))
+    };
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
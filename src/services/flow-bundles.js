@@ -0,0 +1,506 @@
+/**
+ * @fileoverview Exportação e importação de fluxos entre organizações.
+ * O pacote (bundle) leva o grafo do fluxo, os gatilhos, os arquivos do fluxo, os prompts usados
+ * pelos nós agenteia e as referências a times, usuários, funis/estágios, tags, canais, integrações
+ * e outros fluxos (por nome). Na importação as referências são resolvidas na organização de destino
+ * pelo nome (usuários pelo e-mail) e todos os IDs são trocados; o que não puder ser resolvido é
+ * removido do fluxo e listado no relatório para ajuste manual.
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { uploadFile, downloadFileFromUrl } from '../utils/file-upload.js';
+import { normalizeText } from '../utils/string.js';
+
+export const BUNDLE_FORMAT = 'interflow-flow-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Colunas que pertencem à organização de origem e não são copiadas
+const FLOW_OMITTED_COLUMNS = ['id', 'organization_id', 'created_at', 'updated_at', 'created_by', 'is_published', 'published_version_id'];
+const TRIGGER_OMITTED_COLUMNS = ['id', 'flow_id', 'organization_id', 'created_at', 'updated_at'];
+const PROMPT_OMITTED_COLUMNS = ['id', 'organization_id', 'created_at', 'updated_at', 'integration_id'];
+
+// Campos de subcondição (clientData) que guardam IDs, por tipo de referência
+const CONDITION_FIELD_REFERENCES = {
+  chat_funil: 'stages',
+  chat_tag: 'tags',
+  chat_team: 'teams',
+  chat_attendant: 'users'
+};
+
+/**
+ * Remove colunas de um registro
+ * @param {Object} record - Registro
+ * @param {string[]} columns - Colunas a remover
+ * @returns {Object}
+ */
+const omitColumns = (record, columns) => Object.fromEntries(
+  Object.entries(record || {}).filter(([key]) => !columns.includes(key))
+);
+
+/**
+ * Coleta os IDs de entidades da organização referenciados pelo fluxo e seus gatilhos
+ * @param {Object} flow - Fluxo com nodes
+ * @param {Array} triggers - Gatilhos do fluxo
+ * @returns {Object} - Conjuntos de IDs por tipo
+ */
+export const collectFlowReferences = (flow, triggers = []) => {
+  const references = {
+    prompts: new Set(),
+    teams: new Set(),
+    users: new Set(),
+    funnels: new Set(),
+    stages: new Set(),
+    tags: new Set(),
+    flows: new Set(),
+    channels: new Set(),
+    integrations: new Set()
+  };
+  const add = (type, ids) => {
+    [].concat(ids ?? []).filter(id => typeof id === 'string' && id).forEach(id => references[type].add(id));
+  };
+
+  for (const node of flow.nodes || []) {
+    const data = node.data || {};
+    switch (node.type) {
+      case 'agenteia':
+        add('prompts', data.agenteia?.promptId);
+        break;
+      case 'update_customer':
+        add('teams', data.updateCustomer?.teamId);
+        add('users', data.updateCustomer?.userId);
+        add('funnels', data.updateCustomer?.funnelId);
+        add('stages', data.updateCustomer?.stageId);
+        break;
+      case 'subflow':
+        add('flows', data.subflow?.flowId);
+        break;
+      case 'request':
+        add('integrations', data.request?.authIntegrationId);
+        break;
+      case 'openai':
+        add('integrations', data.openai?.integrationId);
+        break;
+      case 'condition':
+        for (const condition of data.conditions || []) {
+          for (const sub of condition.subConditions || []) {
+            const type = sub.type === 'clientData' && CONDITION_FIELD_REFERENCES[sub.field];
+            if (type) add(type, sub.value);
+            add('stages', sub.stageId);
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  for (const trigger of triggers) {
+    for (const rule of trigger.conditions?.rules || []) {
+      if (rule.type === 'channel') add('channels', rule.params?.channels);
+      if (rule.type === 'customer_segment') {
+        add('tags', rule.params?.tagIds);
+        add('stages', rule.params?.stageIds);
+      }
+    }
+  }
+
+  return references;
+};
+
+/**
+ * Busca nomes (e demais dados usados no casamento) das referências na organização de origem
+ * @param {string} organizationId - Organização de origem
+ * @param {Object} references - Conjuntos de IDs por tipo
+ * @returns {Object} - Listas de referências por tipo
+ */
+const describeReferences = async (organizationId, references) => {
+  const fetchByIds = async (type, query) => {
+    const ids = [...references[type]];
+    if (!ids.length) return [];
+    const { data, error } = await query.in('id', ids);
+    if (error) throw error;
+    return data;
+  };
+
+  const [teams, users, funnels, stages, tags, flows, channels, integrations] = await Promise.all([
+    fetchByIds('teams', supabase.from('service_teams').select('id, name').eq('organization_id', organizationId)),
+    fetchByIds('users', supabase.from('profiles').select('id, full_name, email')),
+    fetchByIds('funnels', supabase.from('crm_funnels').select('id, name').eq('organization_id', organizationId)),
+    fetchByIds('stages', supabase.from('crm_stages').select('id, name, funnel:crm_funnels(id, name)')),
+    fetchByIds('tags', supabase.from('tags').select('id, name').eq('organization_id', organizationId)),
+    fetchByIds('flows', supabase.from('flows').select('id, name').eq('organization_id', organizationId)),
+    fetchByIds('channels', supabase.from('chat_channels').select('id, name, type').eq('organization_id', organizationId)),
+    fetchByIds('integrations', supabase.from('integrations').select('id, type').eq('organization_id', organizationId))
+  ]);
+
+  return {
+    teams,
+    users,
+    funnels,
+    stages: stages.map(stage => ({ id: stage.id, name: stage.name, funnel_name: stage.funnel?.name || null })),
+    tags,
+    flows,
+    channels,
+    integrations
+  };
+};
+
+/**
+ * Monta o pacote de exportação de um fluxo
+ * @param {Object} params
+ * @param {string} params.flowId - ID do fluxo
+ * @param {string} params.organizationId - Organização de origem
+ * @returns {Object|null} - Pacote ou null se o fluxo não existir
+ */
+export const exportFlowBundle = async ({ flowId, organizationId }) => {
+  try {
+    const { data: flow, error: flowError } = await supabase
+      .from('flows')
+      .select('*')
+      .eq('id', flowId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (flowError && flowError.code !== 'PGRST116') throw flowError;
+    if (!flow) return null;
+
+    const [triggersResult, filesResult] = await Promise.all([
+      supabase.from('flow_triggers').select('*').eq('flow_id', flowId),
+      supabase.from('files').select('id, name, mime_type, size, public_url').eq('flow_id', flowId).eq('organization_id', organizationId)
+    ]);
+
+    if (triggersResult.error) throw triggersResult.error;
+    if (filesResult.error) throw filesResult.error;
+
+    const references = collectFlowReferences(flow, triggersResult.data);
+
+    let prompts = [];
+    if (references.prompts.size) {
+      const { data, error } = await supabase
+        .from('prompts')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .in('id', [...references.prompts]);
+
+      if (error) throw error;
+      prompts = data;
+      // A integração do prompt também precisa ser resolvida no destino
+      prompts.forEach(prompt => prompt.integration_id && references.integrations.add(prompt.integration_id));
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      source: { flow_id: flow.id },
+      flow: omitColumns(flow, FLOW_OMITTED_COLUMNS),
+      triggers: triggersResult.data.map(trigger => ({ id: trigger.id, ...omitColumns(trigger, TRIGGER_OMITTED_COLUMNS) })),
+      files: filesResult.data.map(file => ({
+        id: file.id,
+        name: file.name,
+        mime_type: file.mime_type,
+        size: file.size,
+        url: file.public_url
+      })),
+      prompts: prompts.map(prompt => ({
+        id: prompt.id,
+        integration_id: prompt.integration_id || null,
+        ...omitColumns(prompt, PROMPT_OMITTED_COLUMNS)
+      })),
+      references: await describeReferences(organizationId, references)
+    };
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve as referências do pacote na organização de destino
+ * @param {string} organizationId - Organização de destino
+ * @param {Object} references - Referências do pacote
+ * @returns {Object} - { idMap, mapped, unresolved, organizationIds }. organizationIds são todos os IDs da
+ *   organização de destino que podem ser alvo de uma referência
+ */
+const resolveReferences = async (organizationId, references = {}) => {
+  const idMap = new Map();
+  const mapped = [];
+  const unresolved = [];
+  const key = (value) => normalizeText(String(value || ''));
+
+  const resolve = (type, items, candidates, matches, describe = item => item.name) => {
+    for (const item of items || []) {
+      const candidate = candidates.find(c => matches(item, c));
+      if (candidate) {
+        idMap.set(item.id, candidate.id);
+        mapped.push({ type, from: item.id, to: candidate.id, name: describe(item) });
+      } else {
+        unresolved.push({ type, id: item.id, name: describe(item) });
+      }
+    }
+  };
+
+  const selectAll = async (query) => {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  };
+
+  const [teams, funnels, stages, tags, flows, channels, integrations, members] = await Promise.all([
+    selectAll(supabase.from('service_teams').select('id, name').eq('organization_id', organizationId)),
+    selectAll(supabase.from('crm_funnels').select('id, name').eq('organization_id', organizationId)),
+    selectAll(supabase.from('crm_stages').select('id, name, funnel:crm_funnels!inner(id, name, organization_id)').eq('funnel.organization_id', organizationId)),
+    selectAll(supabase.from('tags').select('id, name').eq('organization_id', organizationId)),
+    selectAll(supabase.from('flows').select('id, name').eq('organization_id', organizationId)),
+    selectAll(supabase.from('chat_channels').select('id, name, type').eq('organization_id', organizationId)),
+    selectAll(supabase.from('integrations').select('id, type').eq('organization_id', organizationId).eq('status', 'active')),
+    selectAll(supabase.from('organization_members').select('user_id').eq('organization_id', organizationId))
+  ]);
+
+  const emails = (references.users || []).map(user => user.email).filter(Boolean);
+  const memberIds = members.map(member => member.user_id);
+  const profiles = emails.length && memberIds.length
+    ? await selectAll(supabase.from('profiles').select('id, email').in('email', emails).in('id', memberIds))
+    : [];
+
+  const byName = (item, candidate) => key(item.name) === key(candidate.name);
+
+  resolve('teams', references.teams, teams, byName);
+  resolve('funnels', references.funnels, funnels, byName);
+  resolve('stages', references.stages, stages,
+    (item, candidate) => byName(item, candidate) && (!item.funnel_name || key(item.funnel_name) === key(candidate.funnel?.name)),
+    item => (item.funnel_name ? `${item.funnel_name} / ${item.name}` : item.name));
+  resolve('tags', references.tags, tags, byName);
+  resolve('flows', references.flows, flows, byName);
+  resolve('channels', references.channels, channels, (item, candidate) => byName(item, candidate) && item.type === candidate.type);
+  // Integrações não têm nome comparável: usa a primeira integração ativa do mesmo tipo
+  resolve('integrations', references.integrations, integrations, (item, candidate) => item.type === candidate.type, item => item.type);
+  resolve('users', references.users, profiles,
+    (item, candidate) => key(item.email) === key(candidate.email),
+    item => item.email || item.full_name);
+
+  const organizationIds = new Set([
+    ...[teams, funnels, stages, tags, flows, channels, integrations].flat().map(item => item.id),
+    ...memberIds
+  ]);
+
+  return { idMap, mapped, unresolved, organizationIds };
+};
+
+/**
+ * Verifica se a URL de um arquivo do pacote aponta para o storage do Interflow (bucket de anexos do Supabase
+ * ou bucket S3), para que a importação não baixe URLs arbitrárias
+ * @param {string} url - URL do arquivo
+ * @returns {boolean}
+ */
+const isStorageUrl = (url) => {
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    const supabaseUrl = new URL(process.env.SUPABASE_URL);
+
+    if (hostname === supabaseUrl.hostname) {
+      return protocol === supabaseUrl.protocol && pathname.startsWith('/storage/v1/object/public/attachments/');
+    }
+    return protocol === 'https:' && /^[a-z0-9.-]+\.s3\.[a-z0-9-]+\.amazonaws\.com$/.test(hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Confirma que o arquivo do pacote existe na tabela files com a mesma URL, ou seja, foi enviado ao storage
+ * do Interflow, e não é uma URL qualquer incluída no pacote
+ * @param {Object} file - Arquivo do pacote ({ id, url })
+ * @returns {boolean}
+ */
+const isStoredFile = async (file) => {
+  if (typeof file.url !== 'string' || !isStorageUrl(file.url)) return false;
+
+  const { data, error } = await supabase
+    .from('files')
+    .select('id')
+    .eq('id', file.id)
+    .eq('public_url', file.url)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+};
+
+/**
+ * Troca IDs e URLs em qualquer profundidade. IDs sem correspondência viram null (ou saem das listas)
+ * @param {any} value - Valor a percorrer
+ * @param {Map} idMap - IDs de origem -> destino
+ * @param {Set} removedIds - IDs de origem que não puderam ser resolvidos
+ * @param {Map} urlMap - URLs de arquivos de origem -> destino
+ * @returns {any}
+ */
+const remapValue = (value, idMap, removedIds, urlMap) => {
+  if (typeof value === 'string') {
+    if (idMap.has(value)) return idMap.get(value);
+    if (removedIds.has(value)) return null;
+    let result = value;
+    for (const [from, to] of urlMap) {
+      if (result.includes(from)) result = result.split(from).join(to);
+    }
+    return result;
+  }
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => !(typeof item === 'string' && removedIds.has(item)))
+      .map(item => remapValue(item, idMap, removedIds, urlMap));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, remapValue(v, idMap, removedIds, urlMap)]));
+  }
+  return value;
+};
+
+/**
+ * Importa um pacote de fluxo em uma organização. O fluxo é criado como rascunho (não publicado)
+ * @param {Object} params
+ * @param {Object} params.bundle - Pacote gerado por exportFlowBundle
+ * @param {string} params.organizationId - Organização de destino
+ * @param {Object} [params.mappings] - Correspondências manuais { idDeOrigem: idDeDestino }, com prioridade sobre as automáticas
+ * @param {string} [params.name] - Nome do fluxo importado (padrão: nome de origem)
+ * @param {boolean} [params.dryRun] - Apenas resolve as referências e retorna o relatório, sem criar nada
+ * @returns {Object} - { flow, report } ou { invalidMappings } se alguma correspondência manual apontar para
+ *   um ID que não pertence à organização de destino (nada é criado)
+ */
+export const importFlowBundle = async ({ bundle, organizationId, mappings = {}, name = null, dryRun = false }) => {
+  try {
+    const { idMap, mapped, unresolved: autoUnresolved, organizationIds } = await resolveReferences(organizationId, bundle.references);
+
+    const manualMappings = Object.entries(mappings || {}).filter(([from, to]) => from && to);
+    const invalidMappings = manualMappings
+      .filter(([, to]) => !organizationIds.has(to))
+      .map(([from, to]) => ({ from, to }));
+
+    if (invalidMappings.length) {
+      return { invalidMappings };
+    }
+
+    for (const [from, to] of manualMappings) {
+      idMap.set(from, to);
+    }
+    // O próprio fluxo (subflow/jump para si mesmo) é resolvido para a cópia criada mais abaixo
+    const unresolved = autoUnresolved.filter(item => !idMap.has(item.id) && item.id !== bundle.source?.flow_id);
+
+    // Prompts e arquivos são recriados no destino; os IDs são adicionados ao mapa conforme são criados
+    const report = {
+      mapped,
+      unresolved,
+      created: { prompts: [], files: [], triggers: 0 },
+      failed: []
+    };
+
+    if (dryRun) {
+      return { flow: null, report };
+    }
+
+    const removedIds = new Set(unresolved.map(item => item.id));
+
+    for (const prompt of bundle.prompts || []) {
+      const { id: sourceId, integration_id: integrationId, ...promptData } = prompt;
+      const { data: createdPrompt, error } = await supabase
+        .from('prompts')
+        .insert({
+          ...remapValue(promptData, idMap, removedIds, new Map()),
+          organization_id: organizationId,
+          integration_id: idMap.get(integrationId) || null
+        })
+        .select('id, title')
+        .single();
+
+      if (error) {
+        report.failed.push({ type: 'prompts', id: sourceId, name: prompt.title, error: error.message });
+        removedIds.add(sourceId);
+        continue;
+      }
+      idMap.set(sourceId, createdPrompt.id);
+      report.created.prompts.push({ from: sourceId, to: createdPrompt.id, name: createdPrompt.title });
+    }
+
+    const { data: createdFlow, error: flowError } = await supabase
+      .from('flows')
+      .insert({
+        ...omitColumns(bundle.flow, FLOW_OMITTED_COLUMNS),
+        name: name || bundle.flow.name,
+        nodes: [],
+        edges: [],
+        variables: bundle.flow.variables || [],
+        organization_id: organizationId,
+        is_published: false
+      })
+      .select('id')
+      .single();
+
+    if (flowError) throw flowError;
+
+    if (bundle.source?.flow_id) {
+      idMap.set(bundle.source.flow_id, createdFlow.id);
+    }
+
+    const urlMap = new Map();
+    for (const file of bundle.files || []) {
+      try {
+        if (!await isStoredFile(file)) {
+          throw new Error('Arquivo fora do storage do Interflow');
+        }
+
+        const fileData = await downloadFileFromUrl(file.url);
+        const uploadResult = await uploadFile({
+          fileData,
+          fileName: file.name,
+          contentType: file.mime_type || 'application/octet-stream',
+          fileSize: file.size,
+          organizationId,
+          customFolder: 'flow-files',
+          flowId: createdFlow.id
+        });
+        if (!uploadResult.success) throw new Error(uploadResult.error);
+
+        idMap.set(file.id, uploadResult.fileId);
+        urlMap.set(file.url, uploadResult.fileUrl);
+        report.created.files.push({ from: file.id, to: uploadResult.fileId, name: file.name });
+      } catch (fileError) {
+        // O nó continua apontando para a URL de origem; arquivos fora do storage não são baixados
+        report.failed.push({ type: 'files', id: file.id, name: file.name, error: fileError.message });
+      }
+    }
+
+    const { data: flow, error: updateError } = await supabase
+      .from('flows')
+      .update({
+        nodes: remapValue(bundle.flow.nodes || [], idMap, removedIds, urlMap),
+        edges: bundle.flow.edges || [],
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', createdFlow.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    for (const trigger of bundle.triggers || []) {
+      const { id: sourceId, ...triggerData } = trigger;
+      const { error } = await supabase
+        .from('flow_triggers')
+        .insert({
+          ...remapValue(triggerData, idMap, removedIds, urlMap),
+          flow_id: createdFlow.id
+        });
+
+      if (error) {
+        report.failed.push({ type: 'triggers', id: sourceId, name: trigger.type, error: error.message });
+        continue;
+      }
+      report.created.triggers++;
+    }
+
+    return { flow, report };
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
@@ -1,13 +1,47 @@
 import { supabase } from '../lib/supabase.js';
 import Sentry from '../lib/sentry.js';
-import { OpenAI } from 'openai';
+import { OpenAI, toFile } from 'openai';
 import { createMessageToSend } from '../controllers/chat/message-handlers.js';
 import crypto from 'crypto';
 import { decrypt } from '../utils/crypto.js';
 import { processAgentIA } from './agent-ia.js';
-import axios from 'axios';
+import { executeHttpRequest, isStatusInRanges } from './http-request.js';
+import { normalizeText, calculateSimilarity } from '../utils/string.js';
+import { formatMaskedValue } from '../utils/validators.js';
+import { evaluateExpression } from '../utils/expression.js';
+import { uploadFile, downloadFileFromUrl } from '../utils/file-upload.js';
+import { getBusinessCalendar, getBusinessHoursStatus, isWithinTimeSlots } from './business-hours.js';
+import { FLOW_VERSION_JOIN, applyPinnedFlowVersion, resolvePublishedFlow, getFlowVersion } from './flow-versions.js';
+import { emitWebhookEvent } from './event-webhooks.js';
+import { createChatCompletion, getLLMIntegration, reportLLMUsage } from './llm-providers.js';
 
-// Objeto global para armazenar os timeouts ativos por sessão
+// Tipos de gatilho suportados, do mais específico para o mais genérico.
+// Em caso de empate de prioridade, o tipo mais específico vence.
+const TRIGGER_TYPES = ['keyword', 'regex', 'customer_segment', 'chat_reopened', 'inactivity', 'first_contact'];
+
+// Limite padrão de iterações de um nó loop
+const DEFAULT_LOOP_MAX_ITERATIONS = 50;
+
+// Tentativas padrão de um input com validação antes de seguir pelo handle 'invalid'
+const DEFAULT_INPUT_MAX_ATTEMPTS = 3;
+
+// Tipos de mensagem que contam como anexo em inputs do tipo 'attachment'
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'audio', 'video', 'document', 'sticker', 'file'];
+
+// Fuso usado quando a organização não define um em settings.timezone
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+// Profundidade máxima de subfluxos aninhados
+const MAX_SUBFLOW_DEPTH = 5;
+
+// Intervalo mínimo entre mensagens de ausência no mesmo chat quando o calendário não define cooldownMinutes
+const DEFAULT_AWAY_MESSAGE_COOLDOWN_MINUTES = 720;
+
+// Tentativas de acrescentar uma mensagem à fila do delay quando outra mensagem é gravada ao mesmo tempo
+const MAX_DELAY_QUEUE_ATTEMPTS = 5;
+
+// Timers locais por sessão. Servem apenas como atalho para retomar a sessão no tempo exato;
+// o estado real fica persistido em flow_sessions.resume_at e é retomado pelo cron caso o processo reinicie
 const sessionTimeouts = {};
 
 /**
@@ -17,9 +51,11 @@ const sessionTimeouts = {};
  * @param {Object} customer - Cliente
  * @param {string} chatId - ID do chat
  * @param {Object} options - Opções adicionais
+ * @param {Object} options.simulation - Quando informado, executa o fluxo em memória (sem banco e sem envio real).
+ *   Aceita session, onMessage(message) e onEvent(type, data)
  */
 export const createFlowEngine = (organization, channel, customer, chatId, options = {}) => {
-  const { isFirstMessage } = options;
+  const { isFirstMessage, lastMessage, simulation } = options;
   
   /**
    * Processa cada mensagem recebida, gerenciando o fluxo ativo e o sistema de debounce
@@ -46,33 +82,22 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
       }
 
       if (activeFlow) {
-        // Criar uma chave única para o timeout usando chatId e sessionId
-        const timeoutKey = `${chatId}_${activeFlow.id}`;
-      
-        // Cancelar qualquer timeout pendente para esta sessão
-        if (sessionTimeouts[timeoutKey]) {
-          clearTimeout(sessionTimeouts[timeoutKey]);
+        // Mensagens recebidas durante um nó de delay não interrompem a espera: ficam guardadas
+        // e são processadas quando a sessão for retomada
+        if (activeFlow.resume_type === 'delay' && activeFlow.resume_at && await queueMessageDuringDelay(activeFlow, message)) {
+          return activeFlow;
         }
 
-        // Verificar se está dentro do período de debounce
+        // Persiste a janela de debounce. Uma nova mensagem sobrescreve o resume_at,
+        // invalidando qualquer retomada agendada anteriormente (nesta ou em outra instância)
         const debounceTime = activeFlow.flow?.debounce_time || 20000; // em milissegundos
-
-        // Definimos um timeout para processar a mensagem após o período de debounce
-        sessionTimeouts[timeoutKey] = setTimeout(async () => {
-          try {
-            // Limpa a referência ao timeout concluído
-            delete sessionTimeouts[timeoutKey];
-
-            // Executar o fluxo caso não tenha sido cancelado por outra mensagem nova
-            await continueFlow(activeFlow, message);
-          } catch (error) {
-            Sentry.captureException(error);
-            console.error('Erro durante o processamento do timeout de debounce:', error);
-          }
-        }, debounceTime);
+        await scheduleResume(activeFlow, 'debounce', debounceTime, { message });
         
         return activeFlow; // Não prossegue para continueFlow imediatamente
       }
+
+      // Nenhum fluxo assumiu a conversa: fora do horário de atendimento, avisa o cliente
+      await sendAwayMessageIfClosed();
       return null;
     } catch (error) {
       Sentry.captureException(error);
@@ -80,11 +105,251 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     }
   };
 
+  /**
+   * Acrescenta a mensagem recebida durante um delay a resume_payload.queued_messages, na ordem de chegada.
+   * A gravação só acontece se a sessão ainda estiver esperando o mesmo resume_at e se ninguém alterou a
+   * sessão desde a leitura (updated_at); mensagens simultâneas tentam de novo com a fila atualizada
+   * @param {Object} session - Sessão parada no nó de delay
+   * @param {Object} message - Mensagem recebida
+   * @returns {boolean} - false se a sessão já foi retomada e a mensagem deve seguir o caminho normal
+   */
+  const queueMessageDuringDelay = async (session, message) => {
+    for (let attempt = 0; attempt < MAX_DELAY_QUEUE_ATTEMPTS; attempt++) {
+      const { data: current, error: currentError } = await supabase
+        .from('flow_sessions')
+        .select('resume_payload, updated_at')
+        .eq('id', session.id)
+        .eq('status', 'active')
+        .eq('resume_type', 'delay')
+        .eq('resume_at', session.resume_at)
+        .maybeSingle();
+
+      if (currentError) throw currentError;
+      if (!current) return false;
+
+      const payload = current.resume_payload || {};
+      const { data, error } = await supabase
+        .from('flow_sessions')
+        .update({
+          resume_payload: { ...payload, queued_messages: [...(payload.queued_messages || []), message] },
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', session.id)
+        .eq('status', 'active')
+        .eq('resume_type', 'delay')
+        .eq('resume_at', session.resume_at)
+        .eq('updated_at', current.updated_at)
+        .select('id');
+
+      if (error) throw error;
+      if (data?.length) return true;
+    }
+
+    throw new Error('Não foi possível guardar a mensagem recebida durante o delay');
+  };
+
+  /**
+   * Envia a mensagem de ausência do calendário da organização quando a mensagem chega fora do horário
+   * de atendimento e o chat não está com um atendente (assigned_to ou status in_progress). O envio é registrado em chats.away_message_sent_at e não se repete no mesmo chat
+   * antes de away_message.cooldownMinutes. Aceita {{next_opening_date}} e {{next_opening_time}} no texto
+   */
+  const sendAwayMessageIfClosed = async () => {
+    if (simulation || !chatId) return;
+
+    try {
+      const calendar = await getBusinessCalendar(organization.id);
+      const awayMessage = calendar?.away_message;
+      if (!awayMessage?.enabled || !awayMessage.content) return;
+
+      const status = getBusinessHoursStatus(calendar);
+      if (status.open) return;
+
+      const { data: chat, error: chatError } = await supabase
+        .from('chats')
+        .select('away_message_sent_at, assigned_to, status')
+        .eq('id', chatId)
+        .single();
+
+      if (chatError) throw chatError;
+
+      // Um atendente já está cuidando da conversa
+      if (chat?.assigned_to || chat?.status === 'in_progress') return;
+
+      const cooldownMs = (Number(awayMessage.cooldownMinutes) || DEFAULT_AWAY_MESSAGE_COOLDOWN_MINUTES) * 60000;
+      if (chat?.away_message_sent_at && Date.now() - new Date(chat.away_message_sent_at).getTime() < cooldownMs) {
+        return;
+      }
+
+      // Marca antes de enviar para que mensagens simultâneas não disparem o aviso duas vezes
+      const { error: updateError } = await supabase
+        .from('chats')
+        .update({ away_message_sent_at: new Date().toISOString() })
+        .eq('id', chatId);
+
+      if (updateError) throw updateError;
+
+      const [year, month, day] = (status.nextOpening?.date || '').split('-');
+      const content = awayMessage.content
+        .replace(/\{\{next_opening_date\}\}/g, status.nextOpening ? `${day}/${month}/${year}` : '')
+        .replace(/\{\{next_opening_time\}\}/g, status.nextOpening?.time || '');
+
+      await sendMessage(content, null, null);
+    } catch (error) {
+      // A mensagem de ausência é um aviso; falhas não devem interromper o recebimento da mensagem
+      console.error('[sendAwayMessageIfClosed] Erro ao enviar mensagem de ausência:', error);
+      Sentry.captureException(error);
+    }
+  };
+
+  /**
+   * Agenda a retomada de uma sessão, persistindo o momento e o motivo em flow_sessions
+   * @param {Object} session - Sessão a ser retomada
+   * @param {string} resumeType - Motivo da retomada ('debounce' ou 'delay')
+   * @param {number} delayMs - Tempo até a retomada em milissegundos
+   * @param {Object} payload - Dados necessários para retomar (ex: mensagem recebida)
+   * @param {string} nodeId - Nó em que a sessão deve ficar parada, se diferente do atual
+   */
+  const scheduleResume = async (session, resumeType, delayMs, payload = {}, nodeId = null) => {
+    const resumeAt = new Date(Date.now() + delayMs).toISOString();
+    const updates = {
+      resume_at: resumeAt,
+      resume_type: resumeType,
+      resume_payload: payload
+    };
+    if (nodeId) {
+      updates.current_node_id = nodeId;
+    }
+
+    await updateSession(session.id, updates);
+
+    // Cancelar qualquer timer local pendente para esta sessão
+    if (sessionTimeouts[session.id]) {
+      clearTimeout(sessionTimeouts[session.id]);
+    }
+
+    sessionTimeouts[session.id] = setTimeout(async () => {
+      try {
+        delete sessionTimeouts[session.id];
+        await resumeSession({
+          id: session.id,
+          resume_at: resumeAt,
+          resume_type: resumeType,
+          resume_payload: payload
+        });
+      } catch (error) {
+        Sentry.captureException(error);
+        console.error('Erro durante a retomada agendada da sessão:', error);
+      }
+    }, delayMs);
+
+    return resumeAt;
+  };
+
+  /**
+   * Retoma uma sessão cujo resume_at venceu. A sessão é reivindicada de forma atômica
+   * (somente se o resume_at ainda for o esperado), garantindo execução única entre instâncias.
+   * O resume_payload é lido do registro reivindicado, que inclui mensagens guardadas durante um delay
+   * @param {Object} pendingSession - Sessão com resume_at e resume_type
+   * @returns {Object|null} - Sessão retomada ou null se já tiver sido retomada ou substituída
+   */
+  const resumeSession = async (pendingSession) => {
+    const { data: claimed, error: claimError } = await supabase
+      .from('flow_sessions')
+      .update({
+        resume_at: null,
+        resume_type: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', pendingSession.id)
+      .eq('status', 'active')
+      .eq('resume_at', pendingSession.resume_at)
+      .select('id, resume_payload');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return null;
+
+    const session = await getActiveFlow();
+    if (!session || session.id !== pendingSession.id) return null;
+
+    const payload = claimed[0].resume_payload || {};
+    const message = payload.message || null;
+
+    if (pendingSession.resume_type === 'delay') {
+      // A sessão está parada no nó de delay: segue a partir do próximo nó
+      const delayNode = session.flow.nodes.find(n => n.id === session.current_node_id);
+      if (!delayNode) {
+        await pauseFlow(session);
+        return session;
+      }
+      const nextNode = await getNextNode(session.flow, delayNode, message, session);
+      await runNodes(session, nextNode, message);
+
+      // Mensagens do cliente recebidas durante o delay, na ordem em que chegaram. Cada uma segue o fluxo
+      // diretamente (sem a janela de debounce, que manteria só a última); se o fluxo parar em um novo delay,
+      // tiver outra retomada agendada ou terminar, as restantes passam por processMessage
+      for (const queuedMessage of payload.queued_messages || []) {
+        const current = await getActiveFlow();
+        if (current && !current.resume_at) {
+          await continueFlow(current, queuedMessage);
+        } else {
+          await processMessage(queuedMessage);
+        }
+      }
+    } else {
+      await continueFlow(session, message || { content: '', type: '' });
+    }
+
+    return session;
+  };
+
+  /**
+   * Move uma sessão ativa para um nó do fluxo (uso administrativo). Retomadas agendadas, tentativas de
+   * input e loops em andamento são descartados; a partir do nó, o fluxo segue normalmente
+   * @param {string} sessionId - ID da sessão
+   * @param {string} nodeId - ID do nó de destino no grafo atual da sessão
+   * @returns {Object|null} - Sessão atualizada ou null se a sessão não estiver mais ativa neste chat
+   */
+  const goToNode = async (sessionId, nodeId) => {
+    try {
+      const session = await getActiveFlow();
+      if (!session || session.id !== sessionId) return null;
+
+      const node = session.flow.nodes.find(n => n.id === nodeId);
+      if (!node) {
+        throw new Error(`Nó ${nodeId} não encontrado no fluxo da sessão`);
+      }
+
+      if (sessionTimeouts[session.id]) {
+        clearTimeout(sessionTimeouts[session.id]);
+        delete sessionTimeouts[session.id];
+      }
+
+      const resetSession = await updateSession(session.id, {
+        resume_at: null,
+        resume_type: null,
+        resume_payload: null,
+        input_attempts: 0,
+        loop_stack: []
+      });
+
+      recordEvent(session, 'session_forced', { nodeId });
+
+      return await runNodes(resetSession, node, null);
+    } catch (error) {
+      Sentry.captureException(error);
+      throw error;
+    }
+  };
+
   /**
    * Busca um fluxo ativo para o cliente atual no chat específico
    * @returns {Object|null} Fluxo ativo ou null
    */
   const getActiveFlow = async () => {
+    if (simulation) {
+      return simulation.session?.status === 'active' ? simulation.session : null;
+    }
+
     const { data, error } = await supabase
       .from('flow_sessions')
       .select(`
@@ -111,7 +376,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
             tags:tags(*)
           )
         ),
-        chat:chats!flow_sessions_chat_id_fkey (*)
+        chat:chats!flow_sessions_chat_id_fkey (*),${FLOW_VERSION_JOIN}
       `)
       .eq('customer_id', customer.id)
       .eq('chat_id', chatId)
@@ -119,7 +384,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
       .single();
 
     if (error && error.code !== 'PGRST116') throw error;
-    return data;
+    return applyPinnedFlowVersion(data);
   };
 
   /**
@@ -131,7 +396,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
   const findMatchingFlow = async (message) => {
     try {
       // Utiliza a função checkTriggers para encontrar um fluxo adequado
-      const matchingFlow = await checkTriggers(organization, channel, customer);
+      const matchingFlow = await checkTriggers(organization, channel, customer, message);
       return matchingFlow;
     } catch (error) {
       Sentry.captureException(error);
@@ -144,6 +409,11 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
    * @param {Object} flow - Fluxo a ser iniciado
    */
   const startFlow = async (flow) => {
+    // Sessões reais executam a versão publicada atual e ficam presas a ela; a simulação usa o rascunho
+    if (!simulation) {
+      flow = await resolvePublishedFlow(flow);
+    }
+
     // Encontrar o nó inicial (geralmente do tipo 'start')
     const startNode = flow.nodes.find(node => node.id === 'start-node' || node.id === 'start');
     // console.log('startNode', startNode);
@@ -159,6 +429,31 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
             value
           }));
 
+      if (simulation) {
+        simulation.session = {
+          id: crypto.randomUUID(),
+          bot_id: flow.id,
+          chat_id: chatId,
+          customer_id: customer?.id || null,
+          organization_id: organization.id,
+          status: 'active',
+          current_node_id: startNode.id,
+          variables: defaultVariables,
+          message_history: [],
+          flow: {
+            id: flow.id,
+            nodes: flow.nodes,
+            edges: flow.edges,
+            variables: flow.variables,
+            debounce_time: flow.debounce_time
+          },
+          customer,
+          chat: null
+        };
+        recordEvent(simulation.session, 'session_started', { trigger: null });
+        return simulation.session;
+      }
+
       const { data: session, error } = await supabase
       .from('flow_sessions')
       .insert({
@@ -169,7 +464,8 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         status: 'active',
         current_node_id: startNode.id,
         variables: defaultVariables,
-        message_history: []
+        message_history: [],
+        flow_version_id: flow.version_id || null
       })
       .select(`
         *,
@@ -195,7 +491,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
             tags:tags(*)
           )
         ),
-        chat:chats!flow_sessions_chat_id_fkey (*)
+        chat:chats!flow_sessions_chat_id_fkey (*),${FLOW_VERSION_JOIN}
       `)
       .single();
         
@@ -211,7 +507,9 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
 
       if (chatsUpdateError) throw chatsUpdateError;
 
-      return session;
+      const pinnedSession = applyPinnedFlowVersion(session);
+      recordEvent(pinnedSession, 'session_started', { trigger: isFirstMessage ? 'first_message' : null });
+      return pinnedSession;
     } catch (error) {
       Sentry.captureException(error);
       throw error;
@@ -238,49 +536,95 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         // Se o cliente respondeu a um nó de input, zeramos o timeout_at
         const initialUpdates = { timeout_at: null };
         await updateSession(session.id, initialUpdates);
-        
+
+        const validation = validateInput(currentNode, message);
+        if (!validation.valid) {
+          return await handleInvalidInput(session, currentNode, message, validation);
+        }
+
         // Processa o nó de input e obtém a sessão atualizada com as novas variáveis
-        updatedSession = await processInputNode(session, currentNode, message);
+        updatedSession = await processInputNode(session, currentNode, message, validation.value);
       }
 
-      let nextNode = await getNextNode(updatedSession.flow, currentNode, message, updatedSession);
+      const nextNode = await getNextNode(updatedSession.flow, currentNode, message, updatedSession);
       // console.log(`[continueFlow] 1 Proximo nó a ser executado antes de executar o nó:`, nextNode);
 
-      while (nextNode && nextNode.type !== 'input') {
-        // Executa o nó e obtém a sessão atualizada
-        // console.log(`[continueFlow] Proximo nó a ser executado antes de executar o nó:`, nextNode);
-        updatedSession = await executeNode(updatedSession, nextNode);
-        if (updatedSession && updatedSession.go_to_node && updatedSession.target_node) {
-          nextNode = updatedSession.target_node;
-          delete updatedSession.go_to_node;
-          delete updatedSession.target_node;
-        } else {
-          nextNode = await getNextNode(updatedSession.flow, nextNode, message, updatedSession);
+      await runNodes(updatedSession, nextNode, message);
+    } catch (error) {
+      console.log('Error: ', error);
+      Sentry.captureException(error);
+      throw error;
+    }
+  };
+
+  /**
+   * Executa os nós em sequência a partir de nextNode até encontrar um nó de input,
+   * um nó de delay (que suspende a sessão até o resume_at) ou o fim do fluxo.
+   * Ao final de um subfluxo, retorna ao fluxo chamador em vez de encerrar a sessão
+   * @param {Object} session - Sessão atual
+   * @param {Object} nextNode - Primeiro nó a ser executado
+   * @param {Object} message - Mensagem recebida
+   * @returns {Object} - Sessão atualizada
+   */
+  const runNodes = async (session, nextNode, message) => {
+    let updatedSession = { ...session };
+
+    while (true) {
+      if (!nextNode) {
+        // Fim do corpo de um loop: volta para o nó loop para a próxima iteração
+        const activeLoop = getActiveLoopFrame(updatedSession);
+        if (activeLoop) {
+          nextNode = updatedSession.flow.nodes.find(n => n.id === activeLoop.node_id);
+          continue;
         }
-        
+
+        // Fim de um subfluxo: volta para o nó seguinte ao nó subflow no fluxo chamador
+        if (updatedSession.call_stack?.length > 0) {
+          ({ session: updatedSession, nextNode } = await returnFromSubflow(updatedSession, message));
+          continue;
+        }
+        break;
       }
+      if (nextNode.type === 'input') break;
 
-      
-      if (nextNode) {
-        const timeout = nextNode.data?.inputConfig?.timeout || null;
-        // Atualiza a sessão no banco de dados
-        const sessionWithUpdatedNode = await updateSession(updatedSession.id, {
-          current_node_id: nextNode.id,
-          input_type: nextNode.data?.inputType || 'text',
-          timeout_at: timeout ? new Date(Date.now() + timeout * 60 * 1000).toISOString() : null,
-          last_interaction: new Date().toISOString()
-        });
-        
-        // Usa a sessão atualizada para executar o próximo nó
-        updatedSession = await executeNode(sessionWithUpdatedNode, nextNode);
+      if (nextNode.type === 'delay' && !simulation) {
+        // Persiste o delay em vez de bloquear o processo; o restante do fluxo é retomado depois
+        const delayMs = (Number(nextNode.data?.delaySeconds) || 0) * 1000;
+        await scheduleResume(updatedSession, 'delay', delayMs, { message }, nextNode.id);
+        return updatedSession;
+      }
+
+      // Executa o nó e obtém a sessão atualizada
+      // console.log(`[continueFlow] Proximo nó a ser executado antes de executar o nó:`, nextNode);
+      updatedSession = await executeNode(updatedSession, nextNode);
+      if (updatedSession && updatedSession.go_to_node && updatedSession.target_node) {
+        nextNode = updatedSession.target_node;
+        delete updatedSession.go_to_node;
+        delete updatedSession.target_node;
       } else {
-        await pauseFlow(session);
+        nextNode = await getNextNode(updatedSession.flow, nextNode, message, updatedSession);
       }
-    } catch (error) {
-      console.log('Error: ', error);
-      Sentry.captureException(error);
-      throw error;
+      
     }
+
+    
+    if (nextNode) {
+      const timeout = nextNode.data?.inputConfig?.timeout || null;
+      // Atualiza a sessão no banco de dados
+      const sessionWithUpdatedNode = await updateSession(updatedSession.id, {
+        current_node_id: nextNode.id,
+        input_type: nextNode.data?.inputType || 'text',
+        timeout_at: timeout ? new Date(Date.now() + timeout * 60 * 1000).toISOString() : null,
+        last_interaction: new Date().toISOString()
+      });
+      
+      // Usa a sessão atualizada para executar o próximo nó
+      updatedSession = await executeNode(sessionWithUpdatedNode, nextNode);
+    } else {
+      await endSession(session);
+    }
+
+    return updatedSession;
   };
 
   /**
@@ -290,6 +634,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
    */
   const executeNode = async (session, node) => {
     let updatedSession = { ...session };
+    recordEvent(updatedSession, 'node_executed', { nodeId: node.id, nodeType: node.type });
     
     switch (node.type) {
       case 'text':
@@ -684,6 +1029,11 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         break;
 
       case 'agenteia':
+        if (simulation) {
+          // Agentes executam ações reais (transferências, agendamentos), por isso não rodam na simulação
+          recordEvent(updatedSession, 'node_skipped', { nodeId: node.id, nodeType: node.type, reason: 'not_supported_in_simulation' });
+          break;
+        }
         updatedSession = await processAgentIA(node, updatedSession, sendMessage, updateSession);
         
         // Verificar se há atualizações de variáveis para aplicar
@@ -728,18 +1078,42 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         break;
         
       case 'update_customer':
+        if (simulation) {
+          recordEvent(updatedSession, 'node_skipped', { nodeId: node.id, nodeType: node.type, reason: 'not_supported_in_simulation', data: node.data.updateCustomer });
+          break;
+        }
         updatedSession = await updateCustomer(node.data, updatedSession);
         break;
 
       case 'request':
-        updatedSession = await processRequestNode(node.data, updatedSession);
+        updatedSession = await processRequestNode(node.data, updatedSession, node.id);
         break;
 
       case 'jump_to':
         updatedSession = await processJumpToNode(node.data, updatedSession);  
         break;
+
+      case 'subflow':
+        updatedSession = await processSubflowNode(node, updatedSession);
+        break;
+
+      case 'loop':
+        updatedSession = await processLoopNode(node, updatedSession);
+        break;
+
+      case 'split':
+        updatedSession = await processSplitNode(node, updatedSession);
+        break;
+
+      case 'business_hours':
+        updatedSession = await processBusinessHoursNode(node, updatedSession);
+        break;
       
       case 'system_message':
+        if (simulation) {
+          recordEvent(updatedSession, 'system_message', { nodeId: node.id, text: replaceVariables(node.data.text, updatedSession) });
+          break;
+        }
         await processSystemMessageNode(node.data, updatedSession);
         break;
     }
@@ -752,98 +1126,336 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
   };
 
   /**
-   * Processa nós de entrada, salvando respostas e variáveis
-   * @param {Object} session - Sessão atual
-   * @param {Object} node - Nó de input
+   * Encontra a opção de um nó de input escolhida pelo cliente. As estratégias são testadas em ordem:
+   * ID de resposta interativa (botão/lista do WhatsApp), texto exato, número da opção ("1", "opção 2"),
+   * texto normalizado (sem acentos/pontuação), sinônimos e, se configurado, similaridade mínima.
+   * @param {Object} node - Nó de input do tipo options
    * @param {Object} message - Mensagem recebida
-   * @returns {Object} - Sessão atualizada com as novas variáveis
+   * @returns {Object|null} - { index, option, strategy, score } ou null se nenhuma opção corresponder
    */
-  const processInputNode = async (session, node, message) => {
-    const updates = {
-      last_interaction: new Date().toISOString()
-    };
-
-    if (node.data.inputType === 'options') {
-      const validOption = node.data.options?.find(
-        opt => opt.text.toLowerCase() === message.content.toLowerCase()
-      );
-      if (validOption) {
-        updates.selected_option = validOption;
+  const matchInputOption = (node, message) => {
+    const options = node.data?.options || [];
+    if (!options.length || !message) return null;
+
+    const config = node.data.optionMatching || {};
+    const content = String(message.content ?? '');
+    const normalizedContent = normalizeText(content);
+    const result = (index, strategy, score = 1) => ({ index, option: options[index], strategy, score });
+
+    // Resposta de botão/lista interativa: o ID enviado volta no payload bruto da mensagem
+    const replyId = message.metadata?.interactive?.button_reply?.id
+      || message.metadata?.interactive?.list_reply?.id
+      || message.metadata?.button?.payload;
+    if (replyId) {
+      const idIndex = options.findIndex(option => option.id && String(option.id) === String(replyId));
+      if (idIndex !== -1) return result(idIndex, 'interactive_id');
+
+      // IDs padrão gerados no envio de botões/listas (button_0, item_1)
+      const generatedId = String(replyId).match(/^(?:button|item|option)_?(\d+)$/);
+      if (generatedId && Number(generatedId[1]) < options.length) {
+        return result(Number(generatedId[1]), 'interactive_id');
       }
     }
 
-    if (message && node.data.inputConfig && node.data.inputConfig.variableName) {
-      // Verifica se session.variables é um array ou um objeto e converte para array se necessário
-      let variables = [];
-      
-      if (Array.isArray(session.variables)) {
-        variables = [...session.variables];
-      } else if (session.variables && typeof session.variables === 'object') {
-        // Converte de objeto para array
-        variables = Object.entries(session.variables).map(([name, value]) => ({
-          id: crypto.randomUUID(),
-          name,
-          value
-        }));
-      }
-      
-      const variableIndex = variables.findIndex(v => v.name === node.data.inputConfig.variableName);
-      
-      if (variableIndex >= 0) {
-        // Atualiza a variável existente
-        variables[variableIndex] = {
-          ...variables[variableIndex],
-          value: message.content
-        };
-      } else {
-        // Cria uma nova variável
-        variables.push({
-          id: crypto.randomUUID(),
-          name: node.data.inputConfig.variableName,
-          value: message.content
-        });
+    const exactIndex = options.findIndex(option =>
+      String(option.text ?? '').toLowerCase().trim() === content.toLowerCase().trim()
+    );
+    if (exactIndex !== -1) return result(exactIndex, 'exact');
+
+    if (!normalizedContent) return null;
+
+    if (config.numeric !== false) {
+      const numericMatch = normalizedContent.match(/^(?:opcao|opc|op|numero|n|item)?\s*(\d+)$/);
+      const position = numericMatch ? Number(numericMatch[1]) : 0;
+      if (position >= 1 && position <= options.length) {
+        return result(position - 1, 'index');
       }
-      
-      updates.variables = variables;
     }
 
-    // Atualiza a sessão e retorna a sessão atualizada
-    return await updateSession(session.id, updates);
+    const normalizedIndex = options.findIndex(option => normalizeText(option.text) === normalizedContent);
+    if (normalizedIndex !== -1) return result(normalizedIndex, 'normalized');
+
+    const getSynonyms = (option) => (Array.isArray(option.synonyms)
+      ? option.synonyms
+      : String(option.synonyms || '').split(',')
+    ).map(normalizeText).filter(Boolean);
+
+    const synonymIndex = options.findIndex(option => getSynonyms(option).includes(normalizedContent));
+    if (synonymIndex !== -1) return result(synonymIndex, 'synonym');
+
+    const threshold = Number(config.similarityThreshold);
+    if (threshold > 0 && threshold <= 1) {
+      let best = null;
+      options.forEach((option, index) => {
+        for (const candidate of [normalizeText(option.text), ...getSynonyms(option)]) {
+          const score = calculateSimilarity(candidate, normalizedContent);
+          if (score >= threshold && (!best || score > best.score)) {
+            best = result(index, 'similarity', score);
+          }
+        }
+      });
+      if (best) return best;
+    }
+
+    return null;
   };
 
   /**
-   * Avalia uma subcondição baseada nos critérios fornecidos
-   * @param {Object} subCondition - Subcondição a ser avaliada
-   * @param {Object} session - Sessão atual
-   * @returns {boolean} - Verdadeiro se a subcondição for atendida
+   * Valida a resposta de um nó de input conforme inputConfig.validation
+   * (email, phone, cpf, cnpj, cpf_cnpj, cep, date, number, regex ou attachment)
+   * @param {Object} node - Nó de input
+   * @param {Object} message - Mensagem recebida
+   * @returns {Object} - { valid, value, reason } onde value é o valor normalizado a ser salvo
    */
-  const evaluateSubCondition = async (subCondition, session) => {
-    const { type, field, operator, value, stageId } = subCondition;
-    let fieldValue;
+  const validateInput = (node, message) => {
+    const validation = node.data?.inputConfig?.validation;
+    const content = String(message?.content ?? '').trim();
 
-    // Buscar valor do campo apropriado
-    if (type === 'variable') {
-      // Verifica se session.variables é um array ou um objeto
-      if (Array.isArray(session.variables)) {
-        // Encontra a variável no array
-        const variable = session.variables.find(v => v.name === field);
-        fieldValue = variable ? variable.value : undefined;
-      } else if (session.variables && typeof session.variables === 'object') {
-        // Acessa diretamente a propriedade do objeto
-        fieldValue = session.variables[field];
-      }
-    } else if (type === 'clientData') {
-      fieldValue = await getClientDataValue(field, session);
+    if (!validation?.type || node.data.inputType === 'options') {
+      return { valid: true, value: message?.content };
     }
 
-    // Se o campo não existir, retornar false
-    if (fieldValue === undefined) return false;
+    switch (validation.type) {
+      case 'email': {
+        const valid = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(content);
+        return { valid, value: content.toLowerCase(), reason: valid ? null : 'invalid_email' };
+      }
 
-    // Processar variáveis no valor de comparação, se for string
-    let compareValue = value;
-    if (typeof value === 'string') {
-      compareValue = replaceVariables(value, session);
-    }
+      case 'phone':
+      case 'cpf':
+      case 'cnpj':
+      case 'cep': {
+        const formatted = formatMaskedValue(validation.type, content);
+        return { valid: !!formatted, value: formatted, reason: formatted ? null : `invalid_${validation.type}` };
+      }
+
+      case 'cpf_cnpj': {
+        const formatted = formatMaskedValue('cpf', content) || formatMaskedValue('cnpj', content);
+        return { valid: !!formatted, value: formatted, reason: formatted ? null : 'invalid_cpf_cnpj' };
+      }
+
+      case 'date': {
+        // Aceita DD/MM/AAAA (ou com - e .) e AAAA-MM-DD; salva no formato ISO AAAA-MM-DD
+        let day, month, year;
+        const brMatch = content.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        const isoMatch = content.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (brMatch) [, day, month, year] = brMatch.map(Number);
+        else if (isoMatch) [, year, month, day] = isoMatch.map(Number);
+
+        const date = year ? new Date(Date.UTC(year, month - 1, day)) : null;
+        const valid = !!date && date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+        return { valid, value: valid ? date.toISOString().slice(0, 10) : null, reason: valid ? null : 'invalid_date' };
+      }
+
+      case 'number': {
+        const number = Number(content.replace(/\s/g, '').replace(/\.(?=\d{3}(\D|$))/g, '').replace(',', '.'));
+        if (!content || isNaN(number)) {
+          return { valid: false, value: null, reason: 'invalid_number' };
+        }
+        const hasMin = validation.min !== undefined && validation.min !== null && validation.min !== '';
+        const hasMax = validation.max !== undefined && validation.max !== null && validation.max !== '';
+        if ((hasMin && number < Number(validation.min)) || (hasMax && number > Number(validation.max))) {
+          return { valid: false, value: number, reason: 'out_of_range' };
+        }
+        return { valid: true, value: number };
+      }
+
+      case 'regex': {
+        try {
+          const valid = new RegExp(validation.pattern, validation.flags || '').test(content);
+          return { valid, value: content, reason: valid ? null : 'pattern_mismatch' };
+        } catch (error) {
+          console.error(`[validateInput] Regex inválida no nó ${node.id}:`, error.message);
+          return { valid: true, value: message?.content };
+        }
+      }
+
+      case 'attachment': {
+        const attachmentUrl = message?.metadata?.mediaData?.url || message?.metadata?.url || null;
+        const valid = ATTACHMENT_MESSAGE_TYPES.includes(message?.type);
+        return { valid, value: attachmentUrl || message?.content, reason: valid ? null : 'attachment_required' };
+      }
+
+      default:
+        return { valid: true, value: message?.content };
+    }
+  };
+
+  /**
+   * Trata uma resposta inválida: envia a mensagem de nova tentativa enquanto houver tentativas
+   * e, ao esgotá-las, segue pelo handle 'invalid' do nó (ou encerra o fluxo se não houver)
+   * @param {Object} session - Sessão atual
+   * @param {Object} node - Nó de input
+   * @param {Object} message - Mensagem recebida
+   * @param {Object} validation - Resultado de validateInput
+   * @returns {Object} - Sessão atualizada
+   */
+  const handleInvalidInput = async (session, node, message, validation) => {
+    const config = node.data.inputConfig.validation;
+    const maxAttempts = Number(config.maxAttempts) || DEFAULT_INPUT_MAX_ATTEMPTS;
+    const attempts = (session.input_attempts || 0) + 1;
+
+    recordEvent(session, 'input_invalid', {
+      nodeId: node.id,
+      reason: validation.reason,
+      attempt: attempts,
+      maxAttempts
+    });
+
+    if (attempts < maxAttempts) {
+      const timeout = node.data?.inputConfig?.timeout || null;
+      const updatedSession = await updateSession(session.id, {
+        input_attempts: attempts,
+        timeout_at: timeout ? new Date(Date.now() + timeout * 60 * 1000).toISOString() : null,
+        last_interaction: new Date().toISOString()
+      });
+
+      if (config.retryMessage) {
+        await sendMessage(replaceVariables(config.retryMessage, updatedSession), null, session.id);
+      }
+      return updatedSession;
+    }
+
+    const updatedSession = await updateSession(session.id, {
+      input_attempts: 0,
+      last_interaction: new Date().toISOString()
+    });
+
+    const invalidEdge = session.flow.edges.find(edge => edge.source === node.id && edge.sourceHandle === 'invalid');
+    const invalidNode = invalidEdge ? session.flow.nodes.find(n => n.id === invalidEdge.target) : null;
+
+    return await runNodes(updatedSession, invalidNode, message);
+  };
+
+  /**
+   * Dados da resposta registrados no evento input_received. Por padrão apenas o tamanho e o hash SHA-256
+   * do texto vão para flow_session_events; o conteúdo só é gravado quando o nó ativa inputConfig.logContent
+   * (na simulação nada é gravado, então o conteúdo sempre acompanha o evento)
+   * @param {Object} node - Nó de input
+   * @param {Object} message - Mensagem recebida
+   * @returns {Object} - { length, hash, content? }
+   */
+  const describeInputContent = (node, message) => {
+    if (typeof message?.content !== 'string') {
+      return { length: 0, hash: null };
+    }
+
+    const data = {
+      length: message.content.length,
+      hash: crypto.createHash('sha256').update(message.content).digest('hex')
+    };
+    if (simulation || node.data?.inputConfig?.logContent === true) {
+      data.content = message.content;
+    }
+    return data;
+  };
+
+  /**
+   * Processa nós de entrada, salvando respostas e variáveis
+   * @param {Object} session - Sessão atual
+   * @param {Object} node - Nó de input
+   * @param {Object} message - Mensagem recebida
+   * @param {any} validatedValue - Valor normalizado pela validação do input (ex: CPF formatado)
+   * @returns {Object} - Sessão atualizada com as novas variáveis
+   */
+  const processInputNode = async (session, node, message, validatedValue = message?.content) => {
+    const updates = {
+      last_interaction: new Date().toISOString(),
+      input_attempts: 0
+    };
+    recordEvent(session, 'input_received', { nodeId: node.id, ...describeInputContent(node, message) });
+
+    if (node.data.inputType === 'options') {
+      const optionMatch = matchInputOption(node, message);
+      if (optionMatch) {
+        updates.selected_option = optionMatch.option;
+        updates.option_match_strategy = optionMatch.strategy;
+        recordEvent(session, 'option_matched', {
+          nodeId: node.id,
+          optionIndex: optionMatch.index,
+          strategy: optionMatch.strategy,
+          score: optionMatch.score
+        });
+      } else {
+        updates.option_match_strategy = null;
+      }
+    }
+
+    if (message && node.data.inputConfig && node.data.inputConfig.variableName) {
+      // Para opções reconhecidas por número, sinônimo etc., salva o texto da opção e não o que foi digitado
+      const inputValue = updates.selected_option ? updates.selected_option.text : validatedValue;
+
+      // Verifica se session.variables é um array ou um objeto e converte para array se necessário
+      let variables = [];
+      
+      if (Array.isArray(session.variables)) {
+        variables = [...session.variables];
+      } else if (session.variables && typeof session.variables === 'object') {
+        // Converte de objeto para array
+        variables = Object.entries(session.variables).map(([name, value]) => ({
+          id: crypto.randomUUID(),
+          name,
+          value
+        }));
+      }
+      
+      const variableIndex = variables.findIndex(v => v.name === node.data.inputConfig.variableName);
+      
+      if (variableIndex >= 0) {
+        // Atualiza a variável existente
+        variables[variableIndex] = {
+          ...variables[variableIndex],
+          value: inputValue
+        };
+      } else {
+        // Cria uma nova variável
+        variables.push({
+          id: crypto.randomUUID(),
+          name: node.data.inputConfig.variableName,
+          value: inputValue
+        });
+      }
+      
+      updates.variables = variables;
+    }
+
+    // Atualiza a sessão e retorna a sessão atualizada
+    return await updateSession(session.id, updates);
+  };
+
+  /**
+   * Avalia uma subcondição baseada nos critérios fornecidos
+   * @param {Object} subCondition - Subcondição a ser avaliada
+   * @param {Object} session - Sessão atual
+   * @returns {boolean} - Verdadeiro se a subcondição for atendida
+   */
+  const evaluateSubCondition = async (subCondition, session) => {
+    const { type, field, operator, value, stageId } = subCondition;
+    let fieldValue;
+
+    // Buscar valor do campo apropriado
+    if (type === 'variable') {
+      // Verifica se session.variables é um array ou um objeto
+      if (Array.isArray(session.variables)) {
+        // Encontra a variável no array
+        const variable = session.variables.find(v => v.name === field);
+        fieldValue = variable ? variable.value : undefined;
+      } else if (session.variables && typeof session.variables === 'object') {
+        // Acessa diretamente a propriedade do objeto
+        fieldValue = session.variables[field];
+      }
+    } else if (type === 'clientData') {
+      fieldValue = await getClientDataValue(field, session);
+    }
+
+    // Se o campo não existir, retornar false
+    if (fieldValue === undefined) return false;
+
+    // Processar variáveis no valor de comparação, se for string
+    let compareValue = value;
+    if (typeof value === 'string') {
+      compareValue = replaceVariables(value, session);
+    }
 
     // Avaliar baseado no operador
     switch (operator) {
@@ -1135,15 +1747,24 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         
         // Encontrar a edge correspondente à condição
         const conditionIndex = currentNode.data.conditions.indexOf(condition);
+        recordEvent(session, 'condition_evaluated', {
+          nodeId: currentNode.id,
+          conditionIndex,
+          logicOperator,
+          results,
+          isConditionMet
+        });
         const edge = edges.find(e => e.source === currentNode.id && e.sourceHandle === `condition-${conditionIndex}`);
         
         if (isConditionMet && edge) {
+          recordEvent(session, 'condition_branch_taken', { nodeId: currentNode.id, handle: edge.sourceHandle });
           return flow.nodes.find(n => n.id === edge.target);
         }
       }
       
       // Se nenhuma condição for atendida, usar o else
       const elseEdge = edges.find(e => e.source === currentNode.id && e.sourceHandle === 'else');
+      recordEvent(session, 'condition_branch_taken', { nodeId: currentNode.id, handle: elseEdge ? 'else' : edges[0].sourceHandle || null });
       if (elseEdge) {
         return flow.nodes.find(n => n.id === elseEdge.target);
       }
@@ -1151,10 +1772,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
 
     // Se for nó de opções, encontrar a conexão correta
     if (currentNode.type === 'input' && currentNode.data.inputType === 'options') {
-      // Procurar uma opção que corresponda exatamente ao texto da mensagem
-      const matchingOptionIndex = currentNode.data.options.findIndex(option => 
-        option.text.toLowerCase().trim() === message.content.toLowerCase().trim()
-      );
+      const matchingOptionIndex = matchInputOption(currentNode, message)?.index ?? -1;
 
       if (matchingOptionIndex !== -1) {
         // Procurar edge correspondente à opção encontrada
@@ -1167,23 +1785,114 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         }
       }
 
-      // Se não encontrou correspondência exata, usar o handle 'no-match'
+      // Se nenhuma opção correspondeu, usar o handle 'no-match'
       const noMatchEdge = edges.find(edge => edge.source === currentNode.id && edge.sourceHandle === 'no-match');
       if (noMatchEdge) {
         return flow.nodes.find(n => n.id === noMatchEdge.target);
       }
     }
 
+    // Nó de requisição: segue por 'success' ou 'error' conforme o resultado; fluxos antigos sem esses handles usam a primeira conexão
+    if (currentNode.type === 'request' && edges.some(edge => ['success', 'error'].includes(edge.sourceHandle))) {
+      const requestResult = session?.request_result?.nodeId === currentNode.id ? session.request_result : null;
+      const outcomeEdge = edges.find(edge => edge.sourceHandle === (requestResult?.success === false ? 'error' : 'success'));
+      return outcomeEdge ? flow.nodes.find(n => n.id === outcomeEdge.target) : null;
+    }
+
+    // Nó de horário de atendimento: segue por 'open' ou 'closed'
+    if (currentNode.type === 'business_hours') {
+      const isOpen = session?.business_hours_result?.nodeId === currentNode.id && session.business_hours_result.open;
+      const hoursEdge = edges.find(edge => edge.sourceHandle === (isOpen ? 'open' : 'closed'));
+      return hoursEdge ? flow.nodes.find(n => n.id === hoursEdge.target) : null;
+    }
+
+    // Nó de split (A/B): segue pelo ramo sorteado para a sessão
+    if (currentNode.type === 'split') {
+      const branchIndex = session.split_branches?.[currentNode.id];
+      const branchEdge = edges.find(edge => edge.sourceHandle === `branch-${branchIndex}`);
+      return branchEdge ? flow.nodes.find(n => n.id === branchEdge.target) : null;
+    }
+
+    // Se for nó de loop, segue pelo corpo enquanto houver itens e por 'done' ao terminar
+    if (currentNode.type === 'loop') {
+      const isIterating = (session.loop_stack || []).some(frame => frame.node_id === currentNode.id);
+      const loopEdge = edges.find(edge => edge.sourceHandle === (isIterating ? 'body' : 'done'));
+      return loopEdge ? flow.nodes.find(n => n.id === loopEdge.target) : null;
+    }
+
     // Para outros tipos de nó, usar primeira conexão
     return flow.nodes.find(n => n.id === edges[0].target);
   };
 
+  /**
+   * Registra um evento de execução da sessão (nó executado, input recebido, condição avaliada...)
+   * Fora da simulação o evento é gravado em flow_session_events para as métricas do fluxo,
+   * sem aguardar a gravação nem interromper o fluxo em caso de erro
+   * @param {Object} session - Sessão atual
+   * @param {string} eventType - Tipo do evento
+   * @param {Object} data - Dados do evento
+   */
+  const recordEvent = (session, eventType, data = {}) => {
+    if (simulation) {
+      simulation.onEvent?.(eventType, { sessionId: session?.id, ...data });
+      return;
+    }
+    if (!session?.id) return;
+
+    const { nodeId, ...eventData } = data;
+    supabase
+      .from('flow_session_events')
+      .insert({
+        session_id: session.id,
+        organization_id: organization.id,
+        flow_id: session.flow?.id || session.bot_id,
+        flow_version_id: session.flow_version_id || null,
+        node_id: nodeId || null,
+        event_type: eventType,
+        data: eventData
+      })
+      .then(({ error }) => {
+        if (error) {
+          console.error(`[recordEvent] Erro ao registrar evento ${eventType}:`, error);
+          Sentry.captureException(error);
+        }
+      });
+  };
+
+  /**
+   * Encerra a sessão ao final do fluxo
+   * @param {Object} session - Sessão a ser encerrada
+   */
+  const endSession = async (session) => {
+    recordEvent(session, 'session_ended', { reason: 'completed' });
+    if (simulation) {
+      simulation.session = { ...simulation.session, status: 'inactive' };
+      return simulation.session;
+    }
+    const endedSession = await pauseFlow(session);
+
+    emitWebhookEvent(organization.id, 'flow.finished', {
+      session_id: session.id,
+      flow_id: session.flow?.id || session.bot_id,
+      flow_version_id: session.flow_version_id || null,
+      chat_id: session.chat_id,
+      customer_id: session.customer_id,
+      variables: session.variables || []
+    });
+    return endedSession;
+  };
+
   /**
    * Atualiza uma sessão de fluxo
    * @param {string} sessionId - ID da sessão
    * @param {Object} updates - Atualizações a serem aplicadas
    */
   const updateSession = async (sessionId, updates) => {
+    if (simulation) {
+      simulation.session = { ...simulation.session, ...updates };
+      return simulation.session;
+    }
+
     const { data, error } = await supabase
       .from('flow_sessions')
       .update({
@@ -1214,7 +1923,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
             tags:tags(*)
           )
         ),
-        chat:chats!flow_sessions_chat_id_fkey (*)
+        chat:chats!flow_sessions_chat_id_fkey (*),${FLOW_VERSION_JOIN}
       `)
       .single();
 
@@ -1234,10 +1943,15 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
           .from('chats')
           .update({ status: 'closed' })
           .eq('id', data.chat_id);
+
+        emitWebhookEvent(chat.organization_id, 'chat.closed', {
+          chat: { ...chat, status: 'closed' },
+          source: 'flow'
+        });
       }
     }
 
-    return data;
+    return applyPinnedFlowVersion(data);
   };
 
   /**
@@ -1288,6 +2002,10 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
   const sendMessage = async (content, files, sessionId, metadata) => {
     try {
       // console.log('sendMessage', content, files, sessionId, metadata);
+      if (simulation && (content || files || metadata)) {
+        simulation.onMessage?.({ content, files, metadata });
+        return { status: 201, success: true };
+      }
       if(content || files || metadata) {
         const result = await createMessageToSend(chatId, organization.id, content, null, files, null, metadata);
         if (result.status !== 201) {
@@ -1310,6 +2028,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
    * @param {number} seconds - Segundos de delay
    */
   const processDelay = async (seconds) => {
+    if (simulation) return;
     await new Promise(resolve => setTimeout(resolve, seconds * 1000));
   };
 
@@ -1323,41 +2042,50 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     try {
       const { openai: openAIConfig } = node.data;
 
-      const { data: integration, error: integrationError } = await supabase
-        .from('integrations')
-        .select('*')
-        .eq('id', openAIConfig.integrationId)
-        .eq('organization_id', organization.id)
-        .eq('type', 'openai')
-        .eq('status', 'active')
-        .single();
-
-      if (integrationError) throw integrationError;
-
-      // Descriptografar a chave da API OpenAI antes de usar
-      const decryptedApiKey = decrypt(integration.credentials.api_key);
-      
-      if (!decryptedApiKey) {
-        const error = new Error('Erro ao descriptografar a chave da API OpenAI');
+      if (!openAIConfig) {
+        const error = new Error('Configuração do OpenAI não encontrada');
         Sentry.captureException(error);
         throw error;
       }
 
-      const openai = new OpenAI({
-        apiKey: decryptedApiKey,
-      });
+      // Na simulação o provedor não é chamado: a chamada teria custo e uso registrado
+      if (simulation) {
+        return mockOpenAINode(node, session);
+      }
 
-      if (!openAIConfig) {
-        const error = new Error('Configuração do OpenAI não encontrada');
+      // Geração de texto aceita qualquer provedor de LLM; transcrição e TTS usam a API de áudio da OpenAI
+      const integration = await getLLMIntegration(openAIConfig.integrationId, organization.id);
+      if (!integration) {
+        const error = new Error(`Integração ${openAIConfig.integrationId} não encontrada ou inativa`);
         Sentry.captureException(error);
         throw error;
       }
 
+      const createAudioClient = () => {
+        if (integration.type !== 'openai') {
+          const error = new Error(`A integração ${integration.type} não suporta ${openAIConfig.apiType}; use uma integração OpenAI`);
+          Sentry.captureException(error);
+          throw error;
+        }
+
+        // Descriptografar a chave da API OpenAI antes de usar
+        const decryptedApiKey = decrypt(integration.credentials.api_key);
+        if (!decryptedApiKey) {
+          const error = new Error('Erro ao descriptografar a chave da API OpenAI');
+          Sentry.captureException(error);
+          throw error;
+        }
+
+        return new OpenAI({
+          apiKey: decryptedApiKey,
+        });
+      };
+
       let updatedSession = { ...session };
       
       switch (openAIConfig.apiType) {
         case 'textGeneration':
-          const textResult = await handleTextGeneration(openai, openAIConfig, updatedSession);
+          const textResult = await handleTextGeneration(integration, openAIConfig, updatedSession);
           if (openAIConfig.variableName) {
             // Atualiza a sessão com a nova variável
             const variables = Array.isArray(updatedSession.variables) 
@@ -1385,11 +2113,11 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
           break;
           
         case 'audio':
-          await handleAudioGeneration(openai, openAIConfig, updatedSession);
+          updatedSession = await handleAudioTranscription(createAudioClient(), openAIConfig, updatedSession);
           break;
           
         case 'tts':
-          await handleTextToSpeech(openai, openAIConfig, updatedSession);
+          await handleTextToSpeech(createAudioClient(), openAIConfig, updatedSession);
           break;
           
         default:
@@ -1405,29 +2133,67 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     }
   };
 
-  const handleTextGeneration = async (openai, config, session) => {
+  /**
+   * Resultado fictício de um nó OpenAI na simulação. A variável configurada recebe simulation.mocks[nodeId]
+   * ou um texto indicando a simulação; no TTS o texto é enviado como o áudio que seria gerado
+   * @param {Object} node - Nó OpenAI
+   * @param {Object} session - Sessão atual
+   * @returns {Object} - Sessão atualizada
+   */
+  const mockOpenAINode = async (node, session) => {
+    const config = node.data.openai;
+    recordEvent(session, 'node_skipped', { nodeId: node.id, nodeType: node.type, reason: 'mocked_in_simulation', apiType: config.apiType });
+
+    if (config.apiType === 'tts') {
+      const text = replaceVariables(config.text, session);
+      if (text?.trim()) {
+        await sendMessage(null, { attachments: [{ type: 'audio', content: text }] }, session.id);
+      }
+      return session;
+    }
+
+    if (!config.variableName) return session;
+
+    const mock = simulation.mocks?.[node.id];
+    const value = mock !== undefined
+      ? mock
+      : config.apiType === 'audio' ? '[transcrição simulada]' : '[resposta simulada do modelo]';
+
+    const variables = setVariable(session.variables, config.variableName, value);
+    await updateSession(session.id, { variables });
+    return { ...session, variables };
+  };
+
+  const handleTextGeneration = async (integration, config, session) => {
     // Preparar mensagens do contexto
     const messages = await prepareContextMessages(config, session);
 
     // Preparar ferramentas se existirem
     const tools = prepareTools(config.tools);
 
-    // Fazer chamada para o OpenAI
-    const completion = await openai.chat.completions.create({
+    // Fazer chamada para o provedor de LLM
+    const completion = await createChatCompletion({
+      integration,
       model: config.model,
       messages,
       temperature: config.temperature,
-      max_tokens: config.maxTokens,
-      tools: tools.length > 0 ? tools : undefined,
-      tool_choice: tools.length > 0 ? "auto" : undefined
+      maxTokens: config.maxTokens,
+      tools
+    });
+
+    reportLLMUsage({
+      organizationId: organization.id,
+      integration,
+      completion,
+      promptId: config.promptType === 'select' ? config.promptId : null,
+      chatId: session.chat_id,
+      customerId: session.customer_id,
+      metadata: { source: 'flow_openai_node', flow_session_id: session.id }
     });
 
-    // Processar resposta
-    const choice = completion.choices[0];
-    
     // Se houver chamadas de ferramentas
-    if (choice.message.tool_calls) {
-      for (const toolCall of choice.message.tool_calls) {
+    if (completion.message.tool_calls) {
+      for (const toolCall of completion.message.tool_calls) {
         const tool = config.tools.find(t => t.name === toolCall.function.name);
         if (tool) {
           // Extrair argumentos da chamada
@@ -1528,7 +2294,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
       return null; // Retorna null pois o fluxo será redirecionado
     }
 
-    return choice.message.content;
+    return completion.content;
   };
 
   const prepareContextMessages = async (config, session) => {
@@ -1638,42 +2404,224 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     });
   };
 
-  const handleAudioGeneration = async (openai, config, session) => {
-    // Implementar lógica para geração de áudio
-    const error = new Error('Audio generation not implemented yet');
-    Sentry.captureException(error);
-    throw error;
-  };
+  /**
+   * Transcreve o último áudio enviado pelo cliente no chat e salva o texto na variável configurada
+   * @param {OpenAI} openai - Cliente OpenAI
+   * @param {Object} config - Configuração do nó (variableName, transcriptionModel, language)
+   * @param {Object} session - Sessão atual
+   * @returns {Object} - Sessão atualizada
+   */
+  const handleAudioTranscription = async (openai, config, session) => {
+    const { data: audioMessages, error } = await supabase
+      .from('messages')
+      .select('id, attachments, metadata')
+      .eq('chat_id', session.chat_id)
+      .eq('sender_type', 'customer')
+      .eq('type', 'audio')
+      .order('created_at', { ascending: false })
+      .limit(1);
 
-  const handleTextToSpeech = async (openai, config, session) => {
-    // Implementar lógica para text-to-speech
-    const error = new Error('Text to speech not implemented yet');
-    Sentry.captureException(error);
-    throw error;
+    if (error) throw error;
+
+    const audioMessage = audioMessages?.[0];
+    if (!audioMessage) {
+      console.log('[handleAudioTranscription] Nenhum áudio do cliente encontrado no chat');
+      return session;
+    }
+
+    // Reaproveita a transcrição feita no recebimento da mensagem, se houver
+    let transcription = audioMessage.metadata?.transcription || null;
+
+    if (!transcription) {
+      const attachment = audioMessage.attachments?.[0];
+      if (!attachment?.url) {
+        console.log('[handleAudioTranscription] Mensagem de áudio sem anexo');
+        return session;
+      }
+
+      const audioBuffer = await downloadFileFromUrl(attachment.url);
+      const mimeType = attachment.mime_type || 'audio/ogg';
+      const extension = mimeType.includes('mp3') || mimeType.includes('mpeg') ? 'mp3'
+        : mimeType.includes('wav') ? 'wav'
+        : mimeType.includes('m4a') || mimeType.includes('mp4') ? 'm4a'
+        : 'ogg';
+
+      const result = await openai.audio.transcriptions.create({
+        file: await toFile(audioBuffer, `audio.${extension}`, { type: mimeType }),
+        model: config.transcriptionModel || 'whisper-1',
+        ...(config.language && { language: config.language })
+      });
+      transcription = result.text;
+    }
+
+    if (!config.variableName) {
+      return session;
+    }
+
+    const variables = setVariable(session.variables, config.variableName, transcription);
+    await updateSession(session.id, { variables });
+    return { ...session, variables };
   };
 
   /**
-   * Processa um nó do tipo variável, atualizando o valor da variável na sessão
-   * @param {Object} data - Dados do nó contendo a variável a ser atualizada
-   * @param {Object} session - Sessão atual com as variáveis
-   * @returns {Object} - Sessão atualizada com as novas variáveis
+   * Sintetiza o texto configurado em áudio e envia como mensagem de voz
+   * @param {OpenAI} openai - Cliente OpenAI
+   * @param {Object} config - Configuração do nó (text, voice, ttsModel, speed)
+   * @param {Object} session - Sessão atual
    */
-  const processVariable = async (data, session) => {
-    try {
-      if (!data.variable || !data.variable.name) {
-        const error = new Error('Nome da variável não especificado');
-        Sentry.captureException(error);
-        throw error;
-      }
+  const handleTextToSpeech = async (openai, config, session) => {
+    const text = replaceVariables(config.text, session);
+    if (!text || !text.trim()) {
+      console.log('[handleTextToSpeech] Nenhum texto para sintetizar');
+      return;
+    }
 
-      // Processa o valor da variável, substituindo quaisquer variáveis existentes
-      const processedValue = replaceVariables(data.variable.value, session);
+    // Opus em container ogg é o formato aceito como mensagem de voz pelo WhatsApp
+    const speech = await openai.audio.speech.create({
+      model: config.ttsModel || 'tts-1',
+      voice: config.voice || 'alloy',
+      input: text,
+      response_format: 'opus',
+      ...(config.speed && { speed: Number(config.speed) })
+    });
+    const audioBuffer = Buffer.from(await speech.arrayBuffer());
+
+    const uploadResult = await uploadFile({
+      fileData: audioBuffer,
+      fileName: `tts-${crypto.randomUUID()}.ogg`,
+      contentType: 'audio/ogg',
+      fileSize: audioBuffer.length,
+      organizationId: organization.id,
+      customFolder: 'chat-attachments',
+      chatId: session.chat_id
+    });
 
-      // Verifica se session.variables é um array ou um objeto e converte para array se necessário
-      let variables = [];
-      
-      if (Array.isArray(session.variables)) {
-        variables = [...session.variables];
+    if (!uploadResult?.success) {
+      const error = new Error('Erro ao fazer upload do áudio gerado');
+      Sentry.captureException(error);
+      throw error;
+    }
+
+    await sendMessage(null, {
+      attachments: [{
+        url: uploadResult.fileUrl,
+        type: 'audio',
+        name: uploadResult.fileName,
+        mimetype: 'audio/ogg',
+        size: uploadResult.fileSize
+      }]
+    }, session.id);
+  };
+
+  /**
+   * Define o valor de uma variável, retornando um novo array de variáveis da sessão
+   * @param {Array|Object} sessionVariables - Variáveis atuais (array ou objeto legado)
+   * @param {string} name - Nome da variável
+   * @param {any} value - Novo valor
+   * @returns {Array} - Novo array de variáveis
+   */
+  const setVariable = (sessionVariables, name, value) => {
+    let variables = [];
+
+    if (Array.isArray(sessionVariables)) {
+      variables = [...sessionVariables];
+    } else if (sessionVariables && typeof sessionVariables === 'object') {
+      // Converte de objeto para array
+      variables = Object.entries(sessionVariables).map(([varName, varValue]) => ({
+        id: crypto.randomUUID(),
+        name: varName,
+        value: varValue
+      }));
+    }
+
+    const variableIndex = variables.findIndex(v => v.name === name);
+    if (variableIndex >= 0) {
+      variables[variableIndex] = { ...variables[variableIndex], value };
+    } else {
+      variables.push({ id: crypto.randomUUID(), name, value });
+    }
+
+    return variables;
+  };
+
+  let organizationTimezone = null;
+
+  /**
+   * Retorna o fuso horário da organização (settings.timezone), buscando-o uma única vez por engine
+   * @returns {string} - Fuso IANA
+   */
+  const getOrganizationTimezone = async () => {
+    if (organizationTimezone) return organizationTimezone;
+
+    let settings = organization.settings;
+    if (!settings && !simulation) {
+      const { data } = await supabase
+        .from('organizations')
+        .select('settings')
+        .eq('id', organization.id)
+        .single();
+      settings = data?.settings;
+    }
+
+    organizationTimezone = settings?.timezone || DEFAULT_TIMEZONE;
+    return organizationTimezone;
+  };
+
+  /**
+   * Avalia a expressão de um nó de variável (ex: "quantidade * preco" ou "upper(trim(nome))").
+   * Identificadores são variáveis da sessão, além de customer e chat. Em caso de erro a variável fica vazia
+   * @param {Object} variableConfig - Configuração da variável (name, expression)
+   * @param {Object} session - Sessão atual
+   * @returns {any} - Resultado da expressão
+   */
+  const evaluateVariableExpression = async (variableConfig, session) => {
+    const resolveIdentifier = (name) => {
+      if (name === 'customer') return session.customer;
+      if (name === 'chat') return session.chat;
+
+      const variables = session.variables;
+      if (Array.isArray(variables)) {
+        return variables.find(v => v.name === name)?.value;
+      }
+      return variables && Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+    };
+
+    try {
+      return evaluateExpression(variableConfig.expression ?? variableConfig.value, {
+        resolveIdentifier,
+        timezone: await getOrganizationTimezone()
+      });
+    } catch (error) {
+      console.error(`[evaluateVariableExpression] Erro ao avaliar a expressão da variável ${variableConfig.name}:`, error.message);
+      recordEvent(session, 'expression_error', { variable: variableConfig.name, error: error.message });
+      return '';
+    }
+  };
+
+  /**
+   * Processa um nó do tipo variável, atualizando o valor da variável na sessão
+   * @param {Object} data - Dados do nó contendo a variável a ser atualizada
+   * @param {Object} session - Sessão atual com as variáveis
+   * @returns {Object} - Sessão atualizada com as novas variáveis
+   */
+  const processVariable = async (data, session) => {
+    try {
+      if (!data.variable || !data.variable.name) {
+        const error = new Error('Nome da variável não especificado');
+        Sentry.captureException(error);
+        throw error;
+      }
+
+      // Processa o valor da variável: expressão calculada ou texto com {{variáveis}} substituídas
+      const processedValue = data.variable.mode === 'expression'
+        ? await evaluateVariableExpression(data.variable, session)
+        : replaceVariables(data.variable.value, session);
+
+      // Verifica se session.variables é um array ou um objeto e converte para array se necessário
+      let variables = [];
+      
+      if (Array.isArray(session.variables)) {
+        variables = [...session.variables];
       } else if (session.variables && typeof session.variables === 'object') {
         // Converte de objeto para array
         variables = Object.entries(session.variables).map(([name, value]) => ({
@@ -1817,6 +2765,12 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
           .from('customers')
           .update(updateCustomer)
           .eq('id', session.customer_id);
+
+        emitWebhookEvent(organization.id, 'customer.updated', {
+          customer_id: session.customer_id,
+          changes: updateCustomer,
+          source: 'flow'
+        });
       }
       
       return session;
@@ -1827,39 +2781,31 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
   };
 
   /**
-   * Verifica se o horário atual está dentro dos slots de tempo configurados
-   * @param {Object} timeConfig - Configuração de tempo com timezone e slots
+   * Verifica se o horário atual atende à regra de horário de um gatilho. Com source 'organization' usa o
+   * calendário da organização (open: false inverte a regra, para gatilhos fora do expediente);
+   * caso contrário, os slots de tempo da própria regra
+   * @param {Object} timeConfig - Configuração de tempo com timezone e slots, ou source 'organization'
    * @returns {boolean} - Verdadeiro se estiver dentro do horário permitido
    */
-  const isWithinScheduleTime = (timeConfig) => {
-    if (!timeConfig?.timeSlots?.length) return true;
-
-    const now = new Date();
-    // Converter para o timezone especificado
-    const timeInZone = new Date(now.toLocaleString('en-US', { timeZone: timeConfig.timezone }));
-    const currentDay = timeInZone.getDay();
-    const currentTime = timeInZone.toLocaleTimeString('en-US', { 
-      hour12: false, 
-      hour: '2-digit', 
-      minute: '2-digit' 
-    });
-    
-    // Verificar todos os slots do dia atual
-    const todaySlots = timeConfig.timeSlots.filter(slot => slot.day === currentDay);
-    
-    // Verificar se o horário atual está dentro de qualquer um dos slots do dia
-    return todaySlots.some(slot => 
-      currentTime >= slot.startTime && currentTime <= slot.endTime
-    );
+  const isWithinScheduleTime = async (timeConfig) => {
+    if (timeConfig?.source === 'organization') {
+      const calendar = await getBusinessCalendar(organization.id);
+      const isOpen = calendar ? getBusinessHoursStatus(calendar).open : true;
+      return timeConfig.open === false ? !isOpen : isOpen;
+    }
+
+    return isWithinTimeSlots(timeConfig);
   };
 
   /**
-   * Verifica todos os gatilhos disponíveis para uma organização
+   * Verifica todos os gatilhos disponíveis para uma organização.
+   * Os gatilhos são avaliados por ordem de prioridade (maior primeiro) e o primeiro que casar inicia o fluxo.
    * @param {Object} organization - Organização
    * @param {Object} channel - Canal
    * @param {Object} customer - Cliente
+   * @param {Object} message - Mensagem recebida
    */
-  const checkTriggers = async (organization, channel, customer) => {
+  const checkTriggers = async (organization, channel, customer, message = null) => {
     try {
       const { data: flows, error: flowsError } = await supabase
       .from('flow_triggers')
@@ -1867,12 +2813,13 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         id,
         type,
         is_active,
+        priority,
         conditions,
         flow:flows!flow_triggers_flow_id_fkey(
           *
         )
       `)
-      .eq('type', 'first_contact')
+      .in('type', TRIGGER_TYPES)
       .eq('is_active', true)
       .eq('flows.organization_id', organization.id)
       // .eq('flows.is_active', true)
@@ -1882,10 +2829,19 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
       
       if(flowsError) throw flowsError;
       if(flows.length === 0) return null;
+
+      // Ordena por prioridade e, em caso de empate, pelo tipo mais específico
+      const sortedTriggers = [...flows].sort((a, b) => {
+        const priorityDiff = (Number(b.priority) || 0) - (Number(a.priority) || 0);
+        if (priorityDiff !== 0) return priorityDiff;
+        return TRIGGER_TYPES.indexOf(a.type) - TRIGGER_TYPES.indexOf(b.type);
+      });
       
-      for (const flow of flows) {
+      for (const flow of sortedTriggers) {
+        const rules = flow.conditions?.rules || [];
+
         // Encontrar a regra de canal (opcional)
-        const channelRule = flow.conditions.rules.find(rule => rule.type === 'channel');
+        const channelRule = rules.find(rule => rule.type === 'channel');
         
         // Se existir regra de canal, verificar se o canal está na lista de canais permitidos
         if (channelRule) {
@@ -1895,14 +2851,16 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         }
         
         // Encontrar e verificar regra de schedule, se existir
-        const scheduleRule = flow.conditions.rules.find(rule => rule.type === 'schedule');
+        const scheduleRule = rules.find(rule => rule.type === 'schedule');
         if (scheduleRule) {
-          const isWithinSchedule = isWithinScheduleTime(scheduleRule.params);
+          const isWithinSchedule = await isWithinScheduleTime(scheduleRule.params);
           if (!isWithinSchedule) continue;
         }
 
-        // Usar a informação de primeira mensagem que veio como propriedade
-        if (!isFirstMessage) continue;
+        // Os parâmetros específicos do tipo de gatilho ficam em uma regra com o mesmo nome do tipo
+        const typeRule = rules.find(rule => rule.type === flow.type);
+        const isTriggerMatched = await evaluateTrigger(flow.type, typeRule?.params || {}, customer, message);
+        if (!isTriggerMatched) continue;
 
         return flow.flow;
       }
@@ -1916,6 +2874,114 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     
   };
 
+  /**
+   * Avalia se o evento atual satisfaz um tipo de gatilho
+   * @param {string} type - Tipo do gatilho
+   * @param {Object} params - Parâmetros do gatilho
+   * @param {Object} customer - Cliente
+   * @param {Object} message - Mensagem recebida
+   * @returns {boolean} - Verdadeiro se o gatilho deve disparar
+   */
+  const evaluateTrigger = async (type, params, customer, message) => {
+    switch (type) {
+      case 'first_contact':
+        // Usar a informação de primeira mensagem que veio como propriedade
+        return !!isFirstMessage;
+
+      case 'keyword': {
+        // Palavra-chave exata, ignorando maiúsculas, acentos e pontuação
+        const content = normalizeText(message?.content);
+        if (!content) return false;
+        const keywords = (params.keywords || []).map(keyword => normalizeText(keyword)).filter(Boolean);
+        return keywords.includes(content);
+      }
+
+      case 'regex': {
+        if (!params.pattern || !message?.content) return false;
+        try {
+          const regex = new RegExp(params.pattern, params.flags ?? 'i');
+          return regex.test(message.content);
+        } catch (error) {
+          console.warn(`[checkTriggers] Regex inválida no gatilho: ${params.pattern}`);
+          return false;
+        }
+      }
+
+      case 'customer_segment': {
+        const tagIds = params.tagIds || [];
+        const stageIds = params.stageIds || [];
+        if (tagIds.length === 0 && stageIds.length === 0) return false;
+
+        if (stageIds.length > 0 && !stageIds.includes(customer.stage_id)) return false;
+
+        if (tagIds.length > 0) {
+          const { data: customerTags, error } = await supabase
+            .from('customer_tags')
+            .select('tag_id')
+            .eq('customer_id', customer.id);
+
+          if (error) throw error;
+          const customerTagIds = (customerTags || []).map(ct => ct.tag_id);
+          if (!tagIds.some(tagId => customerTagIds.includes(tagId))) return false;
+        }
+        return true;
+      }
+
+      case 'chat_reopened': {
+        // Novo atendimento de um cliente cujo atendimento anterior terminou há pelo menos N dias
+        if (!isFirstMessage) return false;
+        const days = Number(params.days) || 0;
+
+        const { data: previousChats, error } = await supabase
+          .from('chats')
+          .select('id, last_message_at, created_at')
+          .eq('customer_id', customer.id)
+          .eq('organization_id', organization.id)
+          .neq('id', chatId)
+          .order('created_at', { ascending: false })
+          .limit(1);
+
+        if (error) throw error;
+        const previousChat = previousChats?.[0];
+        if (!previousChat) return false;
+
+        const lastActivity = new Date(previousChat.last_message_at || previousChat.created_at);
+        return Date.now() - lastActivity.getTime() >= days * 24 * 60 * 60 * 1000;
+      }
+
+      case 'inactivity': {
+        // Cliente voltou a falar no mesmo chat após N minutos sem mensagens
+        if (isFirstMessage) return false;
+        const minutes = Number(params.minutes) || 0;
+        if (minutes <= 0) return false;
+
+        const currentMessageAt = lastMessage?.created_at || new Date().toISOString();
+        let query = supabase
+          .from('messages')
+          .select('id, created_at')
+          .eq('chat_id', chatId)
+          .lt('created_at', currentMessageAt)
+          .order('created_at', { ascending: false })
+          .limit(1);
+
+        if (lastMessage?.id) {
+          query = query.neq('id', lastMessage.id);
+        }
+
+        const { data: previousMessages, error } = await query;
+        if (error) throw error;
+        const previousMessage = previousMessages?.[0];
+        if (!previousMessage) return false;
+
+        const elapsed = new Date(currentMessageAt).getTime() - new Date(previousMessage.created_at).getTime();
+        return elapsed >= minutes * 60 * 1000;
+      }
+
+      default:
+        return false;
+    }
+  };
+
   /**
    * Busca um chat ativo para um cliente em um canal específico
    * @param {string} channelId - ID do canal
@@ -2023,6 +3089,14 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
         }
       }
       
+      // Acesso a propriedades de variáveis com objetos/listas, ex: {{pedido.numero}} ou {{pedidos[0].id}}
+      if (/[.[]/.test(trimmedName)) {
+        const pathValue = resolveVariablePath(trimmedName, session);
+        if (pathValue !== undefined) {
+          return typeof pathValue === 'object' ? JSON.stringify(pathValue) : pathValue;
+        }
+      }
+
       // Se não encontrou na lista de variáveis, verifica se é acesso a propriedades de customer ou chat
       if (trimmedName.includes('.')) {
         const parts = trimmedName.split('.');
@@ -2080,6 +3154,7 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
       const timeoutEdge = session.flow.edges.find(
         edge => edge.source === currentNode.id && edge.sourceHandle === 'timeout'
       );
+      recordEvent(session, 'input_timeout', { nodeId: currentNode.id, hasTimeoutEdge: !!timeoutEdge });
       
       if (!timeoutEdge) {
         // Se não houver edge de timeout, apenas zera o timeout_at
@@ -2111,24 +3186,8 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
       await executeNode(updatedSession, timeoutNode);
       
       // Continua o fluxo a partir do nó de timeout
-      let nextNode = await getNextNode(updatedSession.flow, timeoutNode, null, updatedSession);
-      while (nextNode && nextNode.type !== 'input') {
-        await executeNode(updatedSession, nextNode);
-        nextNode = await getNextNode(updatedSession.flow, nextNode, null, updatedSession);
-      }
-      
-      if (nextNode) {
-        const timeout = nextNode.data?.inputConfig?.timeout || null;
-        await updateSession(updatedSession.id, {
-          current_node_id: nextNode.id,
-          input_type: nextNode.data?.inputType || 'text',
-          timeout_at: timeout ? new Date(Date.now() + timeout * 60 * 1000).toISOString() : null,
-          last_interaction: new Date().toISOString()
-        });
-        await executeNode(updatedSession, nextNode);
-      } else {
-        await pauseFlow(session);
-      }
+      const nextNode = await getNextNode(updatedSession.flow, timeoutNode, null, updatedSession);
+      await runNodes(updatedSession, nextNode, null);
     } catch (error) {
       Sentry.captureException(error);
       console.error(`Erro ao processar timeout da sessão ${session.id}:`, error);
@@ -2191,327 +3250,92 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
   };
 
   /**
-   * Processa um nó do tipo requisição HTTP
+   * Processa um nó do tipo requisição HTTP. O resultado fica em session.request_result para que
+   * getNextNode siga pelo handle 'success' ou 'error' conforme a faixa de status configurada.
+   * Falhas não interrompem o fluxo: as variáveis mapeadas ficam vazias e o fluxo segue pelo handle 'error'
    * @param {Object} data - Dados do nó de requisição HTTP
    * @param {Object} session - Sessão atual
+   * @param {string} nodeId - ID do nó de requisição
    * @returns {Object} - Sessão atualizada com as variáveis da resposta
    */
-  const processRequestNode = async (data, session) => {
+  const processRequestNode = async (data, session, nodeId = null) => {
+    const requestConfig = data.request;
+    let result;
+
     try {
-      if (!data.request) {
-        const error = new Error('Configuração da requisição HTTP não encontrada');
-        Sentry.captureException(error);
-        throw error;
+      if (!requestConfig) {
+        throw new Error('Configuração da requisição HTTP não encontrada');
       }
 
-      const requestConfig = data.request;
-      
-      // Substituir variáveis em todos os campos da requisição
-      // Primeiro decodificar URL-encoded variáveis (%7B%7B...%7D%7D para {{...}})
-      let url = requestConfig.url;
-      // Verificar se a URL contém variáveis URL-encoded
-      if (url && url.includes('%7B%7B')) {
-        // Substituir variáveis codificadas antes da substituição normal
-        url = url.replace(/%7B%7B([^}]+)%7D%7D/g, (match, varName) => {
-          return `{{${varName}}}`;
+      if (simulation) {
+        // Na simulação nenhuma requisição é enviada: a resposta vem de simulation.mocks[nodeId] ({ status, data })
+        const mock = simulation.mocks?.[nodeId] || {};
+        const status = Number(mock.status) || 200;
+        const success = isStatusInRanges(status, requestConfig.successStatus);
+        result = { success, status, data: mock.data ?? null, error: success ? null : `HTTP ${status}`, attempts: 0, durationMs: 0 };
+        recordEvent(session, 'node_skipped', { nodeId, nodeType: 'request', reason: 'mocked_in_simulation' });
+      } else {
+        result = await executeHttpRequest(requestConfig, {
+          replace: (text) => replaceVariables(text, session),
+          organizationId: organization.id
         });
       }
-      // Agora substituir as variáveis normais
-      url = replaceVariables(url, session);
-      
-      // Não vamos mais separar a URL dos parâmetros, usaremos a URL completa
-      // incluindo os parâmetros de query que já estiverem presentes
-      
-      // Processar headers
-      const headers = {};
-      for (const header of requestConfig.headers || []) {
-        if (header.key && header.value) {
-          headers[header.key] = replaceVariables(header.value, session);
-        }
-      }
-      
-      // Configurar a requisição para o axios
-      const axiosConfig = {
-        method: requestConfig.method || 'GET',
-        url: url, // Usar a URL completa
-        headers: headers,
-        timeout: 15000 // 15 segundos por padrão
-      };
-      
-      // Adicionar parâmetros de query adicionais se fornecidos
-      // Estes serão mesclados com quaisquer parâmetros já presentes na URL
-      if (requestConfig.params && Array.isArray(requestConfig.params) && requestConfig.params.length > 0) {
-        axiosConfig.params = {};
-        for (const param of requestConfig.params) {
-          if (param.key && param.value) {
-            // axiosConfig.params[param.key] = replaceVariables(param.value, session);
-          }
-        }
-      }
-      
-      // Processar corpo da requisição, se houver
-      if (requestConfig.method !== 'GET' && requestConfig.bodyType !== 'none' && requestConfig.body) {
-        const processedBody = replaceVariables(requestConfig.body, session);
-        
-        if (requestConfig.bodyType === 'json') {
-          try {
-            // Verificar se é um JSON válido
-            axiosConfig.data = JSON.parse(processedBody);
-          } catch (jsonError) {
-            const error = new Error(`JSON inválido no corpo da requisição: ${jsonError.message}`);
-            Sentry.captureException(error);
-            throw error;
-          }
-        } else {
-          // Para outros tipos de body (form, text, etc.)
-          axiosConfig.data = processedBody;
-        }
 
-        // Configurar content-type baseado no bodyType
-        if (requestConfig.bodyType === 'json') {
-          axiosConfig.headers['Content-Type'] = 'application/json';
-        } else if (requestConfig.bodyType === 'form') {
-          axiosConfig.headers['Content-Type'] = 'application/x-www-form-urlencoded';
-        }
-      }
-      
-      // Executar a requisição HTTP com retry usando axios
-      let response;
-      let lastError;
-      const maxRetries = 2;
-      const retryDelay = 5000; // 5 segundos
-      
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-          // console.log(`[processRequestNode] Tentativa ${attempt} de ${maxRetries} para requisição: ${axiosConfig.method} ${axiosConfig.url}`);
-          
-          // Fazer a requisição usando axios
-          response = await axios(axiosConfig);
-          
-          // Se chegou aqui, a requisição foi bem-sucedida
-          // console.log(`[processRequestNode] Requisição bem-sucedida na tentativa ${attempt}`);
-          break;
-          
-        } catch (error) {
-          lastError = error;
-          console.error(`[processRequestNode] Erro na tentativa ${attempt}:`, error.message);
-          
-          // Se não é a última tentativa, aguarda antes de tentar novamente
-          if (attempt < maxRetries) {
-            console.log(`[processRequestNode] Aguardando ${retryDelay}ms antes da próxima tentativa...`);
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-          }
-        }
-      }
-      
-      // Se temos uma resposta bem-sucedida, processa normalmente
-      if (response) {
-        // Parsear a resposta como JSON
-        const responseData = response.data;
-        // console.log(`[processRequestNode] Resposta recebida com sucesso`);
-        
-        // Processar mapeamentos de variáveis, se houver
-        if (requestConfig.variableMappings && requestConfig.variableMappings.length > 0) {
-          // console.log(`[processRequestNode] Processando ${requestConfig.variableMappings.length} mapeamentos de variáveis`);
-          
-          // Verificar se session.variables é um array ou um objeto e converte para array se necessário
-          let variables = [];
-          
-          if (Array.isArray(session.variables)) {
-            variables = [...session.variables];
-          } else if (session.variables && typeof session.variables === 'object') {
-            // Converte de objeto para array
-            variables = Object.entries(session.variables).map(([name, value]) => ({
-              id: crypto.randomUUID(),
-              name,
-              value
-            }));
-          }
-          
-          // Processar cada mapeamento de variável
-          for (const mapping of requestConfig.variableMappings) {
-            if (mapping.variable && mapping.jsonPath) {
-              // Extrair o valor do jsonPath da resposta
-              const value = extractValueFromPath(responseData, mapping.jsonPath);
-              
-              if (value !== undefined) {
-                // console.log(`[processRequestNode] Valor extraído para ${mapping.variable}:`, value);
-                
-                // Verificar se a variável já existe
-                const variableIndex = variables.findIndex(v => v.name === mapping.variable);
-                
-                if (variableIndex >= 0) {
-                  // Atualizar a variável existente
-                  variables[variableIndex] = {
-                    ...variables[variableIndex],
-                    value: value
-                  };
-                } else {
-                  // Criar uma nova variável
-                  variables.push({
-                    id: crypto.randomUUID(),
-                    name: mapping.variable,
-                    value: value
-                  });
-                }
-              } else {
-                console.log(`[processRequestNode] Caminho ${mapping.jsonPath} não encontrado na resposta`);
-              }
-            }
-          }
-          
-          // Atualizar as variáveis na sessão
-          await updateSession(session.id, { variables });
-          
-          // Criar uma cópia atualizada da sessão com as novas variáveis
-          const updatedSession = {
-            ...session,
-            variables
-          };
-          
-          return updatedSession;
-        }
-        
-        return session;
-      } else {
-        // Se chegamos aqui, todas as tentativas falharam
-        console.error(`[processRequestNode] Todas as ${maxRetries} tentativas falharam. Definindo variáveis como vazias para continuar o fluxo.`);
-        
-        // Processar mapeamentos de variáveis definindo-as como vazias
-        if (requestConfig.variableMappings && requestConfig.variableMappings.length > 0) {
-          console.log(`[processRequestNode] Definindo ${requestConfig.variableMappings.length} variáveis como vazias devido ao erro`);
-          
-          // Verificar se session.variables é um array ou um objeto e converte para array se necessário
-          let variables = [];
-          
-          if (Array.isArray(session.variables)) {
-            variables = [...session.variables];
-          } else if (session.variables && typeof session.variables === 'object') {
-            // Converte de objeto para array
-            variables = Object.entries(session.variables).map(([name, value]) => ({
-              id: crypto.randomUUID(),
-              name,
-              value
-            }));
-          }
-          
-          // Definir cada variável mapeada como vazia
-          for (const mapping of requestConfig.variableMappings) {
-            if (mapping.variable) {
-              console.log(`[processRequestNode] Definindo variável ${mapping.variable} como vazia`);
-              
-              // Verificar se a variável já existe
-              const variableIndex = variables.findIndex(v => v.name === mapping.variable);
-              
-              if (variableIndex >= 0) {
-                // Atualizar a variável existente como vazia
-                variables[variableIndex] = {
-                  ...variables[variableIndex],
-                  value: ''
-                };
-              } else {
-                // Criar uma nova variável vazia
-                variables.push({
-                  id: crypto.randomUUID(),
-                  name: mapping.variable,
-                  value: ''
-                });
-              }
-            }
-          }
-          
-          // Atualizar as variáveis na sessão
-          await updateSession(session.id, { variables });
-          
-          // Criar uma cópia atualizada da sessão com as variáveis vazias
-          const updatedSession = {
-            ...session,
-            variables
-          };
-          
-          return updatedSession;
-        }
-        
-        // Log do erro para monitoramento, mas não trava o fluxo
-        if (lastError) {
-          if (axios.isAxiosError(lastError)) {
-            if (lastError.response) {
-              console.error(`[processRequestNode] Erro final ${lastError.response.status}: ${lastError.response.statusText || 'Erro desconhecido'}`);
-            } else if (lastError.request) {
-              console.error('[processRequestNode] Erro final: Não foi recebida resposta do servidor remoto');
-            } else {
-              console.error(`[processRequestNode] Erro final na configuração da requisição: ${lastError.message}`);
-            }
-          }
-          
-          // Registrar no Sentry mas sem travar o fluxo
-          Sentry.captureException(lastError);
-        }
-        
-        return session;
+      if (!result.success) {
+        console.error(`[processRequestNode] Requisição falhou após ${result.attempts} tentativa(s): ${result.error}`);
       }
     } catch (error) {
       console.error(`[processRequestNode] Erro inesperado:`, error);
-      
-      // Em caso de erro inesperado (não relacionado à requisição HTTP), 
-      // também define as variáveis como vazias para não travar o fluxo
-      if (data.request?.variableMappings && data.request.variableMappings.length > 0) {
-        console.log(`[processRequestNode] Definindo ${data.request.variableMappings.length} variáveis como vazias devido ao erro inesperado`);
-        
-        // Verificar se session.variables é um array ou um objeto e converte para array se necessário
-        let variables = [];
-        
-        if (Array.isArray(session.variables)) {
-          variables = [...session.variables];
-        } else if (session.variables && typeof session.variables === 'object') {
-          // Converte de objeto para array
-          variables = Object.entries(session.variables).map(([name, value]) => ({
-            id: crypto.randomUUID(),
-            name,
-            value
-          }));
-        }
-        
-        // Definir cada variável mapeada como vazia
-        for (const mapping of data.request.variableMappings) {
-          if (mapping.variable) {
-            console.log(`[processRequestNode] Definindo variável ${mapping.variable} como vazia (erro inesperado)`);
-            
-            // Verificar se a variável já existe
-            const variableIndex = variables.findIndex(v => v.name === mapping.variable);
-            
-            if (variableIndex >= 0) {
-              // Atualizar a variável existente como vazia
-              variables[variableIndex] = {
-                ...variables[variableIndex],
-                value: ''
-              };
-            } else {
-              // Criar uma nova variável vazia
-              variables.push({
-                id: crypto.randomUUID(),
-                name: mapping.variable,
-                value: ''
-              });
-            }
-          }
+      Sentry.captureException(error);
+      result = { success: false, status: null, data: null, error: error.message, attempts: 0 };
+    }
+
+    let variables = session.variables;
+    let hasChanges = false;
+
+    for (const mapping of requestConfig?.variableMappings || []) {
+      if (!mapping.variable) continue;
+
+      if (result.success) {
+        const value = mapping.jsonPath ? extractValueFromPath(result.data, mapping.jsonPath) : undefined;
+        if (value === undefined) {
+          console.log(`[processRequestNode] Caminho ${mapping.jsonPath} não encontrado na resposta`);
+          continue;
         }
-        
-        // Atualizar as variáveis na sessão
-        await updateSession(session.id, { variables });
-        
-        // Criar uma cópia atualizada da sessão com as variáveis vazias
-        const updatedSession = {
-          ...session,
-          variables
-        };
-        
-        return updatedSession;
+        variables = setVariable(variables, mapping.variable, value);
+      } else {
+        // Em caso de erro as variáveis mapeadas ficam vazias para não travar o fluxo
+        variables = setVariable(variables, mapping.variable, '');
       }
-      
-      Sentry.captureException(error);
-      return session;
+      hasChanges = true;
+    }
+
+    if (requestConfig?.statusVariable) {
+      variables = setVariable(variables, requestConfig.statusVariable, result.status ?? '');
+      hasChanges = true;
     }
+    if (requestConfig?.errorVariable) {
+      variables = setVariable(variables, requestConfig.errorVariable, result.success ? '' : result.error || '');
+      hasChanges = true;
+    }
+
+    if (hasChanges) {
+      await updateSession(session.id, { variables });
+    }
+
+    recordEvent(session, 'request_completed', {
+      nodeId,
+      success: result.success,
+      status: result.status,
+      attempts: result.attempts,
+      durationMs: result.durationMs ?? null
+    });
+
+    return {
+      ...session,
+      variables,
+      request_result: { nodeId, success: result.success, status: result.status }
+    };
   };
 
   /**
@@ -2610,6 +3434,226 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     return current;
   };
 
+  /**
+   * Resolve uma variável da sessão seguida opcionalmente de um caminho JSON (ex: "pedidos.data[0].id")
+   * @param {string} expression - Nome da variável com caminho opcional, com ou sem {{ }}
+   * @param {Object} session - Sessão atual
+   * @returns {any} - Valor encontrado ou undefined
+   */
+  const resolveVariablePath = (expression, session) => {
+    if (!expression || typeof expression !== 'string') return undefined;
+
+    const cleanExpression = expression.trim().replace(/^\{\{\s*|\s*\}\}$/g, '');
+    const match = cleanExpression.match(/^([^.[]+)(.*)$/);
+    if (!match) return undefined;
+
+    const [, variableName, path] = match;
+    const variables = session.variables;
+    let value;
+
+    if (Array.isArray(variables)) {
+      value = variables.find(v => v.name === variableName)?.value;
+    } else if (variables && typeof variables === 'object') {
+      value = variables[variableName];
+    }
+
+    if (value === undefined || value === null) return undefined;
+
+    // Variáveis podem guardar JSON serializado (ex: resposta de uma requisição salva como texto)
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        // Mantém o valor original se não for JSON válido
+      }
+    }
+
+    const cleanPath = path.replace(/^\./, '');
+    if (!cleanPath) return value;
+
+    // extractValueFromPath espera um objeto na raiz, por isso listas são embrulhadas
+    return extractValueFromPath({ root: value }, `root${path.startsWith('[') ? '' : '.'}${cleanPath}`);
+  };
+
+  /**
+   * Retorna o loop ativo mais interno que pertence ao fluxo em execução
+   * @param {Object} session - Sessão atual
+   * @returns {Object|null} - Frame do loop ou null
+   */
+  const getActiveLoopFrame = (session) => {
+    const loopStack = session.loop_stack || [];
+    for (let i = loopStack.length - 1; i >= 0; i--) {
+      if (session.flow?.nodes?.some(n => n.id === loopStack[i].node_id)) {
+        return loopStack[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Processa um nó do tipo loop. A cada visita avança para o próximo item da lista,
+   * definindo as variáveis de item e índice; ao terminar, remove o loop da pilha para seguir por 'done'
+   * @param {Object} node - Nó loop
+   * @param {Object} session - Sessão atual
+   * @returns {Object} - Sessão atualizada
+   */
+  const processLoopNode = async (node, session) => {
+    try {
+      const config = node.data?.loop || {};
+      const loopStack = [...(session.loop_stack || [])];
+      const frameIndex = loopStack.findIndex(frame => frame.node_id === node.id);
+      let frame;
+
+      if (frameIndex === -1) {
+        // Primeira visita: resolve a lista e inicia a iteração
+        const source = resolveVariablePath(config.source, session);
+        const items = Array.isArray(source) ? source : [];
+        const maxIterations = Number(config.maxIterations) || DEFAULT_LOOP_MAX_ITERATIONS;
+
+        if (!Array.isArray(source)) {
+          console.log(`[processLoopNode] Valor de ${config.source} não é uma lista; seguindo por 'done'`);
+        } else if (items.length > maxIterations) {
+          console.warn(`[processLoopNode] Lista com ${items.length} itens limitada a ${maxIterations} iterações`);
+        }
+
+        frame = { node_id: node.id, items: items.slice(0, maxIterations), index: 0 };
+        loopStack.push(frame);
+      } else {
+        frame = { ...loopStack[frameIndex], index: loopStack[frameIndex].index + 1 };
+        loopStack[frameIndex] = frame;
+      }
+
+      let variables = session.variables;
+
+      if (frame.index < frame.items.length) {
+        if (config.itemVariable) {
+          variables = setVariable(variables, config.itemVariable, frame.items[frame.index]);
+        }
+        if (config.indexVariable) {
+          variables = setVariable(variables, config.indexVariable, frame.index);
+        }
+      } else {
+        // Iteração concluída
+        loopStack.splice(loopStack.findIndex(f => f.node_id === node.id), 1);
+      }
+
+      const updatedSession = await updateSession(session.id, {
+        loop_stack: loopStack,
+        variables
+      });
+
+      recordEvent(session, 'loop_iteration', {
+        nodeId: node.id,
+        index: frame.index,
+        total: frame.items.length
+      });
+
+      return { ...session, ...updatedSession, flow: session.flow };
+    } catch (error) {
+      Sentry.captureException(error);
+      throw error;
+    }
+  };
+
+  /**
+   * Escolhe um ramo de um nó split proporcionalmente aos pesos. Com sticky, o sorteio é derivado
+   * do cliente, de modo que o mesmo cliente cai sempre no mesmo ramo enquanto os pesos não mudarem
+   * @param {Object} node - Nó split
+   * @param {Object} session - Sessão atual
+   * @returns {number} - Índice do ramo escolhido ou -1 se não houver ramos com peso
+   */
+  const pickSplitBranch = (node, session) => {
+    const branches = node.data?.split?.branches || [];
+    const weights = branches.map(branch => Math.max(Number(branch.weight) || 0, 0));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    if (totalWeight <= 0) return -1;
+
+    const customerId = session.customer_id || customer?.id;
+    let point;
+    if (node.data.split.sticky && customerId) {
+      const hash = crypto.createHash('sha256').update(`${node.id}:${customerId}`).digest();
+      point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+    } else {
+      point = Math.random() * totalWeight;
+    }
+
+    for (let index = 0, accumulated = 0; index < weights.length; index++) {
+      accumulated += weights[index];
+      if (point < accumulated) return index;
+    }
+    return weights.length - 1;
+  };
+
+  /**
+   * Processa um nó do tipo split (teste A/B), registrando na sessão o ramo escolhido
+   * @param {Object} node - Nó split
+   * @param {Object} session - Sessão atual
+   * @returns {Object} - Sessão atualizada
+   */
+  const processSplitNode = async (node, session) => {
+    try {
+      const branchIndex = pickSplitBranch(node, session);
+      if (branchIndex === -1) {
+        console.warn(`[processSplitNode] Nó ${node.id} sem ramos com peso; o fluxo será encerrado neste ponto`);
+      }
+
+      const branch = node.data?.split?.branches?.[branchIndex];
+      const splitBranches = { ...(session.split_branches || {}), [node.id]: branchIndex };
+      const updatedSession = await updateSession(session.id, { split_branches: splitBranches });
+
+      recordEvent(session, 'split_assigned', {
+        nodeId: node.id,
+        branchIndex,
+        branchLabel: branch?.label || null,
+        sticky: !!node.data?.split?.sticky
+      });
+
+      return { ...session, ...updatedSession, flow: session.flow, split_branches: splitBranches };
+    } catch (error) {
+      Sentry.captureException(error);
+      throw error;
+    }
+  };
+
+  /**
+   * Processa um nó do tipo business_hours. Por padrão usa o calendário da organização (horário semanal,
+   * feriados e exceções); com source 'custom' usa os timeSlots do próprio nó. O resultado fica em
+   * session.business_hours_result para que getNextNode siga por 'open' ou 'closed'
+   * @param {Object} node - Nó business_hours
+   * @param {Object} session - Sessão atual
+   * @returns {Object} - Sessão atualizada
+   */
+  const processBusinessHoursNode = async (node, session) => {
+    try {
+      const config = node.data?.businessHours || {};
+      let status;
+
+      if (config.source === 'custom') {
+        const timezone = config.timezone || await getOrganizationTimezone();
+        status = { open: isWithinTimeSlots({ timezone, timeSlots: config.timeSlots }), reason: 'custom' };
+      } else if (simulation?.businessHoursOpen !== undefined) {
+        status = { open: !!simulation.businessHoursOpen, reason: 'simulation' };
+      } else {
+        const calendar = await getBusinessCalendar(organization.id);
+        if (!calendar) {
+          console.warn(`[processBusinessHoursNode] Organização ${organization.id} sem calendário de atendimento; considerando aberto`);
+        }
+        status = calendar ? getBusinessHoursStatus(calendar) : { open: true, reason: 'no_calendar' };
+      }
+
+      recordEvent(session, 'business_hours_checked', {
+        nodeId: node.id,
+        open: status.open,
+        reason: status.reason
+      });
+
+      return { ...session, business_hours_result: { nodeId: node.id, open: status.open } };
+    } catch (error) {
+      Sentry.captureException(error);
+      throw error;
+    }
+  };
+
   /**
    * Processa um nó do tipo jump_to, encontrando o nó alvo pelo ID
    * @param {Object} data - Dados do nó jump_to
@@ -2645,6 +3689,184 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     }
   };
 
+  /**
+   * Busca um fluxo da organização para execução como subfluxo ou retorno de subfluxo
+   * @param {string} flowId - ID do fluxo
+   * @param {boolean} onlyPublished - Exige que o fluxo esteja publicado e usa o grafo da versão publicada
+   * @param {string|null} versionId - Versão específica a ser carregada (ex: versão fixada do fluxo chamador)
+   * @returns {Object|null} - Fluxo encontrado ou null
+   */
+  const getOrganizationFlow = async (flowId, onlyPublished = false, versionId = null) => {
+    let query = supabase
+      .from('flows')
+      .select('id, nodes, edges, variables, debounce_time, published_version_id')
+      .eq('id', flowId)
+      .eq('organization_id', organization.id);
+
+    if (onlyPublished) {
+      query = query.eq('is_published', true);
+    }
+
+    const { data, error } = await query.single();
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || simulation) return data;
+
+    if (versionId) {
+      const version = await getFlowVersion(versionId);
+      return version
+        ? { ...data, nodes: version.nodes, edges: version.edges, variables: version.variables, version: version.version, version_id: version.id }
+        : data;
+    }
+
+    return onlyPublished ? await resolvePublishedFlow(data) : data;
+  };
+
+  /**
+   * Processa um nó do tipo subflow: empilha o fluxo atual em call_stack e passa a executar
+   * o fluxo chamado, com as variáveis de entrada mapeadas
+   * @param {Object} node - Nó subflow
+   * @param {Object} session - Sessão atual
+   * @returns {Object} - Sessão já no subfluxo, com as flags de redirecionamento para o nó inicial dele
+   */
+  const processSubflowNode = async (node, session) => {
+    try {
+      const config = node.data?.subflow;
+      if (!config?.flowId) {
+        const error = new Error('Fluxo não especificado para o nó subflow');
+        Sentry.captureException(error);
+        throw error;
+      }
+
+      const callStack = Array.isArray(session.call_stack) ? session.call_stack : [];
+      if (callStack.length >= MAX_SUBFLOW_DEPTH) {
+        const error = new Error(`Limite de ${MAX_SUBFLOW_DEPTH} subfluxos aninhados atingido`);
+        Sentry.captureException(error);
+        throw error;
+      }
+
+      const subflow = await getOrganizationFlow(config.flowId, true);
+      if (!subflow) {
+        const error = new Error(`Subfluxo ${config.flowId} não encontrado ou não publicado`);
+        Sentry.captureException(error);
+        throw error;
+      }
+
+      const startNode = subflow.nodes.find(n => n.id === 'start-node' || n.id === 'start');
+      if (!startNode) {
+        const error = new Error(`Subfluxo ${config.flowId} não possui nó inicial`);
+        Sentry.captureException(error);
+        throw error;
+      }
+
+      // Variáveis padrão do subfluxo + entradas mapeadas a partir do fluxo chamador
+      const variables = Array.isArray(subflow.variables)
+        ? subflow.variables.map(v => ({ ...v }))
+        : Object.entries(subflow.variables || {}).map(([name, value]) => ({
+            id: crypto.randomUUID(),
+            name,
+            value
+          }));
+
+      for (const mapping of config.inputMappings || []) {
+        if (!mapping.subflowVariable) continue;
+        const value = replaceVariables(mapping.parentValue, session);
+        const variableIndex = variables.findIndex(v => v.name === mapping.subflowVariable);
+        if (variableIndex >= 0) {
+          variables[variableIndex] = { ...variables[variableIndex], value };
+        } else {
+          variables.push({ id: crypto.randomUUID(), name: mapping.subflowVariable, value });
+        }
+      }
+
+      const frame = {
+        flow_id: session.flow.id,
+        flow_version_id: session.flow.version_id || null,
+        node_id: node.id,
+        variables: session.variables,
+        output_mappings: config.outputMappings || []
+      };
+
+      const sessionInSubflow = await updateSession(session.id, {
+        bot_id: subflow.id,
+        flow_version_id: subflow.version_id || null,
+        call_stack: [...callStack, frame],
+        current_node_id: startNode.id,
+        variables
+      });
+
+      if (simulation) {
+        // Em memória o fluxo não vem do join do banco
+        simulation.session = { ...simulation.session, flow: subflow };
+      }
+      recordEvent(session, 'subflow_entered', { nodeId: node.id, subflowId: subflow.id });
+
+      return {
+        ...sessionInSubflow,
+        flow: subflow,
+        go_to_node: true,
+        target_node: startNode
+      };
+    } catch (error) {
+      Sentry.captureException(error);
+      throw error;
+    }
+  };
+
+  /**
+   * Retorna de um subfluxo concluído para o fluxo chamador, mapeando as variáveis de saída
+   * @param {Object} session - Sessão no final do subfluxo
+   * @param {Object} message - Mensagem recebida
+   * @returns {Object} - { session, nextNode } com a sessão de volta ao fluxo chamador e o próximo nó a executar
+   */
+  const returnFromSubflow = async (session, message) => {
+    const callStack = [...session.call_stack];
+    const frame = callStack.pop();
+
+    const parentFlow = await getOrganizationFlow(frame.flow_id, false, frame.flow_version_id);
+    if (!parentFlow) {
+      const error = new Error(`Fluxo chamador ${frame.flow_id} não encontrado`);
+      Sentry.captureException(error);
+      throw error;
+    }
+
+    const variables = Array.isArray(frame.variables) ? [...frame.variables] : [];
+    const subflowVariables = Array.isArray(session.variables) ? session.variables : [];
+
+    for (const mapping of frame.output_mappings || []) {
+      if (!mapping.subflowVariable || !mapping.parentVariable) continue;
+      const source = subflowVariables.find(v => v.name === mapping.subflowVariable);
+      if (!source) continue;
+
+      const variableIndex = variables.findIndex(v => v.name === mapping.parentVariable);
+      if (variableIndex >= 0) {
+        variables[variableIndex] = { ...variables[variableIndex], value: source.value };
+      } else {
+        variables.push({ id: crypto.randomUUID(), name: mapping.parentVariable, value: source.value });
+      }
+    }
+
+    const parentSession = await updateSession(session.id, {
+      bot_id: parentFlow.id,
+      flow_version_id: frame.flow_version_id || null,
+      call_stack: callStack,
+      current_node_id: frame.node_id,
+      variables
+    });
+
+    if (simulation) {
+      simulation.session = { ...simulation.session, flow: parentFlow };
+    }
+    recordEvent(session, 'subflow_returned', { nodeId: frame.node_id, subflowId: session.flow?.id });
+
+    const updatedSession = { ...parentSession, flow: parentFlow };
+    const subflowNode = parentFlow.nodes.find(n => n.id === frame.node_id);
+    const nextNode = subflowNode
+      ? await getNextNode(parentFlow, subflowNode, message, updatedSession)
+      : null;
+
+    return { session: updatedSession, nextNode };
+  };
+
   /**
    * Processa um nó do tipo system_message, registrando uma mensagem de contexto do sistema
    * @param {Object} data - Dados do nó system_message
@@ -2718,6 +3940,8 @@ export const createFlowEngine = (organization, channel, customer, chatId, option
     checkTriggers,
     findActiveChat,
     handleSessionTimeout,
+    resumeSession,
+    goToNode,
     processSystemMessageNode
   };
 }; 
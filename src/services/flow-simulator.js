@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import { createFlowEngine } from './flow-engine.js';
+
+// Limite de nós executados por simulação, evitando loops infinitos (ex: jump_to circular)
+const MAX_NODE_EXECUTIONS = 500;
+
+/**
+ * Executa um fluxo em memória, sem canal real, a partir de uma lista roteirizada de mensagens do cliente
+ * @param {Object} params
+ * @param {Object} params.organization - Organização dona do fluxo
+ * @param {Object} params.flow - Fluxo com nodes, edges e variables
+ * @param {Array<string|Object>} params.messages - Mensagens do cliente, em ordem
+ * @param {Object} params.customer - Dados de cliente usados nas variáveis e condições
+ * @param {Object} params.variables - Valores iniciais de variáveis (sobrescrevem os padrões do fluxo)
+ * @param {boolean} [params.businessHoursOpen] - Força o resultado dos nós business_hours que usam o calendário
+ *   da organização; quando omitido, o calendário real é consultado
+ * @param {Object} [params.mocks] - Resultados fictícios por ID de nó para os nós que fariam chamadas externas:
+ *   nós OpenAI recebem o valor da variável, nós de requisição recebem { status, data }
+ * @returns {Object} - Transcrição e rastro de execução de cada passo
+ */
+export const simulateFlow = async ({ organization, flow, messages = [], customer = null, variables = {}, businessHoursOpen, mocks = {} }) => {
+  const transcript = [];
+  const steps = [];
+  let currentStep = null;
+  let nodeExecutions = 0;
+
+  const simulation = {
+    session: null,
+    businessHoursOpen,
+    mocks,
+    onMessage: (message) => {
+      const entry = { sender: 'bot', ...message };
+      transcript.push(entry);
+      currentStep?.sentMessages.push(message);
+    },
+    onEvent: (type, data) => {
+      if (type === 'node_executed') {
+        nodeExecutions++;
+        if (nodeExecutions > MAX_NODE_EXECUTIONS) {
+          throw new Error(`Limite de ${MAX_NODE_EXECUTIONS} nós executados atingido. Verifique se há loops no fluxo.`);
+        }
+        currentStep?.visitedNodes.push({ id: data.nodeId, type: data.nodeType });
+      } else if (type === 'condition_evaluated') {
+        currentStep?.conditions.push(data);
+      } else {
+        currentStep?.events.push({ type, ...data });
+      }
+    }
+  };
+
+  const simulatedCustomer = customer || { id: null, name: 'Cliente Simulado' };
+  const flowEngine = createFlowEngine(organization, null, simulatedCustomer, null, { simulation });
+
+  const session = await flowEngine.startFlow(flow);
+  if (!session) {
+    return {
+      success: false,
+      error: 'Nó inicial não encontrado no fluxo',
+      transcript,
+      steps
+    };
+  }
+
+  // Aplica os valores iniciais de variáveis informados para o teste
+  if (variables && Object.keys(variables).length > 0) {
+    const sessionVariables = [...session.variables];
+    for (const [name, value] of Object.entries(variables)) {
+      const index = sessionVariables.findIndex(v => v.name === name);
+      if (index >= 0) {
+        sessionVariables[index] = { ...sessionVariables[index], value };
+      } else {
+        sessionVariables.push({ id: crypto.randomUUID(), name, value });
+      }
+    }
+    await flowEngine.updateSession(session.id, { variables: sessionVariables });
+  }
+
+  let error = null;
+
+  for (const rawMessage of messages) {
+    const message = typeof rawMessage === 'string'
+      ? { content: rawMessage, type: 'text' }
+      : { type: 'text', ...rawMessage, content: rawMessage?.content ?? '' };
+
+    const activeSession = await flowEngine.getActiveFlow();
+    if (!activeSession) break;
+
+    transcript.push({ sender: 'customer', content: message.content });
+    currentStep = {
+      message,
+      startNodeId: activeSession.current_node_id,
+      sentMessages: [],
+      visitedNodes: [],
+      conditions: [],
+      events: []
+    };
+    steps.push(currentStep);
+
+    try {
+      await flowEngine.continueFlow(activeSession, message);
+    } catch (stepError) {
+      error = stepError.message;
+    }
+
+    const sessionAfterStep = simulation.session;
+    currentStep.currentNodeId = sessionAfterStep.current_node_id;
+    currentStep.status = sessionAfterStep.status;
+    currentStep.variables = (sessionAfterStep.variables || []).reduce((acc, variable) => {
+      acc[variable.name] = variable.value;
+      return acc;
+    }, {});
+
+    if (error) break;
+  }
+
+  return {
+    success: !error,
+    error,
+    finished: simulation.session?.status !== 'active',
+    currentNodeId: simulation.session?.current_node_id || null,
+    transcript,
+    steps
+  };
+};
@@ -0,0 +1,478 @@
+/**
+ * @fileoverview Validação estática do grafo de um fluxo (nodes/edges) antes da publicação.
+ * Detecta problemas que hoje só aparecem em tempo de execução no flow-engine.
+ */
+import { parseExpression } from '../utils/expression.js';
+
+// Tipos de nó que o flow-engine sabe executar
+export const SUPPORTED_NODE_TYPES = [
+  'start',
+  'text',
+  'audio',
+  'image',
+  'video',
+  'document',
+  'input',
+  'condition',
+  'variable',
+  'delay',
+  'openai',
+  'agenteia',
+  'update_customer',
+  'request',
+  'jump_to',
+  'system_message',
+  'subflow',
+  'loop',
+  'split',
+  'business_hours'
+];
+
+const SUPPORTED_OPENAI_API_TYPES = ['textGeneration', 'audio', 'tts'];
+
+// Prefixos de variáveis resolvidas a partir dos dados da sessão em replaceVariables
+const BUILTIN_VARIABLE_PREFIXES = ['customer.', 'chat.'];
+
+/**
+ * Cria um objeto de problema de validação
+ * @param {string} severity - 'error' (impede publicação) ou 'warning'
+ * @param {string} code - Código estável do problema
+ * @param {string} message - Descrição legível
+ * @param {string|null} nodeId - Nó relacionado, se houver
+ * @param {Object} details - Informações adicionais
+ */
+const createProblem = (severity, code, message, nodeId = null, details = {}) => ({
+  severity,
+  code,
+  message,
+  nodeId,
+  ...(Object.keys(details).length > 0 && { details })
+});
+
+/**
+ * Extrai os nomes de variáveis no formato {{nome}} (inclusive URL-encoded) de um texto
+ * @param {string} text - Texto a ser analisado
+ * @returns {string[]} - Nomes das variáveis referenciadas
+ */
+const extractVariableReferences = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const decoded = text.replace(/%7B%7B([^}]+)%7D%7D/g, (match, varName) => `{{${varName}}}`);
+  const references = [];
+  const regex = /\{\{([^}]+)\}\}/g;
+  let match;
+  while ((match = regex.exec(decoded)) !== null) {
+    references.push(match[1].trim());
+  }
+  return references;
+};
+
+/**
+ * Retorna os textos de um nó que passam por replaceVariables no flow-engine
+ * @param {Object} node - Nó do fluxo
+ * @returns {string[]} - Textos com possíveis variáveis
+ */
+const getTemplatedTexts = (node) => {
+  const data = node.data || {};
+
+  switch (node.type) {
+    case 'text':
+    case 'system_message':
+      return [data.text];
+    case 'audio':
+    case 'image':
+    case 'video':
+    case 'document':
+      return [data.mediaUrl];
+    case 'variable':
+      return [data.variable?.value];
+    case 'request': {
+      const request = data.request || {};
+      return [
+        request.url,
+        request.body,
+        ...(request.headers || []).map(header => header.value),
+        ...(request.params || []).map(param => param.value)
+      ];
+    }
+    case 'openai':
+      return [data.openai?.customPrompt];
+    case 'subflow':
+      return (data.subflow?.inputMappings || []).map(mapping => mapping.parentValue);
+    case 'loop':
+      return [data.loop?.source && `{{${data.loop.source.replace(/^\{\{\s*|\s*\}\}$/g, '')}}}`];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Retorna os nomes de variáveis que um nó pode definir durante a execução
+ * @param {Object} node - Nó do fluxo
+ * @returns {string[]} - Nomes das variáveis definidas
+ */
+const getDefinedVariables = (node) => {
+  const data = node.data || {};
+  const names = [];
+
+  if (data.inputConfig?.variableName) names.push(data.inputConfig.variableName);
+  if (node.type === 'variable' && data.variable?.name) names.push(data.variable.name);
+  if (node.type === 'request') {
+    for (const mapping of data.request?.variableMappings || []) {
+      if (mapping.variable) names.push(mapping.variable);
+    }
+  }
+  if (node.type === 'subflow') {
+    for (const mapping of data.subflow?.outputMappings || []) {
+      if (mapping.parentVariable) names.push(mapping.parentVariable);
+    }
+  }
+  if (node.type === 'loop') {
+    if (data.loop?.itemVariable) names.push(data.loop.itemVariable);
+    if (data.loop?.indexVariable) names.push(data.loop.indexVariable);
+  }
+  if (node.type === 'openai') {
+    if (data.openai?.variableName) names.push(data.openai.variableName);
+    for (const tool of data.openai?.tools || []) {
+      names.push(...Object.keys(tool.parameters?.properties || {}));
+    }
+  }
+
+  return names;
+};
+
+/**
+ * Retorna os IDs de nós alcançados a partir de um nó sem passar por edges (ex: jump_to, ferramentas do openai)
+ * @param {Object} node - Nó do fluxo
+ * @returns {string[]} - IDs dos nós de destino
+ */
+const getImplicitTargets = (node) => {
+  const data = node.data || {};
+  const targets = [];
+
+  if (node.type === 'jump_to' && data.targetNodeId) {
+    targets.push(data.targetNodeId);
+  }
+
+  if (node.type === 'openai') {
+    for (const tool of data.openai?.tools || []) {
+      if (tool.targetNodeId) targets.push(tool.targetNodeId);
+      if (tool.defaultTargetNodeId) targets.push(tool.defaultTargetNodeId);
+      for (const condition of tool.conditions || []) {
+        if (condition.targetNodeId) targets.push(condition.targetNodeId);
+      }
+    }
+  }
+
+  return targets;
+};
+
+/**
+ * Encontra os ciclos do grafo (componentes fortemente conectados) usando o algoritmo de Tarjan
+ * @param {string[]} nodeIds - IDs dos nós
+ * @param {Map<string, string[]>} adjacency - Lista de adjacência
+ * @returns {string[][]} - Lista de ciclos (cada um como lista de IDs)
+ */
+const findCycles = (nodeIds, adjacency) => {
+  let index = 0;
+  const stack = [];
+  const onStack = new Set();
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const cycles = [];
+
+  const strongConnect = (nodeId) => {
+    indexes.set(nodeId, index);
+    lowLinks.set(nodeId, index);
+    index++;
+    stack.push(nodeId);
+    onStack.add(nodeId);
+
+    for (const target of adjacency.get(nodeId) || []) {
+      if (!indexes.has(target)) {
+        strongConnect(target);
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), indexes.get(target)));
+      }
+    }
+
+    if (lowLinks.get(nodeId) === indexes.get(nodeId)) {
+      const component = [];
+      let current;
+      do {
+        current = stack.pop();
+        onStack.delete(current);
+        component.push(current);
+      } while (current !== nodeId);
+
+      const isSelfLoop = component.length === 1 && (adjacency.get(nodeId) || []).includes(nodeId);
+      if (component.length > 1 || isSelfLoop) {
+        cycles.push(component);
+      }
+    }
+  };
+
+  for (const nodeId of nodeIds) {
+    if (!indexes.has(nodeId)) {
+      strongConnect(nodeId);
+    }
+  }
+
+  return cycles;
+};
+
+/**
+ * Valida estaticamente o grafo de um fluxo
+ * @param {Object} flow - Fluxo com nodes, edges e variables
+ * @returns {Object} - { valid, errors, warnings, problems, problemsByNode }
+ */
+export const validateFlow = (flow) => {
+  const problems = [];
+  const nodes = Array.isArray(flow?.nodes) ? flow.nodes : [];
+  const edges = Array.isArray(flow?.edges) ? flow.edges : [];
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+  // 1. Nó inicial
+  const startNode = nodes.find(node => node.id === 'start-node' || node.id === 'start');
+  if (!startNode) {
+    problems.push(createProblem('error', 'missing_start_node', 'O fluxo não possui nó inicial'));
+  }
+
+  // 2. Tipos de nó suportados
+  for (const node of nodes) {
+    if (!SUPPORTED_NODE_TYPES.includes(node.type)) {
+      problems.push(createProblem('error', 'unsupported_node_type', `Tipo de nó não suportado: ${node.type}`, node.id, { type: node.type }));
+    }
+  }
+
+  // 3. Edges com origem ou destino inexistente
+  const validEdges = [];
+  for (const edge of edges) {
+    const hasSource = nodesById.has(edge.source);
+    const hasTarget = nodesById.has(edge.target);
+    if (!hasSource || !hasTarget) {
+      problems.push(createProblem(
+        'error',
+        'dangling_edge',
+        `Conexão ${edge.id || `${edge.source} -> ${edge.target}`} aponta para um nó inexistente`,
+        hasSource ? edge.source : null,
+        { edgeId: edge.id, source: edge.source, target: edge.target, missing: !hasSource ? 'source' : 'target' }
+      ));
+      continue;
+    }
+    validEdges.push(edge);
+  }
+
+  // 4. Validações específicas por tipo de nó
+  for (const node of nodes) {
+    const data = node.data || {};
+    const outgoing = validEdges.filter(edge => edge.source === node.id);
+
+    if (node.type === 'jump_to') {
+      if (!data.targetNodeId) {
+        problems.push(createProblem('error', 'jump_target_missing', 'Nó jump_to sem nó de destino', node.id));
+      } else if (!nodesById.has(data.targetNodeId)) {
+        problems.push(createProblem('error', 'jump_target_not_found', `Nó de destino ${data.targetNodeId} não existe no fluxo`, node.id, { targetNodeId: data.targetNodeId }));
+      }
+    }
+
+    if (node.type === 'input' && data.inputType === 'options') {
+      (data.options || []).forEach((option, index) => {
+        if (!outgoing.some(edge => edge.sourceHandle === `option${index}`)) {
+          problems.push(createProblem('warning', 'option_without_edge', `A opção "${option.text}" não está conectada a nenhum nó`, node.id, { handle: `option${index}` }));
+        }
+      });
+    }
+
+    if (node.type === 'input' && data.inputConfig?.validation?.type) {
+      const validation = data.inputConfig.validation;
+      if (validation.type === 'regex') {
+        try {
+          new RegExp(validation.pattern, validation.flags || '');
+        } catch (error) {
+          problems.push(createProblem('error', 'input_invalid_regex', `Expressão regular inválida: ${error.message}`, node.id, { pattern: validation.pattern }));
+        }
+      }
+      if (!outgoing.some(edge => edge.sourceHandle === 'invalid')) {
+        problems.push(createProblem('warning', 'input_invalid_without_edge', 'Input com validação sem o handle "invalid" conectado; o fluxo será encerrado ao esgotar as tentativas', node.id, { handle: 'invalid' }));
+      }
+    }
+
+    if (node.type === 'condition') {
+      (data.conditions || []).forEach((condition, index) => {
+        if (!outgoing.some(edge => edge.sourceHandle === `condition-${index}`)) {
+          problems.push(createProblem('warning', 'condition_without_edge', `A condição ${index + 1} não está conectada a nenhum nó`, node.id, { handle: `condition-${index}` }));
+        }
+      });
+    }
+
+    if (node.type === 'openai') {
+      if (!data.openai) {
+        problems.push(createProblem('error', 'openai_config_missing', 'Configuração do OpenAI não encontrada', node.id));
+      } else {
+        if (!SUPPORTED_OPENAI_API_TYPES.includes(data.openai.apiType)) {
+          problems.push(createProblem('error', 'openai_unsupported_api_type', `Tipo de OpenAI não suportado: ${data.openai.apiType}`, node.id, { apiType: data.openai.apiType }));
+        }
+        if (!data.openai.integrationId) {
+          problems.push(createProblem('error', 'openai_integration_missing', 'Nenhuma integração OpenAI selecionada', node.id));
+        }
+      }
+      for (const targetNodeId of getImplicitTargets(node)) {
+        if (!nodesById.has(targetNodeId)) {
+          problems.push(createProblem('error', 'tool_target_not_found', `Nó de destino ${targetNodeId} de uma ferramenta não existe no fluxo`, node.id, { targetNodeId }));
+        }
+      }
+    }
+
+    if (node.type === 'subflow' && !data.subflow?.flowId) {
+      problems.push(createProblem('error', 'subflow_missing', 'Nó subflow sem fluxo selecionado', node.id));
+    }
+
+    if (node.type === 'loop') {
+      if (!data.loop?.source) {
+        problems.push(createProblem('error', 'loop_source_missing', 'Nó loop sem lista de origem', node.id));
+      }
+      if (!edges.some(edge => edge.source === node.id && edge.sourceHandle === 'body')) {
+        problems.push(createProblem('warning', 'loop_body_missing', 'Nó loop sem nós no corpo da iteração', node.id));
+      }
+    }
+
+    if (node.type === 'split') {
+      const branches = data.split?.branches || [];
+      if (!branches.some(branch => Number(branch.weight) > 0)) {
+        problems.push(createProblem('error', 'split_without_branches', 'Nó split sem ramos com peso maior que zero', node.id));
+      }
+      branches.forEach((branch, index) => {
+        if (!outgoing.some(edge => edge.sourceHandle === `branch-${index}`)) {
+          problems.push(createProblem('warning', 'split_branch_without_edge', `O ramo "${branch.label || index + 1}" não está conectado a nenhum nó`, node.id, { handle: `branch-${index}` }));
+        }
+      });
+    }
+
+    if (node.type === 'business_hours') {
+      if (data.businessHours?.source === 'custom' && !data.businessHours.timeSlots?.length) {
+        problems.push(createProblem('error', 'business_hours_without_slots', 'Nó de horário personalizado sem horários configurados', node.id));
+      }
+      ['open', 'closed'].forEach(handle => {
+        if (!outgoing.some(edge => edge.sourceHandle === handle)) {
+          problems.push(createProblem('warning', 'business_hours_handle_missing', `A saída "${handle}" do nó de horário não está conectada`, node.id, { handle }));
+        }
+      });
+    }
+
+    if (node.type === 'request' && !data.request?.url) {
+      problems.push(createProblem('error', 'request_url_missing', 'Nó de requisição sem URL', node.id));
+    }
+
+    if (node.type === 'variable' && !data.variable?.name) {
+      problems.push(createProblem('error', 'variable_name_missing', 'Nome da variável não especificado', node.id));
+    }
+
+    if (node.type === 'variable' && data.variable?.mode === 'expression') {
+      try {
+        parseExpression(data.variable.expression ?? data.variable.value);
+      } catch (error) {
+        problems.push(createProblem('error', 'invalid_expression', `Expressão inválida: ${error.message}`, node.id, { expression: data.variable.expression ?? data.variable.value }));
+      }
+    }
+  }
+
+  // Grafo de execução: edges + destinos implícitos
+  const adjacency = new Map(nodes.map(node => [node.id, []]));
+  for (const edge of validEdges) {
+    adjacency.get(edge.source).push(edge.target);
+  }
+  for (const node of nodes) {
+    for (const targetNodeId of getImplicitTargets(node)) {
+      if (nodesById.has(targetNodeId)) {
+        adjacency.get(node.id).push(targetNodeId);
+      }
+    }
+  }
+
+  // 5. Nós inalcançáveis a partir do nó inicial
+  if (startNode) {
+    const reachable = new Set([startNode.id]);
+    const queue = [startNode.id];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const target of adjacency.get(current) || []) {
+        if (!reachable.has(target)) {
+          reachable.add(target);
+          queue.push(target);
+        }
+      }
+    }
+
+    for (const node of nodes) {
+      if (!reachable.has(node.id)) {
+        problems.push(createProblem('warning', 'unreachable_node', 'Nó não pode ser alcançado a partir do nó inicial', node.id));
+      }
+    }
+  }
+
+  // 6. Loops sem nó de input: o motor executaria os nós indefinidamente sem aguardar o cliente
+  const loopAdjacency = new Map();
+  for (const [nodeId, targets] of adjacency.entries()) {
+    if (nodesById.get(nodeId)?.type === 'input') continue;
+    loopAdjacency.set(nodeId, targets.filter(target => nodesById.get(target)?.type !== 'input'));
+  }
+  for (const cycle of findCycles([...loopAdjacency.keys()], loopAdjacency)) {
+    // Ciclos que passam por um nó loop terminam quando a lista acaba
+    if (cycle.some(nodeId => nodesById.get(nodeId)?.type === 'loop')) continue;
+    const hasCondition = cycle.some(nodeId => nodesById.get(nodeId)?.type === 'condition');
+    problems.push(createProblem(
+      hasCondition ? 'warning' : 'error',
+      'loop_without_input',
+      hasCondition
+        ? 'Loop sem nó de input; depende apenas de condições para terminar'
+        : 'Loop infinito sem nó de input',
+      cycle[0],
+      { nodeIds: cycle }
+    ));
+  }
+
+  // 7. Variáveis referenciadas e nunca definidas
+  const flowVariables = Array.isArray(flow?.variables)
+    ? flow.variables.map(variable => variable.name)
+    : Object.keys(flow?.variables || {});
+  const definedVariables = new Set([
+    ...flowVariables,
+    ...nodes.flatMap(node => getDefinedVariables(node))
+  ]);
+
+  for (const node of nodes) {
+    const undefinedVariables = new Set();
+    for (const text of getTemplatedTexts(node)) {
+      for (const reference of extractVariableReferences(text)) {
+        const isBuiltin = BUILTIN_VARIABLE_PREFIXES.some(prefix => reference.startsWith(prefix));
+        // Acesso a propriedades de uma variável (ex: {{pedido.numero}}) depende só da variável raiz
+        const rootVariable = reference.split(/[.[]/)[0];
+        if (!isBuiltin && !definedVariables.has(reference) && !definedVariables.has(rootVariable)) {
+          undefinedVariables.add(reference);
+        }
+      }
+    }
+    for (const variableName of undefinedVariables) {
+      problems.push(createProblem('warning', 'undefined_variable', `Variável {{${variableName}}} não é definida no fluxo`, node.id, { variable: variableName }));
+    }
+  }
+
+  const problemsByNode = {};
+  for (const problem of problems) {
+    const key = problem.nodeId || 'flow';
+    if (!problemsByNode[key]) problemsByNode[key] = [];
+    problemsByNode[key].push(problem);
+  }
+
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: problems.length - errors,
+    problems,
+    problemsByNode
+  };
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Versões publicadas (imutáveis) de fluxos.
+ * Cada publicação grava um snapshot de nodes/edges/variables em flow_versions e as sessões
+ * ficam presas (flow_sessions.flow_version_id) à versão em que começaram, de modo que editar
+ * o rascunho em flows não altera sessões em andamento.
+ *
+ * A numeração depende da restrição única em flow_versions:
+ *   alter table flow_versions add constraint flow_versions_flow_id_version_key unique (flow_id, version);
+ * Publicações simultâneas que calculam o mesmo número recebem conflito (23505) e tentam o número seguinte.
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+
+// Tentativas de gravar a versão quando outra publicação simultânea ocupou o mesmo número
+const MAX_VERSION_INSERT_ATTEMPTS = 5;
+
+// Join usado nas consultas de flow_sessions para trazer o snapshot fixado na sessão
+export const FLOW_VERSION_JOIN = `
+        flow_version:flow_versions!flow_sessions_flow_version_id_fkey (
+          id,
+          version,
+          nodes,
+          edges,
+          variables
+        )`;
+
+/**
+ * Substitui o grafo do fluxo da sessão pelo snapshot da versão fixada, se houver
+ * @param {Object} session - Sessão com flow e flow_version vindos do join
+ * @returns {Object} - Sessão com session.flow apontando para o grafo da versão
+ */
+export const applyPinnedFlowVersion = (session) => {
+  if (!session?.flow_version) return session;
+
+  const { flow_version: flowVersion, ...rest } = session;
+  return {
+    ...rest,
+    flow: {
+      ...session.flow,
+      nodes: flowVersion.nodes,
+      edges: flowVersion.edges,
+      variables: flowVersion.variables,
+      version: flowVersion.version,
+      version_id: flowVersion.id
+    }
+  };
+};
+
+/**
+ * Busca uma versão de fluxo pelo ID
+ * @param {string} versionId - ID da versão
+ * @returns {Object|null} - Versão encontrada ou null
+ */
+export const getFlowVersion = async (versionId) => {
+  const { data, error } = await supabase
+    .from('flow_versions')
+    .select('*')
+    .eq('id', versionId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+};
+
+/**
+ * Retorna o fluxo com o grafo da versão publicada atual (ou o próprio fluxo se ainda não houver versões)
+ * @param {Object} flow - Fluxo com published_version_id
+ * @returns {Object} - Fluxo com nodes/edges/variables da versão publicada
+ */
+export const resolvePublishedFlow = async (flow) => {
+  if (!flow?.published_version_id) return flow;
+
+  const version = await getFlowVersion(flow.published_version_id);
+  if (!version) return flow;
+
+  return {
+    ...flow,
+    nodes: version.nodes,
+    edges: version.edges,
+    variables: version.variables,
+    version: version.version,
+    version_id: version.id
+  };
+};
+
+/**
+ * Cria um snapshot imutável do grafo de um fluxo com o próximo número de versão. Se outra publicação
+ * gravar o mesmo número antes (violação de flow_versions_flow_id_version_key), recalcula e tenta de novo
+ * @param {Object} params
+ * @param {Object} params.flow - Fluxo com nodes, edges e variables a serem gravados
+ * @param {string} params.organizationId - ID da organização
+ * @param {string} params.profileId - Perfil que publicou
+ * @param {string} [params.notes] - Notas da publicação
+ * @param {string} [params.rolledBackFrom] - Versão de origem quando criada por rollback
+ * @returns {Object} - Versão criada
+ */
+export const createFlowVersion = async ({ flow, organizationId, profileId, notes = null, rolledBackFrom = null }) => {
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const { data: lastVersion, error: lastVersionError } = await supabase
+        .from('flow_versions')
+        .select('version')
+        .eq('flow_id', flow.id)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (lastVersionError) throw lastVersionError;
+
+      const { data: version, error } = await supabase
+        .from('flow_versions')
+        .insert({
+          flow_id: flow.id,
+          organization_id: organizationId,
+          version: (lastVersion?.version || 0) + 1,
+          nodes: flow.nodes || [],
+          edges: flow.edges || [],
+          variables: flow.variables || [],
+          notes,
+          rolled_back_from: rolledBackFrom,
+          created_by: profileId || null
+        })
+        .select()
+        .single();
+
+      // Número ocupado por uma publicação simultânea
+      if (error?.code === '23505' && attempt < MAX_VERSION_INSERT_ATTEMPTS) continue;
+      if (error) throw error;
+      return version;
+    }
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Compara dois grafos de fluxo e lista nós, conexões e variáveis adicionados, removidos e alterados
+ * @param {Object} from - Grafo base ({ nodes, edges, variables })
+ * @param {Object} to - Grafo comparado
+ * @returns {Object} - { nodes, edges, variables } cada um com added, removed e changed
+ */
+export const diffFlowGraphs = (from, to) => {
+  const edgeKey = (edge) => edge.id || `${edge.source}:${edge.sourceHandle || ''}->${edge.target}`;
+  const toVariableList = (variables) => (Array.isArray(variables)
+    ? variables
+    : Object.entries(variables || {}).map(([name, value]) => ({ name, value })));
+
+  const diffCollection = (fromItems, toItems, getKey, getComparable) => {
+    const fromMap = new Map(fromItems.map(item => [getKey(item), item]));
+    const toMap = new Map(toItems.map(item => [getKey(item), item]));
+
+    const added = toItems.filter(item => !fromMap.has(getKey(item)));
+    const removed = fromItems.filter(item => !toMap.has(getKey(item)));
+    const changed = toItems
+      .filter(item => fromMap.has(getKey(item)))
+      .filter(item => JSON.stringify(getComparable(fromMap.get(getKey(item)))) !== JSON.stringify(getComparable(item)))
+      .map(item => ({ key: getKey(item), before: fromMap.get(getKey(item)), after: item }));
+
+    return { added, removed, changed };
+  };
+
+  return {
+    // Posição no editor não altera a execução, por isso é ignorada na comparação
+    nodes: diffCollection(from?.nodes || [], to?.nodes || [], node => node.id, node => ({ type: node.type, data: node.data })),
+    edges: diffCollection(from?.edges || [], to?.edges || [], edgeKey, edge => ({
+      source: edge.source,
+      target: edge.target,
+      sourceHandle: edge.sourceHandle || null
+    })),
+    variables: diffCollection(toVariableList(from?.variables), toVariableList(to?.variables), variable => variable.name, variable => variable.value)
+  };
+};
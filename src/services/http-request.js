@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Execução das requisições HTTP do nó "request" dos fluxos e da rota de teste
+ * /flow/test-node-request: timeout e retentativas configuráveis, presets de autenticação
+ * (integrações do tipo http_auth) e classificação de sucesso/erro por faixa de status.
+ */
+import axios from 'axios';
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { decrypt } from '../utils/crypto.js';
+
+export const DEFAULT_REQUEST_TIMEOUT = 15000;
+const MAX_REQUEST_TIMEOUT = 60000;
+const DEFAULT_MAX_ATTEMPTS = 2;
+const MAX_RETRY_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const DEFAULT_SUCCESS_STATUS = '200-299';
+
+// Métodos idempotentes, retentados por padrão. POST e PATCH só são retentados se listados em retry.methods,
+// para não duplicar efeitos (ex: pedidos ou cobranças) quando a primeira tentativa chegou ao servidor
+const DEFAULT_RETRY_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Campos das credenciais http_auth gravados criptografados
+export const HTTP_AUTH_SECRET_FIELDS = ['token', 'password', 'api_key', 'client_secret'];
+
+// Tokens OAuth2 client-credentials em cache por integração, renovados um pouco antes de expirar
+const oauthTokenCache = new Map();
+const OAUTH_EXPIRY_MARGIN_MS = 60000;
+
+/**
+ * Verifica se um status HTTP está em uma lista de faixas (ex: "200-299,304")
+ * @param {number} status - Status HTTP
+ * @param {string} ranges - Faixas separadas por vírgula
+ * @returns {boolean}
+ */
+export const isStatusInRanges = (status, ranges = DEFAULT_SUCCESS_STATUS) => {
+  return String(ranges || DEFAULT_SUCCESS_STATUS)
+    .split(',')
+    .map(range => range.trim())
+    .filter(Boolean)
+    .some(range => {
+      const [start, end] = range.split('-').map(value => Number(value.trim()));
+      return end ? status >= start && status <= end : status === start;
+    });
+};
+
+/**
+ * Descriptografa um campo das credenciais, aceitando valores antigos gravados em texto puro
+ * @param {string} value - Valor criptografado
+ * @returns {string}
+ */
+const decryptCredential = (value) => {
+  if (!value) return value;
+  return decrypt(value) || value;
+};
+
+/**
+ * Busca (ou reaproveita do cache) um access token OAuth2 pelo fluxo client-credentials
+ * @param {string} integrationId - ID da integração, usado como chave do cache
+ * @param {Object} credentials - Credenciais já descriptografadas
+ * @returns {string} - Access token
+ */
+const getOAuthClientCredentialsToken = async (integrationId, credentials) => {
+  const cached = oauthTokenCache.get(integrationId);
+  if (cached && cached.expiresAt > Date.now() + OAUTH_EXPIRY_MARGIN_MS) {
+    return cached.accessToken;
+  }
+
+  const params = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: credentials.client_id,
+    client_secret: credentials.client_secret
+  });
+  if (credentials.scope) params.append('scope', credentials.scope);
+  if (credentials.audience) params.append('audience', credentials.audience);
+
+  const response = await axios.post(credentials.token_url, params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: DEFAULT_REQUEST_TIMEOUT
+  });
+
+  const accessToken = response.data?.access_token;
+  if (!accessToken) {
+    throw new Error('Resposta do servidor OAuth2 sem access_token');
+  }
+
+  oauthTokenCache.set(integrationId, {
+    accessToken,
+    expiresAt: Date.now() + (Number(response.data.expires_in) || 3600) * 1000
+  });
+
+  return accessToken;
+};
+
+/**
+ * Descarta o token OAuth2 em cache de uma integração (ex: após alteração das credenciais)
+ * @param {string} integrationId - ID da integração
+ */
+export const clearOAuthTokenCache = (integrationId) => {
+  oauthTokenCache.delete(integrationId);
+};
+
+/**
+ * Monta os headers/params de autenticação de um preset http_auth da organização
+ * @param {string} integrationId - ID da integração http_auth
+ * @param {string} organizationId - ID da organização
+ * @returns {Object} - { headers, params }
+ */
+export const resolveAuthPreset = async (integrationId, organizationId) => {
+  const { data: integration, error } = await supabase
+    .from('integrations')
+    .select('id, credentials')
+    .eq('id', integrationId)
+    .eq('organization_id', organizationId)
+    .eq('type', 'http_auth')
+    .eq('status', 'active')
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!integration) {
+    throw new Error('Preset de autenticação não encontrado ou inativo');
+  }
+
+  const credentials = { ...integration.credentials };
+  for (const field of HTTP_AUTH_SECRET_FIELDS) {
+    credentials[field] = decryptCredential(credentials[field]);
+  }
+
+  switch (credentials.auth_type) {
+    case 'bearer':
+      return { headers: { Authorization: `Bearer ${credentials.token}` }, params: {} };
+
+    case 'basic': {
+      const encoded = Buffer.from(`${credentials.username || ''}:${credentials.password || ''}`).toString('base64');
+      return { headers: { Authorization: `Basic ${encoded}` }, params: {} };
+    }
+
+    case 'api_key':
+      return credentials.location === 'query'
+        ? { headers: {}, params: { [credentials.key_name || 'api_key']: credentials.api_key } }
+        : { headers: { [credentials.key_name || 'X-API-Key']: credentials.api_key }, params: {} };
+
+    case 'oauth2_client_credentials': {
+      const accessToken = await getOAuthClientCredentialsToken(integration.id, credentials);
+      return { headers: { Authorization: `Bearer ${accessToken}` }, params: {} };
+    }
+
+    default:
+      throw new Error(`Tipo de autenticação não suportado: ${credentials.auth_type}`);
+  }
+};
+
+/**
+ * Converte headers/params em lista [{ key, value }] ou objeto para objeto com variáveis substituídas
+ * @param {Array|Object} entries - Lista ou objeto
+ * @param {Function} replace - Função de substituição de variáveis
+ * @returns {Object}
+ */
+const toKeyValueObject = (entries, replace) => {
+  const list = Array.isArray(entries)
+    ? entries
+    : Object.entries(entries || {}).map(([key, value]) => ({ key, value }));
+
+  return list.reduce((acc, entry) => {
+    if (entry?.key && entry.value !== undefined && entry.value !== null && entry.value !== '') {
+      acc[replace(entry.key)] = replace(String(entry.value));
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Monta a configuração do axios a partir da configuração do nó request
+ * @param {Object} requestConfig - Configuração do nó (method, url, headers, params, body, bodyType, timeout)
+ * @param {Function} replace - Função de substituição de variáveis
+ * @returns {Object} - Configuração do axios
+ */
+export const buildAxiosConfig = (requestConfig, replace = (text) => text) => {
+  // Variáveis podem chegar URL-encoded (%7B%7B...%7D%7D) quando a URL foi editada no navegador
+  const url = replace(String(requestConfig.url || '').replace(/%7B%7B([^}]+)%7D%7D/g, '{{$1}}'));
+  const method = (requestConfig.method || 'GET').toUpperCase();
+
+  const axiosConfig = {
+    method,
+    url,
+    headers: toKeyValueObject(requestConfig.headers, replace),
+    params: toKeyValueObject(requestConfig.params, replace),
+    timeout: Math.min(Number(requestConfig.timeout) || DEFAULT_REQUEST_TIMEOUT, MAX_REQUEST_TIMEOUT),
+    // O status é classificado depois, pelas faixas configuradas no nó
+    validateStatus: () => true
+  };
+
+  if (method !== 'GET' && requestConfig.bodyType !== 'none' && requestConfig.body) {
+    const processedBody = replace(requestConfig.body);
+
+    if (requestConfig.bodyType === 'json') {
+      try {
+        axiosConfig.data = JSON.parse(processedBody);
+      } catch (jsonError) {
+        throw new Error(`JSON inválido no corpo da requisição: ${jsonError.message}`);
+      }
+      axiosConfig.headers['Content-Type'] = 'application/json';
+    } else {
+      axiosConfig.data = processedBody;
+      if (requestConfig.bodyType === 'form') {
+        axiosConfig.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      }
+    }
+  }
+
+  return axiosConfig;
+};
+
+/**
+ * Indica se vale a pena tentar de novo: falhas de rede/timeout, 429 e erros 5xx
+ * @param {Object} result - Resultado de uma tentativa
+ * @returns {boolean}
+ */
+const isRetryable = (result) => !result.status || result.status === 429 || result.status >= 500;
+
+/**
+ * Executa a requisição do nó com autenticação, timeout e retentativas com backoff exponencial.
+ * Retentativas valem para os métodos de retry.methods (padrão: GET, HEAD, PUT e DELETE)
+ * @param {Object} requestConfig - Configuração do nó request
+ * @param {Object} options
+ * @param {Function} options.replace - Função de substituição de variáveis
+ * @param {string} options.organizationId - Organização dona do preset de autenticação
+ * @returns {Object} - { success, status, data, headers, error, attempts, durationMs }
+ */
+export const executeHttpRequest = async (requestConfig, { replace = (text) => text, organizationId } = {}) => {
+  const startedAt = Date.now();
+  const axiosConfig = buildAxiosConfig(requestConfig, replace);
+
+  if (requestConfig.authIntegrationId) {
+    const auth = await resolveAuthPreset(requestConfig.authIntegrationId, organizationId);
+    axiosConfig.headers = { ...auth.headers, ...axiosConfig.headers };
+    axiosConfig.params = { ...auth.params, ...axiosConfig.params };
+  }
+
+  const retry = requestConfig.retry || {};
+  const retryMethods = Array.isArray(retry.methods)
+    ? retry.methods.map(method => String(method).toUpperCase())
+    : DEFAULT_RETRY_METHODS;
+  const maxAttempts = retryMethods.includes(axiosConfig.method)
+    ? Math.min(Math.max(1, Number(retry.maxAttempts) || DEFAULT_MAX_ATTEMPTS), MAX_RETRY_ATTEMPTS)
+    : 1;
+  const backoffMs = Number(retry.backoffMs) || DEFAULT_BACKOFF_MS;
+
+  let result;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const response = await axios(axiosConfig);
+      result = {
+        status: response.status,
+        statusText: response.statusText,
+        data: response.data,
+        headers: response.headers,
+        error: null
+      };
+    } catch (error) {
+      result = {
+        status: null,
+        statusText: null,
+        data: null,
+        headers: null,
+        error: error.code === 'ECONNABORTED'
+          ? `Tempo limite de ${axiosConfig.timeout}ms excedido`
+          : `Não foi recebida resposta do servidor remoto: ${error.message}`
+      };
+    }
+
+    result.attempts = attempt;
+    if (!isRetryable(result) || attempt === maxAttempts) break;
+
+    const delay = Math.min(backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+    console.log(`[executeHttpRequest] Tentativa ${attempt} de ${maxAttempts} falhou (${result.status || result.error}). Nova tentativa em ${delay}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  const success = !!result.status && isStatusInRanges(result.status, requestConfig.successStatus);
+  if (!success && result.status && !result.error) {
+    result.error = `Erro ${result.status}: ${result.statusText || 'Erro desconhecido'}`;
+  }
+  if (!success && !result.status) {
+    Sentry.captureMessage(`[executeHttpRequest] ${axiosConfig.method} ${axiosConfig.url}: ${result.error}`);
+  }
+
+  return {
+    ...result,
+    success,
+    durationMs: Date.now() - startedAt
+  };
+};
@@ -0,0 +1,419 @@
+/**
+ * @fileoverview Base de conhecimento por prompt (RAG): documentos PDF, DOCX, HTML ou texto são extraídos,
+ * divididos em trechos e indexados com embeddings. A cada resposta do AgentIA os trechos mais próximos da
+ * última mensagem do cliente entram no contexto, e as citações usadas ficam registradas.
+ *
+ * Tabela knowledge_documents:
+ *   id uuid, organization_id uuid, prompt_id uuid (on delete cascade), title text, source_type text ('pdf' | 'docx' | 'html' | 'text'),
+ *   file_id uuid (arquivo original em files, null para texto colado), file_url text, file_name text,
+ *   content text (texto extraído, reaproveitado na reindexação), status text ('processing' | 'ready' | 'error'),
+ *   error text, chunk_count integer, embedding_model text, indexed_at timestamptz, created_at, updated_at
+ *
+ * Tabela knowledge_chunks (extensão pgvector):
+ *   id uuid, organization_id uuid, prompt_id uuid, document_id uuid (on delete cascade), chunk_index integer,
+ *   content text, embedding vector, embedding_model text, created_at
+ *
+ * Tabela knowledge_retrievals (log de citações):
+ *   id uuid, organization_id uuid, prompt_id uuid, chat_id uuid, flow_session_id uuid, query text,
+ *   citations jsonb ([{ chunk_id, document_id, title, chunk_index, similarity }]), created_at
+ *
+ * Função de busca (similaridade de cosseno, apenas trechos do mesmo modelo de embedding):
+ *   create function match_knowledge_chunks(p_prompt_id uuid, p_embedding vector, p_embedding_model text,
+ *     p_match_count int, p_min_similarity float)
+ *   returns table (id uuid, document_id uuid, chunk_index int, content text, similarity float)
+ *   language sql stable as $$
+ *     select c.id, c.document_id, c.chunk_index, c.content, 1 - (c.embedding <=> p_embedding) as similarity
+ *     from knowledge_chunks c
+ *     where c.prompt_id = p_prompt_id and c.embedding_model = p_embedding_model
+ *       and 1 - (c.embedding <=> p_embedding) >= p_min_similarity
+ *     order by c.embedding <=> p_embedding
+ *     limit p_match_count
+ *   $$;
+ *
+ * Configuração em prompts.config.knowledge_base: { enabled (padrão true), top_k, min_similarity }
+ */
+import { PDFParse } from 'pdf-parse';
+import mammoth from 'mammoth';
+import { convert as htmlToText } from 'html-to-text';
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { createEmbeddings, getLLMIntegration, getSystemLLMIntegration, reportLLMUsage, supportsEmbeddings } from './llm-providers.js';
+import { checkTokenLimit } from './token-limits.js';
+
+export const MAX_KNOWLEDGE_FILE_SIZE = 20 * 1024 * 1024;
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const EMBEDDING_BATCH_SIZE = 64;
+const DEFAULT_TOP_K = 5;
+const DEFAULT_MIN_SIMILARITY = 0.3;
+
+// Tamanho máximo da mensagem do cliente usada como consulta
+const MAX_QUERY_LENGTH = 2000;
+
+/**
+ * Identifica o tipo de documento pelo mimetype ou pela extensão do arquivo
+ * @param {string} mimeType
+ * @param {string} fileName
+ * @returns {string|null} - 'pdf' | 'docx' | 'html' | 'text' ou null se não suportado
+ */
+export const getKnowledgeSourceType = (mimeType = '', fileName = '') => {
+  const extension = fileName.split('.').pop()?.toLowerCase();
+
+  if (mimeType === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || extension === 'docx') return 'docx';
+  if (mimeType === 'text/html' || ['html', 'htm'].includes(extension)) return 'html';
+  if (mimeType.startsWith('text/') || ['txt', 'md', 'csv'].includes(extension)) return 'text';
+  return null;
+};
+
+/**
+ * Extrai o texto de um documento
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} sourceType - 'pdf' | 'docx' | 'html' | 'text'
+ * @returns {string}
+ */
+export const extractDocumentText = async (buffer, sourceType) => {
+  switch (sourceType) {
+    case 'pdf': {
+      const parser = new PDFParse({ data: buffer });
+      try {
+        const result = await parser.getText();
+        // Remove os marcadores de página ("-- 1 of 3 --") inseridos entre as páginas
+        return result.text.replace(/^-- \d+ of \d+ --$/gm, '');
+      } finally {
+        await parser.destroy();
+      }
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      return result.value;
+    }
+    case 'html':
+      return htmlToText(buffer.toString('utf8'), {
+        wordwrap: false,
+        selectors: [
+          { selector: 'a', options: { ignoreHref: true } },
+          { selector: 'img', format: 'skip' }
+        ]
+      });
+    default:
+      return buffer.toString('utf8');
+  }
+};
+
+/**
+ * Divide o texto em trechos de até CHUNK_SIZE caracteres, quebrando preferencialmente entre parágrafos
+ * e frases, com sobreposição entre trechos vizinhos
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const chunkText = (text) => {
+  const normalized = (text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < normalized.length) {
+    let end = Math.min(start + CHUNK_SIZE, normalized.length);
+
+    if (end < normalized.length) {
+      const window = normalized.slice(start, end);
+      const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+      if (breakAt > CHUNK_SIZE / 2) {
+        end = start + breakAt + 1;
+      }
+    }
+
+    const chunk = normalized.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+
+    if (end >= normalized.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+
+  return chunks;
+};
+
+/**
+ * Configuração da base de conhecimento do prompt
+ * @param {Object} prompt
+ * @returns {Object} - { enabled, topK, minSimilarity }
+ */
+export const getKnowledgeSettings = (prompt) => {
+  const settings = prompt?.config?.knowledge_base || {};
+  return {
+    enabled: settings.enabled !== false,
+    topK: Number(settings.top_k) || DEFAULT_TOP_K,
+    minSimilarity: settings.min_similarity ?? DEFAULT_MIN_SIMILARITY
+  };
+};
+
+/**
+ * Integração usada para os embeddings do prompt: a do próprio prompt, se o provedor gerar embeddings,
+ * ou a chave OpenAI padrão do Interflow, dentro do limite mensal de tokens da organização
+ * @param {Object} prompt
+ * @returns {Object}
+ */
+const resolveEmbeddingIntegration = async (prompt) => {
+  const promptIntegration = prompt.integration_id
+    ? await getLLMIntegration(prompt.integration_id, prompt.organization_id)
+    : null;
+
+  const integration = supportsEmbeddings(promptIntegration) ? promptIntegration : getSystemLLMIntegration();
+  if (!integration) {
+    throw new Error('Nenhuma integração com suporte a embeddings disponível para a base de conhecimento');
+  }
+
+  const tokenLimit = await checkTokenLimit(prompt.organization_id, integration);
+  if (!tokenLimit.allowed) {
+    throw new Error('Limite mensal de tokens de IA atingido');
+  }
+  return tokenLimit.integration;
+};
+
+/**
+ * Registra o consumo de uma chamada de embeddings
+ * @param {Object} integration - Integração usada
+ * @param {Object} result - Retorno de createEmbeddings (ou o acumulado de embedTexts)
+ * @param {Object} prompt - Prompt dono da base de conhecimento
+ * @param {Object} [extra] - { chatId, customerId, metadata }
+ */
+const reportEmbeddingUsage = (integration, result, prompt, { chatId, customerId, metadata } = {}) => {
+  reportLLMUsage({
+    organizationId: prompt.organization_id,
+    integration,
+    completion: result,
+    promptId: prompt.id,
+    chatId,
+    customerId,
+    metadata
+  });
+};
+
+/**
+ * Gera embeddings em lotes
+ * @param {Object} integration
+ * @param {string[]} texts
+ * @returns {Object} - { embeddings, model, provider, usage } com o consumo somado dos lotes
+ */
+const embedTexts = async (integration, texts) => {
+  const embeddings = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let model = null;
+
+  for (let index = 0; index < texts.length; index += EMBEDDING_BATCH_SIZE) {
+    const result = await createEmbeddings({ integration, input: texts.slice(index, index + EMBEDDING_BATCH_SIZE) });
+    embeddings.push(...result.embeddings);
+    usage.inputTokens += result.usage.inputTokens;
+    model = result.model;
+  }
+
+  return { embeddings, model, provider: integration.type, usage };
+};
+
+/**
+ * Indexa (ou reindexa) um documento: remove os trechos anteriores, divide o texto e grava os novos embeddings.
+ * Falhas ficam registradas no status do documento
+ * @param {Object} document - Registro de knowledge_documents (com content)
+ * @param {Object} prompt - Prompt dono do documento
+ * @returns {Object} - Documento atualizado
+ */
+export const indexKnowledgeDocument = async (document, prompt) => {
+  const updateDocument = async (fields) => {
+    const { data, error } = await supabase
+      .from('knowledge_documents')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', document.id)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  };
+
+  try {
+    await updateDocument({ status: 'processing', error: null });
+
+    const chunks = chunkText(document.content);
+    if (!chunks.length) {
+      throw new Error('Nenhum texto encontrado no documento');
+    }
+
+    const integration = await resolveEmbeddingIntegration(prompt);
+    const embedded = await embedTexts(integration, chunks);
+    const { embeddings, model } = embedded;
+    reportEmbeddingUsage(integration, embedded, prompt, {
+      metadata: { source: 'knowledge_indexing', document_id: document.id }
+    });
+
+    const { error: deleteError } = await supabase
+      .from('knowledge_chunks')
+      .delete()
+      .eq('document_id', document.id);
+
+    if (deleteError) throw deleteError;
+
+    const { error: insertError } = await supabase
+      .from('knowledge_chunks')
+      .insert(chunks.map((content, index) => ({
+        organization_id: document.organization_id,
+        prompt_id: document.prompt_id,
+        document_id: document.id,
+        chunk_index: index,
+        content,
+        embedding: embeddings[index],
+        embedding_model: model
+      })));
+
+    if (insertError) throw insertError;
+
+    return await updateDocument({
+      status: 'ready',
+      chunk_count: chunks.length,
+      embedding_model: model,
+      indexed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[indexKnowledgeDocument] Erro ao indexar documento ${document.id}:`, error);
+    Sentry.captureException(error, {
+      extra: { documentId: document.id, promptId: document.prompt_id }
+    });
+
+    try {
+      return await updateDocument({ status: 'error', error: String(error.message || error).slice(0, 500) });
+    } catch (statusError) {
+      Sentry.captureException(statusError);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Reindexa todos os documentos do prompt (ex: após trocar a integração ou o modelo de embedding)
+ * @param {Object} prompt
+ * @returns {Object} - { total, ready, failed }
+ */
+export const reindexPromptKnowledge = async (prompt) => {
+  const { data: documents, error } = await supabase
+    .from('knowledge_documents')
+    .select('*')
+    .eq('prompt_id', prompt.id)
+    .eq('organization_id', prompt.organization_id);
+
+  if (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+
+  const result = { total: documents.length, ready: 0, failed: 0 };
+  for (const document of documents) {
+    const updated = await indexKnowledgeDocument(document, prompt);
+    if (updated.status === 'ready') result.ready++;
+    else result.failed++;
+  }
+  return result;
+};
+
+/**
+ * Busca os trechos mais relevantes da base de conhecimento do prompt para a consulta e registra as citações
+ * @param {Object} params
+ * @param {Object} params.prompt - Prompt do agente
+ * @param {string} params.query - Texto da consulta (última mensagem do cliente)
+ * @param {Object} [params.session] - Sessão do fluxo, usada no log de citações
+ * @returns {Array} - [{ id, document_id, title, chunk_index, content, similarity }]
+ */
+export const retrieveKnowledge = async ({ prompt, query, session }) => {
+  const settings = getKnowledgeSettings(prompt);
+  if (!settings.enabled || !query?.trim()) return [];
+
+  // Evita gerar embedding da consulta para prompts sem documentos indexados
+  const { data: indexed, error: indexedError } = await supabase
+    .from('knowledge_documents')
+    .select('embedding_model')
+    .eq('prompt_id', prompt.id)
+    .eq('status', 'ready')
+    .limit(1);
+
+  if (indexedError) throw indexedError;
+  if (!indexed?.length) return [];
+
+  const integration = await resolveEmbeddingIntegration(prompt);
+  const embedded = await createEmbeddings({
+    integration,
+    input: [query.slice(-MAX_QUERY_LENGTH)]
+  });
+  const { embeddings: [embedding], model } = embedded;
+  reportEmbeddingUsage(integration, embedded, prompt, {
+    chatId: session?.chat_id,
+    customerId: session?.customer_id,
+    metadata: { source: 'knowledge_retrieval', flow_session_id: session?.id }
+  });
+
+  const { data: matches, error } = await supabase.rpc('match_knowledge_chunks', {
+    p_prompt_id: prompt.id,
+    p_embedding: embedding,
+    p_embedding_model: model,
+    p_match_count: settings.topK,
+    p_min_similarity: settings.minSimilarity
+  });
+
+  if (error) throw error;
+  if (!matches?.length) return [];
+
+  const { data: documents, error: documentsError } = await supabase
+    .from('knowledge_documents')
+    .select('id, title')
+    .in('id', [...new Set(matches.map(match => match.document_id))]);
+
+  if (documentsError) throw documentsError;
+
+  const chunks = matches.map(match => ({
+    ...match,
+    title: documents.find(document => document.id === match.document_id)?.title || null
+  }));
+
+  const citations = chunks.map(chunk => ({
+    chunk_id: chunk.id,
+    document_id: chunk.document_id,
+    title: chunk.title,
+    chunk_index: chunk.chunk_index,
+    similarity: chunk.similarity
+  }));
+
+  console.log(`[retrieveKnowledge] ${chunks.length} trechos usados para o prompt ${prompt.id}:`, citations.map(citation => `${citation.title}#${citation.chunk_index}`).join(', '));
+
+  const { error: logError } = await supabase
+    .from('knowledge_retrievals')
+    .insert({
+      organization_id: prompt.organization_id,
+      prompt_id: prompt.id,
+      chat_id: session?.chat_id || null,
+      flow_session_id: session?.id || null,
+      query: query.slice(-MAX_QUERY_LENGTH),
+      citations
+    });
+
+  if (logError) {
+    Sentry.captureException(logError);
+  }
+
+  return chunks;
+};
+
+/**
+ * Monta a mensagem de sistema com os trechos recuperados, numerados para citação
+ * @param {Array} chunks - Retorno de retrieveKnowledge
+ * @returns {string}
+ */
+export const formatKnowledgeContext = (chunks) => {
+  const excerpts = chunks.map((chunk, index) =>
+    `[${index + 1}] ${chunk.title ? `(${chunk.title}) ` : ''}${chunk.content}`
+  ).join('\n\n');
+
+  return `**KNOWLEDGE BASE:** The excerpts below were retrieved from the company's knowledge base as the most relevant to the customer's latest message. Use them to answer accurately. If they do not contain the answer, do not make up information.\n\n${excerpts}`;
+};
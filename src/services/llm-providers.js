@@ -0,0 +1,855 @@
+/**
+ * @fileoverview Camada de provedores de LLM usada pelo AgentIA, pelo nó OpenAI do flow-engine e pelas
+ * funcionalidades de IA (resumo de chat, geração de tarefas, ferramentas de prompt).
+ *
+ * As chamadas recebem e devolvem mensagens no formato de chat completions da OpenAI
+ * ({ role, content, tool_calls, tool_call_id }) e cada provedor traduz para a própria API.
+ *
+ * Tipos de integração suportados (coluna integrations.type) e credenciais esperadas:
+ *   openai            { api_key }
+ *   anthropic         { api_key }
+ *   gemini            { api_key }
+ *   azure_openai      { api_key, endpoint, api_version?, deployment? } (deployment padrão = modelo do prompt)
+ *   openai_compatible { base_url, api_key? } (Ollama, vLLM, LM Studio e outros endpoints /v1/chat/completions)
+ *
+ * Todas aceitam também default_model, usado nas chamadas que não definem modelo (ex: resumo de chat), e as que
+ * geram embeddings aceitam embedding_model (no Azure, embedding_deployment).
+ * O api_key é gravado criptografado, como na integração OpenAI.
+ */
+import axios from 'axios';
+import crypto from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import { decrypt } from '../utils/crypto.js';
+import { registerTokenUsage } from '../controllers/organizations/usage.js';
+import { notifyTokenThresholds } from './token-limits.js';
+
+export const LLM_PROVIDERS = ['openai', 'anthropic', 'gemini', 'azure_openai', 'openai_compatible'];
+
+// Modelo usado quando o prompt ou a chamada não define um
+export const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-sonnet-4-20250514',
+  gemini: 'gemini-2.0-flash',
+  azure_openai: 'gpt-4o',
+  openai_compatible: 'llama3.1'
+};
+
+// Provedores com API de embeddings e modelo padrão de cada um
+const EMBEDDING_PROVIDERS = ['openai', 'azure_openai', 'openai_compatible', 'gemini'];
+export const DEFAULT_EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  azure_openai: 'text-embedding-3-small',
+  openai_compatible: 'nomic-embed-text',
+  gemini: 'text-embedding-004'
+};
+
+const REQUEST_TIMEOUT = 120000;
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+// Mensagem inicial incluída quando o histórico começa pelo assistente (Anthropic e Gemini exigem o usuário primeiro)
+const CONVERSATION_START = '(conversation start)';
+
+// Preço em USD por 1M de tokens (entrada, saída). Modelos sem preço conhecido são registrados sem custo
+const MODEL_PRICING = {
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1': [2, 8],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-opus-4': [15, 75],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-2.0-flash': [0.1, 0.4],
+  'gemini-2.5-flash': [0.3, 2.5],
+  'gemini-2.5-pro': [1.25, 10],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0],
+  'text-embedding-ada-002': [0.1, 0]
+};
+
+// Modelos OpenAI (e deployments Azure com o mesmo nome) que aceitam imagens na entrada
+const OPENAI_VISION_MODELS = [/^(chatgpt-)?gpt-4o/, /^gpt-4\.1/, /^gpt-4\.5/, /^gpt-4-turbo/, /^gpt-5/, /^o1(?!-mini)/, /^o3(?!-mini)/, /^o4/];
+
+/**
+ * Verifica se o tipo de integração é um provedor de LLM
+ * @param {string} type - Tipo da integração
+ * @returns {boolean}
+ */
+export const isLLMIntegrationType = (type) => LLM_PROVIDERS.includes(type);
+
+/**
+ * Integração com a chave padrão do Interflow (OPENAI_API_KEY). O uso é contabilizado como 'system'
+ * @returns {Object|null} - Integração virtual ou null se a chave não estiver configurada
+ */
+export const getSystemLLMIntegration = () => {
+  if (!process.env.OPENAI_API_KEY) return null;
+  return {
+    id: null,
+    type: 'openai',
+    system: true,
+    credentials: { api_key: process.env.OPENAI_API_KEY }
+  };
+};
+
+/**
+ * Retorna o modelo efetivo de uma chamada: o modelo forçado pelo limite de tokens (forced_model), o informado,
+ * o default_model da integração ou o padrão do provedor
+ * @param {Object} integration - Integração de LLM
+ * @param {string} [model] - Modelo configurado (ex: prompt.model)
+ * @returns {string}
+ */
+export const resolveModel = (integration, model) =>
+  integration.forced_model || model || integration.credentials?.default_model || DEFAULT_MODELS[integration.type];
+
+/**
+ * Verifica se o modelo aceita imagens na entrada. Em endpoints compatíveis com OpenAI não há como saber,
+ * então o suporte precisa ser habilitado no prompt
+ * @param {Object} integration - Integração de LLM
+ * @param {string} [model] - Modelo configurado
+ * @returns {boolean}
+ */
+export const supportsVision = (integration, model) => {
+  switch (integration?.type) {
+    case 'anthropic':
+    case 'gemini':
+      return true;
+    case 'openai':
+    case 'azure_openai': {
+      const resolved = resolveModel(integration, model);
+      return OPENAI_VISION_MODELS.some(pattern => pattern.test(resolved));
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Busca uma integração de LLM ativa da organização
+ * @param {string} integrationId - ID da integração
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null}
+ */
+export const getLLMIntegration = async (integrationId, organizationId) => {
+  try {
+    let query = supabase
+      .from('integrations')
+      .select('*')
+      .eq('id', integrationId)
+      .in('type', LLM_PROVIDERS)
+      .eq('status', 'active');
+
+    if (organizationId) query = query.eq('organization_id', organizationId);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Busca a primeira integração de LLM ativa da organização, dando preferência à OpenAI
+ * @param {string} organizationId - ID da organização
+ * @returns {Object|null}
+ */
+export const getOrganizationLLMIntegration = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('integrations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .in('type', LLM_PROVIDERS)
+      .eq('status', 'active')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data?.find(integration => integration.type === 'openai') || data?.[0] || null;
+  } catch (error) {
+    Sentry.captureException(error);
+    throw error;
+  }
+};
+
+/**
+ * Descriptografa as credenciais da integração. Integrações sem id (chave padrão, validação de credenciais
+ * ainda não salvas) já trazem o api_key em texto puro
+ * @param {Object} integration - Integração
+ * @returns {Object} - Credenciais com o api_key em texto puro
+ */
+const getCredentials = (integration) => {
+  const credentials = { ...(integration.credentials || {}) };
+  if (credentials.api_key && integration.id) {
+    credentials.api_key = decrypt(credentials.api_key);
+    if (!credentials.api_key) {
+      throw new Error(`Erro ao descriptografar a chave da integração ${integration.id}`);
+    }
+  }
+  return credentials;
+};
+
+/**
+ * Retorna o texto de um conteúdo no formato OpenAI (string ou lista de partes)
+ * @param {string|Array} content
+ * @returns {string}
+ */
+const contentToText = (content) => {
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return content ?? '';
+};
+
+/**
+ * Separa uma data URL (data:image/png;base64,...) em tipo e dados
+ * @param {string} url
+ * @returns {Object|null} - { mimeType, data }
+ */
+const parseDataUrl = (url) => {
+  const match = /^data:([^;]+);base64,(.+)$/.exec(url || '');
+  return match ? { mimeType: match[1], data: match[2] } : null;
+};
+
+/**
+ * Baixa uma imagem e retorna em base64, para provedores que não aceitam URL
+ * @param {string} url
+ * @returns {Object} - { mimeType, data }
+ */
+const fetchImageAsBase64 = async (url) => {
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+  return {
+    mimeType: response.headers['content-type']?.split(';')[0] || 'image/jpeg',
+    data: Buffer.from(response.data).toString('base64')
+  };
+};
+
+/**
+ * Converte o JSON de argumentos de uma tool call em objeto
+ * @param {string} args
+ * @returns {Object}
+ */
+const parseToolArguments = (args) => {
+  try {
+    return typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Agrupa mensagens consecutivas do mesmo papel, exigido pelas APIs da Anthropic e do Gemini
+ * @param {Array} messages - Mensagens com { role, parts }
+ * @param {string} key - Nome do campo com as partes ('content' ou 'parts')
+ * @returns {Array}
+ */
+const mergeConsecutiveRoles = (messages, key) => {
+  const merged = [];
+  for (const message of messages) {
+    const last = merged[merged.length - 1];
+    if (last && last.role === message.role) {
+      last[key] = [...last[key], ...message[key]];
+    } else {
+      merged.push({ ...message, [key]: [...message[key]] });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Normaliza as ferramentas para { name, description, parameters }, aceitando o formato OpenAI
+ * @param {Array} tools
+ * @returns {Array}
+ */
+const normalizeTools = (tools = []) => tools.map(tool => {
+  const fn = tool.function || tool;
+  return {
+    name: fn.name,
+    description: fn.description || '',
+    parameters: fn.parameters || { type: 'object', properties: {} }
+  };
+});
+
+/**
+ * Chamada para APIs no formato de chat completions da OpenAI (OpenAI, Azure OpenAI e compatíveis)
+ */
+const openAIChatCompletion = async (integration, credentials, { model, messages, tools, temperature, maxTokens, responseFormat }) => {
+  let url;
+  let headers;
+
+  if (integration.type === 'azure_openai') {
+    if (!credentials.endpoint) {
+      throw new Error('Endpoint da integração Azure OpenAI não configurado');
+    }
+    const deployment = credentials.deployment || model;
+    const apiVersion = credentials.api_version || AZURE_DEFAULT_API_VERSION;
+    url = `${credentials.endpoint.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`;
+    headers = { 'api-key': credentials.api_key };
+  } else if (integration.type === 'openai_compatible') {
+    if (!credentials.base_url) {
+      throw new Error('URL base da integração compatível com OpenAI não configurada');
+    }
+    url = `${credentials.base_url.replace(/\/+$/, '')}/chat/completions`;
+    headers = credentials.api_key ? { Authorization: `Bearer ${credentials.api_key}` } : {};
+  } else {
+    url = 'https://api.openai.com/v1/chat/completions';
+    headers = { Authorization: `Bearer ${credentials.api_key}` };
+  }
+
+  const response = await axios.post(url, {
+    model,
+    messages,
+    ...(temperature !== undefined && temperature !== null ? { temperature } : {}),
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    ...(tools?.length ? { tools: tools.map(tool => ({ type: 'function', function: tool })), tool_choice: 'auto' } : {}),
+    ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+  }, {
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  const message = response.data.choices[0].message;
+  return {
+    message: {
+      role: 'assistant',
+      content: message.content ?? null,
+      ...(message.tool_calls?.length ? { tool_calls: message.tool_calls } : {})
+    },
+    usage: {
+      inputTokens: response.data.usage?.prompt_tokens || 0,
+      outputTokens: response.data.usage?.completion_tokens || 0
+    },
+    model: response.data.model || model
+  };
+};
+
+/**
+ * Converte mensagens OpenAI para a API de mensagens da Anthropic
+ * @param {Array} messages
+ * @returns {Object} - { system, messages }
+ */
+const toAnthropicMessages = (messages) => {
+  const system = [];
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      // Instruções de sistema no meio da conversa viram texto do usuário; a Anthropic só aceita system no topo
+      if (!converted.length) {
+        system.push(contentToText(message.content));
+      } else {
+        converted.push({ role: 'user', content: [{ type: 'text', text: contentToText(message.content) }] });
+      }
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      converted.push({
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: contentToText(message.content) }]
+      });
+      continue;
+    }
+
+    const content = [];
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === 'text') {
+          content.push({ type: 'text', text: part.text });
+        } else if (part.type === 'image_url') {
+          const inline = parseDataUrl(part.image_url?.url);
+          content.push(inline
+            ? { type: 'image', source: { type: 'base64', media_type: inline.mimeType, data: inline.data } }
+            : { type: 'image', source: { type: 'url', url: part.image_url?.url } });
+        }
+      }
+    } else if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+      content.push({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.function.name,
+        input: parseToolArguments(toolCall.function.arguments)
+      });
+    }
+
+    if (content.length) {
+      converted.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content });
+    }
+  }
+
+  // A conversa precisa começar pelo usuário (ex: histórico que começa com a saudação do atendente)
+  if (converted[0]?.role === 'assistant') {
+    converted.unshift({ role: 'user', content: [{ type: 'text', text: CONVERSATION_START }] });
+  }
+
+  return { system: system.filter(Boolean).join('\n\n'), messages: mergeConsecutiveRoles(converted, 'content') };
+};
+
+/**
+ * Chamada para a API de mensagens da Anthropic
+ */
+const anthropicChatCompletion = async (credentials, { model, messages, tools, temperature, maxTokens }) => {
+  const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+
+  const response = await axios.post('https://api.anthropic.com/v1/messages', {
+    model,
+    max_tokens: maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS,
+    messages: anthropicMessages,
+    ...(system ? { system } : {}),
+    // A Anthropic aceita temperatura entre 0 e 1
+    ...(temperature !== undefined && temperature !== null ? { temperature: Math.min(temperature, 1) } : {}),
+    ...(tools?.length ? {
+      tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+      tool_choice: { type: 'auto' }
+    } : {})
+  }, {
+    headers: {
+      'x-api-key': credentials.api_key,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  const blocks = response.data.content || [];
+  const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+    }));
+
+  return {
+    message: {
+      role: 'assistant',
+      content: text || null,
+      ...(toolCalls.length ? { tool_calls: toolCalls } : {})
+    },
+    usage: {
+      inputTokens: response.data.usage?.input_tokens || 0,
+      outputTokens: response.data.usage?.output_tokens || 0
+    },
+    model: response.data.model || model
+  };
+};
+
+/**
+ * Remove do JSON Schema as chaves que a API do Gemini não aceita
+ * @param {Object} schema
+ * @returns {Object}
+ */
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const cleaned = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (['additionalProperties', '$schema', 'default', 'examples'].includes(key)) continue;
+    cleaned[key] = typeof value === 'object' ? toGeminiSchema(value) : value;
+  }
+  return cleaned;
+};
+
+/**
+ * Converte mensagens OpenAI para o formato contents do Gemini
+ * @param {Array} messages
+ * @returns {Object} - { systemInstruction, contents }
+ */
+const toGeminiContents = async (messages) => {
+  const system = [];
+  const contents = [];
+  // O Gemini identifica a resposta da função pelo nome, não pelo id da chamada
+  const toolNames = new Map();
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      if (!contents.length) {
+        system.push(contentToText(message.content));
+      } else {
+        contents.push({ role: 'user', parts: [{ text: contentToText(message.content) }] });
+      }
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      const output = parseToolArguments(message.content);
+      contents.push({
+        role: 'user',
+        parts: [{
+          functionResponse: {
+            name: message.name || toolNames.get(message.tool_call_id),
+            response: output && typeof output === 'object' && !Array.isArray(output) ? output : { content: message.content }
+          }
+        }]
+      });
+      continue;
+    }
+
+    const parts = [];
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === 'text') {
+          parts.push({ text: part.text });
+        } else if (part.type === 'image_url') {
+          const inline = parseDataUrl(part.image_url?.url) || await fetchImageAsBase64(part.image_url?.url);
+          parts.push({ inlineData: { mimeType: inline.mimeType, data: inline.data } });
+        }
+      }
+    } else if (message.content) {
+      parts.push({ text: message.content });
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+      toolNames.set(toolCall.id, toolCall.function.name);
+      parts.push({ functionCall: { name: toolCall.function.name, args: parseToolArguments(toolCall.function.arguments) } });
+    }
+
+    if (parts.length) {
+      contents.push({ role: message.role === 'assistant' ? 'model' : 'user', parts });
+    }
+  }
+
+  if (contents[0]?.role === 'model') {
+    contents.unshift({ role: 'user', parts: [{ text: CONVERSATION_START }] });
+  }
+
+  const systemText = system.filter(Boolean).join('\n\n');
+  return {
+    systemInstruction: systemText ? { parts: [{ text: systemText }] } : undefined,
+    contents: mergeConsecutiveRoles(contents, 'parts')
+  };
+};
+
+/**
+ * Chamada para a API generateContent do Google Gemini
+ */
+const geminiChatCompletion = async (credentials, { model, messages, tools, temperature, maxTokens, responseFormat }) => {
+  const { systemInstruction, contents } = await toGeminiContents(messages);
+
+  const response = await axios.post(
+    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+    {
+      contents,
+      ...(systemInstruction ? { systemInstruction } : {}),
+      ...(tools?.length ? {
+        tools: [{
+          functionDeclarations: tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: toGeminiSchema(tool.parameters)
+          }))
+        }]
+      } : {}),
+      generationConfig: {
+        ...(temperature !== undefined && temperature !== null ? { temperature } : {}),
+        ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+        ...(responseFormat === 'json' ? { responseMimeType: 'application/json' } : {})
+      }
+    },
+    {
+      headers: {
+        'x-goog-api-key': credentials.api_key,
+        'Content-Type': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT
+    }
+  );
+
+  const parts = response.data.candidates?.[0]?.content?.parts || [];
+  const text = parts.filter(part => part.text).map(part => part.text).join('');
+  const toolCalls = parts
+    .filter(part => part.functionCall)
+    .map(part => ({
+      id: part.functionCall.id || `call_${crypto.randomUUID()}`,
+      type: 'function',
+      function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+    }));
+
+  return {
+    message: {
+      role: 'assistant',
+      content: text || null,
+      ...(toolCalls.length ? { tool_calls: toolCalls } : {})
+    },
+    usage: {
+      inputTokens: response.data.usageMetadata?.promptTokenCount || 0,
+      outputTokens: response.data.usageMetadata?.candidatesTokenCount || 0
+    },
+    model: response.data.modelVersion || model
+  };
+};
+
+/**
+ * Gera uma resposta de chat no provedor da integração
+ * @param {Object} params
+ * @param {Object} params.integration - Integração de LLM (ver getLLMIntegration / getSystemLLMIntegration)
+ * @param {string} [params.model] - Modelo; se vazio usa o default_model da integração ou o padrão do provedor
+ * @param {Array} params.messages - Mensagens no formato OpenAI
+ * @param {Array} [params.tools] - Ferramentas ({ name, description, parameters } ou formato OpenAI)
+ * @param {number} [params.temperature]
+ * @param {number} [params.maxTokens]
+ * @param {string} [params.responseFormat] - 'json' para pedir resposta em JSON
+ * @returns {Object} - { message: { role, content, tool_calls }, content, toolCalls, usage: { inputTokens, outputTokens }, model, provider }
+ */
+export const createChatCompletion = async ({ integration, model, messages, tools, temperature, maxTokens, responseFormat }) => {
+  if (!integration || !isLLMIntegrationType(integration.type)) {
+    throw new Error(`Provedor de LLM não suportado: ${integration?.type}`);
+  }
+
+  const credentials = getCredentials(integration);
+  const options = {
+    model: resolveModel(integration, model),
+    messages,
+    tools: tools?.length ? normalizeTools(tools) : [],
+    temperature,
+    maxTokens,
+    responseFormat
+  };
+
+  try {
+    let result;
+    switch (integration.type) {
+      case 'anthropic':
+        result = await anthropicChatCompletion(credentials, options);
+        break;
+      case 'gemini':
+        result = await geminiChatCompletion(credentials, options);
+        break;
+      default:
+        result = await openAIChatCompletion(integration, credentials, options);
+    }
+
+    return {
+      ...result,
+      content: result.message.content,
+      toolCalls: result.message.tool_calls || [],
+      provider: integration.type
+    };
+  } catch (error) {
+    console.error(`[createChatCompletion] Erro no provedor ${integration.type}:`, error.response?.data || error.message);
+    Sentry.captureException(error, {
+      tags: { llm_provider: integration.type },
+      extra: { integrationId: integration.id, model: options.model, response: error.response?.data }
+    });
+    throw error;
+  }
+};
+
+/**
+ * Extrai a mensagem de erro retornada pelo provedor
+ * @param {Error} error
+ * @returns {string|null}
+ */
+export const getLLMErrorMessage = (error) => {
+  const data = error.response?.data;
+  return data?.error?.message || data?.error?.[0]?.message || (typeof data?.error === 'string' ? data.error : null);
+};
+
+/**
+ * Estima o custo em USD de uma chamada pelo modelo (prefixo mais longo da tabela de preços)
+ * @param {string} model
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null}
+ */
+export const estimateLLMCost = (model, usage) => {
+  const key = Object.keys(MODEL_PRICING)
+    .filter(prefix => model?.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return null;
+
+  const [inputPrice, outputPrice] = MODEL_PRICING[key];
+  return (usage.inputTokens * inputPrice + usage.outputTokens * outputPrice) / 1000000;
+};
+
+/**
+ * Registra em token_usage o consumo de uma chamada. Chaves da própria organização contam como 'client',
+ * a chave padrão do Interflow como 'system'
+ * @param {Object} params
+ * @param {string} params.organizationId - ID da organização
+ * @param {Object} params.integration - Integração usada na chamada
+ * @param {Object} params.completion - Retorno de createChatCompletion ou createEmbeddings
+ * @param {string} [params.promptId]
+ * @param {string} [params.chatId]
+ * @param {string} [params.customerId]
+ * @param {Object} [params.metadata]
+ */
+export const reportLLMUsage = async ({ organizationId, integration, completion, promptId, chatId, customerId, metadata }) => {
+  try {
+    const result = await registerTokenUsage({
+      organizationId,
+      promptId,
+      customerId,
+      chatId,
+      integrationId: integration.id || null,
+      tokenSource: integration.system ? 'system' : 'client',
+      modelName: completion.model,
+      inputTokens: completion.usage.inputTokens,
+      outputTokens: completion.usage.outputTokens,
+      costUsd: estimateLLMCost(completion.model, completion.usage),
+      metadata: { provider: completion.provider, ...(metadata || {}) }
+    });
+
+    // Alertas de 80% e 100% do limite mensal da chave padrão
+    if (result?.tokens) {
+      await notifyTokenThresholds(organizationId, result.tokens);
+    }
+  } catch (error) {
+    console.error('[reportLLMUsage] Erro ao registrar uso de tokens:', error);
+    Sentry.captureException(error);
+  }
+};
+
+/**
+ * Verifica se o provedor da integração gera embeddings (a Anthropic não tem API de embeddings)
+ * @param {Object} integration
+ * @returns {boolean}
+ */
+export const supportsEmbeddings = (integration) => Boolean(integration && EMBEDDING_PROVIDERS.includes(integration.type));
+
+/**
+ * Gera embeddings para uma lista de textos
+ * @param {Object} params
+ * @param {Object} params.integration - Integração de LLM com suporte a embeddings
+ * @param {string} [params.model] - Modelo; se vazio usa o embedding_model da integração ou o padrão do provedor
+ * @param {string[]} params.input - Textos
+ * @returns {Object} - { embeddings: number[][], model, provider, usage: { inputTokens, outputTokens } }
+ */
+export const createEmbeddings = async ({ integration, model, input }) => {
+  if (!supportsEmbeddings(integration)) {
+    throw new Error(`O provedor ${integration?.type} não suporta embeddings`);
+  }
+
+  const credentials = getCredentials(integration);
+  const embeddingModel = model || credentials.embedding_model || DEFAULT_EMBEDDING_MODELS[integration.type];
+
+  try {
+    if (integration.type === 'gemini') {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(embeddingModel)}:batchEmbedContents`,
+        {
+          requests: input.map(text => ({
+            model: `models/${embeddingModel}`,
+            content: { parts: [{ text }] }
+          }))
+        },
+        {
+          headers: { 'x-goog-api-key': credentials.api_key, 'Content-Type': 'application/json' },
+          timeout: REQUEST_TIMEOUT
+        }
+      );
+      // A API de embeddings do Gemini não informa o consumo: estimado em ~4 caracteres por token
+      return {
+        embeddings: response.data.embeddings.map(item => item.values),
+        model: embeddingModel,
+        provider: integration.type,
+        usage: { inputTokens: Math.ceil(input.join('').length / 4), outputTokens: 0 }
+      };
+    }
+
+    let url;
+    let headers;
+    if (integration.type === 'azure_openai') {
+      const deployment = credentials.embedding_deployment || embeddingModel;
+      const apiVersion = credentials.api_version || AZURE_DEFAULT_API_VERSION;
+      url = `${credentials.endpoint.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deployment)}/embeddings?api-version=${apiVersion}`;
+      headers = { 'api-key': credentials.api_key };
+    } else if (integration.type === 'openai_compatible') {
+      url = `${credentials.base_url.replace(/\/+$/, '')}/embeddings`;
+      headers = credentials.api_key ? { Authorization: `Bearer ${credentials.api_key}` } : {};
+    } else {
+      url = 'https://api.openai.com/v1/embeddings';
+      headers = { Authorization: `Bearer ${credentials.api_key}` };
+    }
+
+    const response = await axios.post(url, { model: embeddingModel, input }, {
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      timeout: REQUEST_TIMEOUT
+    });
+
+    const embeddings = [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    return {
+      embeddings,
+      model: embeddingModel,
+      provider: integration.type,
+      usage: { inputTokens: response.data.usage?.prompt_tokens || 0, outputTokens: 0 }
+    };
+  } catch (error) {
+    console.error(`[createEmbeddings] Erro no provedor ${integration.type}:`, error.response?.data || error.message);
+    Sentry.captureException(error, {
+      tags: { llm_provider: integration.type },
+      extra: { integrationId: integration.id, model: embeddingModel, response: error.response?.data }
+    });
+    throw error;
+  }
+};
+
+/**
+ * Lista os modelos disponíveis na integração
+ * @param {Object} integration - Integração de LLM
+ * @returns {Array} - [{ id, name }]
+ */
+export const listLLMModels = async (integration) => {
+  const credentials = getCredentials(integration);
+
+  switch (integration.type) {
+    case 'anthropic': {
+      const response = await axios.get('https://api.anthropic.com/v1/models', {
+        headers: { 'x-api-key': credentials.api_key, 'anthropic-version': ANTHROPIC_VERSION },
+        params: { limit: 100 },
+        timeout: 30000
+      });
+      return response.data.data.map(model => ({ id: model.id, name: model.display_name || model.id }));
+    }
+    case 'gemini': {
+      const response = await axios.get('https://generativelanguage.googleapis.com/v1beta/models', {
+        headers: { 'x-goog-api-key': credentials.api_key },
+        params: { pageSize: 1000 },
+        timeout: 30000
+      });
+      return response.data.models
+        .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+        .map(model => ({ id: model.name.replace(/^models\//, ''), name: model.displayName || model.name }));
+    }
+    case 'azure_openai': {
+      const response = await axios.get(`${credentials.endpoint.replace(/\/+$/, '')}/openai/models`, {
+        headers: { 'api-key': credentials.api_key },
+        params: { 'api-version': credentials.api_version || AZURE_DEFAULT_API_VERSION },
+        timeout: 30000
+      });
+      // No Azure o modelo do prompt é o nome do deployment; a lista traz os modelos base do recurso
+      if (credentials.deployment) {
+        return [{ id: credentials.deployment, name: credentials.deployment }];
+      }
+      return (response.data.data || []).map(model => ({ id: model.id, name: model.id }));
+    }
+    case 'openai_compatible': {
+      const response = await axios.get(`${credentials.base_url.replace(/\/+$/, '')}/models`, {
+        headers: credentials.api_key ? { Authorization: `Bearer ${credentials.api_key}` } : {},
+        timeout: 30000
+      });
+      return (response.data.data || []).map(model => ({ id: model.id, name: model.id }));
+    }
+    default: {
+      const response = await axios.get('https://api.openai.com/v1/models', {
+        headers: { Authorization: `Bearer ${credentials.api_key}` },
+        timeout: 30000
+      });
+      return response.data.data.map(model => ({ id: model.id, name: model.id }));
+    }
+  }
+};
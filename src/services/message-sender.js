@@ -1,6 +1,7 @@
 import { supabase } from '../lib/supabase.js';
 import Sentry from '../lib/sentry.js';
 import { sendSystemMessage } from '../controllers/chat/message-handlers.js';
+import { emitWebhookEvent } from './event-webhooks.js';
 
 /**
  * Serviço unificado para envio de mensagens através de diferentes canais
@@ -168,11 +169,12 @@ async function getOrCreateChat(customer, channel, organizationId, externalId) {
         team_id: teamDefaultId || null,
         created_at: new Date().toISOString()
       }])
-      .select('id')
+      .select('*')
       .single();
 
     if (createError) throw createError;
 
+    emitWebhookEvent(organizationId, 'chat.created', { chat: newChat });
     return newChat.id;
 
   } catch (error) {
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Limite mensal de tokens da chave padrão do Interflow (token_source 'system').
+ * Toda chamada de LLM com a chave do sistema (inclusive embeddings da base de conhecimento) passa antes por checkTokenLimit, que compara o consumo do mês
+ * com organizations.usage.tokens.limit. Chamadas com integrações da própria organização não são limitadas.
+ *
+ * Configuração em organizations.settings.token_limits:
+ *   { on_exhausted: 'block' | 'fallback' | 'overage' (padrão 'block'), fallback_model (padrão 'gpt-4o-mini') }
+ *   - block: a chamada não é feita e a operação retorna erro de limite atingido
+ *   - fallback: a chamada usa o modelo mais barato configurado
+ *   - overage: a chamada segue normalmente e o excedente é cobrado
+ *
+ * Ao atingir 80% e 100% do limite os owners/admins são notificados e o evento de webhook
+ * usage.tokens_threshold é emitido, uma vez por mês por faixa. O controle fica em
+ * organizations.usage.tokens.alerts ({ period, thresholds }).
+ */
+import { supabase } from '../lib/supabase.js';
+import Sentry from '../lib/sentry.js';
+import {
+  getMonthlySystemTokenUsage,
+  getTokenUsagePeriod,
+  getUsageOrganization,
+  registerUsageOrganization
+} from '../controllers/organizations/usage.js';
+import { sendNotificationWithFilters } from '../controllers/chat/notification-helpers.js';
+import { createTranslator } from '../i18n/i18n-helper.js';
+import { emitWebhookEvent } from './event-webhooks.js';
+
+export const TOKEN_LIMIT_ACTIONS = ['block', 'fallback', 'overage'];
+
+const DEFAULT_TOKEN_LIMIT_SETTINGS = {
+  on_exhausted: 'block',
+  fallback_model: 'gpt-4o-mini'
+};
+
+// Percentuais do limite que geram alerta
+export const TOKEN_ALERT_THRESHOLDS = [80, 100];
+
+const FRONT_URL = process.env.FRONTEND_URL || 'https://app.interflow.ai';
+
+/**
+ * Retorna a configuração de limite de tokens da organização com os valores padrão
+ * @param {Object} settings - organizations.settings
+ * @returns {Object} - { on_exhausted, fallback_model }
+ */
+export const getTokenLimitSettings = (settings) => {
+  const config = { ...DEFAULT_TOKEN_LIMIT_SETTINGS, ...(settings?.token_limits || {}) };
+  if (!TOKEN_LIMIT_ACTIONS.includes(config.on_exhausted)) {
+    config.on_exhausted = DEFAULT_TOKEN_LIMIT_SETTINGS.on_exhausted;
+  }
+  return config;
+};
+
+/**
+ * Retorna os tokens do sistema usados no mês. O valor gravado em usage.tokens só vale para o mês em que
+ * foi calculado; fora dele (ou em registros antigos, sem period) a soma é refeita
+ * @param {string} organizationId - ID da organização
+ * @param {Object} tokens - organizations.usage.tokens
+ * @returns {number}
+ */
+const getUsedTokens = async (organizationId, tokens) => {
+  if (tokens?.period === getTokenUsagePeriod()) {
+    return Number(tokens.used) || 0;
+  }
+
+  const monthlyTokens = await getMonthlySystemTokenUsage(organizationId);
+  if (monthlyTokens.error) throw new Error(monthlyTokens.error);
+  return monthlyTokens.total;
+};
+
+/**
+ * Verifica o limite mensal antes de uma chamada de LLM. Integrações da organização sempre são liberadas;
+ * com a chave do sistema e o limite esgotado aplica a configuração da organização
+ * @param {string} organizationId - ID da organização
+ * @param {Object} integration - Integração que será usada na chamada
+ * @returns {Object} - { allowed, integration, action, used, limit }. Em 'fallback' a integração retornada
+ *   força o modelo mais barato (forced_model) e deve ser usada no lugar da original
+ */
+export const checkTokenLimit = async (organizationId, integration) => {
+  if (!integration?.system) {
+    return { allowed: true, integration, action: null };
+  }
+
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .select('usage, settings')
+    .eq('id', organizationId)
+    .single();
+
+  if (error) {
+    Sentry.captureException(error, {
+      extra: { organizationId, context: 'checking_token_limit' }
+    });
+    throw error;
+  }
+
+  const limit = Number(organization.usage?.tokens?.limit) || 0;
+  const used = await getUsedTokens(organizationId, organization.usage?.tokens);
+
+  if (used < limit) {
+    return { allowed: true, integration, action: null, used, limit };
+  }
+
+  const settings = getTokenLimitSettings(organization.settings);
+  console.log(`[checkTokenLimit] Limite de tokens esgotado na organização ${organizationId} (${used}/${limit}): ${settings.on_exhausted}`);
+
+  switch (settings.on_exhausted) {
+    case 'fallback':
+      return {
+        allowed: true,
+        integration: { ...integration, forced_model: settings.fallback_model },
+        action: 'fallback',
+        used,
+        limit
+      };
+    case 'overage':
+      return { allowed: true, integration, action: 'overage', used, limit };
+    default:
+      return { allowed: false, integration, action: 'block', used, limit };
+  }
+};
+
+/**
+ * Envia os alertas de 80% e 100% do limite que ainda não foram enviados no mês.
+ * Nunca lança erro: falhas no alerta não podem interromper o registro de uso
+ * @param {string} organizationId - ID da organização
+ * @param {Object} tokens - usage.tokens atualizado por registerTokenUsage ({ used, limit, period, alerts })
+ */
+export const notifyTokenThresholds = async (organizationId, tokens) => {
+  try {
+    const limit = Number(tokens?.limit) || 0;
+    if (!limit) return;
+
+    const percent = (Number(tokens.used) || 0) / limit * 100;
+    const alreadySent = tokens.alerts?.period === tokens.period ? tokens.alerts.thresholds || [] : [];
+    const reached = TOKEN_ALERT_THRESHOLDS.filter(threshold => percent >= threshold && !alreadySent.includes(threshold));
+    if (!reached.length) return;
+
+    // Registra antes de notificar para que chamadas simultâneas não repitam o alerta
+    const organizationData = await getUsageOrganization(organizationId);
+    if (organizationData.error) throw new Error(organizationData.error);
+
+    const result = await registerUsageOrganization(organizationId, {
+      ...organizationData.usage,
+      tokens: {
+        ...organizationData.usage.tokens,
+        alerts: { period: tokens.period, thresholds: [...alreadySent, ...reached] }
+      }
+    });
+    if (result.error) throw new Error(result.error);
+
+    // Apenas a faixa mais alta atingida é notificada
+    const threshold = Math.max(...reached);
+
+    const [{ data: organization }, { data: admins, error: adminsError }] = await Promise.all([
+      supabase.from('organizations').select('settings').eq('id', organizationId).single(),
+      supabase
+        .from('organization_members')
+        .select('user_id')
+        .eq('organization_id', organizationId)
+        .in('role', ['owner', 'admin'])
+    ]);
+
+    if (adminsError) throw adminsError;
+
+    const t = createTranslator(organization?.settings?.language || 'pt');
+    const { on_exhausted } = getTokenLimitSettings(organization?.settings);
+
+    if (admins?.length) {
+      sendNotificationWithFilters(admins.map(admin => admin.user_id), {
+        heading: t('usage.notifications.tokens_title'),
+        content: t(threshold >= 100
+          ? `usage.notifications.tokens_exhausted_${on_exhausted}`
+          : 'usage.notifications.tokens_warning'),
+        data: {
+          url: `${FRONT_URL}/app/settings/billing`
+        }
+      }).catch(error => console.error('[notifyTokenThresholds] Erro ao notificar administradores:', error));
+    }
+
+    emitWebhookEvent(organizationId, 'usage.tokens_threshold', {
+      threshold,
+      used: tokens.used,
+      limit,
+      period: tokens.period,
+      on_exhausted
+    });
+  } catch (error) {
+    console.error('[notifyTokenThresholds] Erro ao enviar alerta de consumo de tokens:', error);
+    Sentry.captureException(error, {
+      extra: { organizationId }
+    });
+  }
+};
@@ -0,0 +1,584 @@
+/**
+ * @fileoverview Avaliador de expressões dos nós de variável dos fluxos.
+ * A expressão é interpretada por um parser próprio (sem eval/Function), com acesso somente às
+ * variáveis informadas e a uma lista fechada de funções: aritmética, texto, datas no fuso da
+ * organização, acesso a JSON e condicionais.
+ *
+ * Exemplos:
+ *   quantidade * preco
+ *   number(subtotal) + number(frete)
+ *   upper(trim(nome))
+ *   formatDate(addDays(now(), 3), 'dd/MM/yyyy')
+ *   pedido.itens[0].total > 100 ? 'frete grátis' : 'frete pago'
+ *   digits(telefone)
+ *   var('nome com espaço')
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_STRING_LENGTH = 100000;
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Propriedades nunca acessíveis por expressões
+const BLOCKED_PROPERTIES = ['__proto__', 'constructor', 'prototype'];
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+// Precedência dos operadores binários (maior = mais forte)
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '<=': 5, '>': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7
+};
+
+/**
+ * Divide a expressão em tokens
+ * @param {string} expression - Expressão
+ * @returns {Array<Object>} - Tokens { type, value, position }
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const char = expression[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(expression[position + 1] || ''))) {
+      const match = expression.slice(position).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position });
+      position += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let index = position + 1;
+      while (index < expression.length && expression[index] !== char) {
+        if (expression[index] === '\\' && index + 1 < expression.length) {
+          const escaped = expression[index + 1];
+          value += { n: '\n', t: '\t' }[escaped] ?? escaped;
+          index += 2;
+        } else {
+          value += expression[index++];
+        }
+      }
+      if (index >= expression.length) {
+        throw new Error(`Texto sem aspas de fechamento na posição ${position}`);
+      }
+      tokens.push({ type: 'string', value, position });
+      position = index + 1;
+      continue;
+    }
+
+    if (/[\p{L}_$]/u.test(char)) {
+      const match = expression.slice(position).match(/^[\p{L}\p{N}_$]+/u);
+      tokens.push({ type: 'identifier', value: match[0], position });
+      position += match[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, position));
+    if (!operator) {
+      throw new Error(`Caractere inesperado "${char}" na posição ${position}`);
+    }
+    tokens.push({ type: 'operator', value: operator, position });
+    position += operator.length;
+  }
+
+  return tokens;
+};
+
+/**
+ * Converte a expressão em uma árvore sintática
+ * @param {string} expression - Expressão
+ * @returns {Object} - Nó raiz da árvore
+ */
+export const parseExpression = (expression) => {
+  const source = String(expression ?? '');
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expressão maior que ${MAX_EXPRESSION_LENGTH} caracteres`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new Error(token
+        ? `Esperado "${value}" na posição ${token.position}`
+        : `Esperado "${value}" no fim da expressão`);
+    }
+    index++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('Fim inesperado da expressão');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+      if (token.value === 'null') return { type: 'literal', value: null };
+
+      if (isOperator('(')) {
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          do {
+            args.push(parseTernary());
+          } while (isOperator(',') && ++index);
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (token.type === 'operator') {
+      if (token.value === '(') {
+        const inner = parseTernary();
+        expect(')');
+        return inner;
+      }
+      if (token.value === '-' || token.value === '!' || token.value === '+') {
+        return { type: 'unary', operator: token.value, argument: parsePostfix() };
+      }
+    }
+
+    throw new Error(`Token inesperado "${token.value}" na posição ${token.position}`);
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (true) {
+      if (isOperator('.')) {
+        index++;
+        const property = tokens[index++];
+        if (property?.type !== 'identifier') {
+          throw new Error('Nome de propriedade esperado após "."');
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: property.value } };
+      } else if (isOperator('[')) {
+        index++;
+        const property = parseTernary();
+        expect(']');
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parsePostfix();
+    while (true) {
+      const token = peek();
+      const precedence = token?.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) return left;
+      index++;
+      const right = parseBinary(precedence + 1);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+  };
+
+  const parseTernary = () => {
+    const test = parseBinary(1);
+    if (!isOperator('?')) return test;
+    index++;
+    const consequent = parseTernary();
+    expect(':');
+    const alternate = parseTernary();
+    return { type: 'conditional', test, consequent, alternate };
+  };
+
+  if (!tokens.length) {
+    return { type: 'literal', value: '' };
+  }
+
+  const ast = parseTernary();
+  if (index < tokens.length) {
+    throw new Error(`Token inesperado "${tokens[index].value}" na posição ${tokens[index].position}`);
+  }
+  return ast;
+};
+
+/**
+ * Retorna as partes de data/hora de um instante em um fuso horário
+ * @param {Date} date - Data
+ * @param {string} timezone - Fuso IANA
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday }
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return {
+    year: Number(values.year),
+    month: Number(values.month),
+    day: Number(values.day),
+    hour: Number(values.hour),
+    minute: Number(values.minute),
+    second: Number(values.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday)
+  };
+};
+
+/**
+ * Converte uma data/hora local de um fuso horário para o instante UTC correspondente
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timezone - Fuso IANA
+ * @returns {Date}
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const zoned = getZonedParts(new Date(asUtc), timezone);
+  const offset = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - asUtc;
+  return new Date(asUtc - offset);
+};
+
+/**
+ * Converte um valor em Date (ISO, timestamp ou "AAAA-MM-DD" interpretado no fuso informado)
+ * @param {any} value - Valor
+ * @param {string} timezone - Fuso IANA
+ * @returns {Date}
+ */
+const toDate = (value, timezone) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+
+  const text = String(value ?? '').trim();
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = dateOnly
+    ? zonedTimeToDate({ year: Number(dateOnly[1]), month: Number(dateOnly[2]), day: Number(dateOnly[3]) }, timezone)
+    : new Date(text);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Data inválida: ${text}`);
+  }
+  return date;
+};
+
+/**
+ * Formata uma data com os tokens yyyy, yy, MM, dd, HH, mm, ss no fuso informado
+ * @param {Date} date - Data
+ * @param {string} pattern - Padrão
+ * @param {string} timezone - Fuso IANA
+ * @returns {string}
+ */
+const formatDate = (date, pattern, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const tokens = {
+    yyyy: String(parts.year),
+    yy: String(parts.year).slice(-2),
+    MM: pad(parts.month),
+    dd: pad(parts.day),
+    HH: pad(parts.hour),
+    mm: pad(parts.minute),
+    ss: pad(parts.second)
+  };
+  return pattern.replace(/yyyy|yy|MM|dd|HH|mm|ss/g, token => tokens[token]);
+};
+
+/**
+ * Interpreta uma data em um padrão com os mesmos tokens de formatDate, no fuso informado
+ * @param {string} text - Texto da data
+ * @param {string} pattern - Padrão (ex: dd/MM/yyyy)
+ * @param {string} timezone - Fuso IANA
+ * @returns {Date}
+ */
+const parseDate = (text, pattern, timezone) => {
+  const order = [];
+  const regex = new RegExp('^' + pattern
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/yyyy|MM|dd|HH|mm|ss/g, token => {
+      order.push(token);
+      return token === 'yyyy' ? '(\\d{4})' : '(\\d{1,2})';
+    }) + '$');
+
+  const match = String(text ?? '').trim().match(regex);
+  if (!match) throw new Error(`Data "${text}" não corresponde ao formato ${pattern}`);
+
+  const values = { yyyy: 0, MM: 1, dd: 1, HH: 0, mm: 0, ss: 0 };
+  order.forEach((token, position) => { values[token] = Number(match[position + 1]); });
+
+  return zonedTimeToDate({
+    year: values.yyyy,
+    month: values.MM,
+    day: values.dd,
+    hour: values.HH,
+    minute: values.mm,
+    second: values.ss
+  }, timezone);
+};
+
+/**
+ * Lê um caminho JSON simples (ex: "itens[0].nome") de um objeto
+ * @param {any} value - Objeto de origem
+ * @param {string} path - Caminho
+ * @returns {any}
+ */
+const getPath = (value, path) => {
+  const segments = String(path ?? '').match(/[^.[\]]+/g) || [];
+  return segments.reduce((current, segment) => readProperty(current, segment), value);
+};
+
+/**
+ * Lê uma propriedade própria de um objeto/lista, bloqueando acesso ao protótipo
+ * @param {any} object - Objeto
+ * @param {string|number} property - Propriedade
+ * @returns {any}
+ */
+const readProperty = (object, property) => {
+  if (object === null || object === undefined) return undefined;
+  const key = String(property);
+  if (BLOCKED_PROPERTIES.includes(key)) {
+    throw new Error(`Propriedade não permitida: ${key}`);
+  }
+  if (key === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+    return object.length;
+  }
+  if (typeof object === 'string') {
+    return /^\d+$/.test(key) ? object[Number(key)] : undefined;
+  }
+  if (typeof object !== 'object') return undefined;
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+};
+
+/**
+ * Garante que textos gerados não cresçam sem limite
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+const limitString = (text) => {
+  if (text.length > MAX_STRING_LENGTH) {
+    throw new Error(`Texto resultante maior que ${MAX_STRING_LENGTH} caracteres`);
+  }
+  return text;
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  // Aceita formato brasileiro "1.234,56"
+  const text = String(value ?? '').trim();
+  const normalized = /,\d+$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text;
+  const number = Number(normalized);
+  if (text === '' || isNaN(number)) {
+    throw new Error(`Valor não numérico: ${text}`);
+  }
+  return number;
+};
+
+/**
+ * Funções disponíveis nas expressões
+ * @param {string} timezone - Fuso da organização usado nas funções de data
+ * @returns {Object}
+ */
+const createFunctions = (timezone) => ({
+  // Texto
+  upper: (text) => toText(text).toUpperCase(),
+  lower: (text) => toText(text).toLowerCase(),
+  trim: (text) => toText(text).trim(),
+  capitalize: (text) => toText(text).toLowerCase().replace(/(^|\s)\p{L}/gu, letter => letter.toUpperCase()),
+  substring: (text, start, end) => toText(text).substring(toNumber(start), end === undefined ? undefined : toNumber(end)),
+  replace: (text, search, replacement) => limitString(toText(text).split(toText(search)).join(toText(replacement))),
+  concat: (...values) => limitString(values.map(toText).join('')),
+  length: (value) => (Array.isArray(value) ? value.length : toText(value).length),
+  contains: (value, search) => (Array.isArray(value) ? value.includes(search) : toText(value).includes(toText(search))),
+  startsWith: (text, search) => toText(text).startsWith(toText(search)),
+  endsWith: (text, search) => toText(text).endsWith(toText(search)),
+  split: (text, separator) => toText(text).split(toText(separator)),
+  join: (list, separator = ', ') => limitString((Array.isArray(list) ? list : []).map(toText).join(toText(separator))),
+  padStart: (text, size, fill = ' ') => limitString(toText(text).padStart(Math.min(toNumber(size), 1000), toText(fill))),
+  digits: (text) => toText(text).replace(/\D/g, ''),
+
+  // Números
+  number: toNumber,
+  text: toText,
+  round: (value, decimals = 0) => {
+    const factor = 10 ** toNumber(decimals);
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+  floor: (value) => Math.floor(toNumber(value)),
+  ceil: (value) => Math.ceil(toNumber(value)),
+  abs: (value) => Math.abs(toNumber(value)),
+  min: (...values) => Math.min(...values.flat().map(toNumber)),
+  max: (...values) => Math.max(...values.flat().map(toNumber)),
+  sum: (list, path) => (Array.isArray(list) ? list : []).reduce((total, item) => total + toNumber(path ? getPath(item, path) : item), 0),
+  formatNumber: (value, decimals = 2, locale = 'pt-BR') => toNumber(value).toLocaleString(toText(locale), {
+    minimumFractionDigits: toNumber(decimals),
+    maximumFractionDigits: toNumber(decimals)
+  }),
+  formatCurrency: (value, currency = 'BRL', locale = 'pt-BR') => toNumber(value).toLocaleString(toText(locale), {
+    style: 'currency',
+    currency: toText(currency)
+  }),
+
+  // Datas (retornam ISO 8601 em UTC; a formatação usa o fuso da organização)
+  now: () => new Date().toISOString(),
+  today: () => formatDate(new Date(), 'yyyy-MM-dd', timezone),
+  addMinutes: (date, amount) => new Date(toDate(date, timezone).getTime() + toNumber(amount) * 60000).toISOString(),
+  addHours: (date, amount) => new Date(toDate(date, timezone).getTime() + toNumber(amount) * 3600000).toISOString(),
+  addDays: (date, amount) => new Date(toDate(date, timezone).getTime() + toNumber(amount) * DAY_MS).toISOString(),
+  diffDays: (from, to) => Math.round((toDate(to, timezone).getTime() - toDate(from, timezone).getTime()) / DAY_MS),
+  diffMinutes: (from, to) => Math.round((toDate(to, timezone).getTime() - toDate(from, timezone).getTime()) / 60000),
+  formatDate: (date, pattern = 'dd/MM/yyyy', zone = timezone) => formatDate(toDate(date, timezone), toText(pattern), toText(zone)),
+  parseDate: (text, pattern = 'dd/MM/yyyy') => parseDate(text, toText(pattern), timezone).toISOString(),
+  weekday: (date) => getZonedParts(toDate(date, timezone), timezone).weekday,
+
+  // JSON
+  json: (text) => (typeof text === 'string' ? JSON.parse(text) : text),
+  toJson: (value) => limitString(JSON.stringify(value ?? null)),
+  get: (value, path, fallback = null) => {
+    const result = getPath(typeof value === 'string' ? JSON.parse(value) : value, path);
+    return result === undefined ? fallback : result;
+  },
+
+  // Condicionais
+  if: (condition, whenTrue, whenFalse = null) => (condition ? whenTrue : whenFalse),
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined && value !== '') ?? null,
+  isEmpty: (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+});
+
+// Funções avaliadas de forma preguiçosa, para não executar o ramo que não foi escolhido
+const LAZY_FUNCTIONS = ['if'];
+
+/**
+ * Avalia uma expressão
+ * @param {string|Object} expression - Expressão em texto ou árvore já interpretada por parseExpression
+ * @param {Object} options
+ * @param {Function} options.resolveIdentifier - Resolve um identificador (nome de variável) para um valor
+ * @param {string} [options.timezone] - Fuso usado nas funções de data
+ * @returns {any} - Resultado da expressão
+ */
+export const evaluateExpression = (expression, { resolveIdentifier = () => undefined, timezone = DEFAULT_TIMEZONE } = {}) => {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const functions = createFunctions(timezone || DEFAULT_TIMEZONE);
+
+  const resolve = (name) => {
+    if (BLOCKED_PROPERTIES.includes(name)) {
+      throw new Error(`Variável não permitida: ${name}`);
+    }
+    const value = resolveIdentifier(name);
+    return value === undefined || typeof value === 'function' ? null : value;
+  };
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'identifier':
+        return resolve(node.name);
+
+      case 'member': {
+        const object = evaluate(node.object);
+        const property = evaluate(node.property);
+        const value = readProperty(typeof object === 'string' && /^\s*[[{]/.test(object) ? JSON.parse(object) : object, property);
+        return value === undefined ? null : value;
+      }
+
+      case 'unary': {
+        const argument = evaluate(node.argument);
+        if (node.operator === '!') return !argument;
+        if (node.operator === '-') return -toNumber(argument);
+        return toNumber(argument);
+      }
+
+      case 'binary': {
+        if (node.operator === '&&') return evaluate(node.left) && evaluate(node.right);
+        if (node.operator === '||') return evaluate(node.left) || evaluate(node.right);
+        if (node.operator === '??') return evaluate(node.left) ?? evaluate(node.right);
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+':
+            // Soma apenas quando os dois lados são números; com texto concatena ("1" + "2" = "12").
+            // Variáveis com texto numérico (ex: respostas de input) devem ser somadas com number(a) + number(b)
+            if (typeof left === 'number' && typeof right === 'number') return left + right;
+            return limitString(toText(left) + toText(right));
+          case '-': return toNumber(left) - toNumber(right);
+          case '*': return toNumber(left) * toNumber(right);
+          case '/': {
+            const divisor = toNumber(right);
+            if (divisor === 0) throw new Error('Divisão por zero');
+            return toNumber(left) / divisor;
+          }
+          case '%': return toNumber(left) % toNumber(right);
+          // Comparações de igualdade são tolerantes a tipo ("10" == 10), pois variáveis costumam ser texto
+          case '==': case '===': return left == right;
+          case '!=': case '!==': return left != right;
+          case '<': return compare(left, right) < 0;
+          case '<=': return compare(left, right) <= 0;
+          case '>': return compare(left, right) > 0;
+          case '>=': return compare(left, right) >= 0;
+          default:
+            throw new Error(`Operador não suportado: ${node.operator}`);
+        }
+      }
+
+      case 'conditional':
+        return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+
+      case 'call': {
+        if (node.name === 'var') {
+          return resolve(toText(evaluate(node.args[0])));
+        }
+        const fn = Object.prototype.hasOwnProperty.call(functions, node.name) ? functions[node.name] : null;
+        if (!fn) throw new Error(`Função desconhecida: ${node.name}`);
+
+        if (LAZY_FUNCTIONS.includes(node.name)) {
+          return evaluate(node.args[0])
+            ? (node.args[1] ? evaluate(node.args[1]) : null)
+            : (node.args[2] ? evaluate(node.args[2]) : null);
+        }
+        return fn(...node.args.map(evaluate));
+      }
+
+      default:
+        throw new Error(`Expressão inválida: ${node.type}`);
+    }
+  };
+
+  const compare = (left, right) => {
+    try {
+      return toNumber(left) - toNumber(right);
+    } catch (error) {
+      return toText(left).localeCompare(toText(right));
+    }
+  };
+
+  return evaluate(ast);
+};
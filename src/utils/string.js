@@ -10,4 +10,48 @@ export function generateSlug(text) {
     .replace(/[\u0300-\u036f]/g, '')
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/(^-|-$)+/g, '');
-} 
\ No newline at end of file
+}
+
+/**
+ * Normaliza um texto para comparação: minúsculas, sem acentos, sem pontuação e com espaços simples
+ * @param {string} text Texto a ser normalizado
+ * @returns {string} Texto normalizado
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Calcula a similaridade entre dois textos com base na distância de Levenshtein
+ * @param {string} a Primeiro texto
+ * @param {string} b Segundo texto
+ * @returns {number} Similaridade entre 0 (totalmente diferentes) e 1 (iguais)
+ */
+export function calculateSimilarity(a, b) {
+  const first = String(a ?? '');
+  const second = String(b ?? '');
+  if (first === second) return 1;
+  if (!first.length || !second.length) return 0;
+
+  let previousRow = Array.from({ length: second.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= first.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + cost
+      );
+    }
+    previousRow = currentRow;
+  }
+
+  return 1 - previousRow[second.length] / Math.max(first.length, second.length);
+}
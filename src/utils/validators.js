@@ -0,0 +1,123 @@
+/**
+ * Confere os dígitos verificadores de um CPF (11 dígitos, sem máscara)
+ * @param {string} digits
+ * @returns {boolean}
+ */
+const isValidCpf = (digits) => {
+  // Sequências repetidas (000.000.000-00, 111.111.111-11...) passam no cálculo mas não são CPFs válidos
+  if (/^(\d)\1+$/.test(digits)) return false;
+
+  const checkDigit = (length) => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[i]) * (length + 1 - i);
+    }
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+};
+
+/**
+ * Confere os dígitos verificadores de um CNPJ (14 dígitos, sem máscara)
+ * @param {string} digits
+ * @returns {boolean}
+ */
+const isValidCnpj = (digits) => {
+  if (/^(\d)\1+$/.test(digits)) return false;
+
+  const checkDigit = (length) => {
+    // Pesos de 2 a 9, da direita para a esquerda, reiniciando em 2
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += Number(digits[length - 1 - i]) * (2 + (i % 8));
+    }
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+
+  return checkDigit(12) === Number(digits[12]) && checkDigit(13) === Number(digits[13]);
+};
+
+/**
+ * Máscaras de documentos e contatos brasileiros aceitas em campos personalizados e inputs de fluxo
+ */
+export const MASK_FORMATS = {
+  cpf: {
+    label: 'CPF',
+    pattern: /^\d{3}\.\d{3}\.\d{3}-\d{2}$/,
+    example: '123.456.789-09',
+    digits: [11],
+    isValid: isValidCpf,
+    format: (digits) => digits.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4')
+  },
+  cnpj: {
+    label: 'CNPJ',
+    pattern: /^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/,
+    example: '12.345.678/0001-95',
+    digits: [14],
+    isValid: isValidCnpj,
+    format: (digits) => digits.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5')
+  },
+  phone: {
+    label: 'phone',
+    // Fixo (10 dígitos) ou celular (11 dígitos), com DDD
+    pattern: /^\(\d{2}\) \d{4,5}-\d{4}$/,
+    example: '(00) 00000-0000',
+    digits: [10, 11],
+    format: (digits) => digits.replace(/^(\d{2})(\d{4,5})(\d{4})$/, '($1) $2-$3')
+  },
+  cep: {
+    label: 'CEP',
+    pattern: /^\d{5}-\d{3}$/,
+    example: '00000-000',
+    digits: [8],
+    format: (digits) => digits.replace(/^(\d{5})(\d{3})$/, '$1-$2')
+  },
+  rg: {
+    label: 'RG',
+    pattern: /^\d{2}\.\d{3}\.\d{3}-\d{1}$/,
+    example: '00.000.000-0',
+    digits: [9],
+    format: (digits) => digits.replace(/^(\d{2})(\d{3})(\d{3})(\d{1})$/, '$1.$2.$3-$4')
+  }
+};
+
+/**
+ * Verifica se um valor já formatado respeita a máscara informada (e, para CPF e CNPJ, os dígitos verificadores)
+ * @param {string} maskType - Tipo da máscara (cpf, cnpj, phone, cep, rg)
+ * @param {string} value - Valor a ser validado
+ * @returns {boolean} - Verdadeiro se o valor for válido ou se a máscara for desconhecida
+ */
+export function isValidMaskFormat(maskType, value) {
+  const mask = MASK_FORMATS[maskType];
+  if (!mask) return true;
+
+  const text = String(value ?? '');
+  if (!mask.pattern.test(text)) return false;
+  return !mask.isValid || mask.isValid(text.replace(/\D/g, ''));
+}
+
+/**
+ * Aplica a máscara a um valor digitado livremente (ex: "12345678901" ou "123 456 789 01" para CPF)
+ * @param {string} maskType - Tipo da máscara
+ * @param {string} value - Valor digitado
+ * @returns {string|null} - Valor formatado ou null se a quantidade de dígitos não corresponder à máscara
+ *   ou se os dígitos verificadores (CPF/CNPJ) forem inválidos
+ */
+export function formatMaskedValue(maskType, value) {
+  const mask = MASK_FORMATS[maskType];
+  if (!mask) return null;
+
+  const text = String(value ?? '').trim();
+  let digits = text.replace(/\D/g, '');
+  // Telefones podem chegar com o código do país (12 ou 13 dígitos)
+  if (maskType === 'phone' && [12, 13].includes(digits.length) && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  }
+  if (!mask.digits.includes(digits.length)) return null;
+  if (mask.isValid && !mask.isValid(digits)) return null;
+
+  return mask.pattern.test(text) ? text : mask.format(digits);
+}